@@ -18,12 +18,25 @@ import MainLayout from './components/layouts/MainLayout';
 // Pages
 import Login from './pages/auth/Login';
 import Dashboard from './pages/Dashboard';
+import ActivityLog from './pages/activity/ActivityLog';
 import DevicesList from './pages/devices/DevicesList';
 import DeviceForm from './pages/devices/DeviceForm';
+import PendingDevicesList from './pages/devices/PendingDevicesList';
 import ChannelsList from './pages/channels/ChannelsList';
 import ChannelForm from './pages/channels/ChannelForm';
 import NewsList from './pages/news/NewsList';
 import NewsForm from './pages/news/NewsForm';
+import PackagesList from './pages/packages/PackagesList';
+import PackageForm from './pages/packages/PackageForm';
+import PlansList from './pages/plans/PlansList';
+import PlanForm from './pages/plans/PlanForm';
+import CustomersList from './pages/customers/CustomersList';
+import CustomerForm from './pages/customers/CustomerForm';
+import WatchingList from './pages/streams/WatchingList';
+import AdminsList from './pages/admins/AdminsList';
+import ChangePassword from './pages/account/ChangePassword';
+import Security from './pages/account/Security';
+import Forbidden from './pages/Forbidden';
 import NotFound from './pages/NotFound';
 
 // Create router with future flags enabled
@@ -40,24 +53,52 @@ const router = createBrowserRouter(
         </PrivateRoute>
       }>
         {/* Dashboard */}
-        <Route index element={<Dashboard />} />
+        <Route index element={<PrivateRoute resource="dashboard"><Dashboard /></PrivateRoute>} />
+        <Route path="activity" element={<PrivateRoute resource="dashboard"><ActivityLog /></PrivateRoute>} />
         
         {/* Devices */}
-        <Route path="devices" element={<DevicesList />} />
-        <Route path="devices/new" element={<DeviceForm />} />
-        <Route path="devices/edit/:id" element={<DeviceForm />} />
+        <Route path="devices" element={<PrivateRoute resource="devices"><DevicesList /></PrivateRoute>} />
+        <Route path="devices/new" element={<PrivateRoute resource="devices" action="edit"><DeviceForm /></PrivateRoute>} />
+        <Route path="devices/pending" element={<PrivateRoute resource="devices"><PendingDevicesList /></PrivateRoute>} />
+        <Route path="devices/edit/:id" element={<PrivateRoute resource="devices" action="edit"><DeviceForm /></PrivateRoute>} />
+        
+        {/* Customers */}
+        <Route path="customers" element={<PrivateRoute resource="customers"><CustomersList /></PrivateRoute>} />
+        <Route path="customers/new" element={<PrivateRoute resource="customers" action="edit"><CustomerForm /></PrivateRoute>} />
+        <Route path="customers/edit/:id" element={<PrivateRoute resource="customers" action="edit"><CustomerForm /></PrivateRoute>} />
         
         {/* Channels */}
-        <Route path="channels" element={<ChannelsList />} />
-        <Route path="channels/new" element={<ChannelForm />} />
-        <Route path="channels/edit/:id" element={<ChannelForm />} />
+        <Route path="channels" element={<PrivateRoute resource="channels"><ChannelsList /></PrivateRoute>} />
+        <Route path="channels/new" element={<PrivateRoute resource="channels" action="edit"><ChannelForm /></PrivateRoute>} />
+        <Route path="channels/edit/:id" element={<PrivateRoute resource="channels" action="edit"><ChannelForm /></PrivateRoute>} />
+        
+        {/* Packages */}
+        <Route path="packages" element={<PrivateRoute resource="packages"><PackagesList /></PrivateRoute>} />
+        <Route path="packages/new" element={<PrivateRoute resource="packages" action="edit"><PackageForm /></PrivateRoute>} />
+        <Route path="packages/edit/:id" element={<PrivateRoute resource="packages" action="edit"><PackageForm /></PrivateRoute>} />
+        
+        {/* Subscription Plans */}
+        <Route path="plans" element={<PrivateRoute resource="plans"><PlansList /></PrivateRoute>} />
+        <Route path="plans/new" element={<PrivateRoute resource="plans" action="edit"><PlanForm /></PrivateRoute>} />
+        <Route path="plans/edit/:id" element={<PrivateRoute resource="plans" action="edit"><PlanForm /></PrivateRoute>} />
+        
+        {/* Stream Sessions */}
+        <Route path="watching" element={<PrivateRoute resource="streams"><WatchingList /></PrivateRoute>} />
         
         {/* News */}
-        <Route path="news" element={<NewsList />} />
-        <Route path="news/new" element={<NewsForm />} />
-        <Route path="news/edit/:id" element={<NewsForm />} />
+        <Route path="news" element={<PrivateRoute resource="news"><NewsList /></PrivateRoute>} />
+        <Route path="news/new" element={<PrivateRoute resource="news" action="edit"><NewsForm /></PrivateRoute>} />
+        <Route path="news/edit/:id" element={<PrivateRoute resource="news" action="edit"><NewsForm /></PrivateRoute>} />
+        
+        {/* Admin Users */}
+        <Route path="admins" element={<PrivateRoute resource="admins"><AdminsList /></PrivateRoute>} />
+        
+        {/* Account */}
+        <Route path="account/password" element={<ChangePassword />} />
+        <Route path="account/security" element={<Security />} />
         
-        {/* Not Found */}
+        {/* Forbidden and Not Found */}
+        <Route path="403" element={<Forbidden />} />
         <Route path="404" element={<NotFound />} />
         <Route path="*" element={<Navigate to="/404" replace />} />
       </Route>
@@ -4,9 +4,11 @@ import { useAuth } from '../contexts/AuthContext';
 
 /**
  * PrivateRoute component that redirects to login if not authenticated
+ * With a resource, it also requires the admin's role to allow the action on it
+ * Admins still using a temporary password are sent to the change password page
  */
-const PrivateRoute = ({ children }) => {
-  const { isAuthenticated, isLoading } = useAuth();
+const PrivateRoute = ({ children, resource, action = 'view' }) => {
+  const { isAuthenticated, isLoading, admin, can } = useAuth();
   const location = useLocation();
 
   // Show nothing while checking auth status
@@ -19,6 +21,16 @@ const PrivateRoute = ({ children }) => {
     return <Navigate to="/login" state={{ from: location }} replace />;
   }
 
+  // Admins with a temporary password must change it before using the panel
+  if (admin?.must_change_password && location.pathname !== '/account/password') {
+    return <Navigate to="/account/password" replace />;
+  }
+
+  // Send admins whose role doesn't cover this page to the forbidden page
+  if (resource && !can(resource, action)) {
+    return <Navigate to="/403" replace />;
+  }
+
   // Render protected content if authenticated
   return children;
 };
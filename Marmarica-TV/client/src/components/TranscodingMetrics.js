@@ -0,0 +1,185 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Row, Col, Table, Badge } from 'react-bootstrap';
+import { Line } from 'react-chartjs-2';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  PointElement,
+  LineElement,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { FaMicrochip } from 'react-icons/fa';
+import { transcodingAPI } from '../services/api';
+
+ChartJS.register(CategoryScale, LinearScale, PointElement, LineElement, Tooltip, Legend);
+
+// Format a byte count as MB
+const formatMegabytes = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+// Format seconds as "1d 2h", "2h 5m" or "5m 10s"
+const formatUptime = (seconds) => {
+  const days = Math.floor(seconds / 86400);
+  const hours = Math.floor((seconds % 86400) / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  return `${minutes}m ${seconds % 60}s`;
+};
+
+/**
+ * Dashboard panel with CPU and memory usage of the running FFmpeg processes
+ */
+const TranscodingMetrics = () => {
+  const [metrics, setMetrics] = useState(null);
+
+  useEffect(() => {
+    let timer = null;
+
+    const fetchMetrics = async () => {
+      try {
+        const response = await transcodingAPI.getMetrics();
+        setMetrics(response.data.data);
+
+        // Poll at the server's sampling rate
+        timer = setTimeout(fetchMetrics, response.data.data.sample_interval_ms);
+      } catch (error) {
+        console.error('Error fetching transcoding metrics:', error);
+        timer = setTimeout(fetchMetrics, 30000);
+      }
+    };
+
+    fetchMetrics();
+
+    return () => clearTimeout(timer);
+  }, []);
+
+  if (!metrics) {
+    return null;
+  }
+
+  const { system, totals, processes, history } = metrics;
+  const usedMemory = system.total_memory_bytes - system.free_memory_bytes;
+
+  const chartData = {
+    labels: history.map(point => new Date(point.sampled_at).toLocaleTimeString()),
+    datasets: [
+      {
+        label: 'CPU %',
+        data: history.map(point => point.cpu_percent),
+        borderColor: 'rgb(13, 110, 253)',
+        backgroundColor: 'rgba(13, 110, 253, 0.2)',
+        yAxisID: 'cpu',
+        pointRadius: 0
+      },
+      {
+        label: 'Memory (MB)',
+        data: history.map(point => Math.round(point.rss_bytes / 1024 / 1024)),
+        borderColor: 'rgb(25, 135, 84)',
+        backgroundColor: 'rgba(25, 135, 84, 0.2)',
+        yAxisID: 'memory',
+        pointRadius: 0
+      }
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    interaction: { mode: 'index', intersect: false },
+    scales: {
+      x: { ticks: { maxTicksLimit: 8 } },
+      cpu: { type: 'linear', position: 'left', beginAtZero: true, title: { display: true, text: 'CPU %' } },
+      memory: { type: 'linear', position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'MB' } }
+    }
+  };
+
+  return (
+    <Card className="dashboard-card">
+      <Card.Header className="bg-white">
+        <div className="d-flex align-items-center">
+          <FaMicrochip className="text-primary me-2" />
+          <h5 className="mb-0">Transcoding Resources</h5>
+        </div>
+      </Card.Header>
+      <Card.Body>
+        <Row className="mb-3 text-center">
+          <Col md={3}>
+            <h4>{totals ? totals.processes : 0}</h4>
+            <div className="text-muted small">FFmpeg Processes</div>
+          </Col>
+          <Col md={3}>
+            <h4>{totals ? totals.cpu_percent : 0}%</h4>
+            <div className="text-muted small">CPU ({system.cpu_count} cores = {system.cpu_count * 100}%)</div>
+          </Col>
+          <Col md={3}>
+            <h4>{formatMegabytes(totals ? totals.rss_bytes : 0)}</h4>
+            <div className="text-muted small">FFmpeg Memory</div>
+          </Col>
+          <Col md={3}>
+            <h4>{system.load_average[0].toFixed(2)}</h4>
+            <div className="text-muted small">
+              Load | {formatMegabytes(usedMemory)} / {formatMegabytes(system.total_memory_bytes)} RAM used
+            </div>
+          </Col>
+        </Row>
+
+        {history.length > 1 && (
+          <div style={{ height: '220px' }} className="mb-3">
+            <Line data={chartData} options={chartOptions} />
+          </div>
+        )}
+
+        {processes.length > 0 ? (
+          <Table responsive hover className="custom-table mb-0">
+            <thead>
+              <tr>
+                <th>Channel</th>
+                <th>PID</th>
+                <th>Mode</th>
+                <th>CPU</th>
+                <th>Memory</th>
+                <th>Uptime</th>
+                <th>Restarts</th>
+              </tr>
+            </thead>
+            <tbody>
+              {processes.map((ffmpeg) => (
+                <tr key={ffmpeg.pid}>
+                  <td>{ffmpeg.channel_name}</td>
+                  <td><code>{ffmpeg.pid}</code></td>
+                  <td>{ffmpeg.mode === 'remux' ? 'Remux' : 'Transcode'}</td>
+                  <td>
+                    {ffmpeg.cpu_percent === null ? (
+                      <span className="text-muted">-</span>
+                    ) : (
+                      <Badge bg={ffmpeg.cpu_percent > 100 ? 'danger' : 'secondary'}>
+                        {ffmpeg.cpu_percent}%
+                      </Badge>
+                    )}
+                  </td>
+                  <td>{formatMegabytes(ffmpeg.rss_bytes)}</td>
+                  <td>{formatUptime(ffmpeg.uptime_seconds)}</td>
+                  <td>
+                    {ffmpeg.restarts > 0 ? (
+                      <Badge bg="warning">{ffmpeg.restarts}</Badge>
+                    ) : 0}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </Table>
+        ) : (
+          <div className="text-center text-muted py-3">
+            No FFmpeg processes running
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default TranscodingMetrics;
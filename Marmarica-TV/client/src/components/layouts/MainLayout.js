@@ -1,17 +1,24 @@
 import React from 'react';
-import { Outlet, NavLink } from 'react-router-dom';
+import { Outlet, NavLink, Link } from 'react-router-dom';
 import { 
   FaHome, 
   FaMobile, 
+  FaUsers,
   FaTv, 
   FaNewspaper,
+  FaBoxOpen,
+  FaReceipt,
+  FaEye,
+  FaUserShield,
   FaSignOutAlt,
-  FaUser
+  FaUser,
+  FaLock,
+  FaHistory
 } from 'react-icons/fa';
 import { useAuth } from '../../contexts/AuthContext';
 
 const MainLayout = () => {
-  const { admin, logout } = useAuth();
+  const { admin, can, logout } = useAuth();
 
   // Check if a NavLink is active
   const isActive = ({ isActive }) => 
@@ -30,22 +37,66 @@ const MainLayout = () => {
           Marmarica TV
         </div>
         <div className="sidebar-menu">
-          <NavLink to="/" className={isActive} end>
-            <span className="sidebar-item-icon"><FaHome /></span>
-            Dashboard
-          </NavLink>
-          <NavLink to="/devices" className={isActive}>
-            <span className="sidebar-item-icon"><FaMobile /></span>
-            Devices
-          </NavLink>
-          <NavLink to="/channels" className={isActive}>
-            <span className="sidebar-item-icon"><FaTv /></span>
-            Channels
-          </NavLink>
-          <NavLink to="/news" className={isActive}>
-            <span className="sidebar-item-icon"><FaNewspaper /></span>
-            News
-          </NavLink>
+          {can('dashboard') && (
+            <NavLink to="/" className={isActive} end>
+              <span className="sidebar-item-icon"><FaHome /></span>
+              Dashboard
+            </NavLink>
+          )}
+          {can('devices') && (
+            <NavLink to="/devices" className={isActive}>
+              <span className="sidebar-item-icon"><FaMobile /></span>
+              Devices
+            </NavLink>
+          )}
+          {can('customers') && (
+            <NavLink to="/customers" className={isActive}>
+              <span className="sidebar-item-icon"><FaUsers /></span>
+              Customers
+            </NavLink>
+          )}
+          {can('channels') && (
+            <NavLink to="/channels" className={isActive}>
+              <span className="sidebar-item-icon"><FaTv /></span>
+              Channels
+            </NavLink>
+          )}
+          {can('packages') && (
+            <NavLink to="/packages" className={isActive}>
+              <span className="sidebar-item-icon"><FaBoxOpen /></span>
+              Packages
+            </NavLink>
+          )}
+          {can('plans') && (
+            <NavLink to="/plans" className={isActive}>
+              <span className="sidebar-item-icon"><FaReceipt /></span>
+              Plans
+            </NavLink>
+          )}
+          {can('streams') && (
+            <NavLink to="/watching" className={isActive}>
+              <span className="sidebar-item-icon"><FaEye /></span>
+              Now Watching
+            </NavLink>
+          )}
+          {can('news') && (
+            <NavLink to="/news" className={isActive}>
+              <span className="sidebar-item-icon"><FaNewspaper /></span>
+              News
+            </NavLink>
+          )}
+          {can('dashboard') && (
+            <NavLink to="/activity" className={isActive}>
+              <span className="sidebar-item-icon"><FaHistory /></span>
+              Activity Log
+            </NavLink>
+          )}
+          {can('admins') && (
+            <NavLink to="/admins" className={isActive}>
+              <span className="sidebar-item-icon"><FaUserShield /></span>
+              Admin Users
+            </NavLink>
+          )}
         </div>
       </div>
 
@@ -54,9 +105,12 @@ const MainLayout = () => {
         <header className="header">
           <h2>IPTV Admin Panel</h2>
           <div className="header-actions">
-            <span className="admin-info">
-              <FaUser /> {admin?.username}
-            </span>
+            <Link to="/account/password" className="admin-info text-decoration-none" title="Change password">
+              <FaUser /> {admin?.username} <span className="text-muted">({admin?.role})</span>
+            </Link>
+            <Link to="/account/security" className="admin-info text-decoration-none" title="Two-factor authentication and sessions">
+              <FaLock /> Security
+            </Link>
             <button 
               onClick={handleLogout}
               className="logout-button"
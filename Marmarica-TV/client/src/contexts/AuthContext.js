@@ -1,6 +1,6 @@
 import React, { createContext, useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
-import api from '../services/api';
+import api, { authAPI } from '../services/api';
 
 const AuthContext = createContext(null);
 
@@ -31,9 +31,13 @@ export const AuthProvider = ({ children }) => {
   };
 
   // Login
+  // Admins with two-factor authentication get twoFactorRequired and finish with verifyTwoFactor
   const login = async (username, password) => {
     try {
       const response = await api.post('/auth/login', { username, password });
+      if (response.data.two_factor_required) {
+        return { success: true, twoFactorRequired: true };
+      }
       setIsAuthenticated(true);
       setAdmin(response.data.admin);
       navigate('/');
@@ -47,6 +51,22 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Second login step: an authenticator or recovery code
+  const verifyTwoFactor = async (code) => {
+    try {
+      const response = await authAPI.verifyTwoFactor(code);
+      setIsAuthenticated(true);
+      setAdmin(response.data.admin);
+      return { success: true };
+    } catch (error) {
+      console.error('Two-factor verification error:', error);
+      return {
+        success: false,
+        error: error.response?.data?.message || 'Verification failed'
+      };
+    }
+  };
+
   // Logout
   const logout = async () => {
     try {
@@ -60,13 +80,32 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Change the logged in admin's password; also clears a temporary password
+  const changePassword = async (currentPassword, newPassword) => {
+    const response = await authAPI.changePassword({
+      current_password: currentPassword,
+      new_password: newPassword
+    });
+    setAdmin(response.data.admin);
+    return response.data;
+  };
+
+  // Check whether the admin's role allows an action ('view', 'edit' or 'delete') on a resource
+  const can = (resource, action = 'view') => {
+    const actions = admin?.permissions?.[resource];
+    return Boolean(actions && actions.includes(action));
+  };
+
   // Context value
   const value = {
     isAuthenticated,
     isLoading,
     admin,
+    can,
     login,
-    logout
+    verifyTwoFactor,
+    logout,
+    changePassword
   };
 
   return (
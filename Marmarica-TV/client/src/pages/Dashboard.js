@@ -1,11 +1,14 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Row, Col, Card, Table, Badge, Button } from 'react-bootstrap';
+import { Container, Row, Col, Card, Table, Badge } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
 import { FaMobile, FaTv, FaNewspaper, FaExclamationTriangle } from 'react-icons/fa';
 import { dashboardAPI } from '../services/api';
+import TranscodingMetrics from '../components/TranscodingMetrics';
 import { toast } from 'react-toastify';
+import { useAuth } from '../contexts/AuthContext';
 
 const Dashboard = () => {
+  const { can } = useAuth();
   const [dashboardData, setDashboardData] = useState({
     deviceCount: 0,
     devicesByStatus: {},
@@ -16,25 +19,6 @@ const Dashboard = () => {
     recentActions: []
   });
   const [isLoading, setIsLoading] = useState(true);
-  
-  // Function to clear action history
-  const clearActionHistory = async () => {
-    try {
-      if (window.confirm('Are you sure you want to clear all action history?')) {
-        await dashboardAPI.clearActionHistory();
-        toast.success('Action history cleared successfully');
-        
-        // Update dashboard data
-        setDashboardData(prev => ({
-          ...prev,
-          recentActions: []
-        }));
-      }
-    } catch (error) {
-      console.error('Error clearing action history:', error);
-      toast.error('Failed to clear action history');
-    }
-  };
 
   useEffect(() => {
     const fetchDashboardData = async () => {
@@ -155,12 +139,14 @@ const Dashboard = () => {
                         <td>{device.owner_name}</td>
                         <td>{new Date(device.expiry_date).toLocaleDateString()}</td>
                         <td>
-                          <Link 
-                            to={`/devices/edit/${device.id}`} 
-                            className="btn btn-sm btn-outline-primary"
-                          >
-                            Extend
-                          </Link>
+                          {can('devices', 'edit') && (
+                            <Link 
+                              to={`/devices/edit/${device.id}`} 
+                              className="btn btn-sm btn-outline-primary"
+                            >
+                              Extend
+                            </Link>
+                          )}
                         </td>
                       </tr>
                     ))}
@@ -180,15 +166,7 @@ const Dashboard = () => {
           <Card className="dashboard-card">
             <Card.Header className="bg-white d-flex justify-content-between align-items-center">
               <h5 className="mb-0">Recent System Activities</h5>
-              {dashboardData.recentActions && dashboardData.recentActions.length > 0 && (
-                <Button 
-                  variant="outline-danger" 
-                  size="sm"
-                  onClick={clearActionHistory}
-                >
-                  Clear History
-                </Button>
-              )}
+              <Link to="/activity" className="btn btn-sm btn-outline-primary">View All</Link>
             </Card.Header>
             <Card.Body className="p-0"> {/* Remove padding for table */}
               {dashboardData.recentActions && dashboardData.recentActions.length > 0 ? (
@@ -207,7 +185,12 @@ const Dashboard = () => {
                           <td>
                             <Badge bg="info">{action.action_type.replace('_', ' ')}</Badge>
                           </td>
-                          <td>{action.description}</td>
+                          <td>
+                            {action.description}
+                            {action.admin_username && (
+                              <div className="small text-muted">by {action.admin_username}</div>
+                            )}
+                          </td>
                           <td>{new Date(action.created_at).toLocaleString()}</td>
                         </tr>
                       ))}
@@ -223,6 +206,13 @@ const Dashboard = () => {
           </Card>
         </Col>
       </Row>
+      
+      {/* Transcoding Resources */}
+      <Row className="mb-4">
+        <Col md={12}>
+          <TranscodingMetrics />
+        </Col>
+      </Row>
     </Container>
   );
 };
@@ -0,0 +1,33 @@
+import React from 'react';
+import { Container, Row, Col, Card } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaHome, FaLock } from 'react-icons/fa';
+import { useAuth } from '../contexts/AuthContext';
+
+const Forbidden = () => {
+  const { admin } = useAuth();
+
+  return (
+    <Container fluid className="py-5">
+      <Row className="justify-content-center">
+        <Col md={8} lg={6}>
+          <Card className="text-center shadow-sm">
+            <Card.Body className="p-5">
+              <FaLock className="text-danger" size={60} />
+              <h1 className="mt-4">403 - Access Denied</h1>
+              <p className="text-muted mb-4">
+                Your role ({admin?.role}) doesn't allow you to use this page.
+                Ask an owner if you need access.
+              </p>
+              <Link to="/" className="btn btn-primary">
+                <FaHome className="me-2" /> Go to Dashboard
+              </Link>
+            </Card.Body>
+          </Card>
+        </Col>
+      </Row>
+    </Container>
+  );
+};
+
+export default Forbidden;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { Container, Card, Form, Button, Alert } from 'react-bootstrap';
+import { useNavigate } from 'react-router-dom';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+import { useAuth } from '../../contexts/AuthContext';
+import { toast } from 'react-toastify';
+
+// Validation schema
+const ChangePasswordSchema = Yup.object().shape({
+  current_password: Yup.string()
+    .required('Current password is required'),
+  new_password: Yup.string()
+    .required('New password is required')
+    .min(8, 'Password must be at least 8 characters'),
+  confirm_password: Yup.string()
+    .required('Please confirm the new password')
+    .oneOf([Yup.ref('new_password')], 'Passwords do not match')
+});
+
+const ChangePassword = () => {
+  const { admin, changePassword } = useAuth();
+  const navigate = useNavigate();
+  const [error, setError] = useState('');
+
+  // Handle form submission
+  const handleSubmit = async (values, { setSubmitting, resetForm }) => {
+    try {
+      setSubmitting(true);
+      setError('');
+      await changePassword(values.current_password, values.new_password);
+      toast.success('Password changed successfully');
+      resetForm();
+      navigate('/');
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setError(error.response?.data?.message || 'Failed to change password');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Container fluid>
+      <h1 className="page-title">Change Password</h1>
+
+      <Card className="form-container">
+        <Card.Body>
+          {admin?.must_change_password && (
+            <Alert variant="warning">
+              You are using a temporary password. Choose a new password to continue.
+            </Alert>
+          )}
+
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          <Formik
+            initialValues={{ current_password: '', new_password: '', confirm_password: '' }}
+            validationSchema={ChangePasswordSchema}
+            onSubmit={handleSubmit}
+          >
+            {({
+              values,
+              errors,
+              touched,
+              handleChange,
+              handleBlur,
+              handleSubmit,
+              isSubmitting
+            }) => (
+              <Form onSubmit={handleSubmit} style={{ maxWidth: '400px' }}>
+                {/* Current Password */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Current Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    name="current_password"
+                    autoComplete="current-password"
+                    value={values.current_password}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    isInvalid={touched.current_password && errors.current_password}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.current_password}
+                  </Form.Control.Feedback>
+                </Form.Group>
+
+                {/* New Password */}
+                <Form.Group className="mb-3">
+                  <Form.Label>New Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    name="new_password"
+                    autoComplete="new-password"
+                    value={values.new_password}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    isInvalid={touched.new_password && errors.new_password}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.new_password}
+                  </Form.Control.Feedback>
+                </Form.Group>
+
+                {/* Confirm Password */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Confirm New Password</Form.Label>
+                  <Form.Control
+                    type="password"
+                    name="confirm_password"
+                    autoComplete="new-password"
+                    value={values.confirm_password}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                    isInvalid={touched.confirm_password && errors.confirm_password}
+                  />
+                  <Form.Control.Feedback type="invalid">
+                    {errors.confirm_password}
+                  </Form.Control.Feedback>
+                </Form.Group>
+
+                <Button variant="primary" type="submit" disabled={isSubmitting}>
+                  {isSubmitting ? 'Saving...' : 'Change Password'}
+                </Button>
+              </Form>
+            )}
+          </Formik>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default ChangePassword;
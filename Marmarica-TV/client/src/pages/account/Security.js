@@ -0,0 +1,298 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert } from 'react-bootstrap';
+import { FaMobileAlt, FaKey, FaSignOutAlt } from 'react-icons/fa';
+import { authAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+const Security = () => {
+  const [twoFactor, setTwoFactor] = useState(null);
+  const [setupData, setSetupData] = useState(null);
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [sessions, setSessions] = useState([]);
+  const [loadingSessions, setLoadingSessions] = useState(true);
+
+  // Fetch the two-factor status
+  const fetchTwoFactor = useCallback(async () => {
+    try {
+      const response = await authAPI.getTwoFactor();
+      setTwoFactor(response.data.data);
+    } catch (error) {
+      console.error('Error fetching two-factor status:', error);
+    }
+  }, []);
+
+  // Fetch the logged in sessions
+  const fetchSessions = useCallback(async () => {
+    try {
+      setLoadingSessions(true);
+      const response = await authAPI.getSessions();
+      setSessions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    } finally {
+      setLoadingSessions(false);
+    }
+  }, []);
+
+  // Load data on component mount
+  useEffect(() => {
+    fetchTwoFactor();
+    fetchSessions();
+  }, [fetchTwoFactor, fetchSessions]);
+
+  // Run a two-factor request, showing the server's message when it fails
+  const runTwoFactorAction = async (action) => {
+    try {
+      setSaving(true);
+      setError('');
+      await action();
+    } catch (error) {
+      console.error('Error updating two-factor authentication:', error);
+      setError(error.response?.data?.message || 'Something went wrong');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Start setup: get a secret to add to the authenticator app
+  const handleSetup = () => runTwoFactorAction(async () => {
+    const response = await authAPI.setupTwoFactor();
+    setSetupData(response.data.data);
+    setRecoveryCodes(null);
+    setCode('');
+  });
+
+  // Finish setup with a code from the app; the recovery codes are only shown now
+  const handleEnable = (e) => {
+    e.preventDefault();
+    runTwoFactorAction(async () => {
+      const response = await authAPI.enableTwoFactor(code);
+      setRecoveryCodes(response.data.data.recovery_codes);
+      setSetupData(null);
+      setCode('');
+      toast.success(response.data.message);
+      fetchTwoFactor();
+    });
+  };
+
+  // Replace the recovery codes
+  const handleRegenerate = () => runTwoFactorAction(async () => {
+    const response = await authAPI.regenerateRecoveryCodes(password);
+    setRecoveryCodes(response.data.data.recovery_codes);
+    setPassword('');
+    toast.success(response.data.message);
+    fetchTwoFactor();
+  });
+
+  // Turn off two-factor authentication
+  const handleDisable = () => {
+    if (!window.confirm('Turn off two-factor authentication? You will log in with just your password.')) {
+      return;
+    }
+
+    runTwoFactorAction(async () => {
+      const response = await authAPI.disableTwoFactor(password);
+      setRecoveryCodes(null);
+      setPassword('');
+      toast.success(response.data.message);
+      fetchTwoFactor();
+    });
+  };
+
+  // Log out one session
+  const handleRevoke = async (session) => {
+    try {
+      await authAPI.revokeSession(session.id);
+      toast.success('Session logged out');
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking session:', error);
+    }
+  };
+
+  // Log out every session except this one
+  const handleRevokeOthers = async () => {
+    if (!window.confirm('Log out all other sessions?')) {
+      return;
+    }
+
+    try {
+      const response = await authAPI.revokeOtherSessions();
+      toast.success(response.data.message);
+      fetchSessions();
+    } catch (error) {
+      console.error('Error revoking sessions:', error);
+    }
+  };
+
+  // Format a date for display
+  const formatDate = (dateString) => {
+    if (!dateString) return '-';
+    return new Date(dateString).toLocaleString();
+  };
+
+  return (
+    <Container fluid>
+      <h1 className="page-title">Account Security</h1>
+
+      {/* Two-Factor Authentication */}
+      <Card className="mb-4">
+        <Card.Header>
+          <FaMobileAlt className="me-2" /> Two-Factor Authentication
+          {twoFactor && (
+            twoFactor.enabled ? (
+              <Badge bg="success" className="ms-2">On</Badge>
+            ) : (
+              <Badge bg="secondary" className="ms-2">Off</Badge>
+            )
+          )}
+        </Card.Header>
+        <Card.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          {recoveryCodes && (
+            <Alert variant="success" dismissible onClose={() => setRecoveryCodes(null)}>
+              <p>
+                Save these recovery codes somewhere safe. Each one can be used once to log in
+                if you lose your phone. They are only shown now.
+              </p>
+              <Row>
+                {recoveryCodes.map(recoveryCode => (
+                  <Col xs={6} md={4} key={recoveryCode}>
+                    <code>{recoveryCode}</code>
+                  </Col>
+                ))}
+              </Row>
+            </Alert>
+          )}
+
+          {twoFactor && !twoFactor.enabled && !setupData && (
+            <>
+              <p>
+                Protect your account with a code from an authenticator app
+                (Google Authenticator, Authy, 1Password...) in addition to your password.
+              </p>
+              <Button variant="primary" onClick={handleSetup} disabled={saving}>
+                Set Up Two-Factor Authentication
+              </Button>
+            </>
+          )}
+
+          {setupData && (
+            <Form onSubmit={handleEnable} style={{ maxWidth: '500px' }}>
+              <p>
+                Add this account to your authenticator app by opening the{' '}
+                <a href={setupData.otpauth_url}>setup link</a> on your phone or entering the key below,
+                then enter the code the app shows.
+              </p>
+              <p>
+                Key: <code>{setupData.secret}</code>
+              </p>
+              <Form.Group className="mb-3">
+                <Form.Label>Authentication Code</Form.Label>
+                <Form.Control
+                  value={code}
+                  onChange={(e) => setCode(e.target.value)}
+                  autoComplete="one-time-code"
+                  style={{ maxWidth: '200px' }}
+                />
+              </Form.Group>
+              <Button type="submit" variant="primary" className="me-2" disabled={saving || !code.trim()}>
+                {saving ? 'Verifying...' : 'Turn On'}
+              </Button>
+              <Button variant="secondary" onClick={() => setSetupData(null)} disabled={saving}>
+                Cancel
+              </Button>
+            </Form>
+          )}
+
+          {twoFactor?.enabled && (
+            <>
+              <p>
+                Two-factor authentication is on. You have {twoFactor.recovery_codes_left} recovery
+                code{twoFactor.recovery_codes_left === 1 ? '' : 's'} left.
+              </p>
+              <Form.Group className="mb-3" style={{ maxWidth: '300px' }}>
+                <Form.Label>Confirm your password to make changes</Form.Label>
+                <Form.Control
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  autoComplete="current-password"
+                />
+              </Form.Group>
+              <Button variant="outline-primary" className="me-2" onClick={handleRegenerate} disabled={saving || !password}>
+                <FaKey /> New Recovery Codes
+              </Button>
+              <Button variant="outline-danger" onClick={handleDisable} disabled={saving || !password}>
+                Turn Off
+              </Button>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Sessions */}
+      <Card>
+        <Card.Header className="d-flex justify-content-between align-items-center">
+          <span>Logged In Sessions</span>
+          <Button
+            variant="outline-danger"
+            size="sm"
+            onClick={handleRevokeOthers}
+            disabled={sessions.length < 2}
+          >
+            <FaSignOutAlt /> Log Out Other Sessions
+          </Button>
+        </Card.Header>
+        <Card.Body>
+          {loadingSessions ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading sessions...</p>
+            </div>
+          ) : (
+            <Table responsive hover className="custom-table">
+              <thead>
+                <tr>
+                  <th>Browser</th>
+                  <th>IP Address</th>
+                  <th>Logged In</th>
+                  <th>Last Active</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((session) => (
+                  <tr key={session.id}>
+                    <td className="text-break">{session.user_agent || 'Unknown'}</td>
+                    <td>{session.ip || '-'}</td>
+                    <td>{formatDate(session.created_at)}</td>
+                    <td>{formatDate(session.last_seen_at)}</td>
+                    <td>
+                      {session.current ? (
+                        <Badge bg="primary">This session</Badge>
+                      ) : (
+                        <Button variant="outline-danger" size="sm" onClick={() => handleRevoke(session)}>
+                          <FaSignOutAlt /> Log Out
+                        </Button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default Security;
@@ -0,0 +1,371 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button, Badge,
+  Form, InputGroup, Pagination
+} from 'react-bootstrap';
+import { FaSearch, FaFileCsv, FaChevronDown, FaChevronRight } from 'react-icons/fa';
+import { dashboardAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+// Actions shown per page
+const PAGE_SIZE = 50;
+
+const EMPTY_FILTERS = {
+  action_type: '',
+  entity_type: '',
+  entity_id: '',
+  admin_id: '',
+  from: '',
+  to: '',
+  search: ''
+};
+
+// Turn the filter form into query parameters: dates cover whole local days, empty filters are left out
+const toQuery = (filters) => {
+  const query = {};
+
+  for (const [key, value] of Object.entries(filters)) {
+    if (!value) continue;
+
+    if (key === 'from') {
+      query.from = new Date(`${value}T00:00:00`).toISOString();
+    } else if (key === 'to') {
+      query.to = new Date(`${value}T23:59:59.999`).toISOString();
+    } else {
+      query[key] = value;
+    }
+  }
+
+  return query;
+};
+
+// Format a changed value for display
+const formatValue = (value) => {
+  if (value === null || value === undefined) return '-';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+const ActivityLog = () => {
+  const [actions, setActions] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, total: 0, total_pages: 0 });
+  const [options, setOptions] = useState({ action_types: [], entity_types: [], admins: [] });
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [searchTerm, setSearchTerm] = useState('');
+  const [entityId, setEntityId] = useState('');
+  const [page, setPage] = useState(1);
+  const [expanded, setExpanded] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  // Fetch a page of actions matching the filters
+  const fetchActions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await dashboardAPI.getActions(toQuery(filters), page, PAGE_SIZE);
+      setActions(response.data.data);
+      setPagination(response.data.pagination);
+    } catch (error) {
+      console.error('Error fetching actions:', error);
+      toast.error('Failed to load activity log');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  // Fetch the values the log can be filtered on
+  const fetchOptions = useCallback(async () => {
+    try {
+      const response = await dashboardAPI.getActionFilters();
+      setOptions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching activity log filters:', error);
+    }
+  }, []);
+
+  // Load the filter options on component mount
+  useEffect(() => {
+    fetchOptions();
+  }, [fetchOptions]);
+
+  // Load actions on component mount and when the filters or page change
+  useEffect(() => {
+    fetchActions();
+  }, [fetchActions]);
+
+  // Handle filter changes; a new filter starts again from the first page
+  const handleFilterChange = (key, value) => {
+    setFilters(prevFilters => ({
+      ...prevFilters,
+      [key]: value
+    }));
+    setPage(1);
+  };
+
+  // Apply the text filters when the form is submitted rather than on every key
+  const handleSearch = (e) => {
+    e.preventDefault();
+    setFilters(prevFilters => ({
+      ...prevFilters,
+      search: searchTerm.trim(),
+      entity_id: entityId.trim()
+    }));
+    setPage(1);
+  };
+
+  // Clear all filters
+  const clearFilters = () => {
+    setFilters(EMPTY_FILTERS);
+    setSearchTerm('');
+    setEntityId('');
+    setPage(1);
+  };
+
+  // Download the actions matching the filters as a CSV file
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const response = await dashboardAPI.exportActions(toQuery(filters));
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `activity-log-${new Date().toISOString().split('T')[0]}.csv`;
+      link.click();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting actions:', error);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  // Page links around the current page
+  const renderPagination = () => {
+    const totalPages = pagination.total_pages;
+    if (totalPages <= 1) return null;
+
+    const first = Math.max(1, page - 2);
+    const last = Math.min(totalPages, page + 2);
+    const items = [];
+    for (let number = first; number <= last; number++) {
+      items.push(
+        <Pagination.Item key={number} active={number === page} onClick={() => setPage(number)}>
+          {number}
+        </Pagination.Item>
+      );
+    }
+
+    return (
+      <Pagination className="justify-content-center mt-3 mb-0">
+        <Pagination.First disabled={page === 1} onClick={() => setPage(1)} />
+        <Pagination.Prev disabled={page === 1} onClick={() => setPage(page - 1)} />
+        {items}
+        <Pagination.Next disabled={page === totalPages} onClick={() => setPage(page + 1)} />
+        <Pagination.Last disabled={page === totalPages} onClick={() => setPage(totalPages)} />
+      </Pagination>
+    );
+  };
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Activity Log</h1>
+        <Button variant="outline-primary" onClick={handleExport} disabled={exporting || pagination.total === 0}>
+          <FaFileCsv className="me-2" /> {exporting ? 'Exporting...' : 'Export CSV'}
+        </Button>
+      </div>
+
+      {/* Filters and Search */}
+      <Card className="mb-4">
+        <Card.Body>
+          <Form onSubmit={handleSearch}>
+            <Row>
+              <Col md={6}>
+                <InputGroup className="mb-3">
+                  <InputGroup.Text>
+                    <FaSearch />
+                  </InputGroup.Text>
+                  <Form.Control
+                    placeholder="Search descriptions"
+                    value={searchTerm}
+                    onChange={(e) => setSearchTerm(e.target.value)}
+                  />
+                  <Button type="submit" variant="primary">Search</Button>
+                </InputGroup>
+              </Col>
+              <Col md={3}>
+                <Form.Select
+                  className="mb-3"
+                  value={filters.action_type}
+                  onChange={(e) => handleFilterChange('action_type', e.target.value)}
+                >
+                  <option value="">All Action Types</option>
+                  {options.action_types.map(actionType => (
+                    <option key={actionType} value={actionType}>{actionType}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+              <Col md={3}>
+                <Form.Select
+                  className="mb-3"
+                  value={filters.admin_id}
+                  onChange={(e) => handleFilterChange('admin_id', e.target.value)}
+                >
+                  <option value="">All Admins</option>
+                  <option value="system">System</option>
+                  {options.admins.map(admin => (
+                    <option key={admin.id} value={admin.id}>{admin.username}</option>
+                  ))}
+                </Form.Select>
+              </Col>
+            </Row>
+            <Row className="align-items-end">
+              <Col md={3}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Entity</Form.Label>
+                  <Form.Select
+                    value={filters.entity_type}
+                    onChange={(e) => handleFilterChange('entity_type', e.target.value)}
+                  >
+                    <option value="">All Entities</option>
+                    {options.entity_types.map(entityType => (
+                      <option key={entityType} value={entityType}>{entityType}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Entity ID</Form.Label>
+                  <Form.Control
+                    value={entityId}
+                    onChange={(e) => setEntityId(e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>From</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={filters.from}
+                    onChange={(e) => handleFilterChange('from', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={2}>
+                <Form.Group className="mb-3">
+                  <Form.Label>To</Form.Label>
+                  <Form.Control
+                    type="date"
+                    value={filters.to}
+                    onChange={(e) => handleFilterChange('to', e.target.value)}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3} className="text-end">
+                <Button variant="outline-secondary" className="mb-3" onClick={clearFilters}>
+                  Clear Filters
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+        </Card.Body>
+      </Card>
+
+      {/* Actions Table */}
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading activity...</p>
+            </div>
+          ) : actions.length > 0 ? (
+            <>
+              <div className="text-muted small mb-2">
+                {pagination.total} action{pagination.total === 1 ? '' : 's'} found
+              </div>
+              <Table responsive hover className="custom-table">
+                <thead>
+                  <tr>
+                    <th></th>
+                    <th>Time</th>
+                    <th>Type</th>
+                    <th>Description</th>
+                    <th>Admin</th>
+                    <th>Entity</th>
+                    <th>IP Address</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {actions.map((action) => (
+                    <React.Fragment key={action.id}>
+                      <tr>
+                        <td>
+                          {action.changes && (
+                            <Button
+                              variant="link"
+                              size="sm"
+                              className="p-0"
+                              title="Show changes"
+                              onClick={() => setExpanded(expanded === action.id ? null : action.id)}
+                            >
+                              {expanded === action.id ? <FaChevronDown /> : <FaChevronRight />}
+                            </Button>
+                          )}
+                        </td>
+                        <td className="text-nowrap">{new Date(action.created_at).toLocaleString()}</td>
+                        <td>
+                          <Badge bg="info">{action.action_type}</Badge>
+                        </td>
+                        <td>{action.description}</td>
+                        <td>{action.admin_username || <span className="text-muted">System</span>}</td>
+                        <td>{action.entity_type ? `${action.entity_type} #${action.entity_id}` : '-'}</td>
+                        <td>{action.ip || '-'}</td>
+                      </tr>
+                      {expanded === action.id && (
+                        <tr>
+                          <td></td>
+                          <td colSpan={6}>
+                            <Table size="sm" bordered className="mb-0">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  <th>Before</th>
+                                  <th>After</th>
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {Object.entries(action.changes).map(([field, change]) => (
+                                  <tr key={field}>
+                                    <td>{field}</td>
+                                    <td className="text-break">{formatValue(change.from)}</td>
+                                    <td className="text-break">{formatValue(change.to)}</td>
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </Table>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
+                  ))}
+                </tbody>
+              </Table>
+              {renderPagination()}
+            </>
+          ) : (
+            <div className="text-center text-muted py-3">
+              No activity matches these filters
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default ActivityLog;
@@ -0,0 +1,294 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Row, Col, Card, Table, Button, Badge, Form, Alert } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaUserPlus, FaKey, FaTrash, FaCheckCircle, FaBan, FaMobileAlt } from 'react-icons/fa';
+import { adminsAPI } from '../../services/api';
+import { useAuth } from '../../contexts/AuthContext';
+import { toast } from 'react-toastify';
+
+// Roles an admin can have, matching the server's permissions
+const ROLES = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'operator', label: 'Operator' },
+  { value: 'support', label: 'Support' },
+  { value: 'read_only', label: 'Read-only' }
+];
+
+const AdminsList = () => {
+  const { admin: currentAdmin } = useAuth();
+  const [admins, setAdmins] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [invite, setInvite] = useState({ username: '', role: 'support' });
+  const [inviting, setInviting] = useState(false);
+  const [credentials, setCredentials] = useState(null);
+
+  // Fetch all admins
+  const fetchAdmins = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await adminsAPI.getAllAdmins();
+      setAdmins(response.data.data);
+    } catch (error) {
+      console.error('Error fetching admins:', error);
+      toast.error('Failed to load admins');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load admins on component mount
+  useEffect(() => {
+    fetchAdmins();
+  }, [fetchAdmins]);
+
+  // Invite an admin; the temporary password is only shown once
+  const handleInvite = async (e) => {
+    e.preventDefault();
+
+    try {
+      setInviting(true);
+      const response = await adminsAPI.inviteAdmin(invite);
+      setCredentials({ username: response.data.data.username, password: response.data.temporary_password });
+      setInvite({ username: '', role: invite.role });
+      toast.success(response.data.message);
+      fetchAdmins();
+    } catch (error) {
+      console.error('Error inviting admin:', error);
+    } finally {
+      setInviting(false);
+    }
+  };
+
+  // Change an admin's role or enable/disable the account
+  const handleUpdate = async (admin, changes) => {
+    try {
+      await adminsAPI.updateAdmin(admin.id, changes);
+      toast.success(`Admin ${admin.username} updated`);
+      fetchAdmins();
+    } catch (error) {
+      console.error('Error updating admin:', error);
+    }
+  };
+
+  // Reset an admin's password to a new temporary password
+  const handleResetPassword = async (admin) => {
+    if (!window.confirm(`Reset the password of ${admin.username}? Their current password will stop working.`)) {
+      return;
+    }
+
+    try {
+      const response = await adminsAPI.resetPassword(admin.id);
+      setCredentials({ username: admin.username, password: response.data.temporary_password });
+      toast.success(response.data.message);
+      fetchAdmins();
+    } catch (error) {
+      console.error('Error resetting password:', error);
+    }
+  };
+
+  // Turn off an admin's two-factor authentication so they can log in with just their password
+  const handleResetTwoFactor = async (admin) => {
+    if (!window.confirm(`Turn off two-factor authentication for ${admin.username}? They can set it up again after logging in.`)) {
+      return;
+    }
+
+    try {
+      const response = await adminsAPI.resetTwoFactor(admin.id);
+      toast.success(response.data.message);
+      fetchAdmins();
+    } catch (error) {
+      console.error('Error resetting two-factor authentication:', error);
+    }
+  };
+
+  // Delete an admin
+  const handleDelete = async (admin) => {
+    if (!window.confirm(`Are you sure you want to delete the admin ${admin.username}?`)) {
+      return;
+    }
+
+    try {
+      await adminsAPI.deleteAdmin(admin.id);
+      toast.success('Admin deleted successfully');
+      fetchAdmins();
+    } catch (error) {
+      console.error('Error deleting admin:', error);
+    }
+  };
+
+  return (
+    <Container fluid>
+      <h1 className="page-title">Admin Users</h1>
+
+      {/* Invite */}
+      <Card className="mb-4">
+        <Card.Body>
+          <Form onSubmit={handleInvite}>
+            <Row className="align-items-end">
+              <Col md={4}>
+                <Form.Group>
+                  <Form.Label>Username</Form.Label>
+                  <Form.Control
+                    value={invite.username}
+                    onChange={(e) => setInvite({ ...invite, username: e.target.value })}
+                  />
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Form.Group>
+                  <Form.Label>Role</Form.Label>
+                  <Form.Select
+                    value={invite.role}
+                    onChange={(e) => setInvite({ ...invite, role: e.target.value })}
+                  >
+                    {ROLES.map(role => (
+                      <option key={role.value} value={role.value}>{role.label}</option>
+                    ))}
+                  </Form.Select>
+                </Form.Group>
+              </Col>
+              <Col md={3}>
+                <Button type="submit" variant="primary" disabled={inviting || !invite.username.trim()}>
+                  <FaUserPlus className="me-2" /> {inviting ? 'Inviting...' : 'Invite Admin'}
+                </Button>
+              </Col>
+            </Row>
+          </Form>
+
+          {credentials && (
+            <Alert variant="success" className="mt-3 mb-0" dismissible onClose={() => setCredentials(null)}>
+              Temporary password for <strong>{credentials.username}</strong>: <code>{credentials.password}</code>
+              <div className="small mt-1">
+                Share it with them privately. It is only shown now, and they will have to change it when they log in.
+              </div>
+            </Alert>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Admins Table */}
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading admins...</p>
+            </div>
+          ) : (
+            <Table responsive hover className="custom-table">
+              <thead>
+                <tr>
+                  <th>Username</th>
+                  <th>Role</th>
+                  <th>Status</th>
+                  <th>Created</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {admins.map((admin) => {
+                  const isSelf = admin.id === currentAdmin?.id;
+
+                  return (
+                    <tr key={admin.id}>
+                      <td>
+                        {admin.username}
+                        {isSelf && <span className="text-muted ms-1">(you)</span>}
+                      </td>
+                      <td>
+                        <Form.Select
+                          size="sm"
+                          value={admin.role}
+                          disabled={isSelf}
+                          onChange={(e) => handleUpdate(admin, { role: e.target.value })}
+                          style={{ maxWidth: '150px' }}
+                        >
+                          {ROLES.map(role => (
+                            <option key={role.value} value={role.value}>{role.label}</option>
+                          ))}
+                        </Form.Select>
+                      </td>
+                      <td>
+                        {admin.disabled ? (
+                          <Badge bg="secondary">Disabled</Badge>
+                        ) : (
+                          <Badge bg="success">Active</Badge>
+                        )}
+                        {admin.must_change_password ? (
+                          <Badge bg="warning" text="dark" className="ms-1">Temporary password</Badge>
+                        ) : null}
+                        {admin.totp_enabled ? (
+                          <Badge bg="info" className="ms-1">2FA</Badge>
+                        ) : null}
+                      </td>
+                      <td>{new Date(admin.created_at).toLocaleDateString()}</td>
+                      <td>
+                        {isSelf ? (
+                          <Link to="/account/password" className="btn btn-sm btn-outline-primary">
+                            <FaKey /> Change Password
+                          </Link>
+                        ) : (
+                          <div className="d-flex flex-wrap">
+                            {admin.disabled ? (
+                              <Button
+                                variant="outline-success"
+                                size="sm"
+                                className="me-1 mb-1"
+                                onClick={() => handleUpdate(admin, { disabled: false })}
+                              >
+                                <FaCheckCircle /> Enable
+                              </Button>
+                            ) : (
+                              <Button
+                                variant="outline-secondary"
+                                size="sm"
+                                className="me-1 mb-1"
+                                onClick={() => handleUpdate(admin, { disabled: true })}
+                              >
+                                <FaBan /> Disable
+                              </Button>
+                            )}
+                            <Button
+                              variant="outline-primary"
+                              size="sm"
+                              className="me-1 mb-1"
+                              onClick={() => handleResetPassword(admin)}
+                            >
+                              <FaKey /> Reset Password
+                            </Button>
+                            {admin.totp_enabled ? (
+                              <Button
+                                variant="outline-warning"
+                                size="sm"
+                                className="me-1 mb-1"
+                                onClick={() => handleResetTwoFactor(admin)}
+                              >
+                                <FaMobileAlt /> Reset 2FA
+                              </Button>
+                            ) : null}
+                            <Button
+                              variant="outline-danger"
+                              size="sm"
+                              className="mb-1"
+                              onClick={() => handleDelete(admin)}
+                            >
+                              <FaTrash /> Delete
+                            </Button>
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default AdminsList;
@@ -6,9 +6,11 @@ import { Form, Button, Card, Alert, Container, Row, Col } from 'react-bootstrap'
 const Login = () => {
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
+  const [code, setCode] = useState('');
+  const [twoFactorStep, setTwoFactorStep] = useState(false);
   const [error, setError] = useState('');
   const [loading, setLoading] = useState(false);
-  const { login } = useAuth();
+  const { login, verifyTwoFactor } = useAuth();
   const navigate = useNavigate();
   const location = useLocation();
 
@@ -22,7 +24,10 @@ const Login = () => {
 
     try {
       const result = await login(username, password);
-      if (result.success) {
+      if (result.twoFactorRequired) {
+        setPassword('');
+        setTwoFactorStep(true);
+      } else if (result.success) {
         navigate(from, { replace: true });
       } else {
         setError(result.error);
@@ -34,6 +39,33 @@ const Login = () => {
     }
   };
 
+  // Second step for admins with two-factor authentication
+  const handleVerify = async (e) => {
+    e.preventDefault();
+    setError('');
+    setLoading(true);
+
+    try {
+      const result = await verifyTwoFactor(code);
+      if (result.success) {
+        navigate(from, { replace: true });
+      } else {
+        setError(result.error);
+      }
+    } catch (err) {
+      setError('Failed to verify code');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Go back to the password step
+  const handleBack = () => {
+    setCode('');
+    setError('');
+    setTwoFactorStep(false);
+  };
+
   return (
     <Container>
       <Row className="justify-content-center align-items-center min-vh-100">
@@ -45,38 +77,75 @@ const Login = () => {
               </div>
               <h2 className="text-center mb-4">Admin Login</h2>
               {error && <Alert variant="danger">{error}</Alert>}
-              <Form onSubmit={handleSubmit}>
-                <Form.Group className="mb-3">
-                  <Form.Label>Username</Form.Label>
-                  <Form.Control
-                    type="text"
-                    value={username}
-                    onChange={(e) => setUsername(e.target.value)}
-                    required
-                    autoComplete="username"
-                  />
-                </Form.Group>
+              {twoFactorStep ? (
+                <Form onSubmit={handleVerify}>
+                  <Form.Group className="mb-4">
+                    <Form.Label>Authentication Code</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={code}
+                      onChange={(e) => setCode(e.target.value)}
+                      required
+                      autoFocus
+                      autoComplete="one-time-code"
+                    />
+                    <Form.Text className="text-muted">
+                      Enter the 6-digit code from your authenticator app, or one of your recovery codes.
+                    </Form.Text>
+                  </Form.Group>
+
+                  <Button
+                    type="submit"
+                    className="w-100 mb-2"
+                    variant="primary"
+                    disabled={loading}
+                  >
+                    {loading ? 'Verifying...' : 'Verify'}
+                  </Button>
+                  <Button
+                    type="button"
+                    className="w-100"
+                    variant="link"
+                    onClick={handleBack}
+                    disabled={loading}
+                  >
+                    Back to login
+                  </Button>
+                </Form>
+              ) : (
+                <Form onSubmit={handleSubmit}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Username</Form.Label>
+                    <Form.Control
+                      type="text"
+                      value={username}
+                      onChange={(e) => setUsername(e.target.value)}
+                      required
+                      autoComplete="username"
+                    />
+                  </Form.Group>
 
-                <Form.Group className="mb-4">
-                  <Form.Label>Password</Form.Label>
-                  <Form.Control
-                    type="password"
-                    value={password}
-                    onChange={(e) => setPassword(e.target.value)}
-                    required
-                    autoComplete="current-password"
-                  />
-                </Form.Group>
+                  <Form.Group className="mb-4">
+                    <Form.Label>Password</Form.Label>
+                    <Form.Control
+                      type="password"
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      required
+                      autoComplete="current-password"
+                    />
+                  </Form.Group>
 
-                <Button
-                  type="submit"
-                  className="w-100"
-                  variant="primary"
-                  disabled={loading}
-                >
-                  {loading ? 'Logging in...' : 'Log In'}
-                </Button>
-              </Form>
+                  <Button
+                    type="submit"
+                    className="w-100"
+                    variant="primary"
+                    disabled={loading}
+                  >
+                    {loading ? 'Logging in...' : 'Log In'}
+                  </Button>
+                </Form>
+              )}
             </Card.Body>
           </Card>
         </Col>
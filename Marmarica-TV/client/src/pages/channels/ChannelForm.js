@@ -1,11 +1,11 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { Container, Card, Row, Col, Form, Button, Alert, Spinner, Image, Badge } from 'react-bootstrap';
+import { Container, Card, Row, Col, Form, Button, Alert, Spinner, Image, Badge, InputGroup } from 'react-bootstrap';
 import { Link, useParams, useNavigate } from 'react-router-dom';
 import { Formik } from 'formik';
 import * as Yup from 'yup';
-import { channelsAPI, transcodingAPI } from '../../services/api';
+import { channelsAPI, transcodingAPI, packagesAPI } from '../../services/api';
 import { toast } from 'react-toastify';
-import { FaUpload, FaPlay, FaStop, FaSync } from 'react-icons/fa';
+import { FaUpload, FaPlay, FaStop, FaSync, FaSearch, FaPlus, FaTrash, FaClock } from 'react-icons/fa';
 
 // Validation schema
 const ChannelSchema = Yup.object().shape({
@@ -20,7 +20,14 @@ const ChannelSchema = Yup.object().shape({
   category: Yup.string()
     .required('Category is required'),
   has_news: Yup.boolean(),
-  transcoding_enabled: Yup.boolean()
+  transcoding_enabled: Yup.boolean(),
+  abr_ladder: Yup.array(),
+  backup_urls: Yup.array().of(Yup.string()).max(5, 'At most 5 backup sources are allowed'),
+  transcoding_profile_id: Yup.string(),
+  transcoding_priority: Yup.number()
+    .integer('Priority must be a whole number'),
+  transcoding_mode: Yup.string().oneOf(['transcode', 'remux', 'auto']),
+  package_ids: Yup.array()
 });
 
 const ChannelForm = () => {
@@ -34,6 +41,11 @@ const ChannelForm = () => {
   const [logoPreview, setLogoPreview] = useState(null);
   const [logoFile, setLogoFile] = useState(null);
   const [uploadingLogo, setUploadingLogo] = useState(false);
+  const [renditions, setRenditions] = useState({ presets: [] });
+  const [profiles, setProfiles] = useState([]);
+  const [packages, setPackages] = useState([]);
+  const [probeResult, setProbeResult] = useState(null);
+  const [probing, setProbing] = useState(false);
   
   const fileInputRef = useRef();
   
@@ -43,6 +55,95 @@ const ChannelForm = () => {
     'Entertainment', 'Kids', 'Documentary', 'Music', 'General'
   ];
   
+  // Load available ABR renditions and transcoding profiles
+  useEffect(() => {
+    const fetchTranscodingOptions = async () => {
+      try {
+        const [renditionsResponse, profilesResponse] = await Promise.all([
+          transcodingAPI.getRenditions(),
+          transcodingAPI.getProfiles()
+        ]);
+        setRenditions(renditionsResponse.data.data);
+        setProfiles(profilesResponse.data.data);
+      } catch (error) {
+        console.error('Error fetching transcoding options:', error);
+      }
+    };
+    
+    fetchTranscodingOptions();
+  }, []);
+  
+  // Load the packages a channel can belong to
+  useEffect(() => {
+    const fetchPackages = async () => {
+      try {
+        const response = await packagesAPI.getAllPackages();
+        setPackages(response.data.data);
+      } catch (error) {
+        console.error('Error fetching packages:', error);
+      }
+    };
+    
+    fetchPackages();
+  }, []);
+  
+  // Describe what a channel inherits when no ladder is selected
+  const describeInheritedLadder = (profileId) => {
+    const profile = profileId
+      ? profiles.find(item => String(item.id) === String(profileId))
+      : profiles.find(item => item.is_default);
+    
+    if (!profile) return 'the default profile';
+    if (profile.abr_ladder) return `${profile.abr_ladder} from profile "${profile.name}"`;
+    return `a single ${profile.resolution || 'source resolution'} rendition from profile "${profile.name}"`;
+  };
+  
+  // Convert the probe columns stored on a channel to the probe endpoint's format
+  const getStoredProbeResult = (channelData) => {
+    let audioTracks = [];
+    try {
+      audioTracks = JSON.parse(channelData.source_audio_tracks || '[]');
+    } catch (error) {
+      console.error('Error parsing stored audio tracks:', error);
+    }
+    
+    return {
+      reachable: Boolean(channelData.source_reachable),
+      error: channelData.source_probe_error,
+      video_codec: channelData.source_video_codec,
+      resolution: channelData.source_resolution,
+      frame_rate: channelData.source_frame_rate,
+      audio_tracks: audioTracks,
+      probed_at: channelData.source_probed_at
+    };
+  };
+  
+  // Probe a source URL before saving
+  const handleProbe = async (url) => {
+    if (!url || !url.trim()) {
+      toast.error('Enter a stream URL to probe');
+      return;
+    }
+    
+    try {
+      setProbing(true);
+      const response = await channelsAPI.probeSource(url.trim());
+      setProbeResult(response.data.data);
+    } catch (error) {
+      console.error('Error probing source:', error);
+      toast.error(error.response?.data?.error || 'Failed to probe source');
+    } finally {
+      setProbing(false);
+    }
+  };
+  
+  // Describe the audio tracks found by a probe, e.g. "aac 2ch (eng)"
+  const describeAudioTracks = (tracks) => {
+    return tracks
+      .map(track => `${track.codec || 'unknown'}${track.channels ? ` ${track.channels}ch` : ''}${track.language ? ` (${track.language})` : ''}`)
+      .join(', ');
+  };
+  
   // Load channel data if editing
   useEffect(() => {
     if (isEditing) {
@@ -52,6 +153,11 @@ const ChannelForm = () => {
           const response = await channelsAPI.getChannelById(id);
           setChannel(response.data.data);
           
+          // Show the last stored probe result
+          if (response.data.data.source_probed_at) {
+            setProbeResult(getStoredProbeResult(response.data.data));
+          }
+          
           // Set logo preview if exists
           if (response.data.data.logo_url) {
             setLogoPreview(`http://192.168.100.232:5000${response.data.data.logo_url}`);
@@ -117,12 +223,21 @@ const ChannelForm = () => {
     try {
       setSubmitting(true);
       
-      // Format has_news from boolean to number
+      // Format has_news from boolean to number and ABR ladder from array to comma-separated string
       const formattedValues = {
         ...values,
-        has_news: values.has_news ? true : false
+        has_news: values.has_news ? true : false,
+        abr_ladder: values.abr_ladder.join(','),
+        backup_urls: values.backup_urls.map(backupUrl => backupUrl.trim()).filter(backupUrl => backupUrl),
+        transcoding_profile_id: values.transcoding_profile_id || null,
+        transcoding_priority: values.transcoding_priority || 0
       };
       
+      // A new channel without packages is added to the package named after its type
+      if (!isEditing && values.package_ids.length === 0) {
+        delete formattedValues.package_ids;
+      }
+      
       let response;
       
       if (isEditing) {
@@ -167,7 +282,13 @@ const ChannelForm = () => {
         type: channel.type || 'FTA',
         category: channel.category || 'General',
         has_news: channel.has_news ? true : false,
-        transcoding_enabled: channel.transcoding_enabled ? true : false
+        transcoding_enabled: channel.transcoding_enabled ? true : false,
+        abr_ladder: channel.abr_ladder ? channel.abr_ladder.split(',') : [],
+        transcoding_profile_id: channel.transcoding_profile_id ? String(channel.transcoding_profile_id) : '',
+        transcoding_priority: channel.transcoding_priority || 0,
+        transcoding_mode: channel.transcoding_mode || 'transcode',
+        backup_urls: channel.backup_urls || [],
+        package_ids: channel.package_ids || []
       };
     }
     
@@ -178,7 +299,13 @@ const ChannelForm = () => {
       type: 'FTA',
       category: 'General',
       has_news: false,
-      transcoding_enabled: false
+      transcoding_enabled: false,
+      abr_ladder: [],
+      transcoding_profile_id: '',
+      transcoding_priority: 0,
+      transcoding_mode: 'transcode',
+      backup_urls: [],
+      package_ids: []
     };
   };
   
@@ -301,18 +428,115 @@ const ChannelForm = () => {
                   <Col md={6}>
                     <Form.Group className="mb-3">
                       <Form.Label>Stream URL</Form.Label>
-                      <Form.Control
-                        type="text"
-                        name="url"
-                        value={values.url}
-                        onChange={handleChange}
-                        onBlur={handleBlur}
-                        isInvalid={touched.url && errors.url}
-                        placeholder="http://example.com/stream.m3u8"
-                      />
-                      <Form.Control.Feedback type="invalid">
-                        {errors.url}
-                      </Form.Control.Feedback>
+                      <InputGroup hasValidation>
+                        <Form.Control
+                          type="text"
+                          name="url"
+                          value={values.url}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          isInvalid={touched.url && errors.url}
+                          placeholder="http://example.com/stream.m3u8"
+                        />
+                        <Button
+                          variant="outline-secondary"
+                          onClick={() => handleProbe(values.url)}
+                          disabled={probing}
+                        >
+                          {probing ? (
+                            <Spinner as="span" animation="border" size="sm" />
+                          ) : (
+                            <>
+                              <FaSearch className="me-1" />
+                              Probe
+                            </>
+                          )}
+                        </Button>
+                        <Form.Control.Feedback type="invalid">
+                          {errors.url}
+                        </Form.Control.Feedback>
+                      </InputGroup>
+                      
+                      {probeResult && (
+                        <div className="mt-2">
+                          {probeResult.reachable ? (
+                            <Badge bg="success" className="me-2">Reachable</Badge>
+                          ) : (
+                            <Badge bg="danger" className="me-2">Unreachable</Badge>
+                          )}
+                          <small className="text-muted">
+                            {probeResult.reachable ? (
+                              <>
+                                {probeResult.video_codec
+                                  ? `${probeResult.video_codec} ${probeResult.resolution || ''}${probeResult.frame_rate ? ` @ ${probeResult.frame_rate} fps` : ''}`
+                                  : 'No video'}
+                                {' · '}
+                                {probeResult.audio_tracks.length > 0
+                                  ? `Audio: ${describeAudioTracks(probeResult.audio_tracks)}`
+                                  : 'No audio'}
+                              </>
+                            ) : (
+                              probeResult.error
+                            )}
+                            <br />
+                            Probed {new Date(probeResult.probed_at).toLocaleString()}
+                          </small>
+                        </div>
+                      )}
+                    </Form.Group>
+                  </Col>
+                </Row>
+                
+                {/* Backup Sources */}
+                <Row>
+                  <Col md={12}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>
+                        Backup Sources
+                        {isEditing && channel && (
+                          channel.active_source > 0 ? (
+                            <Badge bg="warning" text="dark" className="ms-2">
+                              Live: Backup {channel.active_source}
+                            </Badge>
+                          ) : (
+                            <Badge bg="success" className="ms-2">Live: Primary</Badge>
+                          )
+                        )}
+                      </Form.Label>
+                      {values.backup_urls.map((backupUrl, index) => (
+                        <InputGroup className="mb-2" key={index}>
+                          <InputGroup.Text>{index + 1}</InputGroup.Text>
+                          <Form.Control
+                            type="text"
+                            name={`backup_urls.${index}`}
+                            value={backupUrl}
+                            onChange={handleChange}
+                            onBlur={handleBlur}
+                            placeholder="http://backup.example.com/stream.m3u8"
+                          />
+                          <Button
+                            variant="outline-danger"
+                            onClick={() => setFieldValue('backup_urls', values.backup_urls.filter((_, i) => i !== index))}
+                          >
+                            <FaTrash />
+                          </Button>
+                        </InputGroup>
+                      ))}
+                      {values.backup_urls.length < 5 && (
+                        <div>
+                          <Button
+                            variant="outline-secondary"
+                            size="sm"
+                            onClick={() => setFieldValue('backup_urls', [...values.backup_urls, ''])}
+                          >
+                            <FaPlus className="me-1" />
+                            Add Backup URL
+                          </Button>
+                        </div>
+                      )}
+                      <Form.Text className="text-muted">
+                        Used in order when the primary source fails its health check. The channel switches back once the primary recovers.
+                      </Form.Text>
                     </Form.Group>
                   </Col>
                 </Row>
@@ -375,6 +599,34 @@ const ChannelForm = () => {
                   </Col>
                 </Row>
                 
+                {/* Packages */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Packages</Form.Label>
+                  <div>
+                    {packages.map((pkg) => (
+                      <Form.Check
+                        key={pkg.id}
+                        inline
+                        type="checkbox"
+                        id={`package-${pkg.id}`}
+                        label={pkg.name}
+                        checked={values.package_ids.includes(pkg.id)}
+                        onChange={() => {
+                          const newPackages = values.package_ids.includes(pkg.id)
+                            ? values.package_ids.filter(p => p !== pkg.id)
+                            : [...values.package_ids, pkg.id];
+                          setFieldValue('package_ids', newPackages);
+                        }}
+                      />
+                    ))}
+                  </div>
+                  <Form.Text className="text-muted">
+                    {isEditing
+                      ? 'Devices see this channel through the packages it belongs to.'
+                      : 'Leave empty to add the channel to the package named after its type.'}
+                  </Form.Text>
+                </Form.Group>
+                
                 {/* Transcoding Section */}
                 <Row>
                   <Col md={12}>
@@ -424,6 +676,24 @@ const ChannelForm = () => {
                                       Stopping
                                     </Badge>
                                   )}
+                                  {channel.transcoding_status === 'queued' && (
+                                    <Badge bg="info" className="me-2">
+                                      <FaClock className="me-1" />
+                                      Queued{channel.queue_position ? ` #${channel.queue_position}` : ''}
+                                    </Badge>
+                                  )}
+                                  {channel.transcoding_status === 'retrying' && (
+                                    <Badge bg="warning" className="me-2">
+                                      <FaSync className="me-1" />
+                                      Retrying
+                                    </Badge>
+                                  )}
+                                  {channel.transcoding_status === 'stalled' && (
+                                    <Badge bg="danger" className="me-2">
+                                      <FaSync className="me-1" />
+                                      Stalled
+                                    </Badge>
+                                  )}
                                   {channel.transcoding_status === 'failed' && (
                                     <Badge bg="danger" className="me-2">
                                       Failed
@@ -448,10 +718,115 @@ const ChannelForm = () => {
                           )}
                         </Row>
                         
+                        {/* Transcoding Mode */}
+                        {values.transcoding_enabled && (
+                          <Row>
+                            <Col md={6}>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Transcoding Mode</Form.Label>
+                                <Form.Select
+                                  name="transcoding_mode"
+                                  value={values.transcoding_mode}
+                                  onChange={handleChange}
+                                  onBlur={handleBlur}
+                                >
+                                  <option value="transcode">Transcode (re-encode with the profile)</option>
+                                  <option value="remux">Remux (copy source codecs into HLS)</option>
+                                  <option value="auto">Auto (remux H.264/AAC sources)</option>
+                                </Form.Select>
+                                <Form.Text className="text-muted">
+                                  Remuxing uses far less CPU but keeps the source's resolution and bitrate.
+                                  {isEditing && channel && values.transcoding_mode === 'auto' && channel.transcoding_mode === 'auto' && (
+                                    <> Last probe: <strong>{channel.resolved_transcoding_mode}</strong>.</>
+                                  )}
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                          </Row>
+                        )}
+                        
+                        {/* Transcoding Profile */}
+                        {values.transcoding_enabled && (
+                          <Row>
+                            <Col md={6}>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Transcoding Profile</Form.Label>
+                                <Form.Select
+                                  name="transcoding_profile_id"
+                                  value={values.transcoding_profile_id}
+                                  onChange={handleChange}
+                                  onBlur={handleBlur}
+                                >
+                                  <option value="">Default profile</option>
+                                  {profiles.map((profile) => (
+                                    <option key={profile.id} value={profile.id}>
+                                      {profile.name}{profile.is_default ? ' (default)' : ''}
+                                    </option>
+                                  ))}
+                                </Form.Select>
+                                <Form.Text className="text-muted">
+                                  Changing the profile restarts the channel's transcoding job.
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                            <Col md={6}>
+                              <Form.Group className="mb-3">
+                                <Form.Label>Transcoding Priority</Form.Label>
+                                <Form.Control
+                                  type="number"
+                                  step="1"
+                                  name="transcoding_priority"
+                                  value={values.transcoding_priority}
+                                  onChange={handleChange}
+                                  onBlur={handleBlur}
+                                  isInvalid={touched.transcoding_priority && errors.transcoding_priority}
+                                />
+                                <Form.Control.Feedback type="invalid">
+                                  {errors.transcoding_priority}
+                                </Form.Control.Feedback>
+                                <Form.Text className="text-muted">
+                                  When all encoder slots are busy, higher priority channels leave the queue first.
+                                </Form.Text>
+                              </Form.Group>
+                            </Col>
+                          </Row>
+                        )}
+                        
+                        {/* ABR Ladder (remuxed channels keep the source's single rendition) */}
+                        {values.transcoding_enabled && values.transcoding_mode !== 'remux' && (
+                          <Form.Group className="mb-3">
+                            <Form.Label>ABR Ladder</Form.Label>
+                            <div>
+                              {renditions.presets.map((rendition) => (
+                                <Form.Check
+                                  inline
+                                  key={rendition.name}
+                                  type="checkbox"
+                                  id={`rendition-${rendition.name}`}
+                                  label={rendition.height
+                                    ? `${rendition.name} (${rendition.video_bitrate})`
+                                    : `Audio only (${rendition.audio_bitrate})`}
+                                  checked={values.abr_ladder.includes(rendition.name)}
+                                  onChange={() => {
+                                    const newLadder = values.abr_ladder.includes(rendition.name)
+                                      ? values.abr_ladder.filter(name => name !== rendition.name)
+                                      : [...values.abr_ladder, rendition.name];
+                                    setFieldValue('abr_ladder', newLadder);
+                                  }}
+                                />
+                              ))}
+                            </div>
+                            <Form.Text className="text-muted">
+                              Leave all renditions unchecked to use {describeInheritedLadder(values.transcoding_profile_id)}.
+                              At least one video rendition is required.
+                            </Form.Text>
+                          </Form.Group>
+                        )}
+                        
                         {values.transcoding_enabled && (
                           <Alert variant="info" className="mt-3">
-                            <strong>Note:</strong> Transcoding will use server resources. The transcoded stream will be available at 
-                            <code>[serverip]/hls_stream/channel_[ID]/output.m3u8</code> once processing begins.
+                            <strong>Note:</strong> Transcoding will use server resources. Each rendition in the ladder is encoded separately. The transcoded stream will be available at 
+                            <code>[serverip]/hls_stream/channel_[ID]/master.m3u8</code> once processing begins.
                           </Alert>
                         )}
                       </Card.Body>
@@ -4,11 +4,13 @@ import {
   Form, InputGroup, Dropdown, DropdownButton, Image 
 } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
-import { FaPlus, FaSearch, FaEdit, FaTrash, FaFilter, FaArrowUp, FaArrowDown, FaPlay, FaStop, FaSync } from 'react-icons/fa';
+import { FaPlus, FaSearch, FaEdit, FaTrash, FaFilter, FaArrowUp, FaArrowDown, FaPlay, FaStop, FaSync, FaClock } from 'react-icons/fa';
 import { channelsAPI, transcodingAPI } from '../../services/api';
 import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
 
 const ChannelsList = () => {
+  const { can } = useAuth();
   const [channels, setChannels] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
@@ -233,22 +235,53 @@ const ChannelsList = () => {
     }
   };
 
+  // Render source availability from the last scheduled check or probe
+  const renderSourceStatus = (channel) => {
+    if (!channel.source_probed_at) {
+      return <Badge bg="secondary">Unknown</Badge>;
+    }
+    
+    const checkedAt = new Date(channel.source_probed_at).toLocaleString();
+    
+    return (
+      <div title={channel.source_reachable ? `Checked ${checkedAt}` : `${channel.source_probe_error || 'Unreachable'} (checked ${checkedAt})`}>
+        {channel.source_reachable ? (
+          <Badge bg="success">Online</Badge>
+        ) : (
+          <Badge bg="danger">Offline</Badge>
+        )}
+        {channel.active_source > 0 && (
+          <Badge bg="warning" text="dark" className="ms-1" title={channel.live_source_url}>
+            Backup {channel.active_source}
+          </Badge>
+        )}
+        {channel.uptime_24h !== null && channel.uptime_24h !== undefined && (
+          <div className="text-muted small">{channel.uptime_24h}% (24h)</div>
+        )}
+      </div>
+    );
+  };
+
   return (
     <Container fluid>
       <div className="d-flex justify-content-between align-items-center mb-3">
         <h1 className="page-title">Channels Management</h1>
         <div>
-          <Button 
-            variant="success" 
-            className="me-2" 
-            onClick={saveChannelOrder}
-            disabled={isSaving || hasActiveFilters}
-          >
-            {isSaving ? 'Saving...' : 'Save Order'}
-          </Button>
-          <Link to="/channels/new" className="btn btn-primary">
-            <FaPlus className="me-2" /> Add New Channel
-          </Link>
+          {can('channels', 'edit') && (
+            <>
+              <Button 
+                variant="success" 
+                className="me-2" 
+                onClick={saveChannelOrder}
+                disabled={isSaving || hasActiveFilters}
+              >
+                {isSaving ? 'Saving...' : 'Save Order'}
+              </Button>
+              <Link to="/channels/new" className="btn btn-primary">
+                <FaPlus className="me-2" /> Add New Channel
+              </Link>
+            </>
+          )}
         </div>
       </div>
       
@@ -347,6 +380,7 @@ const ChannelsList = () => {
                       <th>Type</th>
                       <th>Category</th>
                       <th>Has News</th>
+                      <th>Source</th>
                       <th>Transcoding</th>
                       <th style={{width: '250px'}}>Actions</th>
                     </tr>
@@ -388,6 +422,7 @@ const ChannelsList = () => {
                             <Badge bg="secondary">No</Badge>
                           )}
                         </td>
+                        <td>{renderSourceStatus(channel)}</td>
                         <td>
                           <div className="d-flex flex-column gap-1">
                             {/* Transcoding Status */}
@@ -408,6 +443,21 @@ const ChannelsList = () => {
                                     <FaStop className="me-1" />
                                     Stopping
                                   </Badge>
+                                ) : channel.transcoding_status === 'queued' ? (
+                                  <Badge bg="info">
+                                    <FaClock className="me-1" />
+                                    Queued{channel.queue_position ? ` #${channel.queue_position}` : ''}
+                                  </Badge>
+                                ) : channel.transcoding_status === 'retrying' ? (
+                                  <Badge bg="warning">
+                                    <FaSync className="me-1" />
+                                    Retrying
+                                  </Badge>
+                                ) : channel.transcoding_status === 'stalled' ? (
+                                  <Badge bg="danger">
+                                    <FaSync className="me-1" />
+                                    Stalled
+                                  </Badge>
                                 ) : channel.transcoding_status === 'failed' ? (
                                   <Badge bg="danger">
                                     Failed
@@ -424,8 +474,16 @@ const ChannelsList = () => {
                               )}
                             </div>
                             
+                            {channel.transcoding_enabled && channel.resolved_transcoding_mode === 'remux' ? (
+                              <div>
+                                <Badge bg="light" text="dark">
+                                  Remux{channel.transcoding_mode === 'auto' ? ' (auto)' : ''}
+                                </Badge>
+                              </div>
+                            ) : null}
+                            
                             {/* Transcoding Controls */}
-                            {channel.transcoding_enabled && (
+                            {can('transcoding', 'edit') && channel.transcoding_enabled && (
                               <div className="d-flex gap-1">
                                 {channel.transcoding_status === 'active' && (
                                   <Button
@@ -448,7 +506,7 @@ const ChannelsList = () => {
                               </div>
                             )}
                             
-                            {!channel.transcoding_enabled && (
+                            {can('transcoding', 'edit') && !channel.transcoding_enabled && (
                               <Button
                                 variant="outline-success"
                                 size="sm"
@@ -462,7 +520,7 @@ const ChannelsList = () => {
                         </td>
                         <td>
                           <div className="d-flex gap-2">
-                            {!hasActiveFilters && (
+                            {can('channels', 'edit') && !hasActiveFilters && (
                               <>
                                 <Button
                                   variant="outline-secondary"
@@ -484,19 +542,23 @@ const ChannelsList = () => {
                                 </Button>
                               </>
                             )}
-                            <Link 
-                              to={`/channels/edit/${channel.id}`}
-                              className="btn btn-sm btn-outline-primary"
-                            >
-                              <FaEdit /> Edit
-                            </Link>
-                            <Button
-                              variant="outline-danger"
-                              size="sm"
-                              onClick={() => handleDeleteChannel(channel.id, channel.name)}
-                            >
-                              <FaTrash /> Delete
-                            </Button>
+                            {can('channels', 'edit') && (
+                              <Link 
+                                to={`/channels/edit/${channel.id}`}
+                                className="btn btn-sm btn-outline-primary"
+                              >
+                                <FaEdit /> Edit
+                              </Link>
+                            )}
+                            {can('channels', 'delete') && (
+                              <Button
+                                variant="outline-danger"
+                                size="sm"
+                                onClick={() => handleDeleteChannel(channel.id, channel.name)}
+                              >
+                                <FaTrash /> Delete
+                              </Button>
+                            )}
                           </div>
                         </td>
                       </tr>
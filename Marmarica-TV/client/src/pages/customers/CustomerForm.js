@@ -0,0 +1,347 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Row, Col, Form, Button, Alert, Spinner, Table, Badge, Tabs, Tab } from 'react-bootstrap';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+import { FaPlus } from 'react-icons/fa';
+import { customersAPI } from '../../services/api';
+import CustomerSubscriptions from './CustomerSubscriptions';
+import { toast } from 'react-toastify';
+
+// Validation schema
+const CustomerSchema = Yup.object().shape({
+  name: Yup.string()
+    .required('Customer name is required')
+    .max(100, 'Customer name must be at most 100 characters'),
+  phone: Yup.string()
+    .max(30, 'Phone must be at most 30 characters'),
+  address: Yup.string(),
+  max_streams: Yup.number()
+    .nullable()
+    .transform((value, originalValue) => (originalValue === '' ? null : value))
+    .integer('Max streams must be a whole number')
+    .min(1, 'Max streams must be at least 1'),
+  notes: Yup.string()
+});
+
+const CustomerForm = () => {
+  const { id } = useParams(); // Get ID from URL if editing
+  const navigate = useNavigate();
+  const isEditing = !!id;
+
+  const [loading, setLoading] = useState(isEditing);
+  const [customer, setCustomer] = useState(null);
+  const [error, setError] = useState('');
+
+  // Load customer data if editing
+  useEffect(() => {
+    if (isEditing) {
+      const fetchCustomer = async () => {
+        try {
+          setLoading(true);
+          const response = await customersAPI.getCustomerById(id);
+          setCustomer(response.data.data);
+        } catch (error) {
+          console.error('Error fetching customer:', error);
+          setError('Failed to load customer data. Please try again.');
+          toast.error('Could not load customer data');
+        } finally {
+          setLoading(false);
+        }
+      };
+
+      fetchCustomer();
+    }
+  }, [id, isEditing]);
+
+  // Handle form submission
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setSubmitting(true);
+
+      if (isEditing) {
+        // Update existing customer
+        await customersAPI.updateCustomer(id, values);
+        toast.success('Customer updated successfully');
+        navigate('/customers');
+      } else {
+        // Create new customer and continue on its page to add devices
+        const response = await customersAPI.createCustomer(values);
+        toast.success('Customer created successfully');
+        navigate(`/customers/edit/${response.data.data.id}`);
+      }
+    } catch (error) {
+      console.error('Error saving customer:', error);
+      toast.error('Failed to save customer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Prepare initial values for the form
+  const getInitialValues = () => {
+    if (isEditing && customer) {
+      return {
+        name: customer.name || '',
+        phone: customer.phone || '',
+        address: customer.address || '',
+        max_streams: customer.max_streams || '',
+        notes: customer.notes || ''
+      };
+    }
+
+    // Default values for new customer
+    return {
+      name: '',
+      phone: '',
+      address: '',
+      max_streams: '',
+      notes: ''
+    };
+  };
+
+  // Render status badge
+  const renderStatusBadge = (status) => {
+    switch (status) {
+      case 'active':
+        return <Badge bg="success">Active</Badge>;
+      case 'disabled':
+        return <Badge bg="secondary">Disabled</Badge>;
+      case 'expired':
+        return <Badge bg="danger">Expired</Badge>;
+      default:
+        return <Badge bg="info">{status}</Badge>;
+    }
+  };
+
+  // Show loader while fetching customer data
+  if (isEditing && loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" role="status" className="mb-3">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p>Loading customer data...</p>
+      </Container>
+    );
+  }
+
+  // Show error if failed to load customer
+  if (isEditing && error && !customer) {
+    return (
+      <Container className="py-5">
+        <Alert variant="danger">
+          {error}
+          <div className="mt-3">
+            <Link to="/customers" className="btn btn-primary">Back to Customers</Link>
+          </div>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const formCard = (
+    <Card className="form-container">
+      <Card.Body>
+        <Formik
+          initialValues={getInitialValues()}
+          validationSchema={CustomerSchema}
+          onSubmit={handleSubmit}
+          enableReinitialize={true}
+        >
+          {({
+            values,
+            errors,
+            touched,
+            handleChange,
+            handleBlur,
+            handleSubmit,
+            isSubmitting
+          }) => (
+            <Form onSubmit={handleSubmit}>
+              <Row>
+                {/* Name */}
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Name</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="name"
+                      value={values.name}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      isInvalid={touched.name && errors.name}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.name}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+
+                {/* Phone */}
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Phone</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="phone"
+                      value={values.phone}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      isInvalid={touched.phone && errors.phone}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.phone}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+              </Row>
+
+              {/* Address */}
+              <Form.Group className="mb-3">
+                <Form.Label>Address</Form.Label>
+                <Form.Control
+                  type="text"
+                  name="address"
+                  value={values.address}
+                  onChange={handleChange}
+                  onBlur={handleBlur}
+                />
+              </Form.Group>
+
+              {/* Max Streams */}
+              <Form.Group className="mb-3">
+                <Form.Label>Max Simultaneous Streams</Form.Label>
+                <Form.Control
+                  type="number"
+                  name="max_streams"
+                  min="1"
+                  placeholder="No limit"
+                  value={values.max_streams}
+                  onChange={handleChange}
+                  onBlur={handleBlur}
+                  isInvalid={touched.max_streams && errors.max_streams}
+                />
+                <Form.Text className="text-muted">
+                  Streams all of this customer's devices can play at the same time. Each device also keeps its own limit.
+                </Form.Text>
+                <Form.Control.Feedback type="invalid">
+                  {errors.max_streams}
+                </Form.Control.Feedback>
+              </Form.Group>
+
+              {/* Notes */}
+              <Form.Group className="mb-3">
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  as="textarea"
+                  rows={3}
+                  name="notes"
+                  value={values.notes}
+                  onChange={handleChange}
+                  onBlur={handleBlur}
+                />
+              </Form.Group>
+
+              {/* Form Buttons */}
+              <div className="d-flex justify-content-end mt-4">
+                <Link to="/customers" className="btn btn-outline-secondary me-2">
+                  Cancel
+                </Link>
+                <Button
+                  type="submit"
+                  disabled={isSubmitting}
+                  variant="primary"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Spinner
+                        as="span"
+                        animation="border"
+                        size="sm"
+                        role="status"
+                        aria-hidden="true"
+                        className="me-2"
+                      />
+                      Saving...
+                    </>
+                  ) : (
+                    isEditing ? 'Update Customer' : 'Create Customer'
+                  )}
+                </Button>
+              </div>
+            </Form>
+          )}
+        </Formik>
+      </Card.Body>
+    </Card>
+  );
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">{isEditing ? 'Edit Customer' : 'Add Customer'}</h1>
+        <Link to="/customers" className="btn btn-outline-secondary">
+          Back to Customers List
+        </Link>
+      </div>
+
+      {isEditing ? (
+        <Tabs defaultActiveKey="details" className="mb-3">
+          <Tab eventKey="details" title="Details">
+            {formCard}
+          </Tab>
+          <Tab eventKey="devices" title={`Devices (${customer.devices.length})`}>
+            <Card>
+              <Card.Header className="d-flex justify-content-between align-items-center">
+                <h5 className="mb-0">Devices</h5>
+                <Link to={`/devices/new?customer_id=${customer.id}`} className="btn btn-sm btn-primary">
+                  <FaPlus className="me-2" /> Add Device
+                </Link>
+              </Card.Header>
+              <Card.Body>
+                {customer.devices.length > 0 ? (
+                  <Table responsive hover className="custom-table mb-0">
+                    <thead>
+                      <tr>
+                        <th>DUID</th>
+                        <th>Owner Name</th>
+                        <th>Packages</th>
+                        <th>Expiry Date</th>
+                        <th>Status</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {customer.devices.map((device) => (
+                        <tr key={device.id}>
+                          <td>
+                            <Link to={`/devices/edit/${device.id}`}>{device.duid}</Link>
+                          </td>
+                          <td>{device.owner_name}</td>
+                          <td>{device.package_names || <span className="text-muted">None</span>}</td>
+                          <td>{new Date(device.expiry_date).toLocaleDateString()}</td>
+                          <td>{renderStatusBadge(device.status)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </Table>
+                ) : (
+                  <div className="text-center text-muted py-3">
+                    No devices linked to this customer. Add a device here or pick this customer on an existing device.
+                  </div>
+                )}
+              </Card.Body>
+            </Card>
+          </Tab>
+          <Tab eventKey="subscription" title="Subscription">
+            <CustomerSubscriptions customer={customer} onRenewed={setCustomer} />
+          </Tab>
+        </Tabs>
+      ) : (
+        formCard
+      )}
+    </Container>
+  );
+};
+
+export default CustomerForm;
@@ -0,0 +1,206 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Row, Col, Form, Button, Table, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaRedo } from 'react-icons/fa';
+import { customersAPI, plansAPI } from '../../services/api';
+import { formatDuration } from '../plans/PlansList';
+import { toast } from 'react-toastify';
+
+/**
+ * Renew-all action and renewal history of a customer's devices
+ */
+const CustomerSubscriptions = ({ customer, onRenewed }) => {
+  const [plans, setPlans] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [planId, setPlanId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [renewing, setRenewing] = useState(false);
+
+  // Fetch the renewals made for the customer
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customersAPI.getCustomerSubscriptions(customer.id);
+      setSubscriptions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching customer renewals:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [customer.id]);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  // Load the plans that can be used for renewals
+  useEffect(() => {
+    const fetchPlans = async () => {
+      try {
+        const response = await plansAPI.getAllPlans(true);
+        setPlans(response.data.data);
+      } catch (error) {
+        console.error('Error fetching plans:', error);
+      }
+    };
+
+    fetchPlans();
+  }, []);
+
+  // All devices are renewed from the latest expiry among them while it is valid, otherwise from today
+  const today = new Date().toISOString().split('T')[0];
+  const latestExpiry = customer.devices
+    .map(device => device.expiry_date)
+    .filter(Boolean)
+    .sort()
+    .pop();
+  const renewalStart = latestExpiry && latestExpiry >= today ? latestExpiry : today;
+  const selectedPlan = plans.find(plan => String(plan.id) === String(planId));
+  const deviceCount = customer.devices.length;
+
+  // Renew every device of the customer with the selected plan
+  const handleRenew = async () => {
+    if (!selectedPlan) {
+      toast.error('Select a plan to renew with');
+      return;
+    }
+
+    if (!window.confirm(`Renew all ${deviceCount} device(s) of ${customer.name} with "${selectedPlan.name}" for ${formatDuration(selectedPlan.duration_count, selectedPlan.duration_unit)}?`)) {
+      return;
+    }
+
+    try {
+      setRenewing(true);
+      const response = await customersAPI.renewCustomer(customer.id, selectedPlan.id, notes);
+      toast.success(response.data.message);
+      setPlanId('');
+      setNotes('');
+      onRenewed(response.data.data);
+      fetchSubscriptions();
+    } catch (error) {
+      console.error('Error renewing customer:', error);
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Renew All Devices */}
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Renew All Devices</h5>
+        </Card.Header>
+        <Card.Body>
+          {deviceCount === 0 ? (
+            <div className="text-muted">
+              This customer has no devices yet.
+            </div>
+          ) : (
+            <>
+              <Row className="align-items-end">
+                <Col md={4}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Plan</Form.Label>
+                    <Form.Select value={planId} onChange={(e) => setPlanId(e.target.value)}>
+                      <option value="">Select a plan...</option>
+                      {plans.map((plan) => (
+                        <option key={plan.id} value={plan.id}>
+                          {plan.name} ({formatDuration(plan.duration_count, plan.duration_unit)}, {plan.price.toFixed(2)})
+                        </option>
+                      ))}
+                    </Form.Select>
+                  </Form.Group>
+                </Col>
+                <Col md={5}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Notes</Form.Label>
+                    <Form.Control
+                      type="text"
+                      placeholder="Payment reference, remarks..."
+                      value={notes}
+                      onChange={(e) => setNotes(e.target.value)}
+                    />
+                  </Form.Group>
+                </Col>
+                <Col md={3}>
+                  <Button
+                    variant="success"
+                    className="mb-3 w-100"
+                    disabled={!planId || renewing}
+                    onClick={handleRenew}
+                  >
+                    {renewing ? (
+                      <Spinner as="span" animation="border" size="sm" className="me-2" />
+                    ) : (
+                      <FaRedo className="me-2" />
+                    )}
+                    Renew {deviceCount} Device{deviceCount === 1 ? '' : 's'}
+                  </Button>
+                </Col>
+              </Row>
+              <Form.Text className="text-muted">
+                {selectedPlan
+                  ? `All devices will expire on the same date: ${renewalStart} + ${formatDuration(selectedPlan.duration_count, selectedPlan.duration_unit)}.`
+                  : `Renewals extend all devices from ${renewalStart === today ? 'today' : `the latest expiry date (${renewalStart})`}.`}
+                {selectedPlan && selectedPlan.package_names && ` Their packages are replaced with: ${selectedPlan.package_names}.`}
+              </Form.Text>
+            </>
+          )}
+        </Card.Body>
+      </Card>
+
+      {/* Renewal History */}
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">Renewal History</h5>
+        </Card.Header>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : subscriptions.length > 0 ? (
+            <Table responsive hover className="custom-table mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Device</th>
+                  <th>Plan</th>
+                  <th>Price</th>
+                  <th>Previous Expiry</th>
+                  <th>New Expiry</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {subscriptions.map((subscription) => (
+                  <tr key={subscription.id}>
+                    <td>{new Date(subscription.created_at).toLocaleString()}</td>
+                    <td>
+                      <Link to={`/devices/edit/${subscription.device_id}`}>
+                        {subscription.owner_name || subscription.duid}
+                      </Link>
+                    </td>
+                    <td>{subscription.plan_name || '-'}</td>
+                    <td>{subscription.price !== null ? subscription.price.toFixed(2) : '-'}</td>
+                    <td>{subscription.previous_expiry_date || '-'}</td>
+                    <td>{subscription.expiry_date}</td>
+                    <td>{subscription.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center text-muted py-3">
+              No customer renewals recorded yet
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default CustomerSubscriptions;
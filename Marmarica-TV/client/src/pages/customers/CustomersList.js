@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  Container, Row, Col, Card, Table, Button,
+  Form, InputGroup, Dropdown, DropdownButton
+} from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaPlus, FaSearch, FaEdit, FaTrash } from 'react-icons/fa';
+import { customersAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+
+const CustomersList = () => {
+  const { can } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [searchTerm, setSearchTerm] = useState('');
+
+  // Fetch customers
+  const fetchCustomers = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await customersAPI.getAllCustomers(searchTerm);
+      setCustomers(response.data.data);
+    } catch (error) {
+      console.error('Error fetching customers:', error);
+      toast.error('Failed to load customers');
+    } finally {
+      setLoading(false);
+    }
+  }, [searchTerm]);
+
+  // Load customers on component mount
+  useEffect(() => {
+    fetchCustomers();
+  }, [fetchCustomers]);
+
+  // Handle search input key press (Enter)
+  const handleKeyPress = (e) => {
+    if (e.key === 'Enter') {
+      fetchCustomers();
+    }
+  };
+
+  // Handle customer deletion
+  const handleDeleteCustomer = async (customer) => {
+    const message = customer.device_count > 0
+      ? `Are you sure you want to delete customer "${customer.name}"? Their ${customer.device_count} device(s) will be kept without a customer.`
+      : `Are you sure you want to delete customer "${customer.name}"?`;
+
+    if (window.confirm(message)) {
+      try {
+        await customersAPI.deleteCustomer(customer.id);
+        toast.success('Customer deleted successfully');
+        fetchCustomers(); // Refresh the list
+      } catch (error) {
+        console.error('Error deleting customer:', error);
+        toast.error('Failed to delete customer');
+      }
+    }
+  };
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Customers</h1>
+        {can('customers', 'edit') && (
+          <Link to="/customers/new" className="btn btn-primary">
+            <FaPlus className="me-2" /> Add Customer
+          </Link>
+        )}
+      </div>
+
+      {/* Search */}
+      <Card className="mb-4">
+        <Card.Body>
+          <Row>
+            <Col md={6}>
+              <InputGroup>
+                <InputGroup.Text>
+                  <FaSearch />
+                </InputGroup.Text>
+                <Form.Control
+                  placeholder="Search by name, phone, address or device..."
+                  value={searchTerm}
+                  onChange={(e) => setSearchTerm(e.target.value)}
+                  onKeyPress={handleKeyPress}
+                />
+                <Button
+                  variant="primary"
+                  onClick={fetchCustomers}
+                >
+                  Search
+                </Button>
+              </InputGroup>
+            </Col>
+          </Row>
+        </Card.Body>
+      </Card>
+
+      {/* Customers Table */}
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading customers...</p>
+            </div>
+          ) : customers.length > 0 ? (
+            <Table responsive hover className="custom-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Phone</th>
+                  <th>Address</th>
+                  <th>Devices</th>
+                  <th>Next Expiry</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map((customer) => (
+                  <tr key={customer.id}>
+                    <td>
+                      {can('customers', 'edit') ? (
+                        <Link to={`/customers/edit/${customer.id}`}>{customer.name}</Link>
+                      ) : customer.name}
+                    </td>
+                    <td>{customer.phone || '-'}</td>
+                    <td>{customer.address || '-'}</td>
+                    <td>{customer.device_count}</td>
+                    <td>{customer.expiry_date ? new Date(customer.expiry_date).toLocaleDateString() : '-'}</td>
+                    <td>
+                      {(can('customers', 'edit') || can('customers', 'delete')) && (
+                        <DropdownButton
+                          variant="outline-primary"
+                          size="sm"
+                          title="Actions"
+                        >
+                          {/* Edit Action */}
+                          {can('customers', 'edit') && (
+                            <Dropdown.Item as={Link} to={`/customers/edit/${customer.id}`}>
+                              <FaEdit className="me-2" /> Edit Customer
+                            </Dropdown.Item>
+                          )}
+
+                          {/* Add Device Action */}
+                          {can('devices', 'edit') && (
+                            <Dropdown.Item as={Link} to={`/devices/new?customer_id=${customer.id}`}>
+                              <FaPlus className="me-2" /> Add Device
+                            </Dropdown.Item>
+                          )}
+
+                          {/* Delete Action */}
+                          {can('customers', 'delete') && (
+                            <Dropdown.Item
+                              className="text-danger"
+                              onClick={() => handleDeleteCustomer(customer)}
+                            >
+                              <FaTrash className="me-2" /> Delete Customer
+                            </Dropdown.Item>
+                          )}
+                        </DropdownButton>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center py-5">
+              <p className="text-muted">No customers found</p>
+              {can('customers', 'edit') && (
+                <Link to="/customers/new" className="btn btn-primary">
+                  <FaPlus className="me-2" /> Add Customer
+                </Link>
+              )}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default CustomersList;
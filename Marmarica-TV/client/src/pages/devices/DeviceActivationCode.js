@@ -0,0 +1,62 @@
+import React, { useState } from 'react';
+import { Card, Button, Badge, Spinner } from 'react-bootstrap';
+import { FaKey } from 'react-icons/fa';
+import { devicesAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+/**
+ * Device activation code with its expiry and a regenerate action
+ */
+const DeviceActivationCode = ({ device, onChanged }) => {
+  const [generating, setGenerating] = useState(false);
+
+  const expiresAt = device.activation_code_expires_at ? new Date(device.activation_code_expires_at) : null;
+  const expired = expiresAt && expiresAt < new Date();
+
+  // Replace the code, e.g. when it expired or was shared with the wrong person
+  const handleRegenerate = async () => {
+    try {
+      setGenerating(true);
+      const response = await devicesAPI.regenerateActivationCode(device.id);
+      toast.success(response.data.message);
+      onChanged(response.data.data);
+    } catch (error) {
+      console.error('Error generating activation code:', error);
+    } finally {
+      setGenerating(false);
+    }
+  };
+
+  return (
+    <Card className="mb-3">
+      <Card.Header>
+        <h5 className="mb-0">Activation Code</h5>
+      </Card.Header>
+      <Card.Body>
+        <p className="mb-2">
+          Code: <strong>{device.activation_code}</strong>{' '}
+          {expired && <Badge bg="danger">Expired</Badge>}
+        </p>
+        <p className="mb-3">
+          {expiresAt
+            ? `${expired ? 'Expired' : 'Expires'}: ${expiresAt.toLocaleString()}`
+            : 'Does not expire'}
+        </p>
+        <p className="text-muted small">
+          The customer enters this code on the device to activate it. Generating a new code
+          also lifts the lockout after too many wrong codes; the device's current token keeps working.
+        </p>
+        <Button
+          variant="outline-primary"
+          disabled={generating}
+          onClick={handleRegenerate}
+        >
+          {generating ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <FaKey className="me-2" />}
+          New Code
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DeviceActivationCode;
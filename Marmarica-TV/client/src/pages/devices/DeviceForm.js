@@ -1,9 +1,12 @@
 import React, { useState, useEffect } from 'react';
-import { Container, Card, Row, Col, Form, Button, Alert, Spinner } from 'react-bootstrap';
-import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Container, Card, Row, Col, Form, Button, Alert, Spinner, Tabs, Tab } from 'react-bootstrap';
+import { Link, useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { Formik } from 'formik';
 import * as Yup from 'yup';
-import { devicesAPI } from '../../services/api';
+import { devicesAPI, packagesAPI, customersAPI } from '../../services/api';
+import DeviceSubscriptions from './DeviceSubscriptions';
+import DeviceToken from './DeviceToken';
+import DeviceActivationCode from './DeviceActivationCode';
 import { toast } from 'react-toastify';
 
 // Validation schema
@@ -11,8 +14,13 @@ const DeviceSchema = Yup.object().shape({
   owner_name: Yup.string()
     .required('Owner name is required')
     .min(3, 'Owner name must be at least 3 characters'),
-  allowed_types: Yup.array()
-    .min(1, 'At least one type must be selected'),
+  package_ids: Yup.array()
+    .min(1, 'At least one package must be selected'),
+  max_streams: Yup.number()
+    .nullable()
+    .transform((value, originalValue) => (originalValue === '' ? null : value))
+    .integer('Max streams must be a whole number')
+    .min(1, 'Max streams must be at least 1'),
   expiry_date: Yup.date()
     .when('isEditing', {
       is: true,
@@ -28,12 +36,45 @@ const DeviceSchema = Yup.object().shape({
 const DeviceForm = () => {
   const { id } = useParams(); // Get ID from URL if editing
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
   const isEditing = !!id;
   
   const [loading, setLoading] = useState(isEditing);
   const [device, setDevice] = useState(null);
+  const [packages, setPackages] = useState([]);
+  const [customers, setCustomers] = useState([]);
   const [error, setError] = useState('');
   
+  // Load the packages that can be assigned
+  useEffect(() => {
+    const fetchPackages = async () => {
+      try {
+        const response = await packagesAPI.getAllPackages();
+        setPackages(response.data.data);
+      } catch (error) {
+        console.error('Error fetching packages:', error);
+        toast.error('Could not load packages');
+      }
+    };
+    
+    fetchPackages();
+  }, []);
+  
+  // Load the customers a device can belong to
+  useEffect(() => {
+    const fetchCustomers = async () => {
+      try {
+        const response = await customersAPI.getAllCustomers();
+        setCustomers(response.data.data);
+      } catch (error) {
+        console.error('Error fetching customers:', error);
+        toast.error('Could not load customers');
+      }
+    };
+    
+    fetchCustomers();
+  }, []);
+  
   // Load device data if editing
   useEffect(() => {
     if (isEditing) {
@@ -60,19 +101,13 @@ const DeviceForm = () => {
     try {
       setSubmitting(true);
       
-      // Process allowed types from array to comma-separated string
-      const formattedValues = {
-        ...values,
-        allowed_types: values.allowed_types.join(',')
-      };
-      
       if (isEditing) {
         // Update existing device
-        await devicesAPI.updateDevice(id, formattedValues);
+        await devicesAPI.updateDevice(id, values);
         toast.success('Device updated successfully');
       } else {
         // Create new device
-        await devicesAPI.createDevice(formattedValues);
+        await devicesAPI.createDevice(values);
         toast.success('Device created successfully');
         resetForm();
       }
@@ -92,20 +127,24 @@ const DeviceForm = () => {
   // Prepare initial values for the form
   const getInitialValues = () => {
     if (isEditing && device) {
-      // For editing mode, convert comma-separated allowed types to array
       return {
         owner_name: device.owner_name || '',
-        allowed_types: device.allowed_types ? device.allowed_types.split(',') : ['FTA', 'Local'],
+        customer_id: device.customer_id || '',
+        package_ids: device.package_ids || [],
+        max_streams: device.max_streams || '',
         expiry_date: device.expiry_date || '',
         status: device.status || 'disabled',
         isEditing: true
       };
     }
     
-    // Default values for new device
+    // Default values for new device, starting with the free packages
+    // Opening the form from a customer page links the device to that customer
     return {
       owner_name: '',
-      allowed_types: ['FTA', 'Local'],
+      customer_id: searchParams.get('customer_id') || '',
+      package_ids: packages.filter(pkg => pkg.is_free).map(pkg => pkg.id),
+      max_streams: '',
       isEditing: false
     };
   };
@@ -136,214 +175,273 @@ const DeviceForm = () => {
     );
   }
 
-  return (
-    <Container fluid>
-      <div className="d-flex justify-content-between align-items-center">
-        <h1 className="page-title">{isEditing ? 'Edit Device' : 'Add New Device'}</h1>
-        <Link to="/devices" className="btn btn-outline-secondary">
-          Back to Devices List
-        </Link>
-      </div>
-      
-      <Card className="form-container">
-        <Card.Body>
-          <Formik
-            initialValues={getInitialValues()}
-            validationSchema={DeviceSchema}
-            onSubmit={handleSubmit}
-            enableReinitialize={true}
-          >
-            {({
-              values,
-              errors,
-              touched,
-              handleChange,
-              handleBlur,
-              handleSubmit,
-              isSubmitting,
-              setFieldValue
-            }) => (
-              <Form onSubmit={handleSubmit}>
+  const formCard = (
+    <Card className="form-container">
+      <Card.Body>
+        <Formik
+          initialValues={getInitialValues()}
+          validationSchema={DeviceSchema}
+          onSubmit={handleSubmit}
+          enableReinitialize={true}
+        >
+          {({
+            values,
+            errors,
+            touched,
+            handleChange,
+            handleBlur,
+            handleSubmit,
+            isSubmitting,
+            setFieldValue
+          }) => (
+            <Form onSubmit={handleSubmit}>
+              <Row>
+                {/* Customer */}
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Customer</Form.Label>
+                    <Form.Select
+                      name="customer_id"
+                      value={values.customer_id}
+                      onChange={(e) => {
+                        const customer = customers.find(c => String(c.id) === e.target.value);
+                        setFieldValue('customer_id', e.target.value);
+                        // Name the device after its customer unless it already has a name
+                        if (customer && !values.owner_name) {
+                          setFieldValue('owner_name', customer.name);
+                        }
+                      }}
+                    >
+                      <option value="">No customer</option>
+                      {customers.map((customer) => (
+                        <option key={customer.id} value={customer.id}>
+                          {customer.phone ? `${customer.name} (${customer.phone})` : customer.name}
+                        </option>
+                      ))}
+                    </Form.Select>
+                    <Form.Text className="text-muted">
+                      Devices of the same customer can be renewed together from the customer page
+                    </Form.Text>
+                  </Form.Group>
+                </Col>
+                
+                {/* Owner Name */}
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Owner Name</Form.Label>
+                    <Form.Control
+                      type="text"
+                      name="owner_name"
+                      value={values.owner_name}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      isInvalid={touched.owner_name && errors.owner_name}
+                    />
+                    <Form.Control.Feedback type="invalid">
+                      {errors.owner_name}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+                
+                {/* Packages */}
+                <Col md={12}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Packages</Form.Label>
+                    <div>
+                      {packages.map((pkg) => (
+                        <Form.Check
+                          key={pkg.id}
+                          inline
+                          type="checkbox"
+                          id={`package-${pkg.id}`}
+                          label={pkg.is_free ? `${pkg.name} (free)` : pkg.name}
+                          checked={values.package_ids.includes(pkg.id)}
+                          onChange={() => {
+                            const newPackages = values.package_ids.includes(pkg.id)
+                              ? values.package_ids.filter(p => p !== pkg.id)
+                              : [...values.package_ids, pkg.id];
+                            setFieldValue('package_ids', newPackages);
+                          }}
+                        />
+                      ))}
+                      {packages.length === 0 && (
+                        <span className="text-muted small">
+                          No packages yet. <Link to="/packages/new">Create a package</Link>
+                        </span>
+                      )}
+                    </div>
+                    {touched.package_ids && errors.package_ids && (
+                      <div className="text-danger small mt-1">
+                        {errors.package_ids}
+                      </div>
+                    )}
+                  </Form.Group>
+                </Col>
+                
+                {/* Max Streams */}
+                <Col md={6}>
+                  <Form.Group className="mb-3">
+                    <Form.Label>Max Simultaneous Streams</Form.Label>
+                    <Form.Control
+                      type="number"
+                      name="max_streams"
+                      min="1"
+                      placeholder="Server default"
+                      value={values.max_streams}
+                      onChange={handleChange}
+                      onBlur={handleBlur}
+                      isInvalid={touched.max_streams && errors.max_streams}
+                    />
+                    <Form.Text className="text-muted">
+                      Players that can use this device's account at the same time
+                    </Form.Text>
+                    <Form.Control.Feedback type="invalid">
+                      {errors.max_streams}
+                    </Form.Control.Feedback>
+                  </Form.Group>
+                </Col>
+              </Row>
+              
+              {/* These fields are only shown when editing */}
+              {isEditing && (
                 <Row>
-                  {/* Owner Name */}
+                  {/* Expiry Date */}
                   <Col md={6}>
                     <Form.Group className="mb-3">
-                      <Form.Label>Owner Name</Form.Label>
+                      <Form.Label>Expiry Date</Form.Label>
                       <Form.Control
-                        type="text"
-                        name="owner_name"
-                        value={values.owner_name}
+                        type="date"
+                        name="expiry_date"
+                        value={values.expiry_date}
                         onChange={handleChange}
                         onBlur={handleBlur}
-                        isInvalid={touched.owner_name && errors.owner_name}
+                        isInvalid={touched.expiry_date && errors.expiry_date}
                       />
                       <Form.Control.Feedback type="invalid">
-                        {errors.owner_name}
+                        {errors.expiry_date}
                       </Form.Control.Feedback>
                     </Form.Group>
                   </Col>
                   
-                  {/* Allowed Types */}
+                  {/* Status */}
                   <Col md={6}>
                     <Form.Group className="mb-3">
-                      <Form.Label>Allowed Types</Form.Label>
-                      <div>
-                        <Form.Check
-                          inline
-                          type="checkbox"
-                          id="type-fta"
-                          label="FTA"
-                          checked={values.allowed_types.includes('FTA')}
-                          onChange={() => {
-                            const newTypes = values.allowed_types.includes('FTA')
-                              ? values.allowed_types.filter(t => t !== 'FTA')
-                              : [...values.allowed_types, 'FTA'];
-                            setFieldValue('allowed_types', newTypes);
-                          }}
-                        />
-                        <Form.Check
-                          inline
-                          type="checkbox"
-                          id="type-local"
-                          label="Local"
-                          checked={values.allowed_types.includes('Local')}
-                          onChange={() => {
-                            const newTypes = values.allowed_types.includes('Local')
-                              ? values.allowed_types.filter(t => t !== 'Local')
-                              : [...values.allowed_types, 'Local'];
-                            setFieldValue('allowed_types', newTypes);
-                          }}
-                        />
-                        <Form.Check
-                          inline
-                          type="checkbox"
-                          id="type-bein"
-                          label="BeIN"
-                          checked={values.allowed_types.includes('BeIN')}
-                          onChange={() => {
-                            const newTypes = values.allowed_types.includes('BeIN')
-                              ? values.allowed_types.filter(t => t !== 'BeIN')
-                              : [...values.allowed_types, 'BeIN'];
-                            setFieldValue('allowed_types', newTypes);
-                          }}
-                        />
-                      </div>
-                      {touched.allowed_types && errors.allowed_types && (
-                        <div className="text-danger small mt-1">
-                          {errors.allowed_types}
-                        </div>
-                      )}
+                      <Form.Label>Status</Form.Label>
+                      <Form.Select
+                        name="status"
+                        value={values.status}
+                        onChange={handleChange}
+                        onBlur={handleBlur}
+                        isInvalid={touched.status && errors.status}
+                      >
+                        <option value="active">Active</option>
+                        <option value="disabled">Disabled</option>
+                        <option value="expired">Expired</option>
+                      </Form.Select>
+                      <Form.Control.Feedback type="invalid">
+                        {errors.status}
+                      </Form.Control.Feedback>
                     </Form.Group>
                   </Col>
                 </Row>
-                
-                {/* These fields are only shown when editing */}
-                {isEditing && (
-                  <Row>
-                    {/* Expiry Date */}
-                    <Col md={6}>
-                      <Form.Group className="mb-3">
-                        <Form.Label>Expiry Date</Form.Label>
-                        <Form.Control
-                          type="date"
-                          name="expiry_date"
-                          value={values.expiry_date}
-                          onChange={handleChange}
-                          onBlur={handleBlur}
-                          isInvalid={touched.expiry_date && errors.expiry_date}
-                        />
-                        <Form.Control.Feedback type="invalid">
-                          {errors.expiry_date}
-                        </Form.Control.Feedback>
-                      </Form.Group>
-                    </Col>
-                    
-                    {/* Status */}
-                    <Col md={6}>
-                      <Form.Group className="mb-3">
-                        <Form.Label>Status</Form.Label>
-                        <Form.Select
-                          name="status"
-                          value={values.status}
-                          onChange={handleChange}
-                          onBlur={handleBlur}
-                          isInvalid={touched.status && errors.status}
-                        >
-                          <option value="active">Active</option>
-                          <option value="disabled">Disabled</option>
-                          <option value="expired">Expired</option>
-                        </Form.Select>
-                        <Form.Control.Feedback type="invalid">
-                          {errors.status}
-                        </Form.Control.Feedback>
-                      </Form.Group>
-                    </Col>
-                  </Row>
-                )}
-                
-                {/* DUID and Activation Code (read-only, only when editing) */}
-                {isEditing && device && (
-                  <Row>
-                    <Col md={6}>
-                      <Form.Group className="mb-3">
-                        <Form.Label>DUID (Read-only)</Form.Label>
-                        <Form.Control
-                          type="text"
-                          value={device.duid}
-                          readOnly
-                          disabled
-                        />
-                        <Form.Text className="text-muted">
-                          Device Unique Identifier cannot be changed
-                        </Form.Text>
-                      </Form.Group>
-                    </Col>
-                    <Col md={6}>
-                      <Form.Group className="mb-3">
-                        <Form.Label>Activation Code (Read-only)</Form.Label>
-                        <Form.Control
-                          type="text"
-                          value={device.activation_code}
-                          readOnly
-                          disabled
-                        />
-                      </Form.Group>
-                    </Col>
-                  </Row>
-                )}
-                
-                {/* Form Buttons */}
-                <div className="d-flex justify-content-end mt-4">
-                  <Link to="/devices" className="btn btn-outline-secondary me-2">
-                    Cancel
-                  </Link>
-                  <Button 
-                    type="submit" 
-                    disabled={isSubmitting}
-                    variant="primary"
-                  >
-                    {isSubmitting ? (
-                      <>
-                        <Spinner
-                          as="span"
-                          animation="border"
-                          size="sm"
-                          role="status"
-                          aria-hidden="true"
-                          className="me-2"
-                        />
-                        Saving...
-                      </>
-                    ) : (
-                      isEditing ? 'Update Device' : 'Create Device'
-                    )}
-                  </Button>
-                </div>
-              </Form>
-            )}
-          </Formik>
-        </Card.Body>
-      </Card>
+              )}
+              
+              {/* DUID and Activation Code (read-only, only when editing) */}
+              {isEditing && device && (
+                <Row>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>DUID (Read-only)</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={device.duid}
+                        readOnly
+                        disabled
+                      />
+                      <Form.Text className="text-muted">
+                        Device Unique Identifier cannot be changed
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Activation Code (Read-only)</Form.Label>
+                      <Form.Control
+                        type="text"
+                        value={device.activation_code}
+                        readOnly
+                        disabled
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+              )}
+              
+              {/* Form Buttons */}
+              <div className="d-flex justify-content-end mt-4">
+                <Link to="/devices" className="btn btn-outline-secondary me-2">
+                  Cancel
+                </Link>
+                <Button 
+                  type="submit" 
+                  disabled={isSubmitting}
+                  variant="primary"
+                >
+                  {isSubmitting ? (
+                    <>
+                      <Spinner
+                        as="span"
+                        animation="border"
+                        size="sm"
+                        role="status"
+                        aria-hidden="true"
+                        className="me-2"
+                      />
+                      Saving...
+                    </>
+                  ) : (
+                    isEditing ? 'Update Device' : 'Create Device'
+                  )}
+                </Button>
+              </div>
+            </Form>
+          )}
+        </Formik>
+      </Card.Body>
+    </Card>
+  );
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">{isEditing ? 'Edit Device' : 'Add New Device'}</h1>
+        <Link to="/devices" className="btn btn-outline-secondary">
+          Back to Devices List
+        </Link>
+      </div>
+      
+      {isEditing ? (
+        <Tabs defaultActiveKey="details" className="mb-3">
+          <Tab eventKey="details" title="Details">
+            {formCard}
+          </Tab>
+          <Tab eventKey="subscription" title="Subscription">
+            <DeviceSubscriptions device={device} onRenewed={setDevice} />
+          </Tab>
+          <Tab eventKey="access" title="Access">
+            <DeviceActivationCode
+              device={device}
+              onChanged={(changes) => setDevice(prevDevice => ({ ...prevDevice, ...changes }))}
+            />
+            <DeviceToken
+              device={device}
+              onChanged={(changes) => setDevice(prevDevice => ({ ...prevDevice, ...changes }))}
+            />
+          </Tab>
+        </Tabs>
+      ) : (
+        formCard
+      )}
     </Container>
   );
 };
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Card, Row, Col, Form, Button, Table, Spinner } from 'react-bootstrap';
+import { FaRedo } from 'react-icons/fa';
+import { devicesAPI, plansAPI } from '../../services/api';
+import { formatDuration } from '../plans/PlansList';
+import { toast } from 'react-toastify';
+
+/**
+ * Renew-with-plan action and subscription history of a device
+ */
+const DeviceSubscriptions = ({ device, onRenewed }) => {
+  const [plans, setPlans] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [planId, setPlanId] = useState('');
+  const [notes, setNotes] = useState('');
+  const [renewing, setRenewing] = useState(false);
+
+  // Fetch the device's subscription history
+  const fetchSubscriptions = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await devicesAPI.getDeviceSubscriptions(device.id);
+      setSubscriptions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching subscription history:', error);
+    } finally {
+      setLoading(false);
+    }
+  }, [device.id]);
+
+  useEffect(() => {
+    fetchSubscriptions();
+  }, [fetchSubscriptions]);
+
+  // Load the plans that can be used for renewals
+  useEffect(() => {
+    const fetchPlans = async () => {
+      try {
+        const response = await plansAPI.getAllPlans(true);
+        setPlans(response.data.data);
+      } catch (error) {
+        console.error('Error fetching plans:', error);
+      }
+    };
+
+    fetchPlans();
+  }, []);
+
+  // A renewal extends from the current expiry while it is valid, otherwise from today
+  const today = new Date().toISOString().split('T')[0];
+  const renewalStart = device.expiry_date && device.expiry_date >= today ? device.expiry_date : today;
+  const selectedPlan = plans.find(plan => String(plan.id) === String(planId));
+
+  // Renew the device with the selected plan
+  const handleRenew = async () => {
+    if (!selectedPlan) {
+      toast.error('Select a plan to renew with');
+      return;
+    }
+
+    if (!window.confirm(`Renew ${device.owner_name || device.duid} with "${selectedPlan.name}" for ${formatDuration(selectedPlan.duration_count, selectedPlan.duration_unit)}?`)) {
+      return;
+    }
+
+    try {
+      setRenewing(true);
+      const response = await devicesAPI.renewDevice(device.id, selectedPlan.id, notes);
+      toast.success(response.data.message);
+      setPlanId('');
+      setNotes('');
+      onRenewed(response.data.data);
+      fetchSubscriptions();
+    } catch (error) {
+      console.error('Error renewing device:', error);
+    } finally {
+      setRenewing(false);
+    }
+  };
+
+  return (
+    <>
+      {/* Renew with Plan */}
+      <Card className="mb-4">
+        <Card.Header>
+          <h5 className="mb-0">Renew Subscription</h5>
+        </Card.Header>
+        <Card.Body>
+          <Row className="align-items-end">
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Plan</Form.Label>
+                <Form.Select value={planId} onChange={(e) => setPlanId(e.target.value)}>
+                  <option value="">Select a plan...</option>
+                  {plans.map((plan) => (
+                    <option key={plan.id} value={plan.id}>
+                      {plan.name} ({formatDuration(plan.duration_count, plan.duration_unit)}, {plan.price.toFixed(2)})
+                    </option>
+                  ))}
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={5}>
+              <Form.Group className="mb-3">
+                <Form.Label>Notes</Form.Label>
+                <Form.Control
+                  type="text"
+                  placeholder="Payment reference, remarks..."
+                  value={notes}
+                  onChange={(e) => setNotes(e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+            <Col md={3}>
+              <Button
+                variant="success"
+                className="mb-3 w-100"
+                disabled={!planId || renewing}
+                onClick={handleRenew}
+              >
+                {renewing ? (
+                  <Spinner as="span" animation="border" size="sm" className="me-2" />
+                ) : (
+                  <FaRedo className="me-2" />
+                )}
+                Renew
+              </Button>
+            </Col>
+          </Row>
+          <Form.Text className="text-muted">
+            {selectedPlan
+              ? `Adds ${formatDuration(selectedPlan.duration_count, selectedPlan.duration_unit)} to ${renewalStart}.`
+              : `Renewals extend from ${renewalStart === today ? 'today' : `the current expiry date (${renewalStart})`}.`}
+            {selectedPlan && selectedPlan.package_names && ` The device's packages are replaced with: ${selectedPlan.package_names}.`}
+          </Form.Text>
+        </Card.Body>
+      </Card>
+
+      {/* Subscription History */}
+      <Card>
+        <Card.Header>
+          <h5 className="mb-0">Subscription History</h5>
+        </Card.Header>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-3">
+              <Spinner animation="border" size="sm" />
+            </div>
+          ) : subscriptions.length > 0 ? (
+            <Table responsive hover className="custom-table mb-0">
+              <thead>
+                <tr>
+                  <th>Date</th>
+                  <th>Plan</th>
+                  <th>Price</th>
+                  <th>Previous Expiry</th>
+                  <th>New Expiry</th>
+                  <th>Notes</th>
+                </tr>
+              </thead>
+              <tbody>
+                {subscriptions.map((subscription) => (
+                  <tr key={subscription.id}>
+                    <td>{new Date(subscription.created_at).toLocaleString()}</td>
+                    <td>{subscription.plan_name || <span className="text-muted">Manual change</span>}</td>
+                    <td>{subscription.price !== null ? subscription.price.toFixed(2) : '-'}</td>
+                    <td>{subscription.previous_expiry_date || '-'}</td>
+                    <td>{subscription.expiry_date}</td>
+                    <td>{subscription.notes || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center text-muted py-3">
+              No renewals recorded yet
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </>
+  );
+};
+
+export default DeviceSubscriptions;
@@ -0,0 +1,95 @@
+import React, { useState } from 'react';
+import { Card, Button, Badge, Spinner } from 'react-bootstrap';
+import { FaSyncAlt, FaBan } from 'react-icons/fa';
+import { devicesAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+/**
+ * Device token status with rotate and revoke actions
+ */
+const DeviceToken = ({ device, onChanged }) => {
+  const [busy, setBusy] = useState('');
+
+  const hasToken = Boolean(device.token_issued_at);
+
+  // Ask the device to swap its token on the next check-in
+  const handleRotate = async () => {
+    try {
+      setBusy('rotate');
+      const response = await devicesAPI.rotateDeviceToken(device.id);
+      toast.success(response.data.message);
+      onChanged(response.data.data);
+    } catch (error) {
+      console.error('Error rotating device token:', error);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Invalidate the token right away
+  const handleRevoke = async () => {
+    if (!window.confirm(`Revoke the token of ${device.owner_name || device.duid}? The device stops working until it is activated again with a new activation code.`)) {
+      return;
+    }
+
+    try {
+      setBusy('revoke');
+      const response = await devicesAPI.revokeDeviceToken(device.id);
+      toast.success(response.data.message);
+      onChanged(response.data.data);
+    } catch (error) {
+      console.error('Error revoking device token:', error);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  return (
+    <Card>
+      <Card.Header>
+        <h5 className="mb-0">Device Token</h5>
+      </Card.Header>
+      <Card.Body>
+        <p className="mb-2">
+          Status:{' '}
+          {!hasToken ? (
+            <Badge bg="secondary">No token</Badge>
+          ) : device.token_rotate ? (
+            <Badge bg="warning" text="dark">Rotation pending</Badge>
+          ) : (
+            <Badge bg="success">Issued</Badge>
+          )}
+        </p>
+        {hasToken && (
+          <p className="mb-3">Issued: {new Date(device.token_issued_at).toLocaleString()}</p>
+        )}
+        <p className="text-muted small">
+          The device receives its token when it is activated and sends it with every request.
+          Rotating gives the device a new token on its next check-in. Revoking stops the device
+          right away and replaces its activation code.
+        </p>
+        <div className="d-flex">
+          <Button
+            variant="outline-primary"
+            className="me-2"
+            disabled={!hasToken || Boolean(device.token_rotate) || busy !== ''}
+            onClick={handleRotate}
+          >
+            {busy === 'rotate' ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <FaSyncAlt className="me-2" />}
+            Rotate Token
+          </Button>
+          <Button
+            variant="outline-danger"
+            disabled={busy !== ''}
+            onClick={handleRevoke}
+          >
+            {busy === 'revoke' ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <FaBan className="me-2" />}
+            Revoke Token
+          </Button>
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default DeviceToken;
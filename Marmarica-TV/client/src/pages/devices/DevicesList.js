@@ -4,11 +4,13 @@ import {
   Form, InputGroup, Dropdown, DropdownButton 
 } from 'react-bootstrap';
 import { Link } from 'react-router-dom';
-import { FaPlus, FaSearch, FaEdit, FaTrash, FaFilter, FaCheckCircle, FaBan } from 'react-icons/fa';
+import { FaPlus, FaSearch, FaEdit, FaTrash, FaFilter, FaCheckCircle, FaBan, FaUserClock } from 'react-icons/fa';
 import { devicesAPI } from '../../services/api';
 import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
 
 const DevicesList = () => {
+  const { can } = useAuth();
   const [devices, setDevices] = useState([]);
   const [loading, setLoading] = useState(true);
   const [filters, setFilters] = useState({
@@ -16,6 +18,7 @@ const DevicesList = () => {
     expiring: false
   });
   const [searchTerm, setSearchTerm] = useState('');
+  const [groupByCustomer, setGroupByCustomer] = useState(false);
 
   // Fetch devices based on current filters
   const fetchDevices = useCallback(async () => {
@@ -106,10 +109,114 @@ const DevicesList = () => {
     return (
       device.duid.toLowerCase().includes(searchLower) ||
       device.owner_name.toLowerCase().includes(searchLower) ||
-      device.activation_code.toLowerCase().includes(searchLower)
+      device.activation_code.toLowerCase().includes(searchLower) ||
+      (device.customer_name || '').toLowerCase().includes(searchLower) ||
+      (device.customer_phone || '').toLowerCase().includes(searchLower)
     );
   });
 
+  // Group the filtered devices by customer, customers by name and devices without a customer last
+  const groupDevices = () => {
+    const groups = [];
+    const byCustomer = {};
+
+    filteredDevices.forEach(device => {
+      const key = device.customer_id || 'none';
+      if (!byCustomer[key]) {
+        byCustomer[key] = {
+          key,
+          customerId: device.customer_id,
+          name: device.customer_name,
+          phone: device.customer_phone,
+          devices: []
+        };
+        groups.push(byCustomer[key]);
+      }
+      byCustomer[key].devices.push(device);
+    });
+
+    return groups.sort((a, b) => {
+      if (!a.customerId) return 1;
+      if (!b.customerId) return -1;
+      return a.name.localeCompare(b.name);
+    });
+  };
+
+  // Render a device table row
+  const renderDeviceRow = (device) => (
+    <tr key={device.id}>
+      <td>{device.duid}</td>
+      <td>{device.owner_name}</td>
+      <td>
+        {device.customer_id ? (
+          <Link to={`/customers/edit/${device.customer_id}`}>{device.customer_name}</Link>
+        ) : (
+          <span className="text-muted">-</span>
+        )}
+      </td>
+      <td>{device.activation_code}</td>
+      <td>{device.package_names || <span className="text-muted">None</span>}</td>
+      <td>{new Date(device.expiry_date).toLocaleDateString()}</td>
+      <td>
+        {renderStatusBadge(device.status)}
+        {device.pending_approval ? <Badge bg="warning" text="dark" className="ms-1">Pending approval</Badge> : null}
+      </td>
+      <td>
+        <div className="d-flex flex-wrap">
+          {/* Status Change Actions */}
+          {can('devices', 'edit') && device.status !== 'active' && (
+            <Button 
+              variant="outline-success"
+              size="sm"
+              className="me-1 mb-1"
+              onClick={() => handleStatusChange(device.id, 'active', device.owner_name, device.expiry_date)}
+              title="Enable Device"
+              disabled={device.expiry_date < new Date().toISOString().split('T')[0] && device.status === 'expired'}
+            >
+              <FaCheckCircle /> Enable
+            </Button>
+          )}
+          
+          {can('devices', 'edit') && device.status !== 'disabled' && (
+            <Button 
+              variant="outline-secondary"
+              size="sm"
+              className="me-1 mb-1"
+              onClick={() => handleStatusChange(device.id, 'disabled', device.owner_name, device.expiry_date)}
+              title="Disable Device"
+            >
+              <FaBan /> Disable
+            </Button>
+          )}
+          
+          {/* Edit Action */}
+          {can('devices', 'edit') && (
+            <Link 
+              to={`/devices/edit/${device.id}`}
+              className="btn btn-sm btn-outline-primary me-1 mb-1"
+              title="Edit Device"
+            >
+              <FaEdit /> Edit
+            </Link>
+          )}
+          
+          {/* Delete Action */}
+          {can('devices', 'delete') && (
+            <Button
+              variant="outline-danger"
+              size="sm"
+              className="mb-1"
+              onClick={() => handleDeleteDevice(device.id, device.owner_name)}
+              title="Delete Device"
+            >
+              <FaTrash /> Delete
+            </Button>
+          )}
+        </div>
+      </td>
+    </tr>
+  );
+
   // Render status badge
   const renderStatusBadge = (status) => {
     switch (status) {
@@ -128,9 +235,16 @@ const DevicesList = () => {
     <Container fluid>
       <div className="d-flex justify-content-between align-items-center">
         <h1 className="page-title">Devices Management</h1>
-        <Link to="/devices/new" className="btn btn-primary">
-          <FaPlus className="me-2" /> Add New Device
-        </Link>
+        <div>
+          <Link to="/devices/pending" className="btn btn-outline-primary me-2">
+            <FaUserClock className="me-2" /> Pending Approval
+          </Link>
+          {can('devices', 'edit') && (
+            <Link to="/devices/new" className="btn btn-primary">
+              <FaPlus className="me-2" /> Add New Device
+            </Link>
+          )}
+        </div>
       </div>
       
       {/* Filters and Search */}
@@ -143,7 +257,7 @@ const DevicesList = () => {
                   <FaSearch />
                 </InputGroup.Text>
                 <Form.Control
-                  placeholder="Search by DUID, Name, or Code"
+                  placeholder="Search by DUID, Name, Customer, or Code"
                   value={searchTerm}
                   onChange={(e) => setSearchTerm(e.target.value)}
                 />
@@ -174,6 +288,13 @@ const DevicesList = () => {
                 onChange={(e) => handleFilterChange('expiring', e.target.checked)}
                 className="mt-2"
               />
+              <Form.Check
+                type="switch"
+                id="group-switch"
+                label="Group by customer"
+                checked={groupByCustomer}
+                onChange={(e) => setGroupByCustomer(e.target.checked)}
+              />
             </Col>
             <Col md={2} className="text-end">
               <Button variant="outline-secondary" onClick={clearFilters}>
@@ -201,73 +322,37 @@ const DevicesList = () => {
                   <tr>
                     <th>DUID</th>
                     <th>Owner Name</th>
+                    <th>Customer</th>
                     <th>Activation Code</th>
-                    <th>Allowed Types</th>
+                    <th>Packages</th>
                     <th>Expiry Date</th>
                     <th>Status</th>
                     <th style={{width: '200px'}}>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {filteredDevices.map((device) => (
-                    <tr key={device.id}>
-                      <td>{device.duid}</td>
-                      <td>{device.owner_name}</td>
-                      <td>{device.activation_code}</td>
-                      <td>{device.allowed_types}</td>
-                      <td>{new Date(device.expiry_date).toLocaleDateString()}</td>
-                      <td>{renderStatusBadge(device.status)}</td>
-                      <td>
-                        <div className="d-flex flex-wrap">
-                          {/* Status Change Actions */}
-                          {device.status !== 'active' && (
-                            <Button 
-                              variant="outline-success"
-                              size="sm"
-                              className="me-1 mb-1"
-                              onClick={() => handleStatusChange(device.id, 'active', device.owner_name, device.expiry_date)}
-                              title="Enable Device"
-                              disabled={device.expiry_date < new Date().toISOString().split('T')[0] && device.status === 'expired'}
-                            >
-                              <FaCheckCircle /> Enable
-                            </Button>
-                          )}
-                          
-                          {device.status !== 'disabled' && (
-                            <Button 
-                              variant="outline-secondary"
-                              size="sm"
-                              className="me-1 mb-1"
-                              onClick={() => handleStatusChange(device.id, 'disabled', device.owner_name, device.expiry_date)}
-                              title="Disable Device"
-                            >
-                              <FaBan /> Disable
-                            </Button>
-                          )}
-                          
-                          {/* Edit Action */}
-                          <Link 
-                            to={`/devices/edit/${device.id}`}
-                            className="btn btn-sm btn-outline-primary me-1 mb-1"
-                            title="Edit Device"
-                          >
-                            <FaEdit /> Edit
-                          </Link>
-                          
-                          {/* Delete Action */}
-                          <Button
-                            variant="outline-danger"
-                            size="sm"
-                            className="mb-1"
-                            onClick={() => handleDeleteDevice(device.id, device.owner_name)}
-                            title="Delete Device"
-                          >
-                            <FaTrash /> Delete
-                          </Button>
-                        </div>
-                      </td>
-                    </tr>
-                  ))}
+                  {groupByCustomer
+                    ? groupDevices().map((group) => (
+                      <React.Fragment key={group.key}>
+                        <tr className="table-light">
+                          <td colSpan={8}>
+                            {group.customerId ? (
+                              <>
+                                <Link to={`/customers/edit/${group.customerId}`} className="fw-bold">{group.name}</Link>
+                                {group.phone && <span className="text-muted ms-2">{group.phone}</span>}
+                              </>
+                            ) : (
+                              <span className="fw-bold text-muted">No customer</span>
+                            )}
+                            <Badge bg="secondary" className="ms-2">
+                              {group.devices.length} device{group.devices.length === 1 ? '' : 's'}
+                            </Badge>
+                          </td>
+                        </tr>
+                        {group.devices.map(renderDeviceRow)}
+                      </React.Fragment>
+                    ))
+                    : filteredDevices.map(renderDeviceRow)}
                 </tbody>
               </Table>
             </div>
@@ -0,0 +1,185 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Table, Button, Form, Spinner } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaArrowLeft, FaCheckCircle, FaTimesCircle } from 'react-icons/fa';
+import { devicesAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PendingDevicesList = () => {
+  const { can } = useAuth();
+  const [devices, setDevices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedIds, setSelectedIds] = useState([]);
+  const [busy, setBusy] = useState('');
+
+  // Fetch the devices waiting for approval
+  const fetchDevices = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await devicesAPI.getAllDevices({ pending: 'true' });
+      setDevices(response.data.data);
+      setSelectedIds([]);
+    } catch (error) {
+      console.error('Error fetching pending devices:', error);
+      toast.error('Failed to load pending devices');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load devices on component mount
+  useEffect(() => {
+    fetchDevices();
+  }, [fetchDevices]);
+
+  // Toggle one device
+  const toggleDevice = (id) => {
+    setSelectedIds(prevIds => (
+      prevIds.includes(id) ? prevIds.filter(otherId => otherId !== id) : [...prevIds, id]
+    ));
+  };
+
+  // Toggle all devices
+  const toggleAll = () => {
+    setSelectedIds(selectedIds.length === devices.length ? [] : devices.map(device => device.id));
+  };
+
+  // Approve the selected devices so they can be activated
+  const handleApprove = async () => {
+    try {
+      setBusy('approve');
+      const response = await devicesAPI.approveDevices(selectedIds);
+      toast.success(response.data.message);
+      fetchDevices();
+    } catch (error) {
+      console.error('Error approving devices:', error);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  // Reject and delete the selected devices
+  const handleReject = async () => {
+    if (!window.confirm(`Reject and delete ${selectedIds.length} device(s)?`)) {
+      return;
+    }
+
+    try {
+      setBusy('reject');
+      const response = await devicesAPI.rejectDevices(selectedIds);
+      toast.success(response.data.message);
+      fetchDevices();
+    } catch (error) {
+      console.error('Error rejecting devices:', error);
+    } finally {
+      setBusy('');
+    }
+  };
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Pending Devices</h1>
+        <Link to="/devices" className="btn btn-outline-secondary">
+          <FaArrowLeft className="me-2" /> Back to Devices
+        </Link>
+      </div>
+
+      <Card>
+        <Card.Body>
+          <p className="text-muted">
+            Devices that registered themselves while registration requires approval. Approved devices
+            can be activated with their activation code; rejected devices are deleted.
+          </p>
+
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading pending devices...</p>
+            </div>
+          ) : devices.length > 0 ? (
+            <>
+              <div className="d-flex mb-3">
+                {can('devices', 'edit') && (
+                  <Button
+                    variant="success"
+                    className="me-2"
+                    disabled={selectedIds.length === 0 || busy !== ''}
+                    onClick={handleApprove}
+                  >
+                    {busy === 'approve' ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <FaCheckCircle className="me-2" />}
+                    Approve Selected
+                  </Button>
+                )}
+                {can('devices', 'delete') && (
+                  <Button
+                    variant="outline-danger"
+                    disabled={selectedIds.length === 0 || busy !== ''}
+                    onClick={handleReject}
+                  >
+                    {busy === 'reject' ? <Spinner as="span" animation="border" size="sm" className="me-2" /> : <FaTimesCircle className="me-2" />}
+                    Reject Selected
+                  </Button>
+                )}
+              </div>
+
+              <Table responsive hover className="custom-table">
+                <thead>
+                  <tr>
+                    <th>
+                      <Form.Check
+                        type="checkbox"
+                        checked={selectedIds.length === devices.length}
+                        onChange={toggleAll}
+                        aria-label="Select all devices"
+                      />
+                    </th>
+                    <th>DUID</th>
+                    <th>Activation Code</th>
+                    <th>Packages</th>
+                    <th>Registered</th>
+                    <th>Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {devices.map((device) => (
+                    <tr key={device.id}>
+                      <td>
+                        <Form.Check
+                          type="checkbox"
+                          checked={selectedIds.includes(device.id)}
+                          onChange={() => toggleDevice(device.id)}
+                          aria-label={`Select device ${device.duid}`}
+                        />
+                      </td>
+                      <td>{device.duid}</td>
+                      <td>{device.activation_code}</td>
+                      <td>{device.package_names || <span className="text-muted">None</span>}</td>
+                      <td>{new Date(device.created_at).toLocaleString()}</td>
+                      <td>
+                        {can('devices', 'edit') && (
+                          <Link to={`/devices/edit/${device.id}`} className="btn btn-sm btn-outline-primary">
+                            Edit
+                          </Link>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          ) : (
+            <div className="text-center py-5">
+              <p className="text-muted">No devices are waiting for approval</p>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PendingDevicesList;
@@ -7,8 +7,10 @@ import { Link } from 'react-router-dom';
 import { FaPlus, FaSearch, FaEdit, FaTrash } from 'react-icons/fa';
 import { newsAPI } from '../../services/api';
 import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
 
 const NewsList = () => {
+  const { can } = useAuth();
   const [news, setNews] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
@@ -68,9 +70,11 @@ const NewsList = () => {
     <Container fluid>
       <div className="d-flex justify-content-between align-items-center">
         <h1 className="page-title">News Management</h1>
-        <Link to="/news/new" className="btn btn-primary">
-          <FaPlus className="me-2" /> Add News
-        </Link>
+        {can('news', 'edit') && (
+          <Link to="/news/new" className="btn btn-primary">
+            <FaPlus className="me-2" /> Add News
+          </Link>
+        )}
       </div>
       
       {/* Search */}
@@ -133,24 +137,30 @@ const NewsList = () => {
                     <td>{formatDate(item.created_at)}</td>
                     <td>{formatDate(item.updated_at)}</td>
                     <td>
-                      <DropdownButton
-                        variant="outline-primary"
-                        size="sm"
-                        title="Actions"
-                      >
-                        {/* Edit Action */}
-                        <Dropdown.Item as={Link} to={`/news/edit/${item.id}`}>
-                          <FaEdit className="me-2" /> Edit News
-                        </Dropdown.Item>
-                        
-                        {/* Delete Action */}
-                        <Dropdown.Item 
-                          className="text-danger"
-                          onClick={() => handleDeleteNews(item.id, item.title)}
+                      {(can('news', 'edit') || can('news', 'delete')) && (
+                        <DropdownButton
+                          variant="outline-primary"
+                          size="sm"
+                          title="Actions"
                         >
-                          <FaTrash className="me-2" /> Delete News
-                        </Dropdown.Item>
-                      </DropdownButton>
+                          {/* Edit Action */}
+                          {can('news', 'edit') && (
+                            <Dropdown.Item as={Link} to={`/news/edit/${item.id}`}>
+                              <FaEdit className="me-2" /> Edit News
+                            </Dropdown.Item>
+                          )}
+                        
+                          {/* Delete Action */}
+                          {can('news', 'delete') && (
+                            <Dropdown.Item 
+                              className="text-danger"
+                              onClick={() => handleDeleteNews(item.id, item.title)}
+                            >
+                              <FaTrash className="me-2" /> Delete News
+                            </Dropdown.Item>
+                          )}
+                        </DropdownButton>
+                      )}
                     </td>
                   </tr>
                 ))}
@@ -159,9 +169,11 @@ const NewsList = () => {
           ) : (
             <div className="text-center py-5">
               <p className="text-muted">No news found</p>
-              <Link to="/news/new" className="btn btn-primary">
-                <FaPlus className="me-2" /> Add News
-              </Link>
+              {can('news', 'edit') && (
+                <Link to="/news/new" className="btn btn-primary">
+                  <FaPlus className="me-2" /> Add News
+                </Link>
+              )}
             </div>
           )}
         </Card.Body>
@@ -0,0 +1,299 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Row, Col, Form, Button, Alert, Spinner, InputGroup } from 'react-bootstrap';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+import { FaSearch } from 'react-icons/fa';
+import { packagesAPI, channelsAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+// Validation schema
+const PackageSchema = Yup.object().shape({
+  name: Yup.string()
+    .required('Package name is required')
+    .max(50, 'Package name must be at most 50 characters'),
+  description: Yup.string(),
+  is_free: Yup.boolean(),
+  channel_ids: Yup.array()
+});
+
+const PackageForm = () => {
+  const { id } = useParams(); // Get ID from URL if editing
+  const navigate = useNavigate();
+  const isEditing = !!id;
+
+  const [loading, setLoading] = useState(isEditing);
+  const [pkg, setPkg] = useState(null);
+  const [channels, setChannels] = useState([]);
+  const [channelFilter, setChannelFilter] = useState('');
+  const [error, setError] = useState('');
+
+  // Load the channels that can be added to the package
+  useEffect(() => {
+    const fetchChannels = async () => {
+      try {
+        const response = await channelsAPI.getAllChannels();
+        setChannels(response.data.data);
+      } catch (error) {
+        console.error('Error fetching channels:', error);
+        toast.error('Could not load channels');
+      }
+    };
+
+    fetchChannels();
+  }, []);
+
+  // Load package data if editing
+  useEffect(() => {
+    if (isEditing) {
+      const fetchPackage = async () => {
+        try {
+          setLoading(true);
+          const response = await packagesAPI.getPackageById(id);
+          setPkg(response.data.data);
+        } catch (error) {
+          console.error('Error fetching package:', error);
+          setError('Failed to load package data. Please try again.');
+          toast.error('Could not load package data');
+        } finally {
+          setLoading(false);
+        }
+      };
+
+      fetchPackage();
+    }
+  }, [id, isEditing]);
+
+  // Handle form submission
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setSubmitting(true);
+
+      if (isEditing) {
+        // Update existing package
+        await packagesAPI.updatePackage(id, values);
+        toast.success('Package updated successfully');
+      } else {
+        // Create new package
+        await packagesAPI.createPackage(values);
+        toast.success('Package created successfully');
+      }
+
+      navigate('/packages');
+    } catch (error) {
+      console.error('Error saving package:', error);
+      toast.error(error.response?.data?.error || 'Failed to save package');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Prepare initial values for the form
+  const getInitialValues = () => {
+    if (isEditing && pkg) {
+      return {
+        name: pkg.name || '',
+        description: pkg.description || '',
+        is_free: Boolean(pkg.is_free),
+        channel_ids: pkg.channel_ids || []
+      };
+    }
+
+    // Default values for new package
+    return {
+      name: '',
+      description: '',
+      is_free: false,
+      channel_ids: []
+    };
+  };
+
+  // Show loader while fetching package data
+  if (isEditing && loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" role="status" className="mb-3">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p>Loading package data...</p>
+      </Container>
+    );
+  }
+
+  // Show error if failed to load package
+  if (isEditing && error && !pkg) {
+    return (
+      <Container className="py-5">
+        <Alert variant="danger">
+          {error}
+          <div className="mt-3">
+            <Link to="/packages" className="btn btn-primary">Back to Packages</Link>
+          </div>
+        </Alert>
+      </Container>
+    );
+  }
+
+  const filteredChannels = channels.filter(channel =>
+    `${channel.name} ${channel.type} ${channel.category}`.toLowerCase().includes(channelFilter.toLowerCase())
+  );
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">{isEditing ? 'Edit Package' : 'Add Package'}</h1>
+        <Link to="/packages" className="btn btn-outline-secondary">
+          Back to Packages List
+        </Link>
+      </div>
+
+      <Card className="form-container">
+        <Card.Body>
+          <Formik
+            initialValues={getInitialValues()}
+            validationSchema={PackageSchema}
+            onSubmit={handleSubmit}
+            enableReinitialize={true}
+          >
+            {({
+              values,
+              errors,
+              touched,
+              handleChange,
+              handleBlur,
+              handleSubmit,
+              isSubmitting,
+              setFieldValue
+            }) => (
+              <Form onSubmit={handleSubmit}>
+                <Row>
+                  {/* Package Name */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Name</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="name"
+                        value={values.name}
+                        onChange={handleChange}
+                        onBlur={handleBlur}
+                        isInvalid={touched.name && errors.name}
+                      />
+                      <Form.Control.Feedback type="invalid">
+                        {errors.name}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+
+                  {/* Free Package */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Access</Form.Label>
+                      <Form.Check
+                        type="switch"
+                        id="is_free"
+                        name="is_free"
+                        label="Free package"
+                        checked={values.is_free}
+                        onChange={handleChange}
+                      />
+                      <Form.Text className="text-muted">
+                        Free packages are given to new devices and stay available after a subscription expires
+                      </Form.Text>
+                    </Form.Group>
+                  </Col>
+                </Row>
+
+                {/* Description */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Description</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    name="description"
+                    value={values.description}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                  />
+                </Form.Group>
+
+                {/* Channels */}
+                <Form.Group className="mb-3">
+                  <div className="d-flex justify-content-between align-items-center mb-2">
+                    <Form.Label className="mb-0">
+                      Channels ({values.channel_ids.length} selected)
+                    </Form.Label>
+                    <InputGroup style={{ maxWidth: '300px' }}>
+                      <InputGroup.Text>
+                        <FaSearch />
+                      </InputGroup.Text>
+                      <Form.Control
+                        placeholder="Filter channels..."
+                        value={channelFilter}
+                        onChange={(e) => setChannelFilter(e.target.value)}
+                      />
+                    </InputGroup>
+                  </div>
+                  <div className="border rounded p-2" style={{ maxHeight: '320px', overflowY: 'auto' }}>
+                    {filteredChannels.length > 0 ? (
+                      <Row>
+                        {filteredChannels.map((channel) => (
+                          <Col md={4} key={channel.id}>
+                            <Form.Check
+                              type="checkbox"
+                              id={`channel-${channel.id}`}
+                              label={`${channel.name} (${channel.type})`}
+                              checked={values.channel_ids.includes(channel.id)}
+                              onChange={() => {
+                                const newChannels = values.channel_ids.includes(channel.id)
+                                  ? values.channel_ids.filter(c => c !== channel.id)
+                                  : [...values.channel_ids, channel.id];
+                                setFieldValue('channel_ids', newChannels);
+                              }}
+                            />
+                          </Col>
+                        ))}
+                      </Row>
+                    ) : (
+                      <div className="text-center text-muted py-2">No channels found</div>
+                    )}
+                  </div>
+                </Form.Group>
+
+                {/* Form Buttons */}
+                <div className="d-flex justify-content-end mt-4">
+                  <Link to="/packages" className="btn btn-outline-secondary me-2">
+                    Cancel
+                  </Link>
+                  <Button
+                    type="submit"
+                    disabled={isSubmitting}
+                    variant="primary"
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Spinner
+                          as="span"
+                          animation="border"
+                          size="sm"
+                          role="status"
+                          aria-hidden="true"
+                          className="me-2"
+                        />
+                        Saving...
+                      </>
+                    ) : (
+                      isEditing ? 'Update Package' : 'Create Package'
+                    )}
+                  </Button>
+                </div>
+              </Form>
+            )}
+          </Formik>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PackageForm;
@@ -0,0 +1,141 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Table, Badge, Dropdown, DropdownButton } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { packagesAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+
+const PackagesList = () => {
+  const { can } = useAuth();
+  const [packages, setPackages] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Fetch packages
+  const fetchPackages = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await packagesAPI.getAllPackages();
+      setPackages(response.data.data);
+    } catch (error) {
+      console.error('Error fetching packages:', error);
+      toast.error('Failed to load packages');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load packages on component mount
+  useEffect(() => {
+    fetchPackages();
+  }, [fetchPackages]);
+
+  // Handle package deletion
+  const handleDeletePackage = async (pkg) => {
+    const warning = pkg.device_count > 0
+      ? ` ${pkg.device_count} device(s) will lose access to its channels.`
+      : '';
+
+    if (window.confirm(`Are you sure you want to delete package "${pkg.name}"?${warning}`)) {
+      try {
+        await packagesAPI.deletePackage(pkg.id);
+        toast.success('Package deleted successfully');
+        fetchPackages(); // Refresh the list
+      } catch (error) {
+        console.error('Error deleting package:', error);
+        toast.error('Failed to delete package');
+      }
+    }
+  };
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Packages</h1>
+        {can('packages', 'edit') && (
+          <Link to="/packages/new" className="btn btn-primary">
+            <FaPlus className="me-2" /> Add Package
+          </Link>
+        )}
+      </div>
+
+      {/* Packages Table */}
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading packages...</p>
+            </div>
+          ) : packages.length > 0 ? (
+            <Table responsive hover className="custom-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Description</th>
+                  <th>Channels</th>
+                  <th>Devices</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {packages.map((pkg) => (
+                  <tr key={pkg.id}>
+                    <td>
+                      {pkg.name}
+                      {pkg.is_free ? (
+                        <Badge bg="success" className="ms-2">Free</Badge>
+                      ) : null}
+                    </td>
+                    <td>{pkg.description || <span className="text-muted">-</span>}</td>
+                    <td>{pkg.channel_count}</td>
+                    <td>{pkg.device_count}</td>
+                    <td>
+                      {(can('packages', 'edit') || can('packages', 'delete')) && (
+                        <DropdownButton
+                          variant="outline-primary"
+                          size="sm"
+                          title="Actions"
+                        >
+                          {/* Edit Action */}
+                          {can('packages', 'edit') && (
+                            <Dropdown.Item as={Link} to={`/packages/edit/${pkg.id}`}>
+                              <FaEdit className="me-2" /> Edit Package
+                            </Dropdown.Item>
+                          )}
+
+                          {/* Delete Action */}
+                          {can('packages', 'delete') && (
+                            <Dropdown.Item
+                              className="text-danger"
+                              onClick={() => handleDeletePackage(pkg)}
+                            >
+                              <FaTrash className="me-2" /> Delete Package
+                            </Dropdown.Item>
+                          )}
+                        </DropdownButton>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center py-5">
+              <p className="text-muted">No packages found</p>
+              {can('packages', 'edit') && (
+                <Link to="/packages/new" className="btn btn-primary">
+                  <FaPlus className="me-2" /> Add Package
+                </Link>
+              )}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PackagesList;
@@ -0,0 +1,341 @@
+import React, { useState, useEffect } from 'react';
+import { Container, Card, Row, Col, Form, Button, Alert, Spinner } from 'react-bootstrap';
+import { Link, useParams, useNavigate } from 'react-router-dom';
+import { Formik } from 'formik';
+import * as Yup from 'yup';
+import { plansAPI, packagesAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+// Validation schema
+const PlanSchema = Yup.object().shape({
+  name: Yup.string()
+    .required('Plan name is required')
+    .max(50, 'Plan name must be at most 50 characters'),
+  description: Yup.string(),
+  duration_count: Yup.number()
+    .required('Duration is required')
+    .integer('Duration must be a whole number')
+    .min(1, 'Duration must be at least 1'),
+  duration_unit: Yup.string().oneOf(['days', 'months']),
+  price: Yup.number()
+    .required('Price is required')
+    .min(0, 'Price cannot be negative'),
+  is_active: Yup.boolean(),
+  package_ids: Yup.array()
+});
+
+const PlanForm = () => {
+  const { id } = useParams(); // Get ID from URL if editing
+  const navigate = useNavigate();
+  const isEditing = !!id;
+
+  const [loading, setLoading] = useState(isEditing);
+  const [plan, setPlan] = useState(null);
+  const [packages, setPackages] = useState([]);
+  const [error, setError] = useState('');
+
+  // Load the packages a plan can grant
+  useEffect(() => {
+    const fetchPackages = async () => {
+      try {
+        const response = await packagesAPI.getAllPackages();
+        setPackages(response.data.data);
+      } catch (error) {
+        console.error('Error fetching packages:', error);
+        toast.error('Could not load packages');
+      }
+    };
+
+    fetchPackages();
+  }, []);
+
+  // Load plan data if editing
+  useEffect(() => {
+    if (isEditing) {
+      const fetchPlan = async () => {
+        try {
+          setLoading(true);
+          const response = await plansAPI.getPlanById(id);
+          setPlan(response.data.data);
+        } catch (error) {
+          console.error('Error fetching plan:', error);
+          setError('Failed to load plan data. Please try again.');
+          toast.error('Could not load plan data');
+        } finally {
+          setLoading(false);
+        }
+      };
+
+      fetchPlan();
+    }
+  }, [id, isEditing]);
+
+  // Handle form submission
+  const handleSubmit = async (values, { setSubmitting }) => {
+    try {
+      setSubmitting(true);
+
+      if (isEditing) {
+        // Update existing plan
+        await plansAPI.updatePlan(id, values);
+        toast.success('Plan updated successfully');
+      } else {
+        // Create new plan
+        await plansAPI.createPlan(values);
+        toast.success('Plan created successfully');
+      }
+
+      navigate('/plans');
+    } catch (error) {
+      console.error('Error saving plan:', error);
+      toast.error('Failed to save plan');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // Prepare initial values for the form
+  const getInitialValues = () => {
+    if (isEditing && plan) {
+      return {
+        name: plan.name || '',
+        description: plan.description || '',
+        duration_count: plan.duration_count,
+        duration_unit: plan.duration_unit || 'months',
+        price: plan.price,
+        is_active: Boolean(plan.is_active),
+        package_ids: plan.package_ids || []
+      };
+    }
+
+    // Default values for new plan
+    return {
+      name: '',
+      description: '',
+      duration_count: 1,
+      duration_unit: 'months',
+      price: 0,
+      is_active: true,
+      package_ids: []
+    };
+  };
+
+  // Show loader while fetching plan data
+  if (isEditing && loading) {
+    return (
+      <Container className="py-5 text-center">
+        <Spinner animation="border" role="status" className="mb-3">
+          <span className="visually-hidden">Loading...</span>
+        </Spinner>
+        <p>Loading plan data...</p>
+      </Container>
+    );
+  }
+
+  // Show error if failed to load plan
+  if (isEditing && error && !plan) {
+    return (
+      <Container className="py-5">
+        <Alert variant="danger">
+          {error}
+          <div className="mt-3">
+            <Link to="/plans" className="btn btn-primary">Back to Plans</Link>
+          </div>
+        </Alert>
+      </Container>
+    );
+  }
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">{isEditing ? 'Edit Plan' : 'Add Plan'}</h1>
+        <Link to="/plans" className="btn btn-outline-secondary">
+          Back to Plans List
+        </Link>
+      </div>
+
+      <Card className="form-container">
+        <Card.Body>
+          <Formik
+            initialValues={getInitialValues()}
+            validationSchema={PlanSchema}
+            onSubmit={handleSubmit}
+            enableReinitialize={true}
+          >
+            {({
+              values,
+              errors,
+              touched,
+              handleChange,
+              handleBlur,
+              handleSubmit,
+              isSubmitting,
+              setFieldValue
+            }) => (
+              <Form onSubmit={handleSubmit}>
+                <Row>
+                  {/* Plan Name */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Name</Form.Label>
+                      <Form.Control
+                        type="text"
+                        name="name"
+                        value={values.name}
+                        onChange={handleChange}
+                        onBlur={handleBlur}
+                        isInvalid={touched.name && errors.name}
+                      />
+                      <Form.Control.Feedback type="invalid">
+                        {errors.name}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+
+                  {/* Active */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3 mt-4">
+                      <Form.Check
+                        type="switch"
+                        id="is_active"
+                        name="is_active"
+                        label="Offered for renewals"
+                        checked={values.is_active}
+                        onChange={handleChange}
+                      />
+                    </Form.Group>
+                  </Col>
+                </Row>
+
+                <Row>
+                  {/* Duration */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Duration</Form.Label>
+                      <div className="d-flex">
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          name="duration_count"
+                          value={values.duration_count}
+                          onChange={handleChange}
+                          onBlur={handleBlur}
+                          isInvalid={touched.duration_count && errors.duration_count}
+                          className="me-2"
+                        />
+                        <Form.Select
+                          name="duration_unit"
+                          value={values.duration_unit}
+                          onChange={handleChange}
+                          style={{ maxWidth: '140px' }}
+                        >
+                          <option value="months">Months</option>
+                          <option value="days">Days</option>
+                        </Form.Select>
+                      </div>
+                      {touched.duration_count && errors.duration_count && (
+                        <div className="text-danger small mt-1">
+                          {errors.duration_count}
+                        </div>
+                      )}
+                    </Form.Group>
+                  </Col>
+
+                  {/* Price */}
+                  <Col md={6}>
+                    <Form.Group className="mb-3">
+                      <Form.Label>Price</Form.Label>
+                      <Form.Control
+                        type="number"
+                        min="0"
+                        step="0.01"
+                        name="price"
+                        value={values.price}
+                        onChange={handleChange}
+                        onBlur={handleBlur}
+                        isInvalid={touched.price && errors.price}
+                      />
+                      <Form.Control.Feedback type="invalid">
+                        {errors.price}
+                      </Form.Control.Feedback>
+                    </Form.Group>
+                  </Col>
+                </Row>
+
+                {/* Description */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Description</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={2}
+                    name="description"
+                    value={values.description}
+                    onChange={handleChange}
+                    onBlur={handleBlur}
+                  />
+                </Form.Group>
+
+                {/* Packages */}
+                <Form.Group className="mb-3">
+                  <Form.Label>Packages</Form.Label>
+                  <div>
+                    {packages.map((pkg) => (
+                      <Form.Check
+                        key={pkg.id}
+                        inline
+                        type="checkbox"
+                        id={`package-${pkg.id}`}
+                        label={pkg.name}
+                        checked={values.package_ids.includes(pkg.id)}
+                        onChange={() => {
+                          const newPackages = values.package_ids.includes(pkg.id)
+                            ? values.package_ids.filter(p => p !== pkg.id)
+                            : [...values.package_ids, pkg.id];
+                          setFieldValue('package_ids', newPackages);
+                        }}
+                      />
+                    ))}
+                  </div>
+                  <Form.Text className="text-muted">
+                    Renewing with this plan replaces the device's packages with these. Leave empty to keep the device's current packages.
+                  </Form.Text>
+                </Form.Group>
+
+                {/* Form Buttons */}
+                <div className="d-flex justify-content-end mt-4">
+                  <Link to="/plans" className="btn btn-outline-secondary me-2">
+                    Cancel
+                  </Link>
+                  <Button
+                    type="submit"
+                    disabled={isSubmitting}
+                    variant="primary"
+                  >
+                    {isSubmitting ? (
+                      <>
+                        <Spinner
+                          as="span"
+                          animation="border"
+                          size="sm"
+                          role="status"
+                          aria-hidden="true"
+                          className="me-2"
+                        />
+                        Saving...
+                      </>
+                    ) : (
+                      isEditing ? 'Update Plan' : 'Create Plan'
+                    )}
+                  </Button>
+                </div>
+              </Form>
+            )}
+          </Formik>
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PlanForm;
@@ -0,0 +1,145 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Table, Badge, Dropdown, DropdownButton } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaPlus, FaEdit, FaTrash } from 'react-icons/fa';
+import { plansAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+import { useAuth } from '../../contexts/AuthContext';
+
+// Format a plan duration as "1 month", "12 months" or "7 days"
+export const formatDuration = (count, unit) => {
+  const label = unit === 'days' ? 'day' : 'month';
+  return `${count} ${label}${count === 1 ? '' : 's'}`;
+};
+
+const PlansList = () => {
+  const { can } = useAuth();
+  const [plans, setPlans] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Fetch plans
+  const fetchPlans = useCallback(async () => {
+    try {
+      setLoading(true);
+      const response = await plansAPI.getAllPlans();
+      setPlans(response.data.data);
+    } catch (error) {
+      console.error('Error fetching plans:', error);
+      toast.error('Failed to load plans');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load plans on component mount
+  useEffect(() => {
+    fetchPlans();
+  }, [fetchPlans]);
+
+  // Handle plan deletion
+  const handleDeletePlan = async (plan) => {
+    if (window.confirm(`Are you sure you want to delete plan "${plan.name}"? Past renewals stay in the device history.`)) {
+      try {
+        await plansAPI.deletePlan(plan.id);
+        toast.success('Plan deleted successfully');
+        fetchPlans(); // Refresh the list
+      } catch (error) {
+        console.error('Error deleting plan:', error);
+        toast.error('Failed to delete plan');
+      }
+    }
+  };
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Subscription Plans</h1>
+        {can('plans', 'edit') && (
+          <Link to="/plans/new" className="btn btn-primary">
+            <FaPlus className="me-2" /> Add Plan
+          </Link>
+        )}
+      </div>
+
+      {/* Plans Table */}
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading plans...</p>
+            </div>
+          ) : plans.length > 0 ? (
+            <Table responsive hover className="custom-table">
+              <thead>
+                <tr>
+                  <th>Name</th>
+                  <th>Duration</th>
+                  <th>Price</th>
+                  <th>Packages</th>
+                  <th>Renewals</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {plans.map((plan) => (
+                  <tr key={plan.id}>
+                    <td>
+                      {plan.name}
+                      {!plan.is_active && (
+                        <Badge bg="secondary" className="ms-2">Inactive</Badge>
+                      )}
+                    </td>
+                    <td>{formatDuration(plan.duration_count, plan.duration_unit)}</td>
+                    <td>{plan.price.toFixed(2)}</td>
+                    <td>{plan.package_names || <span className="text-muted">Keeps current packages</span>}</td>
+                    <td>{plan.renewal_count}</td>
+                    <td>
+                      {(can('plans', 'edit') || can('plans', 'delete')) && (
+                        <DropdownButton
+                          variant="outline-primary"
+                          size="sm"
+                          title="Actions"
+                        >
+                          {/* Edit Action */}
+                          {can('plans', 'edit') && (
+                            <Dropdown.Item as={Link} to={`/plans/edit/${plan.id}`}>
+                              <FaEdit className="me-2" /> Edit Plan
+                            </Dropdown.Item>
+                          )}
+
+                          {/* Delete Action */}
+                          {can('plans', 'delete') && (
+                            <Dropdown.Item
+                              className="text-danger"
+                              onClick={() => handleDeletePlan(plan)}
+                            >
+                              <FaTrash className="me-2" /> Delete Plan
+                            </Dropdown.Item>
+                          )}
+                        </DropdownButton>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          ) : (
+            <div className="text-center py-5">
+              <p className="text-muted">No plans found</p>
+              {can('plans', 'edit') && (
+                <Link to="/plans/new" className="btn btn-primary">
+                  <FaPlus className="me-2" /> Add Plan
+                </Link>
+              )}
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default PlansList;
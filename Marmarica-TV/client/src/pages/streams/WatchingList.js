@@ -0,0 +1,132 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Container, Card, Table, Button, Badge } from 'react-bootstrap';
+import { Link } from 'react-router-dom';
+import { FaSync } from 'react-icons/fa';
+import { streamsAPI } from '../../services/api';
+import { toast } from 'react-toastify';
+
+// How often the list refreshes itself
+const REFRESH_INTERVAL = 10 * 1000;
+
+// Format the time since a date, e.g. "1h 5m" or "40s"
+const formatSince = (date) => {
+  const seconds = Math.max(0, Math.floor((Date.now() - new Date(date).getTime()) / 1000));
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+
+  if (hours > 0) return `${hours}h ${minutes}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${seconds}s`;
+};
+
+const WatchingList = () => {
+  const [sessions, setSessions] = useState([]);
+  const [loading, setLoading] = useState(true);
+
+  // Fetch the streams being watched
+  const fetchSessions = useCallback(async () => {
+    try {
+      const response = await streamsAPI.getSessions();
+      setSessions(response.data.data);
+    } catch (error) {
+      console.error('Error fetching stream sessions:', error);
+      toast.error('Failed to load stream sessions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Load sessions on mount and keep them current
+  useEffect(() => {
+    fetchSessions();
+    const interval = setInterval(fetchSessions, REFRESH_INTERVAL);
+    return () => clearInterval(interval);
+  }, [fetchSessions]);
+
+  // Streams per device, to flag devices at their limit
+  const streamsPerDevice = sessions.reduce((counts, session) => {
+    counts[session.device_id] = (counts[session.device_id] || 0) + 1;
+    return counts;
+  }, {});
+
+  return (
+    <Container fluid>
+      <div className="d-flex justify-content-between align-items-center">
+        <h1 className="page-title">Now Watching</h1>
+        <Button variant="outline-primary" onClick={fetchSessions}>
+          <FaSync className="me-2" /> Refresh
+        </Button>
+      </div>
+
+      <Card>
+        <Card.Body>
+          {loading ? (
+            <div className="text-center py-5">
+              <div className="spinner-border text-primary" role="status">
+                <span className="visually-hidden">Loading...</span>
+              </div>
+              <p className="mt-2">Loading stream sessions...</p>
+            </div>
+          ) : sessions.length > 0 ? (
+            <>
+              <p className="text-muted">
+                {sessions.length} stream{sessions.length === 1 ? '' : 's'} playing right now
+              </p>
+              <Table responsive hover className="custom-table">
+                <thead>
+                  <tr>
+                    <th>Device</th>
+                    <th>Customer</th>
+                    <th>Channel</th>
+                    <th>Streams</th>
+                    <th>Address</th>
+                    <th>Player</th>
+                    <th>On Channel For</th>
+                    <th>Last Seen</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sessions.map((session) => (
+                    <tr key={session.id}>
+                      <td>
+                        <Link to={`/devices/edit/${session.device_id}`}>
+                          {session.owner_name || session.duid || `Device ${session.device_id}`}
+                        </Link>
+                        {session.duid && <div className="small text-muted">{session.duid}</div>}
+                      </td>
+                      <td>
+                        {session.customer_id ? (
+                          <Link to={`/customers/edit/${session.customer_id}`}>{session.customer_name}</Link>
+                        ) : '-'}
+                      </td>
+                      <td>
+                        <Link to={`/channels/edit/${session.channel_id}`}>
+                          {session.channel_name || `Channel ${session.channel_id}`}
+                        </Link>
+                      </td>
+                      <td>
+                        <Badge bg={streamsPerDevice[session.device_id] >= session.max_streams ? 'warning' : 'secondary'}>
+                          {streamsPerDevice[session.device_id]} / {session.max_streams}
+                        </Badge>
+                      </td>
+                      <td>{session.ip}</td>
+                      <td className="small text-muted">{session.user_agent || '-'}</td>
+                      <td>{formatSince(session.channel_started_at)}</td>
+                      <td>{formatSince(session.last_seen_at)} ago</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </Table>
+            </>
+          ) : (
+            <div className="text-center py-5">
+              <p className="text-muted">Nobody is watching right now</p>
+            </div>
+          )}
+        </Card.Body>
+      </Card>
+    </Container>
+  );
+};
+
+export default WatchingList;
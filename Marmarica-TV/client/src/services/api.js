@@ -130,8 +130,20 @@ const retryRequest = async (request, maxRetries = API_RETRIES) => {
 export const dashboardAPI = {
   getDashboardData: () => retryRequest(() => api.get('/dashboard')),
   getRecentActions: (limit = 20) => retryRequest(() => api.get(`/dashboard/actions?limit=${limit}`)),
+  getActions: (filters = {}, page = 1, pageSize = 50) => {
+    let queryParams = new URLSearchParams(filters);
+    queryParams.append('page', page);
+    queryParams.append('page_size', pageSize);
+
+    return retryRequest(() => api.get(`/dashboard/actions?${queryParams.toString()}`));
+  },
+  getActionFilters: () => retryRequest(() => api.get('/dashboard/actions/filters')),
+  // Large exports take a while to build, so allow longer than the normal timeout
+  exportActions: (filters = {}) => retryRequest(() => api.get(`/dashboard/actions/export?${new URLSearchParams(filters).toString()}`, {
+    responseType: 'blob',
+    timeout: API_TIMEOUT * 4
+  })),
   getExpiringDevices: (days = 7) => retryRequest(() => api.get(`/dashboard/expiring-devices?days=${days}`)),
-  clearActionHistory: () => retryRequest(() => api.delete('/dashboard/actions')),
 };
 
 // Devices API
@@ -140,6 +152,8 @@ export const devicesAPI = {
     let queryParams = new URLSearchParams();
     if (filters.status) queryParams.append('status', filters.status);
     if (filters.expiring) queryParams.append('expiring', filters.expiring);
+    if (filters.customer_id) queryParams.append('customer_id', filters.customer_id);
+    if (filters.pending) queryParams.append('pending', filters.pending);
     
     return retryRequest(() => api.get(`/devices?${queryParams.toString()}`));
   },
@@ -147,6 +161,13 @@ export const devicesAPI = {
   createDevice: (deviceData) => retryRequest(() => api.post('/devices', deviceData)),
   updateDevice: (id, deviceData) => retryRequest(() => api.put(`/devices/${id}`, deviceData)),
   deleteDevice: (id) => retryRequest(() => api.delete(`/devices/${id}`)),
+  getDeviceSubscriptions: (id) => retryRequest(() => api.get(`/devices/${id}/subscriptions`)),
+  renewDevice: (id, planId, notes) => retryRequest(() => api.post(`/devices/${id}/renew`, { plan_id: planId, notes })),
+  rotateDeviceToken: (id) => retryRequest(() => api.post(`/devices/${id}/token/rotate`)),
+  revokeDeviceToken: (id) => retryRequest(() => api.post(`/devices/${id}/token/revoke`)),
+  regenerateActivationCode: (id) => retryRequest(() => api.post(`/devices/${id}/activation-code`)),
+  approveDevices: (ids) => retryRequest(() => api.post('/devices/approve', { ids })),
+  rejectDevices: (ids) => retryRequest(() => api.post('/devices/reject', { ids })),
 };
 
 // Channels API
@@ -164,6 +185,8 @@ export const channelsAPI = {
   updateChannel: (id, channelData) => retryRequest(() => api.put(`/channels/${id}`, channelData)),
   deleteChannel: (id) => retryRequest(() => api.delete(`/channels/${id}`)),
   reorderChannels: (orderedIds) => retryRequest(() => api.post('/channels/reorder', { orderedIds })),
+  // Probing waits on the source, so allow longer than the normal timeout
+  probeSource: (url) => retryRequest(() => api.post('/channels/probe', { url }, { timeout: API_TIMEOUT * 2 })),
   uploadLogo: (id, logoFile) => {
     const formData = new FormData();
     formData.append('logo', logoFile);
@@ -207,6 +230,14 @@ export const transcodingAPI = {
   toggleTranscoding: (channelId, enabled) => retryRequest(() => api.post(`/transcoding/toggle/${channelId}`, { enabled })),
   getTranscodingHistory: (channelId, limit = 10) => retryRequest(() => api.get(`/transcoding/history/${channelId}?limit=${limit}`)),
   getTranscodingStats: () => retryRequest(() => api.get('/transcoding/stats')),
+  getMetrics: () => retryRequest(() => api.get('/transcoding/metrics')),
+  getChannelMetrics: (channelId) => retryRequest(() => api.get(`/transcoding/metrics/${channelId}`)),
+  getRenditions: () => retryRequest(() => api.get('/transcoding/renditions')),
+  getProfiles: () => retryRequest(() => api.get('/transcoding/profiles')),
+  getProfileById: (id) => retryRequest(() => api.get(`/transcoding/profiles/${id}`)),
+  createProfile: (profileData) => retryRequest(() => api.post('/transcoding/profiles', profileData)),
+  updateProfile: (id, profileData) => retryRequest(() => api.put(`/transcoding/profiles/${id}`, profileData)),
+  deleteProfile: (id) => retryRequest(() => api.delete(`/transcoding/profiles/${id}`)),
 };
 
 // Auth API
@@ -214,6 +245,16 @@ export const authAPI = {
   login: (credentials) => retryRequest(() => api.post('/auth/login', credentials)),
   logout: () => retryRequest(() => api.post('/auth/logout')),
   getSession: () => retryRequest(() => api.get('/auth/session')),
+  changePassword: (passwords) => retryRequest(() => api.post('/auth/change-password', passwords)),
+  verifyTwoFactor: (code) => retryRequest(() => api.post('/auth/login/verify', { code })),
+  getSessions: () => retryRequest(() => api.get('/auth/sessions')),
+  revokeSession: (id) => retryRequest(() => api.delete(`/auth/sessions/${id}`)),
+  revokeOtherSessions: () => retryRequest(() => api.delete('/auth/sessions')),
+  getTwoFactor: () => retryRequest(() => api.get('/auth/2fa')),
+  setupTwoFactor: () => retryRequest(() => api.post('/auth/2fa/setup')),
+  enableTwoFactor: (code) => retryRequest(() => api.post('/auth/2fa/enable', { code })),
+  disableTwoFactor: (password) => retryRequest(() => api.post('/auth/2fa/disable', { password })),
+  regenerateRecoveryCodes: (password) => retryRequest(() => api.post('/auth/2fa/recovery-codes', { password })),
 };
 
 // News API
@@ -230,4 +271,53 @@ export const newsAPI = {
   deleteNews: (id) => retryRequest(() => api.delete(`/news/${id}`)),
 };
 
+// Packages API
+export const packagesAPI = {
+  getAllPackages: () => retryRequest(() => api.get('/packages')),
+  getPackageById: (id) => retryRequest(() => api.get(`/packages/${id}`)),
+  createPackage: (packageData) => retryRequest(() => api.post('/packages', packageData)),
+  updatePackage: (id, packageData) => retryRequest(() => api.put(`/packages/${id}`, packageData)),
+  deletePackage: (id) => retryRequest(() => api.delete(`/packages/${id}`)),
+};
+
+// Subscription Plans API
+export const plansAPI = {
+  getAllPlans: (activeOnly = false) => retryRequest(() => api.get(`/plans${activeOnly ? '?active=true' : ''}`)),
+  getPlanById: (id) => retryRequest(() => api.get(`/plans/${id}`)),
+  createPlan: (planData) => retryRequest(() => api.post('/plans', planData)),
+  updatePlan: (id, planData) => retryRequest(() => api.put(`/plans/${id}`, planData)),
+  deletePlan: (id) => retryRequest(() => api.delete(`/plans/${id}`)),
+};
+
+// Customers API
+export const customersAPI = {
+  getAllCustomers: (search = '') => {
+    let queryParams = new URLSearchParams();
+    if (search) queryParams.append('search', search);
+    
+    return retryRequest(() => api.get(`/customers?${queryParams.toString()}`));
+  },
+  getCustomerById: (id) => retryRequest(() => api.get(`/customers/${id}`)),
+  createCustomer: (customerData) => retryRequest(() => api.post('/customers', customerData)),
+  updateCustomer: (id, customerData) => retryRequest(() => api.put(`/customers/${id}`, customerData)),
+  deleteCustomer: (id) => retryRequest(() => api.delete(`/customers/${id}`)),
+  getCustomerSubscriptions: (id) => retryRequest(() => api.get(`/customers/${id}/subscriptions`)),
+  renewCustomer: (id, planId, notes) => retryRequest(() => api.post(`/customers/${id}/renew`, { plan_id: planId, notes })),
+};
+
+// Stream Sessions API
+export const streamsAPI = {
+  getSessions: () => retryRequest(() => api.get('/streams/sessions')),
+};
+
+// Admins API
+export const adminsAPI = {
+  getAllAdmins: () => retryRequest(() => api.get('/admins')),
+  inviteAdmin: (adminData) => retryRequest(() => api.post('/admins', adminData)),
+  updateAdmin: (id, adminData) => retryRequest(() => api.put(`/admins/${id}`, adminData)),
+  resetPassword: (id) => retryRequest(() => api.post(`/admins/${id}/reset-password`)),
+  resetTwoFactor: (id) => retryRequest(() => api.post(`/admins/${id}/reset-2fa`)),
+  deleteAdmin: (id) => retryRequest(() => api.delete(`/admins/${id}`)),
+};
+
 export default api;
@@ -5,8 +5,8 @@ module.exports = {
       script: 'server/index.js',
       env: {
         NODE_ENV: 'production',
-        PORT: 5000,
-        SESSION_SECRET: 'Qw73o9Gx#h!sZm42nXvtp8bLaT@E0RuQj'  // Same as in .env
+        PORT: 5000
+        // SESSION_SECRET, DEVICE_TOKEN_SECRET and STREAM_TOKEN_SECRET are read from server/.env
       }
     },
     {
@@ -1,22 +1,75 @@
 const bcrypt = require('bcrypt');
 const { db } = require('../index');
+const permissionService = require('../services/permissions');
+const adminService = require('../services/admins');
+const twoFactorService = require('../services/twoFactor');
+const loginThrottle = require('../services/loginThrottle');
+const adminSessionService = require('../services/adminSessions');
+const { logAction } = require('../services/audit');
+
+// Configuration
+const TWO_FACTOR_LOGIN_TTL = 5 * 60 * 1000; // Time to enter the two-factor code after the password
+
+/**
+ * Admin details sent to the admin panel, with the permissions of the admin's role
+ */
+const formatAdmin = (admin) => ({
+  id: admin.id,
+  username: admin.username,
+  role: admin.role,
+  permissions: permissionService.getPermissions(admin.role),
+  must_change_password: Boolean(admin.must_change_password),
+  two_factor_enabled: Boolean(admin.totp_enabled)
+});
+
+/**
+ * Refuse a login attempt while the username or IP address is locked out
+ */
+const sendLockout = (res, lockout) => {
+  res.set('Retry-After', Math.ceil(lockout / 1000).toString());
+  res.status(429).json({
+    error: 'Too Many Requests',
+    message: `Too many failed login attempts. Please try again in ${Math.ceil(lockout / 60000)} minutes.`
+  });
+};
+
+/**
+ * Count a failed password or two-factor code, logging when it locks the login out
+ * The lockout is logged against the admin when the username belongs to one
+ */
+const recordFailedLogin = (req, username, admin = null) => {
+  if (loginThrottle.recordFailure(username, req.ip)) {
+    logAction(req, 'admin_login_locked', `Login for ${username} locked after too many failed attempts from ${req.ip}`, {
+      admin,
+      entityType: admin ? 'admin' : null,
+      entityId: admin ? admin.id : null
+    });
+  }
+};
 
 /**
- * Initialize admins table if it doesn't exist
+ * Log an admin in once every factor has been checked
+ * The session ID is regenerated so a session set up before login can't be reused
  */
-const initializeAuthTable = () => {
-  db.run(`CREATE TABLE IF NOT EXISTS admins (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    username TEXT UNIQUE NOT NULL,
-    password TEXT NOT NULL,
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )`, (err) => {
+const completeLogin = (req, res, admin) => {
+  loginThrottle.clearFailures(admin.username);
+
+  req.session.regenerate((err) => {
     if (err) {
-      console.error('Error creating admins table:', err.message);
-    } else {
-      console.log('Admins table initialized');
+      console.error('Error regenerating session:', err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error during login'
+      });
     }
+
+    adminSessionService.startSession(req, admin);
+
+    // Return success without sensitive data
+    res.json({
+      message: 'Login successful',
+      admin: formatAdmin(admin)
+    });
   });
 };
 
@@ -33,6 +86,11 @@ const login = (req, res) => {
     });
   }
 
+  const lockout = loginThrottle.getLockout(username, req.ip);
+  if (lockout > 0) {
+    return sendLockout(res, lockout);
+  }
+
   // Find admin by username
   db.get('SELECT * FROM admins WHERE username = ?', [username], async (err, admin) => {
     if (err) {
@@ -44,6 +102,7 @@ const login = (req, res) => {
     }
 
     if (!admin) {
+      recordFailedLogin(req, username);
       return res.status(401).json({
         error: 'Unauthorized',
         message: 'Invalid credentials'
@@ -55,25 +114,35 @@ const login = (req, res) => {
       const match = await bcrypt.compare(password, admin.password);
       
       if (!match) {
+        recordFailedLogin(req, username, admin);
         return res.status(401).json({
           error: 'Unauthorized',
           message: 'Invalid credentials'
         });
       }
 
-      // Set session
-      req.session.isAuthenticated = true;
-      req.session.adminId = admin.id;
-      req.session.username = admin.username;
+      if (admin.disabled) {
+        return res.status(403).json({
+          error: 'Forbidden',
+          message: 'This account has been disabled'
+        });
+      }
 
-      // Return success without sensitive data
-      res.json({
-        message: 'Login successful',
-        admin: {
-          id: admin.id,
-          username: admin.username
-        }
-      });
+      // With two-factor authentication the session waits for the code before it's logged in
+      if (admin.totp_enabled) {
+        req.session.pendingTwoFactor = {
+          adminId: admin.id,
+          username: admin.username,
+          expiresAt: Date.now() + TWO_FACTOR_LOGIN_TTL
+        };
+
+        return res.json({
+          message: 'Two-factor code required',
+          two_factor_required: true
+        });
+      }
+
+      completeLogin(req, res, admin);
 
     } catch (error) {
       console.error('Error comparing passwords:', error);
@@ -85,6 +154,81 @@ const login = (req, res) => {
   });
 };
 
+/**
+ * Second login step for admins with two-factor authentication
+ * Accepts a code from the authenticator app or a recovery code
+ */
+const verifyTwoFactor = (req, res) => {
+  const pending = req.session && req.session.pendingTwoFactor;
+  const { code } = req.body;
+
+  if (!pending || pending.expiresAt < Date.now()) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Your login has expired. Please enter your password again.'
+    });
+  }
+
+  if (!code) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Two-factor code is required'
+    });
+  }
+
+  const lockout = loginThrottle.getLockout(pending.username, req.ip);
+  if (lockout > 0) {
+    return sendLockout(res, lockout);
+  }
+
+  db.get('SELECT * FROM admins WHERE id = ?', [pending.adminId], async (err, admin) => {
+    if (err) {
+      console.error('Database error during two-factor login:', err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error during login'
+      });
+    }
+
+    if (!admin || admin.disabled || !admin.totp_enabled) {
+      delete req.session.pendingTwoFactor;
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Your login has expired. Please enter your password again.'
+      });
+    }
+
+    try {
+      const method = await twoFactorService.verifySecondFactor(admin, String(code).trim());
+
+      if (!method) {
+        recordFailedLogin(req, admin.username, admin);
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Invalid two-factor code'
+        });
+      }
+
+      if (method === 'recovery') {
+        logAction(req, 'admin_recovery_code_used', `Admin ${admin.username} logged in with a recovery code`, {
+          admin,
+          entityType: 'admin',
+          entityId: admin.id
+        });
+      }
+
+      completeLogin(req, res, admin);
+
+    } catch (error) {
+      console.error('Error verifying two-factor code:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error during login'
+      });
+    }
+  });
+};
+
 /**
  * Handle admin logout
  */
@@ -106,26 +250,199 @@ const logout = (req, res) => {
  * Get current admin session info
  */
 const getSession = (req, res) => {
-  if (req.session && req.session.isAuthenticated) {
+  if (!req.session || !req.session.isAuthenticated) {
+    return res.json({
+      isAuthenticated: false,
+      admin: null
+    });
+  }
+
+  // Read the admin again so the panel sees role changes
+  db.get('SELECT id, username, role, disabled, must_change_password, totp_enabled FROM admins WHERE id = ?', [req.session.adminId], (err, admin) => {
+    if (err) {
+      console.error('Database error while reading session:', err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error reading session'
+      });
+    }
+
+    if (!admin || admin.disabled) {
+      return res.json({
+        isAuthenticated: false,
+        admin: null
+      });
+    }
+
     res.json({
       isAuthenticated: true,
-      admin: {
-        id: req.session.adminId,
-        username: req.session.username
+      admin: formatAdmin(admin)
+    });
+  });
+};
+
+/**
+ * Change the logged in admin's password
+ * Needs the current password; also replaces a temporary password after an invite or reset
+ */
+const changePassword = (req, res) => {
+  const { current_password, new_password } = req.body;
+
+  if (!current_password || !new_password) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Current and new passwords are required'
+    });
+  }
+
+  try {
+    adminService.validatePassword(new_password);
+  } catch (error) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: error.message
+    });
+  }
+
+  db.get('SELECT * FROM admins WHERE id = ?', [req.session.adminId], async (err, admin) => {
+    if (err) {
+      console.error('Database error while changing password:', err);
+      return res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error changing password'
+      });
+    }
+
+    if (!admin || admin.disabled) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    try {
+      const match = await bcrypt.compare(current_password, admin.password);
+
+      if (!match) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'Current password is incorrect'
+        });
+      }
+
+      if (await bcrypt.compare(new_password, admin.password)) {
+        return res.status(400).json({
+          error: 'Bad Request',
+          message: 'New password must be different from the current password'
+        });
       }
+
+      await adminService.setPassword(admin.id, new_password, false);
+
+      // Sessions elsewhere may have been opened with the old password
+      await adminSessionService.destroyAdminSessions(req.sessionStore, admin.id, { keepSid: req.sessionID });
+
+      // Log action
+      logAction(req, 'admin_password_changed', `Admin ${admin.username} changed their password`, {
+        entityType: 'admin',
+        entityId: admin.id
+      });
+
+      res.json({
+        message: 'Password changed successfully',
+        admin: formatAdmin({ ...admin, must_change_password: 0 })
+      });
+
+    } catch (error) {
+      console.error('Error changing password:', error);
+      res.status(500).json({
+        error: 'Internal Server Error',
+        message: 'Error changing password'
+      });
+    }
+  });
+};
+
+/**
+ * List the logged in admin's sessions
+ */
+const listSessions = async (req, res) => {
+  try {
+    res.json({ data: await adminSessionService.listSessions(req.sessionStore, req.session.adminId, req.sessionID) });
+  } catch (error) {
+    console.error('Error listing sessions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Error listing sessions'
     });
-  } else {
-    res.json({
-      isAuthenticated: false,
-      admin: null
+  }
+};
+
+/**
+ * End one of the logged in admin's other sessions
+ * The current session is ended by logging out
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const revoked = await adminSessionService.destroyAdminSessions(req.sessionStore, req.session.adminId, {
+      keepSid: req.sessionID,
+      publicId: req.params.id
+    });
+
+    if (revoked === 0) {
+      return res.status(404).json({
+        error: 'Not Found',
+        message: 'Session not found'
+      });
+    }
+
+    logAction(req, 'admin_session_revoked', `Admin ${req.session.username} ended one of their sessions`, {
+      entityType: 'admin',
+      entityId: req.session.adminId
+    });
+    res.json({ message: 'Session ended successfully' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Error ending session'
+    });
+  }
+};
+
+/**
+ * End all of the logged in admin's sessions except the current one
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const revoked = await adminSessionService.destroyAdminSessions(req.sessionStore, req.session.adminId, {
+      keepSid: req.sessionID
+    });
+
+    if (revoked > 0) {
+      logAction(req, 'admin_session_revoked', `Admin ${req.session.username} ended ${revoked} other session(s)`, {
+        entityType: 'admin',
+        entityId: req.session.adminId
+      });
+    }
+    res.json({ message: `${revoked} session(s) ended` });
+  } catch (error) {
+    console.error('Error revoking sessions:', error);
+    res.status(500).json({
+      error: 'Internal Server Error',
+      message: 'Error ending sessions'
     });
   }
 };
 
 // Export controller functions
 module.exports = {
-  initializeAuthTable,
   login,
+  verifyTwoFactor,
   logout,
-  getSession
+  getSession,
+  changePassword,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
 };
@@ -0,0 +1,194 @@
+const bcrypt = require('bcrypt');
+const { db } = require('../index');
+const totp = require('../services/totp');
+const twoFactorService = require('../services/twoFactor');
+const { logAction } = require('../services/audit');
+
+/**
+ * Get the logged in admin, including the two-factor columns
+ */
+const getCurrentAdmin = (req) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM admins WHERE id = ?', [req.session.adminId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+/**
+ * Send a 500 response for an unexpected error
+ */
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  res.status(500).json({
+    error: 'Internal Server Error',
+    message
+  });
+};
+
+/**
+ * Get the logged in admin's two-factor status
+ */
+const getStatus = async (req, res) => {
+  try {
+    const admin = await getCurrentAdmin(req);
+
+    res.json({
+      data: {
+        enabled: Boolean(admin.totp_enabled),
+        recovery_codes_left: twoFactorService.countRecoveryCodes(admin)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error reading two-factor status');
+  }
+};
+
+/**
+ * Start enrolment: generate a secret for the authenticator app
+ * The secret is kept in the session until the admin confirms it with a code
+ */
+const setup = async (req, res) => {
+  try {
+    const admin = await getCurrentAdmin(req);
+
+    if (admin.totp_enabled) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const secret = totp.generateSecret();
+    req.session.pendingTotpSecret = secret;
+
+    res.json({
+      data: {
+        secret,
+        otpauth_url: totp.getOtpauthUrl(admin.username, secret)
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error setting up two-factor authentication');
+  }
+};
+
+/**
+ * Finish enrolment with a code from the authenticator app
+ * Returns the recovery codes, which are only shown once
+ */
+const enable = async (req, res) => {
+  const secret = req.session.pendingTotpSecret;
+
+  if (!secret) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Start two-factor setup first'
+    });
+  }
+
+  const step = totp.verifyCode(secret, req.body.code);
+  if (step === null) {
+    return res.status(400).json({
+      error: 'Bad Request',
+      message: 'Invalid code. Check the time on your phone and try again.'
+    });
+  }
+
+  try {
+    const recoveryCodes = await twoFactorService.enable(req.session.adminId, secret, step);
+    delete req.session.pendingTotpSecret;
+
+    logAction(req, 'admin_2fa_enabled', `Admin ${req.session.username} enabled two-factor authentication`, {
+      entityType: 'admin',
+      entityId: req.session.adminId
+    });
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error enabling two-factor authentication');
+  }
+};
+
+/**
+ * Check the password sent to confirm a change to two-factor settings
+ * Sends the error response and resolves to null when it's wrong
+ */
+const confirmPassword = async (req, res) => {
+  const admin = await getCurrentAdmin(req);
+
+  if (!req.body.password || !(await bcrypt.compare(req.body.password, admin.password))) {
+    res.status(400).json({
+      error: 'Bad Request',
+      message: 'Password is incorrect'
+    });
+    return null;
+  }
+
+  return admin;
+};
+
+/**
+ * Turn off two-factor authentication; needs the admin's password
+ */
+const disable = async (req, res) => {
+  try {
+    const admin = await confirmPassword(req, res);
+    if (!admin) return;
+
+    await twoFactorService.disable(admin.id);
+
+    logAction(req, 'admin_2fa_disabled', `Admin ${admin.username} disabled two-factor authentication`, {
+      entityType: 'admin',
+      entityId: admin.id
+    });
+
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    sendError(res, error, 'Error disabling two-factor authentication');
+  }
+};
+
+/**
+ * Replace the recovery codes; needs the admin's password
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const admin = await confirmPassword(req, res);
+    if (!admin) return;
+
+    if (!admin.totp_enabled) {
+      return res.status(400).json({
+        error: 'Bad Request',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(admin);
+
+    logAction(req, 'admin_recovery_codes_regenerated', `Admin ${admin.username} generated new recovery codes`, {
+      entityType: 'admin',
+      entityId: admin.id
+    });
+
+    res.json({
+      message: 'New recovery codes generated',
+      data: { recovery_codes: recoveryCodes }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error generating recovery codes');
+  }
+};
+
+// Export controller functions
+module.exports = {
+  getStatus,
+  setup,
+  enable,
+  disable,
+  regenerateRecoveryCodes
+};
@@ -1,8 +1,8 @@
-require('dotenv').config();
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '.env') });
 const express = require('express');
 const cors = require('cors');
 const bodyParser = require('body-parser');
-const path = require('path');
 const sqlite3 = require('sqlite3').verbose();
 const fs = require('fs');
 const session = require('express-session');
@@ -15,6 +15,19 @@ const NODE_ENV = process.env.NODE_ENV || 'development';
 const UPLOAD_DIR = process.env.UPLOAD_DIR || 'uploads';
 const CORS_ORIGIN = process.env.CORS_ORIGIN || 'http://192.168.100.232:3000';
 const API_URL = process.env.API_URL || `http://192.168.100.232:${PORT}`;
+const SESSION_MAX_AGE = parseInt(process.env.SESSION_MAX_AGE) || 12 * 60 * 60 * 1000; // 12 hours after login
+const SESSION_IDLE_TIMEOUT = parseInt(process.env.SESSION_IDLE_TIMEOUT) || 60 * 60 * 1000; // 1 hour without requests
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false'; // Apply pending database migrations on startup
+const SESSION_SECRET = process.env.SESSION_SECRET;
+// Session cookies signed with a known value could be forged for any admin, so the secret has no default
+if (!SESSION_SECRET) {
+  throw new Error('SESSION_SECRET must be set to sign admin sessions');
+}
+
+// Behind a reverse proxy, req.ip should be the client's address (used by rate limits and stream sessions)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', process.env.TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors({
@@ -27,25 +40,9 @@ app.use(cookieParser());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
 
-// Session configuration
-app.use(session({
-  secret: process.env.SESSION_SECRET || 'your-secret-key',
-  resave: false,
-  saveUninitialized: false,
-  cookie: {
-    httpOnly: true,
-    secure: false, // Since we're not using HTTPS
-    maxAge: 12 * 60 * 60 * 1000 // 12 hours
-  }
-}));
-
 // Serve uploaded files
 app.use('/uploads', express.static(path.join(__dirname, UPLOAD_DIR)));
 
-// Serve HLS streams
-const HLS_OUTPUT_BASE = process.env.HLS_OUTPUT_BASE || '/var/www/html/hls_stream';
-app.use('/hls_stream', express.static(HLS_OUTPUT_BASE));
-
 // Log server configuration
 console.log(`Server starting in ${NODE_ENV} mode`);
 console.log(`Port: ${PORT}`);
@@ -58,86 +55,36 @@ const db = new sqlite3.Database(dbPath, (err) => {
     console.error('Error connecting to database:', err.message);
   } else {
     console.log('Connected to the SQLite database');
-    initializeDatabase();
   }
 });
 
-// Initialize database tables if they don't exist
-function initializeDatabase() {
-  // Create devices table
-  db.run(`CREATE TABLE IF NOT EXISTS devices (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    duid TEXT UNIQUE NOT NULL,
-    activation_code TEXT NOT NULL,
-    owner_name TEXT NOT NULL,
-    allowed_types TEXT NOT NULL DEFAULT 'FTA,Local',
-    expiry_date TEXT NOT NULL,
-    status TEXT NOT NULL DEFAULT 'disabled',
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating devices table:', err.message);
-    } else {
-      console.log('Devices table initialized');
-    }
-  });
-
-  // Create channels table
-  db.run(`CREATE TABLE IF NOT EXISTS channels (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    name TEXT NOT NULL,
-    url TEXT NOT NULL,
-    logo_url TEXT,
-    type TEXT NOT NULL,
-    category TEXT NOT NULL,
-    has_news BOOLEAN NOT NULL DEFAULT 0,
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating channels table:', err.message);
-    } else {
-      console.log('Channels table initialized');
-    }
-  });
-
-  // Create news table
-  db.run(`CREATE TABLE IF NOT EXISTS news (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    title TEXT NOT NULL,
-    body TEXT NOT NULL,
-    created_at TEXT NOT NULL,
-    updated_at TEXT NOT NULL
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating news table:', err.message);
-    } else {
-      console.log('News table initialized');
-    }
-  });
+// Create uploads directory if it doesn't exist
+const uploadsDir = path.join(__dirname, 'uploads');
+if (!fs.existsSync(uploadsDir)) {
+  fs.mkdirSync(uploadsDir, { recursive: true });
+  console.log('Uploads directory created');
+}
 
-  // Create actions table for logging system activities
-  db.run(`CREATE TABLE IF NOT EXISTS actions (
-    id INTEGER PRIMARY KEY AUTOINCREMENT,
-    action_type TEXT NOT NULL,
-    description TEXT NOT NULL,
-    created_at TEXT NOT NULL
-  )`, (err) => {
-    if (err) {
-      console.error('Error creating actions table:', err.message);
-    } else {
-      console.log('Actions table initialized');
-    }
-  });
+// Session configuration
+// Sessions are kept in the database so admins stay logged in across restarts
+const { SQLiteSessionStore } = require('./services/sessionStore');
+const sessionStore = new SQLiteSessionStore({
+  db,
+  idleTimeout: SESSION_IDLE_TIMEOUT,
+  maxAge: SESSION_MAX_AGE
+});
 
-  // Create uploads directory if it doesn't exist
-  const uploadsDir = path.join(__dirname, 'uploads');
-  if (!fs.existsSync(uploadsDir)) {
-    fs.mkdirSync(uploadsDir, { recursive: true });
-    console.log('Uploads directory created');
+app.use(session({
+  secret: SESSION_SECRET,
+  store: sessionStore,
+  resave: false,
+  saveUninitialized: false,
+  cookie: {
+    httpOnly: true,
+    secure: false, // Since we're not using HTTPS
+    maxAge: SESSION_MAX_AGE
   }
-}
+}));
 
 // Export db for use in controllers
 module.exports.db = db;
@@ -150,21 +97,31 @@ const dashboardRoutes = require('./routes/dashboard');
 const clientRoutes = require('./routes/client');
 const authRoutes = require('./routes/auth');
 const transcodingRoutes = require('./routes/transcoding');
-
-// Initialize auth table
-const { initializeAuthTable } = require('./controllers/auth');
-initializeAuthTable();
+const packageRoutes = require('./routes/packages');
+const planRoutes = require('./routes/plans');
+const customerRoutes = require('./routes/customers');
+const streamRoutes = require('./routes/streams');
+const adminRoutes = require('./routes/admins');
 
 // Auth middleware
-const { isAuthenticated } = require('./middleware/auth');
+const { isAuthenticated, requirePermission, isStreamAuthorized } = require('./middleware/auth');
+
+// Serve HLS streams behind the stream URL signature check
+const HLS_OUTPUT_BASE = process.env.HLS_OUTPUT_BASE || '/var/www/html/hls_stream';
+app.use('/hls_stream', isStreamAuthorized, express.static(HLS_OUTPUT_BASE));
 
 // Use routes
 app.use('/api/auth', authRoutes);
-app.use('/api/devices', isAuthenticated, deviceRoutes);
-app.use('/api/channels', isAuthenticated, channelRoutes);
-app.use('/api/news', isAuthenticated, newsRoutes);
-app.use('/api/dashboard', isAuthenticated, dashboardRoutes);
-app.use('/api/transcoding', isAuthenticated, transcodingRoutes);
+app.use('/api/devices', isAuthenticated, requirePermission('devices'), deviceRoutes);
+app.use('/api/channels', isAuthenticated, requirePermission('channels'), channelRoutes);
+app.use('/api/news', isAuthenticated, requirePermission('news'), newsRoutes);
+app.use('/api/dashboard', isAuthenticated, requirePermission('dashboard'), dashboardRoutes);
+app.use('/api/transcoding', isAuthenticated, requirePermission('transcoding'), transcodingRoutes);
+app.use('/api/packages', isAuthenticated, requirePermission('packages'), packageRoutes);
+app.use('/api/plans', isAuthenticated, requirePermission('plans'), planRoutes);
+app.use('/api/customers', isAuthenticated, requirePermission('customers'), customerRoutes);
+app.use('/api/streams', isAuthenticated, requirePermission('streams'), streamRoutes);
+app.use('/api/admins', isAuthenticated, requirePermission('admins'), adminRoutes);
 app.use('/api/client', clientRoutes); // Client routes remain open
 
 // Health check route
@@ -248,8 +205,33 @@ function checkExpiredDevices() {
 // Initialize transcoding service
 const transcodingService = require('./services/transcoding');
 
+// Initialize source availability checks
+const availabilityService = require('./services/availability');
+
+// Initialize FFmpeg resource metrics
+const metricsService = require('./services/metrics');
+
+// Audit log retention
+const auditService = require('./services/audit');
+
+// Database schema migrations
+const migrationService = require('./services/migrations');
+
+// Bring the database schema up to date before taking requests
+const prepareDatabase = async () => {
+  if (AUTO_MIGRATE) {
+    await migrationService.migrate(db);
+    return;
+  }
+
+  const pending = (await migrationService.getStatus(db)).filter(migration => !migration.applied_at);
+  if (pending.length > 0) {
+    console.warn(`${pending.length} database migration(s) pending; run "node scripts/migrate.js up"`);
+  }
+};
+
 // Start server
-app.listen(PORT, async () => {
+const startServer = () => app.listen(PORT, async () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`API available at ${API_URL}/api`);
   console.log(`CORS enabled for origin: ${CORS_ORIGIN}`);
@@ -262,8 +244,27 @@ app.listen(PORT, async () => {
   
   // Initialize transcoding service
   await transcodingService.initializeTranscoding();
+  
+  // Start periodic source availability checks for all channels
+  availabilityService.startAvailabilityChecks();
+  
+  // Start sampling CPU and memory usage of FFmpeg processes
+  metricsService.startMetricsSampler();
+  
+  // Delete expired admin sessions periodically
+  sessionStore.startPruning();
+  
+  // Delete actions past their retention period
+  auditService.startRetention();
 });
 
+prepareDatabase()
+  .then(startServer)
+  .catch((error) => {
+    console.error('Error migrating database:', error.message);
+    process.exit(1);
+  });
+
 // Handle shutdown gracefully
 process.on('SIGINT', async () => {
   console.log('Received SIGINT, shutting down gracefully...');
@@ -271,6 +272,18 @@ process.on('SIGINT', async () => {
   // Cleanup transcoding processes
   await transcodingService.cleanup();
   
+  // Stop source availability checks
+  availabilityService.stopAvailabilityChecks();
+  
+  // Stop FFmpeg metrics sampling
+  metricsService.stopMetricsSampler();
+  
+  // Stop session pruning
+  sessionStore.stopPruning();
+  
+  // Stop action retention
+  auditService.stopRetention();
+  
   // Close database connection
   db.close((err) => {
     if (err) {
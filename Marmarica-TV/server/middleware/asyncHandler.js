@@ -0,0 +1,16 @@
+/**
+ * Wrap an async route handler so a rejected promise answers 500 with { error }
+ * instead of leaving the request hanging
+ */
+function asyncHandler(fn) {
+  return (req, res, next) => {
+    Promise.resolve(fn(req, res, next)).catch(err => {
+      console.error('Route error:', err);
+      res.status(500).json({ error: err.message || 'Internal server error' });
+    });
+  };
+}
+
+module.exports = {
+  asyncHandler
+};
@@ -2,9 +2,17 @@
  * Authentication middleware for protecting admin routes
  */
 
+const { db } = require('../index');
+const permissionService = require('../services/permissions');
+const adminSessionService = require('../services/adminSessions');
+const deviceTokenService = require('../services/deviceTokens');
+const streamTokenService = require('../services/streamTokens');
+const streamSessionService = require('../services/streamSessions');
+
 const isAuthenticated = (req, res, next) => {
   // Check if user is authenticated via session
   if (req.session && req.session.isAuthenticated) {
+    adminSessionService.touchSession(req);
     return next();
   }
   
@@ -15,7 +23,184 @@ const isAuthenticated = (req, res, next) => {
   });
 };
 
+/**
+ * Permission middleware for admin routers, used after isAuthenticated
+ * GET requests need the resource's 'view' permission, DELETE requests 'delete' and the rest 'edit',
+ * unless a route passes the action it needs
+ * The admin is read from the database on every request so role changes and disabled accounts apply immediately
+ * Sets req.admin to { id, username, role, disabled, must_change_password }
+ */
+const requirePermission = (resource, action) => async (req, res, next) => {
+  try {
+    const admin = await new Promise((resolve, reject) => {
+      db.get('SELECT id, username, role, disabled, must_change_password FROM admins WHERE id = ?', [req.session.adminId], (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+    if (!admin || admin.disabled) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Authentication required'
+      });
+    }
+
+    // Admins with a temporary password must replace it before doing anything else
+    if (admin.must_change_password) {
+      return res.status(403).json({
+        error: 'Password change required',
+        message: 'Please change your temporary password to continue'
+      });
+    }
+
+    const neededAction = action || permissionService.getRequestAction(req.method);
+    if (!permissionService.hasPermission(admin.role, resource, neededAction)) {
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: `Your role (${admin.role}) is not allowed to ${neededAction} ${resource}`
+      });
+    }
+
+    req.admin = admin;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Authentication middleware for client (device) routes
+ * Sets req.device from the device token in the Authorization header, or from the
+ * DUID in the body when ALLOW_DUID_AUTH is enabled for clients without tokens
+ */
+const isDeviceAuthenticated = async (req, res, next) => {
+  try {
+    const token = deviceTokenService.getRequestToken(req);
+
+    if (token) {
+      const device = await deviceTokenService.authenticate(token);
+
+      if (!device || (req.body.duid && req.body.duid !== device.duid)) {
+        return res.status(401).json({
+          error: 'Invalid device token',
+          message: 'Your device token is no longer valid. Please activate your device again.'
+        });
+      }
+
+      req.device = device;
+      return next();
+    }
+
+    if (!deviceTokenService.ALLOW_DUID_AUTH) {
+      return res.status(401).json({
+        error: 'Device token required',
+        message: 'Please activate your device to continue.'
+      });
+    }
+
+    // Compatibility flow: identify the device by its DUID alone
+    const { duid } = req.body;
+
+    if (!duid) {
+      return res.status(400).json({ error: 'Device ID (DUID) is required' });
+    }
+
+    const device = await deviceTokenService.getDeviceByDuid(duid);
+
+    if (!device) {
+      return res.status(404).json({
+        error: 'Device not registered',
+        message: 'Device not registered. Please register your device first.'
+      });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
+/**
+ * Signature check for the /hls_stream static handler
+ * Signed URLs look like /hls_stream/<device id>.<token version>.<expires>.<signature>/channel_<id>/...
+ * The token is checked against the channel, its expiry, the device's current token version and access,
+ * then stripped so the static handler serves the file under channel_<id>/
+ * Playlist requests are tracked as stream sessions and held to the device and customer stream limits
+ * Plain URLs are only served to logged in admins, or to anyone when ALLOW_UNSIGNED_STREAMS is enabled
+ */
+const isStreamAuthorized = async (req, res, next) => {
+  const deny = (error) => res.status(403).json({ error });
+
+  try {
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(req.path);
+    } catch (error) {
+      return deny('Invalid stream URL');
+    }
+
+    // Never let a path climb out of the channel directory it was signed for
+    if (requestPath.includes('\\') || requestPath.split('/').includes('..')) {
+      return deny('Invalid stream URL');
+    }
+
+    if (/^\/channel_\d+\//.test(requestPath)) {
+      if ((req.session && req.session.isAuthenticated) || streamTokenService.ALLOW_UNSIGNED_STREAMS) {
+        return next();
+      }
+      return deny('Stream URL is not signed');
+    }
+
+    const match = requestPath.match(/^\/([^/]+)\/channel_(\d+)\//);
+    if (!match || !req.url.startsWith(`/${match[1]}/`)) {
+      return deny('Invalid stream URL');
+    }
+
+    const [, token, channelId] = match;
+    const payload = streamTokenService.verifyStreamToken(token, channelId);
+    if (!payload) {
+      return deny('Invalid stream URL');
+    }
+
+    if (payload.expires * 1000 < Date.now()) {
+      return deny('Stream URL expired');
+    }
+
+    const access = await streamTokenService.getStreamAccess(payload.deviceId);
+    if (access.tokenVersion !== payload.version) {
+      return deny('Stream URL was revoked');
+    }
+
+    if (!access.channelIds.has(Number(channelId))) {
+      return deny('Device is not allowed to watch this channel');
+    }
+
+    if (requestPath.endsWith('.m3u8')) {
+      const limitError = streamSessionService.trackPlaylistRequest({
+        deviceId: payload.deviceId,
+        channelId: Number(channelId),
+        ip: req.ip,
+        userAgent: req.get('User-Agent')
+      }, access);
+
+      if (limitError) {
+        return deny(limitError);
+      }
+    }
+
+    req.url = req.url.slice(token.length + 1);
+    next();
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+};
+
 // Export middleware
 module.exports = {
-  isAuthenticated
+  isAuthenticated,
+  requirePermission,
+  isDeviceAuthenticated,
+  isStreamAuthorized
 };
@@ -0,0 +1,86 @@
+/**
+ * Rate limiting middleware for the public client API
+ * Counts requests per key in fixed windows, kept in memory
+ */
+
+// Configuration
+const CLIENT_RATE_LIMIT_WINDOW = parseInt(process.env.CLIENT_RATE_LIMIT_WINDOW) || 60 * 1000; // 1 minute
+const CLIENT_RATE_LIMIT_PER_IP = parseInt(process.env.CLIENT_RATE_LIMIT_PER_IP) || 300; // Generous, many boxes can share one address
+const CLIENT_RATE_LIMIT_PER_DUID = parseInt(process.env.CLIENT_RATE_LIMIT_PER_DUID) || 30;
+const REGISTRATION_RATE_LIMIT_WINDOW = parseInt(process.env.REGISTRATION_RATE_LIMIT_WINDOW) || 60 * 60 * 1000; // 1 hour
+const REGISTRATION_RATE_LIMIT_PER_IP = parseInt(process.env.REGISTRATION_RATE_LIMIT_PER_IP) || 10;
+
+// Build a limiter allowing max requests per key in each window
+// keyGenerator returns the key for a request, or nothing to skip the limit
+const createRateLimiter = ({ windowMs, max, keyGenerator, message }) => {
+  // key -> { count, resetAt }
+  const hits = new Map();
+  let lastPrune = Date.now();
+
+  return (req, res, next) => {
+    const key = keyGenerator(req);
+    if (!key) {
+      return next();
+    }
+
+    const now = Date.now();
+
+    // Drop finished windows now and then so the map doesn't grow with one-off keys
+    if (now - lastPrune > windowMs) {
+      for (const [otherKey, entry] of hits) {
+        if (entry.resetAt <= now) {
+          hits.delete(otherKey);
+        }
+      }
+      lastPrune = now;
+    }
+
+    let entry = hits.get(key);
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+    entry.count++;
+
+    if (entry.count > max) {
+      res.set('Retry-After', Math.ceil((entry.resetAt - now) / 1000).toString());
+      return res.status(429).json({
+        error: 'Too many requests',
+        message
+      });
+    }
+
+    next();
+  };
+};
+
+// All client routes, per IP address
+const clientIpLimiter = createRateLimiter({
+  windowMs: CLIENT_RATE_LIMIT_WINDOW,
+  max: CLIENT_RATE_LIMIT_PER_IP,
+  keyGenerator: (req) => req.ip,
+  message: 'Too many requests from your network. Please try again in a minute.'
+});
+
+// Client routes per device, from the device token or the DUID in the body
+const clientDuidLimiter = createRateLimiter({
+  windowMs: CLIENT_RATE_LIMIT_WINDOW,
+  max: CLIENT_RATE_LIMIT_PER_DUID,
+  keyGenerator: (req) => (req.device ? req.device.duid : req.body && req.body.duid),
+  message: 'Too many requests from this device. Please try again in a minute.'
+});
+
+// Device registration per IP address, which is what fills the devices table when abused
+const registrationLimiter = createRateLimiter({
+  windowMs: REGISTRATION_RATE_LIMIT_WINDOW,
+  max: REGISTRATION_RATE_LIMIT_PER_IP,
+  keyGenerator: (req) => req.ip,
+  message: 'Too many devices registered from your network. Please try again later.'
+});
+
+module.exports = {
+  createRateLimiter,
+  clientIpLimiter,
+  clientDuidLimiter,
+  registrationLimiter
+};
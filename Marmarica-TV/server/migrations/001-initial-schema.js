@@ -0,0 +1,63 @@
+const { run } = require('../services/migrations');
+
+// Tables the server created at startup before migrations existed
+// (initializeDatabase in index.js and initializeAuthTable in controllers/auth.js)
+// IF NOT EXISTS keeps this safe on databases created by those functions
+
+const up = async (db) => {
+  await run(db, `CREATE TABLE IF NOT EXISTS devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    duid TEXT UNIQUE NOT NULL,
+    activation_code TEXT NOT NULL,
+    owner_name TEXT NOT NULL,
+    allowed_types TEXT NOT NULL DEFAULT 'FTA,Local',
+    expiry_date TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'disabled',
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS channels (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    url TEXT NOT NULL,
+    logo_url TEXT,
+    type TEXT NOT NULL,
+    category TEXT NOT NULL,
+    has_news BOOLEAN NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS news (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    title TEXT NOT NULL,
+    body TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  // Log of system activities
+  await run(db, `CREATE TABLE IF NOT EXISTS actions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    action_type TEXT NOT NULL,
+    description TEXT NOT NULL,
+    created_at TEXT NOT NULL
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS admins (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT UNIQUE NOT NULL,
+    password TEXT NOT NULL,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+};
+
+const down = async (db) => {
+  for (const table of ['admins', 'actions', 'news', 'channels', 'devices']) {
+    await run(db, `DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+const { run, all, addColumn, dropColumn } = require('../services/migrations');
+
+// Channel order for drag-and-drop sorting
+
+const up = async (db) => {
+  // Existing channels start out sorted by name; a database that already has the column keeps its order
+  if (await addColumn(db, 'channels', 'order_index', 'INTEGER')) {
+    const channels = await all(db, 'SELECT id FROM channels ORDER BY name ASC');
+    for (const [index, channel] of channels.entries()) {
+      await run(db, 'UPDATE channels SET order_index = ? WHERE id = ?', [index + 1, channel.id]);
+    }
+  }
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_channels_order ON channels (order_index)');
+};
+
+const down = async (db) => {
+  await run(db, 'DROP INDEX IF EXISTS idx_channels_order');
+  await dropColumn(db, 'channels', 'order_index');
+};
+
+module.exports = { up, down };
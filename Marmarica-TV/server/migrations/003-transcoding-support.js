@@ -0,0 +1,33 @@
+const { run, addColumn, dropColumn } = require('../services/migrations');
+
+// FFmpeg transcoding of channel sources into HLS
+
+const up = async (db) => {
+  await addColumn(db, 'channels', 'transcoding_enabled', 'BOOLEAN NOT NULL DEFAULT 0');
+  await addColumn(db, 'channels', 'transcoded_url', 'TEXT');
+  await addColumn(db, 'channels', 'transcoding_status', "TEXT NOT NULL DEFAULT 'inactive'");
+
+  await run(db, `CREATE TABLE IF NOT EXISTS transcoding_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL,
+    ffmpeg_pid INTEGER,
+    output_path TEXT NOT NULL,
+    status TEXT NOT NULL DEFAULT 'starting',
+    error_message TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL,
+    FOREIGN KEY (channel_id) REFERENCES channels (id) ON DELETE CASCADE
+  )`);
+
+  // Channels added before the order column was filled in
+  await run(db, 'UPDATE channels SET order_index = id WHERE order_index IS NULL');
+};
+
+const down = async (db) => {
+  await run(db, 'DROP TABLE IF EXISTS transcoding_jobs');
+  for (const column of ['transcoding_status', 'transcoded_url', 'transcoding_enabled']) {
+    await dropColumn(db, 'channels', column);
+  }
+};
+
+module.exports = { up, down };
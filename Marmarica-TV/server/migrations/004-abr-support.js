@@ -0,0 +1,21 @@
+const { run, addColumn, dropColumn } = require('../services/migrations');
+
+// Adaptive bitrate (ABR) ladders
+
+const up = async (db) => {
+  // Per-channel ABR ladder (comma-separated rendition names, NULL = global default)
+  await addColumn(db, 'channels', 'abr_ladder', 'TEXT');
+
+  // Transcoded channels now publish a master playlist instead of output.m3u8
+  await run(
+    db,
+    `UPDATE channels SET transcoded_url = REPLACE(transcoded_url, '/output.m3u8', '/master.m3u8') WHERE transcoded_url LIKE '%/output.m3u8'`
+  );
+};
+
+// Transcoded URLs are left pointing at master playlists
+const down = async (db) => {
+  await dropColumn(db, 'channels', 'abr_ladder');
+};
+
+module.exports = { up, down };
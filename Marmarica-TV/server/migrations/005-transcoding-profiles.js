@@ -0,0 +1,47 @@
+const { run, addColumn, dropColumn } = require('../services/migrations');
+
+// Named transcoding profiles selectable per channel
+
+const up = async (db) => {
+  await run(db, `CREATE TABLE IF NOT EXISTS transcoding_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    video_codec TEXT NOT NULL DEFAULT 'libx264',
+    video_preset TEXT NOT NULL DEFAULT 'veryfast',
+    gop_size INTEGER NOT NULL DEFAULT 50,
+    resolution TEXT,
+    video_bitrate TEXT,
+    audio_codec TEXT NOT NULL DEFAULT 'aac',
+    audio_bitrate TEXT NOT NULL DEFAULT '128k',
+    hls_time INTEGER NOT NULL DEFAULT 4,
+    hls_list_size INTEGER NOT NULL DEFAULT 4,
+    abr_ladder TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  // Profile reference on channels (NULL = default profile)
+  await addColumn(db, 'channels', 'transcoding_profile_id', 'INTEGER REFERENCES transcoding_profiles (id)');
+
+  // Seed the default profile with the previously hardcoded encoder settings
+  const now = new Date().toISOString();
+  await run(
+    db,
+    `INSERT INTO transcoding_profiles (
+      name, description, video_codec, video_preset, gop_size, audio_codec, audio_bitrate,
+      hls_time, hls_list_size, abr_ladder, is_default, created_at, updated_at
+    )
+    SELECT ?, ?, 'libx264', 'veryfast', 50, 'aac', '128k', 4, 4, ?, 1, ?, ?
+    WHERE NOT EXISTS (SELECT 1 FROM transcoding_profiles)`,
+    ['Default', 'Default encoder settings', process.env.ABR_DEFAULT_LADDER || '720p,480p,audio', now, now]
+  );
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'channels', 'transcoding_profile_id');
+  await run(db, 'DROP TABLE IF EXISTS transcoding_profiles');
+};
+
+module.exports = { up, down };
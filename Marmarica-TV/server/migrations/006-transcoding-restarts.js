@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Restart tracking for crashed FFmpeg jobs
+
+const up = async (db) => {
+  // Restart attempt that created the job (0 = started by an admin)
+  await addColumn(db, 'transcoding_jobs', 'attempt', 'INTEGER NOT NULL DEFAULT 0');
+
+  // When the supervisor will retry a failed job
+  await addColumn(db, 'transcoding_jobs', 'next_retry_at', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'transcoding_jobs', 'next_retry_at');
+  await dropColumn(db, 'transcoding_jobs', 'attempt');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,26 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Stream details reported by ffprobe for each channel source
+const COLUMNS = [
+  ['source_reachable', 'BOOLEAN'],
+  ['source_video_codec', 'TEXT'],
+  ['source_resolution', 'TEXT'],
+  ['source_frame_rate', 'REAL'],
+  ['source_audio_tracks', 'TEXT'], // JSON array of { codec, channels, sample_rate, language }
+  ['source_probe_error', 'TEXT'],
+  ['source_probed_at', 'TEXT']
+];
+
+const up = async (db) => {
+  for (const [name, type] of COLUMNS) {
+    await addColumn(db, 'channels', name, type);
+  }
+};
+
+const down = async (db) => {
+  for (const [name] of [...COLUMNS].reverse()) {
+    await dropColumn(db, 'channels', name);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,24 @@
+const { run } = require('../services/migrations');
+
+// History of the scheduled availability checks of channel sources
+
+const up = async (db) => {
+  // One row per check
+  await run(db, `CREATE TABLE IF NOT EXISTS channel_uptime (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    channel_id INTEGER NOT NULL,
+    online BOOLEAN NOT NULL,
+    response_time_ms INTEGER,
+    error TEXT,
+    checked_at TEXT NOT NULL,
+    FOREIGN KEY (channel_id) REFERENCES channels (id) ON DELETE CASCADE
+  )`);
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_channel_uptime_channel_checked ON channel_uptime (channel_id, checked_at)');
+};
+
+const down = async (db) => {
+  await run(db, 'DROP TABLE IF EXISTS channel_uptime');
+};
+
+module.exports = { up, down };
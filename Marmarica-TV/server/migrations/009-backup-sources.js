@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Backup source URLs with automatic failover
+
+const up = async (db) => {
+  // Ordered backup source URLs (JSON array, NULL = no backups)
+  await addColumn(db, 'channels', 'backup_urls', 'TEXT');
+
+  // Source currently in use: 0 = primary url, 1..n = backup_urls entry
+  await addColumn(db, 'channels', 'active_source', 'INTEGER NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'channels', 'active_source');
+  await dropColumn(db, 'channels', 'backup_urls');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,14 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Queue of transcoding jobs waiting for a free encoder slot
+
+const up = async (db) => {
+  // Channels with a higher value get a free encoder slot first
+  await addColumn(db, 'channels', 'transcoding_priority', 'INTEGER NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'channels', 'transcoding_priority');
+};
+
+module.exports = { up, down };
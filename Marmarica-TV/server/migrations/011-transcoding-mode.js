@@ -0,0 +1,14 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Remux and auto transcoding modes
+
+const up = async (db) => {
+  // transcode (re-encode), remux (copy codecs into HLS) or auto (remux when the probed codecs allow it)
+  await addColumn(db, 'channels', 'transcoding_mode', "TEXT NOT NULL DEFAULT 'transcode'");
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'channels', 'transcoding_mode');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,76 @@
+const { run, get } = require('../services/migrations');
+
+// Channel packages, replacing the allowed_types channel type list of devices
+
+// Channel types that expired devices could still watch before packages existed
+const FREE_TYPES = ['FTA', 'Local'];
+
+// Turn each channel type into a package and each device's allowed_types into package assignments
+// Only runs on an empty packages table so it doesn't undo admin changes
+const seedPackages = async (db) => {
+  const { count } = await get(db, 'SELECT COUNT(*) as count FROM packages');
+  if (count > 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  await run(
+    db,
+    `INSERT INTO packages (name, description, is_free, created_at, updated_at)
+     SELECT type, 'Channels of type ' || type, CASE WHEN type IN (?, ?) THEN 1 ELSE 0 END, ?, ?
+     FROM (SELECT 'FTA' as type UNION SELECT 'BeIN' UNION SELECT 'Local' UNION SELECT type FROM channels)`,
+    [...FREE_TYPES, now, now]
+  );
+
+  await run(
+    db,
+    `INSERT OR IGNORE INTO package_channels (package_id, channel_id)
+     SELECT p.id, c.id FROM channels c JOIN packages p ON p.name = c.type`
+  );
+
+  await run(
+    db,
+    `INSERT OR IGNORE INTO device_packages (device_id, package_id)
+     SELECT d.id, p.id FROM devices d
+     JOIN packages p ON (',' || REPLACE(d.allowed_types, ' ', '') || ',') LIKE ('%,' || p.name || ',%')`
+  );
+};
+
+const up = async (db) => {
+  // Named sets of channels
+  await run(db, `CREATE TABLE IF NOT EXISTS packages (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    is_free BOOLEAN NOT NULL DEFAULT 0,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS package_channels (
+    package_id INTEGER NOT NULL REFERENCES packages (id),
+    channel_id INTEGER NOT NULL REFERENCES channels (id),
+    PRIMARY KEY (package_id, channel_id)
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS device_packages (
+    device_id INTEGER NOT NULL REFERENCES devices (id),
+    package_id INTEGER NOT NULL REFERENCES packages (id),
+    PRIMARY KEY (device_id, package_id)
+  )`);
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_package_channels_channel ON package_channels (channel_id)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_device_packages_package ON device_packages (package_id)');
+
+  await seedPackages(db);
+};
+
+// allowed_types was never removed from devices, so older versions of the server keep working after rolling back
+const down = async (db) => {
+  for (const table of ['device_packages', 'package_channels', 'packages']) {
+    await run(db, `DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = { up, down };
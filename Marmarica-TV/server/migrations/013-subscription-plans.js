@@ -0,0 +1,49 @@
+const { run } = require('../services/migrations');
+
+// Subscription plans and the renewal history of devices
+
+const up = async (db) => {
+  // Plans a device can be renewed with: a duration, a price and the packages it grants
+  await run(db, `CREATE TABLE IF NOT EXISTS plans (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT UNIQUE NOT NULL,
+    description TEXT,
+    duration_count INTEGER NOT NULL,
+    duration_unit TEXT NOT NULL DEFAULT 'months',
+    price REAL NOT NULL DEFAULT 0,
+    is_active BOOLEAN NOT NULL DEFAULT 1,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  await run(db, `CREATE TABLE IF NOT EXISTS plan_packages (
+    plan_id INTEGER NOT NULL REFERENCES plans (id),
+    package_id INTEGER NOT NULL REFERENCES packages (id),
+    PRIMARY KEY (plan_id, package_id)
+  )`);
+
+  // One row per renewal or manual expiry change; plan name and price are copied
+  // so the history stays correct when a plan is edited or deleted
+  await run(db, `CREATE TABLE IF NOT EXISTS device_subscriptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id INTEGER NOT NULL REFERENCES devices (id),
+    plan_id INTEGER REFERENCES plans (id),
+    plan_name TEXT,
+    price REAL,
+    previous_expiry_date TEXT,
+    start_date TEXT NOT NULL,
+    expiry_date TEXT NOT NULL,
+    notes TEXT,
+    created_at TEXT NOT NULL
+  )`);
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_device_subscriptions_device ON device_subscriptions (device_id, created_at)');
+};
+
+const down = async (db) => {
+  for (const table of ['device_subscriptions', 'plan_packages', 'plans']) {
+    await run(db, `DROP TABLE IF EXISTS ${table}`);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,64 @@
+const { run, get, all, addColumn, dropColumn } = require('../services/migrations');
+
+// Customers that own devices
+
+// Create one customer per existing device, named after its owner, and link the device to it
+// Devices are never merged by owner name: unrelated subscribers can share a name, and one person's
+// devices may be spelled differently; admins group the devices of one customer from the device form
+// Only runs on an empty customers table so it doesn't undo admin changes
+const seedCustomers = async (db) => {
+  const { count } = await get(db, 'SELECT COUNT(*) as count FROM customers');
+  if (count > 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const devices = await all(
+    db,
+    `SELECT id, TRIM(owner_name) as name FROM devices
+     WHERE customer_id IS NULL AND owner_name IS NOT NULL AND TRIM(owner_name) != ''
+     ORDER BY id ASC`
+  );
+
+  for (const device of devices) {
+    const { lastID } = await run(
+      db,
+      'INSERT INTO customers (name, created_at, updated_at) VALUES (?, ?, ?)',
+      [device.name, now, now]
+    );
+    await run(db, 'UPDATE devices SET customer_id = ? WHERE id = ?', [lastID, device.id]);
+  }
+};
+
+const up = async (db) => {
+  // People or households that own one or more devices
+  await run(db, `CREATE TABLE IF NOT EXISTS customers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    phone TEXT,
+    address TEXT,
+    notes TEXT,
+    created_at TEXT NOT NULL,
+    updated_at TEXT NOT NULL
+  )`);
+
+  await addColumn(db, 'devices', 'customer_id', 'INTEGER REFERENCES customers (id)');
+
+  // Renewals made for a whole customer are recorded for each device with the customer's ID
+  await addColumn(db, 'device_subscriptions', 'customer_id', 'INTEGER REFERENCES customers (id)');
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_devices_customer ON devices (customer_id)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_device_subscriptions_customer ON device_subscriptions (customer_id, created_at)');
+
+  await seedCustomers(db);
+};
+
+const down = async (db) => {
+  await run(db, 'DROP INDEX IF EXISTS idx_device_subscriptions_customer');
+  await run(db, 'DROP INDEX IF EXISTS idx_devices_customer');
+  await dropColumn(db, 'device_subscriptions', 'customer_id');
+  await dropColumn(db, 'devices', 'customer_id');
+  await run(db, 'DROP TABLE IF EXISTS customers');
+};
+
+module.exports = { up, down };
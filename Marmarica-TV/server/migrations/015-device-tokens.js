@@ -0,0 +1,21 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Signed tokens that authenticate client devices
+
+const up = async (db) => {
+  // Version of the device's current token; 0 = no token issued
+  // Issuing, rotating or revoking a token bumps the version, which invalidates older tokens
+  await addColumn(db, 'devices', 'token_version', 'INTEGER NOT NULL DEFAULT 0');
+  await addColumn(db, 'devices', 'token_issued_at', 'TEXT');
+
+  // Set by the admin panel; the device receives a new token on its next check-in
+  await addColumn(db, 'devices', 'token_rotate', 'BOOLEAN NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  for (const column of ['token_rotate', 'token_issued_at', 'token_version']) {
+    await dropColumn(db, 'devices', column);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Limits on simultaneous streams
+
+const up = async (db) => {
+  // Streams allowed for the device; NULL = the server default (DEFAULT_MAX_STREAMS)
+  await addColumn(db, 'devices', 'max_streams', 'INTEGER');
+
+  // Streams allowed across all of a customer's devices; NULL = no customer-wide limit
+  await addColumn(db, 'customers', 'max_streams', 'INTEGER');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'customers', 'max_streams');
+  await dropColumn(db, 'devices', 'max_streams');
+};
+
+module.exports = { up, down };
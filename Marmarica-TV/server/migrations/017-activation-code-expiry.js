@@ -0,0 +1,15 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Expiry of device activation codes
+
+const up = async (db) => {
+  // When the device's activation code stops working; NULL = never
+  // Existing codes are left without an expiry until they are regenerated from the device page
+  await addColumn(db, 'devices', 'activation_code_expires_at', 'TEXT');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'devices', 'activation_code_expires_at');
+};
+
+module.exports = { up, down };
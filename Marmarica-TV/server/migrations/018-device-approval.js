@@ -0,0 +1,21 @@
+const { run, addColumn, dropColumn } = require('../services/migrations');
+
+// Approval of devices that registered themselves
+
+const up = async (db) => {
+  // Set for devices created through /api/client/register-device rather than the admin panel
+  await addColumn(db, 'devices', 'self_registered', 'BOOLEAN NOT NULL DEFAULT 0');
+
+  // Set while a self-registered device waits for an admin to approve it (REGISTRATION_POLICY=approval)
+  await addColumn(db, 'devices', 'pending_approval', 'BOOLEAN NOT NULL DEFAULT 0');
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_devices_pending_approval ON devices (pending_approval)');
+};
+
+const down = async (db) => {
+  await run(db, 'DROP INDEX IF EXISTS idx_devices_pending_approval');
+  await dropColumn(db, 'devices', 'pending_approval');
+  await dropColumn(db, 'devices', 'self_registered');
+};
+
+module.exports = { up, down };
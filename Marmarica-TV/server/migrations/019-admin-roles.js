@@ -0,0 +1,14 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Admin roles with per-section permissions
+
+const up = async (db) => {
+  // Existing admins had full access, so they become owners
+  await addColumn(db, 'admins', 'role', "TEXT NOT NULL DEFAULT 'owner'");
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'admins', 'role');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,18 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// Disabling admins and temporary passwords
+
+const up = async (db) => {
+  // Disabled admins can't log in
+  await addColumn(db, 'admins', 'disabled', 'BOOLEAN NOT NULL DEFAULT 0');
+
+  // Set while an admin still has a temporary password from an invite or reset
+  await addColumn(db, 'admins', 'must_change_password', 'BOOLEAN NOT NULL DEFAULT 0');
+};
+
+const down = async (db) => {
+  await dropColumn(db, 'admins', 'must_change_password');
+  await dropColumn(db, 'admins', 'disabled');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,20 @@
+const { addColumn, dropColumn } = require('../services/migrations');
+
+// TOTP two-factor authentication for admins
+
+const up = async (db) => {
+  // Base32 secret shared with the admin's authenticator app
+  await addColumn(db, 'admins', 'totp_secret', 'TEXT');
+  await addColumn(db, 'admins', 'totp_enabled', 'BOOLEAN NOT NULL DEFAULT 0');
+
+  // JSON array of SHA-256 hashes of the unused recovery codes
+  await addColumn(db, 'admins', 'recovery_codes', 'TEXT');
+};
+
+const down = async (db) => {
+  for (const column of ['recovery_codes', 'totp_enabled', 'totp_secret']) {
+    await dropColumn(db, 'admins', column);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,30 @@
+const { run, addColumn, dropColumn } = require('../services/migrations');
+
+// Who did it, to what, from where, and which fields changed (JSON)
+const COLUMNS = [
+  ['admin_id', 'INTEGER'],
+  ['admin_username', 'TEXT'],
+  ['entity_type', 'TEXT'],
+  ['entity_id', 'TEXT'],
+  ['ip', 'TEXT'],
+  ['changes', 'TEXT']
+];
+
+const up = async (db) => {
+  for (const [name, type] of COLUMNS) {
+    await addColumn(db, 'actions', name, type);
+  }
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_actions_created ON actions (created_at)');
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_actions_entity ON actions (entity_type, entity_id)');
+};
+
+const down = async (db) => {
+  await run(db, 'DROP INDEX IF EXISTS idx_actions_entity');
+  await run(db, 'DROP INDEX IF EXISTS idx_actions_created');
+  for (const [name] of [...COLUMNS].reverse()) {
+    await dropColumn(db, 'actions', name);
+  }
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+const { run } = require('../services/migrations');
+
+// Admin sessions of the express-session store (services/sessionStore.js)
+// Databases from before migrations already have the table, created by the store itself
+
+const up = async (db) => {
+  // sess is the session as JSON, expires a timestamp in milliseconds
+  await run(db, `CREATE TABLE IF NOT EXISTS sessions (
+    sid TEXT PRIMARY KEY,
+    sess TEXT NOT NULL,
+    expires INTEGER NOT NULL
+  )`);
+
+  await run(db, 'CREATE INDEX IF NOT EXISTS idx_sessions_expires ON sessions (expires)');
+};
+
+// Rolling back logs every admin out
+const down = async (db) => {
+  await run(db, 'DROP TABLE IF EXISTS sessions');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,245 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const { db } = require('../index');
+const adminService = require('../services/admins');
+const permissionService = require('../services/permissions');
+const twoFactorService = require('../services/twoFactor');
+const adminSessionService = require('../services/adminSessions');
+const { logAction } = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Get all admins
+router.get('/', asyncHandler(async (req, res) => {
+  res.json({ data: await adminService.getAdmins() });
+}));
+
+// Invite a new admin: the account gets a temporary password that is returned once
+router.post('/', asyncHandler(async (req, res) => {
+  const { username, role } = req.body;
+  const name = typeof username === 'string' ? username.trim() : '';
+
+  if (!name) {
+    res.status(400).json({ error: 'Username is required' });
+    return;
+  }
+
+  try {
+    permissionService.validateRole(role);
+    await adminService.assertUsernameAvailable(name);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const temporaryPassword = adminService.generateTemporaryPassword();
+  const hashedPassword = await bcrypt.hash(temporaryPassword, 10);
+  const now = new Date().toISOString();
+
+  const adminId = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO admins (username, password, role, must_change_password, created_at, updated_at)
+       VALUES (?, ?, ?, 1, ?, ?)`,
+      [name, hashedPassword, role, now, now],
+      function (err) {
+        if (err) {
+          console.error('Error creating admin:', err.message);
+          return reject(err);
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+
+  const created = await adminService.getAdmin(adminId);
+
+  // Log action
+  logAction(req, 'admin_invited', `Admin ${name} invited as ${role} by ${req.admin.username}`, {
+    entityType: 'admin',
+    entityId: adminId,
+    after: created
+  });
+
+  res.status(201).json({
+    message: 'Admin invited successfully',
+    data: created,
+    temporary_password: temporaryPassword
+  });
+}));
+
+// Change an admin's role or enable/disable the account
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { role, disabled } = req.body;
+  const admin = await adminService.getAdmin(req.params.id);
+
+  if (!admin) {
+    res.status(404).json({ error: 'Admin not found' });
+    return;
+  }
+
+  const newRole = role !== undefined ? role : admin.role;
+  const newDisabled = disabled !== undefined ? Boolean(disabled) : Boolean(admin.disabled);
+  const roleChanged = newRole !== admin.role;
+  const disabledChanged = newDisabled !== Boolean(admin.disabled);
+
+  if (admin.id === req.admin.id && (roleChanged || disabledChanged)) {
+    res.status(400).json({ error: 'You cannot change your own role or disable your own account' });
+    return;
+  }
+
+  try {
+    permissionService.validateRole(newRole);
+    if ((roleChanged && newRole !== 'owner') || newDisabled) {
+      await adminService.assertOwnerRemains(admin);
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE admins SET role = ?, disabled = ?, updated_at = ? WHERE id = ?',
+      [newRole, newDisabled ? 1 : 0, new Date().toISOString(), admin.id],
+      (err) => {
+        if (err) {
+          console.error('Error updating admin:', err.message);
+          return reject(err);
+        }
+        resolve();
+      }
+    );
+  });
+
+  // Disabled admins are logged out everywhere
+  if (newDisabled) {
+    await adminSessionService.destroyAdminSessions(req.sessionStore, admin.id);
+  }
+
+  const updated = await adminService.getAdmin(admin.id);
+
+  // Log actions
+  if (roleChanged) {
+    logAction(req, 'admin_role_changed', `Admin ${admin.username} role changed from ${admin.role} to ${newRole} by ${req.admin.username}`, {
+      entityType: 'admin',
+      entityId: admin.id,
+      before: { role: admin.role },
+      after: { role: newRole }
+    });
+  }
+  if (disabledChanged) {
+    logAction(req, newDisabled ? 'admin_disabled' : 'admin_enabled',
+      `Admin ${admin.username} ${newDisabled ? 'disabled' : 'enabled'} by ${req.admin.username}`, {
+        entityType: 'admin',
+        entityId: admin.id,
+        before: { disabled: admin.disabled },
+        after: { disabled: updated.disabled }
+      });
+  }
+
+  res.json({
+    message: 'Admin updated successfully',
+    data: updated
+  });
+}));
+
+// Reset an admin's password to a new temporary password that is returned once
+router.post('/:id/reset-password', asyncHandler(async (req, res) => {
+  const admin = await adminService.getAdmin(req.params.id);
+
+  if (!admin) {
+    res.status(404).json({ error: 'Admin not found' });
+    return;
+  }
+
+  const temporaryPassword = adminService.generateTemporaryPassword();
+  await adminService.setPassword(admin.id, temporaryPassword, true);
+  await adminSessionService.destroyAdminSessions(req.sessionStore, admin.id, { keepSid: req.sessionID });
+
+  // Log action
+  logAction(req, 'admin_password_reset', `Admin ${admin.username} password reset by ${req.admin.username}`, {
+    entityType: 'admin',
+    entityId: admin.id
+  });
+
+  res.json({
+    message: 'Password reset successfully',
+    data: await adminService.getAdmin(admin.id),
+    temporary_password: temporaryPassword
+  });
+}));
+
+// Turn off an admin's two-factor authentication, e.g. after they lost their phone and recovery codes
+router.post('/:id/reset-2fa', asyncHandler(async (req, res) => {
+  const admin = await adminService.getAdmin(req.params.id);
+
+  if (!admin) {
+    res.status(404).json({ error: 'Admin not found' });
+    return;
+  }
+
+  await twoFactorService.disable(admin.id);
+
+  const updated = await adminService.getAdmin(admin.id);
+
+  // Log action
+  logAction(req, 'admin_2fa_reset', `Admin ${admin.username} two-factor authentication reset by ${req.admin.username}`, {
+    entityType: 'admin',
+    entityId: admin.id,
+    before: admin,
+    after: updated
+  });
+
+  res.json({
+    message: 'Two-factor authentication reset successfully',
+    data: updated
+  });
+}));
+
+// Delete admin
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const admin = await adminService.getAdmin(req.params.id);
+
+  if (!admin) {
+    res.status(404).json({ error: 'Admin not found' });
+    return;
+  }
+
+  if (admin.id === req.admin.id) {
+    res.status(400).json({ error: 'You cannot delete your own account' });
+    return;
+  }
+
+  try {
+    await adminService.assertOwnerRemains(admin);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM admins WHERE id = ?', [admin.id], (err) => {
+      if (err) {
+        console.error('Error deleting admin:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  await adminSessionService.destroyAdminSessions(req.sessionStore, admin.id);
+
+  // Log action
+  logAction(req, 'admin_deleted', `Admin ${admin.username} deleted by ${req.admin.username}`, {
+    entityType: 'admin',
+    entityId: admin.id,
+    before: admin
+  });
+
+  res.json({
+    message: 'Admin deleted successfully',
+    id: req.params.id
+  });
+}));
+
+module.exports = router;
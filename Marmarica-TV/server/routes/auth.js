@@ -1,15 +1,43 @@
 const express = require('express');
 const router = express.Router();
 const { isAuthenticated } = require('../middleware/auth');
-const { login, logout, getSession } = require('../controllers/auth');
+const {
+  login,
+  verifyTwoFactor,
+  logout,
+  getSession,
+  changePassword,
+  listSessions,
+  revokeSession,
+  revokeOtherSessions
+} = require('../controllers/auth');
+const twoFactor = require('../controllers/twoFactor');
 
 // Login endpoint
 router.post('/login', login);
 
+// Second login step for admins with two-factor authentication
+router.post('/login/verify', verifyTwoFactor);
+
 // Logout endpoint (protected)
 router.post('/logout', isAuthenticated, logout);
 
 // Get current session info
 router.get('/session', getSession);
 
+// Change the logged in admin's password (protected)
+router.post('/change-password', isAuthenticated, changePassword);
+
+// The logged in admin's sessions (protected)
+router.get('/sessions', isAuthenticated, listSessions);
+router.delete('/sessions', isAuthenticated, revokeOtherSessions);
+router.delete('/sessions/:id', isAuthenticated, revokeSession);
+
+// Two-factor authentication enrolment (protected)
+router.get('/2fa', isAuthenticated, twoFactor.getStatus);
+router.post('/2fa/setup', isAuthenticated, twoFactor.setup);
+router.post('/2fa/enable', isAuthenticated, twoFactor.enable);
+router.post('/2fa/disable', isAuthenticated, twoFactor.disable);
+router.post('/2fa/recovery-codes', isAuthenticated, twoFactor.regenerateRecoveryCodes);
+
 module.exports = router;
@@ -5,20 +5,13 @@ const path = require('path');
 const fs = require('fs');
 const { db } = require('../index');
 const transcodingService = require('../services/transcoding');
-
-// Helper function to log actions
-const logAction = (actionType, description) => {
-  const now = new Date().toISOString();
-  db.run(
-    'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
-    [actionType, description, now],
-    (err) => {
-      if (err) {
-        console.error('Error logging action:', err.message);
-      }
-    }
-  );
-};
+const probeService = require('../services/probe');
+const availabilityService = require('../services/availability');
+const sourceService = require('../services/sources');
+const packageService = require('../services/packages');
+const { logAction, changedFields } = require('../services/audit');
+const { runInTransaction } = require('../services/transactions');
+const { asyncHandler } = require('../middleware/asyncHandler');
 
 // Ensure upload directory exists before configuring multer
 const uploadDir = path.join(__dirname, '../uploads');
@@ -80,18 +73,72 @@ const upload = multer({
   }
 }).single('logo');
 
-// Helper function to handle errors with async/await
-function asyncHandler(fn) {
-  return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(err => {
-      console.error('Route error:', err);
-      res.status(500).json({ error: err.message || 'Internal server error' });
+// Helper function to validate a transcoding profile ID (empty means the default profile)
+function resolveProfileId(profileId) {
+  return new Promise((resolve, reject) => {
+    if (profileId === null || profileId === undefined || profileId === '') {
+      return resolve(null);
+    }
+    
+    db.get('SELECT id FROM transcoding_profiles WHERE id = ?', [profileId], (err, row) => {
+      if (err) return reject(err);
+      if (!row) return reject(new Error('Transcoding profile not found'));
+      resolve(row.id);
+    });
+  });
+}
+
+// Helper function to validate a transcoding priority (empty means normal priority)
+function parsePriority(priority) {
+  if (priority === null || priority === undefined || priority === '') {
+    return 0;
+  }
+  
+  const value = Number(priority);
+  if (!Number.isInteger(value)) {
+    throw new Error('transcoding_priority must be an integer');
+  }
+  
+  return value;
+}
+
+// Helper function to validate a transcoding mode (empty means transcode)
+function parseTranscodingMode(mode) {
+  if (mode === null || mode === undefined || mode === '') {
+    return 'transcode';
+  }
+  
+  if (!transcodingService.TRANSCODING_MODES.includes(mode)) {
+    throw new Error(`transcoding_mode must be one of: ${transcodingService.TRANSCODING_MODES.join(', ')}`);
+  }
+  
+  return mode;
+}
+
+// Helper function to probe a channel source and store the result
+// Runs in the background so slow or dead sources don't hold up the request
+// Auto-mode channels are restarted if the result changes whether they are remuxed
+function refreshSourceProbe(channelId, url) {
+  probeService.probeSource(url)
+    .then(result => probeService.saveProbeResult(channelId, result))
+    .then(() => transcodingService.refreshAutoMode(channelId))
+    .catch(error => {
+      console.error(`Error probing source for channel ${channelId}:`, error.message);
     });
-  };
 }
 
 // Helper function to process channel URL - return transcoded URL if enabled
 function processChannelUrl(channel) {
+  // Expose the source currently in use (primary or a backup) and the backup list as an array
+  channel.live_source_url = sourceService.getLiveSourceUrl(channel);
+  channel.backup_urls = sourceService.parseBackupUrls(channel.backup_urls);
+  
+  // Position in the transcoding queue while waiting for an encoder slot
+  channel.queue_position = transcodingService.getQueuePosition(channel.id);
+  
+  // Whether the channel is remuxed or transcoded, with auto decided from the last probe
+  channel.resolved_transcoding_mode = transcodingService.resolveTranscodingMode(channel);
+  
   if (channel.transcoding_enabled && 
       channel.transcoded_url) {
     // Replace the original URL with the transcoded URL
@@ -103,8 +150,12 @@ function processChannelUrl(channel) {
 // Get all channels with optional filtering
 router.get('/', asyncHandler(async (req, res) => {
   const { type, category, has_news } = req.query;
-  let sql = 'SELECT * FROM channels';
-  const params = [];
+  // Include each channel's source uptime over the last 24 hours
+  let sql = `SELECT channels.*,
+    (SELECT ROUND(100.0 * SUM(u.online) / COUNT(*), 1) FROM channel_uptime u
+     WHERE u.channel_id = channels.id AND u.checked_at >= ?) as uptime_24h
+    FROM channels`;
+  const params = [new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString()];
   const conditions = [];
   
   // Apply filters if provided
@@ -154,30 +205,72 @@ router.get('/', asyncHandler(async (req, res) => {
 
 // Get single channel by ID
 router.get('/:id', asyncHandler(async (req, res) => {
-  return new Promise((resolve, reject) => {
+  const row = await new Promise((resolve, reject) => {
     db.get('SELECT * FROM channels WHERE id = ?', [req.params.id], (err, row) => {
       if (err) {
         console.error('Error fetching channel:', err.message);
         return reject(err);
       }
-      
-      if (!row) {
-        res.status(404).json({ error: 'Channel not found' });
-        return resolve();
+      resolve(row);
+    });
+  });
+  
+  if (!row) {
+    res.status(404).json({ error: 'Channel not found' });
+    return;
+  }
+  
+  // Process channel to return transcoded URL if active
+  const processedChannel = processChannelUrl(row);
+  processedChannel.package_ids = await packageService.getChannelPackageIds(row.id);
+  
+  res.json({ data: processedChannel });
+}));
+
+// Get source uptime history for a channel
+router.get('/:id/uptime', asyncHandler(async (req, res) => {
+  const hours = Math.min(Math.max(parseInt(req.query.hours) || 24, 1), 24 * 30);
+  
+  const channel = await new Promise((resolve, reject) => {
+    db.get('SELECT id FROM channels WHERE id = ?', [req.params.id], (err, row) => {
+      if (err) {
+        console.error('Error fetching channel for uptime:', err.message);
+        return reject(err);
       }
-      
-      // Process channel to return transcoded URL if active
-      const processedChannel = processChannelUrl(row);
-      
-      res.json({ data: processedChannel });
-      resolve();
+      resolve(row);
     });
   });
+  
+  if (!channel) {
+    res.status(404).json({ error: 'Channel not found' });
+    return;
+  }
+  
+  const uptime = await availabilityService.getChannelUptime(channel.id, hours);
+  res.json({ data: uptime });
+}));
+
+// Probe a source URL without saving it
+router.post('/probe', asyncHandler(async (req, res) => {
+  const { url } = req.body;
+  
+  if (!url || !url.trim()) {
+    res.status(400).json({ error: 'URL is required' });
+    return;
+  }
+  
+  try {
+    const result = await probeService.probeSource(url.trim());
+    res.json({ data: result });
+  } catch (error) {
+    console.error('Error probing source:', error.message);
+    res.status(500).json({ error: error.message });
+  }
 }));
 
 // Create new channel
 router.post('/', asyncHandler(async (req, res) => {
-  const { name, url, type, category, has_news, transcoding_enabled } = req.body;
+  const { name, url, type, category, has_news, transcoding_enabled, abr_ladder, transcoding_profile_id, transcoding_priority, transcoding_mode, backup_urls, package_ids } = req.body;
   
   // Validation
   if (!name || !url || !type || !category) {
@@ -187,6 +280,28 @@ router.post('/', asyncHandler(async (req, res) => {
     return;
   }
   
+  // Validate ABR ladder (empty means the profile's ladder), transcoding profile, priority, mode, backup sources and packages
+  let ladder;
+  let profileId;
+  let priority;
+  let mode;
+  let backupUrls;
+  let packageIds;
+  try {
+    ladder = transcodingService.normalizeLadder(abr_ladder);
+    profileId = await resolveProfileId(transcoding_profile_id);
+    priority = parsePriority(transcoding_priority);
+    mode = parseTranscodingMode(transcoding_mode);
+    backupUrls = sourceService.normalizeBackupUrls(backup_urls, url);
+    // Without packages, a new channel joins the package named after its type
+    packageIds = package_ids === undefined
+      ? await packageService.getPackageIdsByName([type])
+      : await packageService.resolvePackageIds(package_ids);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  
   // Get current timestamp
   const now = new Date().toISOString();
   
@@ -194,8 +309,9 @@ router.post('/', asyncHandler(async (req, res) => {
     db.run(
       `INSERT INTO channels (
         name, url, logo_url, type, category, 
-        has_news, transcoding_enabled, transcoding_status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        has_news, transcoding_enabled, transcoding_status, abr_ladder, transcoding_profile_id, transcoding_priority,
+        transcoding_mode, backup_urls, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         name, 
         url, 
@@ -205,6 +321,11 @@ router.post('/', asyncHandler(async (req, res) => {
         has_news ? 1 : 0,
         transcoding_enabled ? 1 : 0,
         'inactive',
+        ladder,
+        profileId,
+        priority,
+        mode,
+        backupUrls,
         now, 
         now
       ],
@@ -216,6 +337,15 @@ router.post('/', asyncHandler(async (req, res) => {
         
         const channelId = this.lastID;
         
+        try {
+          await packageService.setChannelPackages(channelId, packageIds);
+        } catch (error) {
+          return reject(error);
+        }
+        
+        // Store the source's stream details with the channel
+        refreshSourceProbe(channelId, url);
+        
         // Start transcoding if enabled
         if (transcoding_enabled) {
           try {
@@ -226,9 +356,6 @@ router.post('/', asyncHandler(async (req, res) => {
           }
         }
         
-        // Log action
-        logAction('channel_added', `New channel added: ${name} (${type})${transcoding_enabled ? ' with transcoding' : ''}`);
-        
         // Return created channel
         db.get('SELECT * FROM channels WHERE id = ?', [channelId], (err, row) => {
           if (err) {
@@ -236,6 +363,14 @@ router.post('/', asyncHandler(async (req, res) => {
             return reject(err);
           }
           
+          row.package_ids = packageIds;
+          
+          // Log action
+          logAction(req, 'channel_added', `New channel added: ${name} (${type})${transcoding_enabled ? ' with transcoding' : ''}`, {
+            entityType: 'channel',
+            entityId: channelId,
+            after: row
+          });
           res.status(201).json({ 
             message: 'Channel created successfully',
             data: row 
@@ -311,7 +446,12 @@ router.post('/:id/logo', (req, res) => {
           }
           
           // Log the action
-          logAction('channel_logo_updated', `Logo updated for channel: ${channel.name}`);
+          logAction(req, 'channel_logo_updated', `Logo updated for channel: ${channel.name}`, {
+            entityType: 'channel',
+            entityId: channel.id,
+            before: channel,
+            after: { ...channel, logo_url: logoUrl }
+          });
           
           // Return success response
           res.json({ 
@@ -326,9 +466,28 @@ router.post('/:id/logo', (req, res) => {
 
 // Update channel
 router.put('/:id', asyncHandler(async (req, res) => {
-  const { name, url, type, category, has_news, transcoding_enabled } = req.body;
+  const { name, url, type, category, has_news, transcoding_enabled, abr_ladder, transcoding_profile_id, transcoding_priority, transcoding_mode, backup_urls, package_ids } = req.body;
   const now = new Date().toISOString();
   
+  // Validate ABR ladder (empty means the profile's ladder), transcoding profile, priority, mode and packages
+  let ladder;
+  let profileId;
+  let priority;
+  let mode;
+  let packageIds;
+  try {
+    ladder = transcodingService.normalizeLadder(abr_ladder);
+    profileId = await resolveProfileId(transcoding_profile_id);
+    priority = parsePriority(transcoding_priority);
+    mode = parseTranscodingMode(transcoding_mode);
+    if (package_ids !== undefined) {
+      packageIds = await packageService.resolvePackageIds(package_ids);
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  
   // Check if channel exists
   const channel = await new Promise((resolve, reject) => {
     db.get('SELECT * FROM channels WHERE id = ?', [req.params.id], (err, row) => {
@@ -345,6 +504,18 @@ router.put('/:id', asyncHandler(async (req, res) => {
     return;
   }
   
+  // Keep the channel as it was for the audit log
+  const before = { ...channel, package_ids: await packageService.getChannelPackageIds(channel.id) };
+  
+  // Validate backup sources against the channel's (new) primary URL
+  let backupUrls;
+  try {
+    backupUrls = sourceService.normalizeBackupUrls(backup_urls, url !== undefined ? url : channel.url);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+  
   // Prepare update fields
   const updates = [];
   const params = [];
@@ -379,11 +550,51 @@ router.put('/:id', asyncHandler(async (req, res) => {
     params.push(transcoding_enabled ? 1 : 0);
   }
   
+  if (abr_ladder !== undefined) {
+    updates.push('abr_ladder = ?');
+    params.push(ladder);
+  }
+  
+  if (transcoding_profile_id !== undefined) {
+    updates.push('transcoding_profile_id = ?');
+    params.push(profileId);
+  }
+  
+  if (transcoding_priority !== undefined) {
+    updates.push('transcoding_priority = ?');
+    params.push(priority);
+  }
+  
+  if (transcoding_mode !== undefined) {
+    updates.push('transcoding_mode = ?');
+    params.push(mode);
+  }
+  
+  if (backup_urls !== undefined) {
+    updates.push('backup_urls = ?');
+    params.push(backupUrls);
+  }
+  
+  // Changing the sources sends the channel back to its primary source
+  const sourcesChanged = (url !== undefined && url !== channel.url) ||
+    (backup_urls !== undefined && backupUrls !== (channel.backup_urls || null));
+  const sourceReset = sourcesChanged && channel.active_source > 0;
+  if (sourceReset) {
+    updates.push('active_source = ?');
+    params.push(0);
+  }
+  
+  // Encoder and live source changes require a controlled restart of a running job
+  const ladderChanged = abr_ladder !== undefined && ladder !== (channel.abr_ladder || null);
+  const profileChanged = transcoding_profile_id !== undefined && profileId !== (channel.transcoding_profile_id || null);
+  const modeChanged = transcoding_mode !== undefined && mode !== (channel.transcoding_mode || 'transcode');
+  const encodingChanged = ladderChanged || profileChanged || modeChanged || sourceReset;
+  
   updates.push('updated_at = ?');
   params.push(now);
   params.push(req.params.id);
   
-  if (updates.length === 1) {
+  if (updates.length === 1 && packageIds === undefined) {
     res.status(400).json({ error: 'No valid fields to update' });
     return;
   }
@@ -402,6 +613,24 @@ router.put('/:id', asyncHandler(async (req, res) => {
         return resolve();
       }
       
+      if (packageIds !== undefined) {
+        try {
+          await packageService.setChannelPackages(channel.id, packageIds);
+        } catch (error) {
+          return reject(error);
+        }
+      }
+      
+      // Move a queued channel to its new place in the queue
+      if (transcoding_priority !== undefined) {
+        transcodingService.updateQueuePriority(channel.id, priority);
+      }
+      
+      // Probe the source again when it changes (or was never probed)
+      if (url !== undefined && (url !== channel.url || !channel.source_probed_at)) {
+        refreshSourceProbe(channel.id, url);
+      }
+      
       // Handle transcoding changes
       if (transcoding_enabled !== undefined) {
         const wasTranscodingEnabled = Boolean(channel.transcoding_enabled);
@@ -423,27 +652,49 @@ router.put('/:id', asyncHandler(async (req, res) => {
           } catch (error) {
             console.error('Error starting transcoding:', error);
           }
-        } else if (wasTranscodingEnabled && isTranscodingEnabled && url !== undefined) {
-          // Restart transcoding with new URL
+        } else if (wasTranscodingEnabled && isTranscodingEnabled && (url !== undefined || encodingChanged)) {
+          // Restart transcoding with new URL, profile, ABR ladder or mode
           try {
+            const finalUrl = url !== undefined ? url : channel.url;
             const finalName = name !== undefined ? name : channel.name;
-            await transcodingService.restartTranscoding(channel.id, url, finalName);
+            await transcodingService.restartTranscoding(channel.id, finalUrl, finalName);
           } catch (error) {
             console.error('Error restarting transcoding:', error);
           }
         }
+      } else if (channel.transcoding_enabled && encodingChanged) {
+        // Restart transcoding so the new profile, ABR ladder or mode takes effect
+        try {
+          const finalUrl = url !== undefined ? url : channel.url;
+          const finalName = name !== undefined ? name : channel.name;
+          await transcodingService.restartTranscoding(channel.id, finalUrl, finalName);
+        } catch (error) {
+          console.error('Error restarting transcoding:', error);
+        }
       }
       
-      // Log action
-      logAction('channel_updated', `Channel updated: ${channel.name}`);
-      
       // Return updated channel
-      db.get('SELECT * FROM channels WHERE id = ?', [req.params.id], (err, row) => {
+      db.get('SELECT * FROM channels WHERE id = ?', [req.params.id], async (err, row) => {
         if (err) {
           console.error('Error retrieving updated channel:', err.message);
           return reject(err);
         }
         
+        try {
+          row.package_ids = await packageService.getChannelPackageIds(channel.id);
+        } catch (error) {
+          return reject(error);
+        }
+        
+        // Log action, naming the changed fields
+        const changed = changedFields(before, row);
+        logAction(req, 'channel_updated', `Channel updated: ${channel.name}${changed.length > 0 ? ` (${changed.join(', ')})` : ''}`, {
+          entityType: 'channel',
+          entityId: channel.id,
+          before,
+          after: row
+        });
+        
         res.json({ 
           message: 'Channel updated successfully',
           data: row 
@@ -464,16 +715,16 @@ router.post('/reorder', asyncHandler(async (req, res) => {
     return;
   }
 
-  // Start a transaction
-  await new Promise((resolve, reject) => {
-    db.run('BEGIN TRANSACTION', (err) => {
+  // Keep the old order for the audit log
+  const previousOrder = await new Promise((resolve, reject) => {
+    db.all('SELECT id FROM channels ORDER BY order_index ASC, id ASC', [], (err, rows) => {
       if (err) reject(err);
-      else resolve();
+      else resolve(rows.map(row => row.id));
     });
   });
 
-  try {
-    // Update order_index for each channel
+  // Update order_index for each channel in one transaction
+  await runInTransaction(async () => {
     for (let i = 0; i < orderedIds.length; i++) {
       await new Promise((resolve, reject) => {
         db.run(
@@ -486,29 +737,19 @@ router.post('/reorder', asyncHandler(async (req, res) => {
         );
       });
     }
+  });
 
-    // Commit transaction
-    await new Promise((resolve, reject) => {
-      db.run('COMMIT', (err) => {
-        if (err) reject(err);
-        else resolve();
-      });
-    });
-
-    // Log action
-    logAction('channels_reordered', `Channel order updated`);
+  // Log action
+  logAction(req, 'channels_reordered', `Channel order updated`, {
+    entityType: 'channel',
+    before: { order: previousOrder },
+    after: { order: orderedIds }
+  });
 
-    res.json({ 
-      message: 'Channel order updated successfully',
-      data: orderedIds 
-    });
-  } catch (error) {
-    // Rollback on error
-    await new Promise((resolve) => {
-      db.run('ROLLBACK', () => resolve());
-    });
-    throw error;
-  }
+  res.json({ 
+    message: 'Channel order updated successfully',
+    data: orderedIds 
+  });
 }));
 
 // Delete channel
@@ -540,7 +781,7 @@ router.delete('/:id', asyncHandler(async (req, res) => {
   }
   
   await new Promise((resolve, reject) => {
-    db.run('DELETE FROM channels WHERE id = ?', [req.params.id], function(err) {
+    db.run('DELETE FROM channels WHERE id = ?', [req.params.id], async function(err) {
       if (err) {
         console.error('Error deleting channel:', err.message);
         return reject(err);
@@ -551,6 +792,13 @@ router.delete('/:id', asyncHandler(async (req, res) => {
         return resolve();
       }
       
+      // Remove the channel from its packages
+      try {
+        await packageService.removeChannelLinks(channel.id);
+      } catch (error) {
+        console.error('Error removing channel from packages:', error.message);
+      }
+      
       // Delete logo file if it exists
       if (channel.logo_url) {
         const logoPath = path.join(__dirname, '..', channel.logo_url.replace(/^\/uploads/, 'uploads'));
@@ -565,7 +813,11 @@ router.delete('/:id', asyncHandler(async (req, res) => {
       }
       
       // Log action
-      logAction('channel_deleted', `Channel deleted: ${channel.name} (${channel.type})`);
+      logAction(req, 'channel_deleted', `Channel deleted: ${channel.name} (${channel.type})`, {
+        entityType: 'channel',
+        entityId: channel.id,
+        before: channel
+      });
       
       res.json({ 
         message: 'Channel deleted successfully',
@@ -1,24 +1,41 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../index');
+const sourceService = require('../services/sources');
+const packageService = require('../services/packages');
+const deviceTokenService = require('../services/deviceTokens');
+const streamTokenService = require('../services/streamTokens');
+const activationCodeService = require('../services/activationCodes');
+const { isDeviceAuthenticated } = require('../middleware/auth');
+const { clientIpLimiter, clientDuidLimiter, registrationLimiter } = require('../middleware/rateLimit');
+const { logAction } = require('../services/audit');
 
-// Helper function to log actions
-const logAction = (actionType, description) => {
-  const now = new Date().toISOString();
-  db.run(
-    'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
-    [actionType, description, now],
-    (err) => {
-      if (err) {
-        console.error('Error logging action:', err.message);
-      }
-    }
-  );
-};
+// Registration policy for /register-device:
+// open = devices can register and activate, approval = an admin approves each device before it can activate,
+// closed = only the admin panel creates devices
+const REGISTRATION_POLICIES = ['open', 'approval', 'closed'];
+let REGISTRATION_POLICY = process.env.REGISTRATION_POLICY || 'open';
+if (!REGISTRATION_POLICIES.includes(REGISTRATION_POLICY)) {
+  console.warn(`Unknown REGISTRATION_POLICY "${REGISTRATION_POLICY}", using "approval"`);
+  REGISTRATION_POLICY = 'approval';
+}
+
+// Every client route is limited per IP address
+router.use(clientIpLimiter);
 
-// Helper function to generate random 4-digit activation code
-function generateActivationCode() {
-  return Math.floor(1000 + Math.random() * 9000).toString();
+// Helper function to record a failed activation attempt in the actions log and the throttling counters
+// device is only passed for registered devices, so made-up DUIDs are only counted against the IP address
+function recordFailedActivation(req, duid, device, reason) {
+  const ip = req.ip;
+  const entity = device ? { entityType: 'device', entityId: device.id } : {};
+  logAction(req, 'device_activation_failed', `Activation failed for ${duid} from ${ip}: ${reason}`, entity);
+  
+  const locked = activationCodeService.recordFailure(device ? duid : null, ip);
+  if (locked === 'duid') {
+    logAction(req, 'device_activation_locked', `Activation locked for ${duid} after too many failed attempts`, entity);
+  } else if (locked === 'ip') {
+    logAction(req, 'device_activation_locked', `Activation locked for IP ${ip} after too many failed attempts`, entity);
+  }
 }
 
 // Helper function to get all news
@@ -31,164 +48,190 @@ function getAllNews() {
   });
 }
 
+// Channel fields sent to devices; the unsigned transcoded path, backup sources and probe results stay on the server
+const CLIENT_CHANNEL_FIELDS = ['id', 'name', 'logo_url', 'type', 'category', 'has_news', 'order_index', 'created_at', 'updated_at'];
+
 // Helper function to process channel URL - return transcoded URL if enabled
-function processChannelUrl(channel) {
+// Transcoded URLs are signed for the device and its current token, and stop working at streamExpiry
+// Returns only the fields devices need
+function processChannelUrl(channel, device, streamExpiry) {
+  const clientChannel = {};
+  for (const field of CLIENT_CHANNEL_FIELDS) {
+    clientChannel[field] = channel[field];
+  }
+
   if (channel.transcoding_enabled && 
       channel.transcoded_url) {
     // Replace the original URL with the transcoded URL
-    channel.url = channel.transcoded_url;
+    clientChannel.url = streamTokenService.signStreamUrl(channel.transcoded_url, device, channel.id, streamExpiry);
+  } else {
+    // Serve pass-through channels from the source currently in use (primary or a backup)
+    clientChannel.url = sourceService.getLiveSourceUrl(channel);
   }
-  return channel;
+  return clientChannel;
 }
 
-// Helper function to get channels by types
-function getChannelsByTypes(types) {
-  return new Promise((resolve, reject) => {
-    // Convert comma-separated types to array
-    const typeArray = types.split(',');
-    const placeholders = typeArray.map(() => '?').join(',');
-    
-    db.all(
-      `SELECT * FROM channels WHERE type IN (${placeholders}) ORDER BY order_index ASC`,
-      typeArray,
-      (err, rows) => {
-        if (err) reject(err);
-        else {
-          // Process each channel to return transcoded URL if active
-          const processedRows = rows.map(channel => processChannelUrl(channel));
-          resolve(processedRows);
-        }
-      }
-    );
-  });
+// Helper function to get the channels of a device's packages
+async function getDeviceChannels(device, streamExpiry) {
+  const channels = await packageService.getDeviceChannels(device.id);
+  // Process each channel to return transcoded URL if active
+  return channels.map(channel => processChannelUrl(channel, device, streamExpiry));
+}
+
+// Helper function to get the channels of the free packages, which expired devices can still watch
+async function getFreeChannels(device, streamExpiry) {
+  const channels = await packageService.getFreeChannels();
+  return channels.map(channel => processChannelUrl(channel, device, streamExpiry));
+}
+
+// Helper function to get the names of a device's packages
+async function getDevicePackageNames(deviceId) {
+  const packages = await packageService.getDevicePackages(deviceId);
+  return packages.map(pkg => pkg.name);
 }
 
 // Check device status and return appropriate content
-router.post('/check-device', async (req, res) => {
-  const { duid } = req.body;
-  
-  if (!duid) {
-    return res.status(400).json({ error: 'Device ID (DUID) is required' });
-  }
+// Requires the device token unless the DUID-only compatibility flow is enabled
+router.post('/check-device', isDeviceAuthenticated, clientDuidLimiter, async (req, res) => {
+  const device = req.device;
+  const { duid } = device;
   
   try {
-    // Check if device exists
-    db.get('SELECT * FROM devices WHERE duid = ?', [duid], async (err, device) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      
-      // If device doesn't exist, register a new one
-      if (!device) {
-        return res.status(404).json({ 
-          error: 'Device not registered',
-          message: 'Device not registered. Please register your device first.'
-        });
-      }
-      
-      const now = new Date();
-      const expiryDate = new Date(device.expiry_date);
-      const news = await getAllNews();
-      
-      // Check device status
-      if (device.status === 'active') {
-        // Check if device is expired
-        if (now > expiryDate) {
-          // Update device status to expired
-          db.run(
-            'UPDATE devices SET status = "expired", updated_at = ? WHERE duid = ?',
-            [now.toISOString(), duid],
-            (err) => {
-              if (err) console.error('Error updating device status:', err.message);
-            }
-          );
-          
-          logAction('device_expired', `Device expired: ${duid} (${device.owner_name})`);
-          
-          // Only return FTA and Local channels for expired devices
-          const channels = await getChannelsByTypes('FTA,Local');
-          
-          return res.json({
-            status: 'expired',
-            message: 'Your subscription has ended. You can only view Free-To-Air and Local channels now.',
-            data: {
-              device: {
-                duid: device.duid,
-                owner_name: device.owner_name,
-                status: 'expired',
-                expiry_date: device.expiry_date
-              },
-              news,
-              channels
-            }
-          });
-        }
-        
-        // Active and not expired device - return all allowed channels
-        const channels = await getChannelsByTypes(device.allowed_types);
-        
-        return res.json({
-          status: 'active',
-          message: 'Device active',
-          data: {
-            device: {
-              duid: device.duid,
-              owner_name: device.owner_name,
-              status: device.status,
-              expiry_date: device.expiry_date,
-              allowed_types: device.allowed_types
-            },
-            news,
-            channels
-          }
-        });
-      } else if (device.status === 'disabled') {
-        return res.json({
-          status: 'disabled',
-          message: 'Your device has been disabled by the administrator. Please contact support for more information.',
-          data: {
-            device: {
-              duid: device.duid,
-              owner_name: device.owner_name,
-              status: device.status
-            }
+    // Hand out a new token when the admin panel asked for rotation
+    // The token is added to whatever the device receives below
+    let token;
+    if (device.token_rotate && deviceTokenService.getRequestToken(req)) {
+      token = await deviceTokenService.issueToken(device);
+      logAction(req, 'device_token_rotated', `Device token rotated: ${duid} (${device.owner_name})`, {
+        entityType: 'device',
+        entityId: device.id
+      });
+    }
+    const respond = (body) => res.json(token ? { ...body, token } : body);
+    
+    const now = new Date();
+    const expiryDate = new Date(device.expiry_date);
+    const news = await getAllNews();
+    // Stream URLs handed out below stop working at this time; check in again before then
+    const streamExpiry = streamTokenService.getStreamExpiry();
+    const streamsExpireAt = new Date(streamExpiry * 1000).toISOString();
+    
+    // Check device status
+    if (device.status === 'active') {
+      // Check if device is expired
+      if (now > expiryDate) {
+        // Update device status to expired
+        db.run(
+          'UPDATE devices SET status = "expired", updated_at = ? WHERE duid = ?',
+          [now.toISOString(), duid],
+          (err) => {
+            if (err) console.error('Error updating device status:', err.message);
           }
+        );
+        
+        logAction(req, 'device_expired', `Device expired: ${duid} (${device.owner_name})`, {
+          entityType: 'device',
+          entityId: device.id,
+          before: { status: device.status },
+          after: { status: 'expired' }
         });
-      } else if (device.status === 'expired') {
-        // Only return FTA and Local channels for expired devices
-        const channels = await getChannelsByTypes('FTA,Local');
         
-        return res.json({
+        // Only return the channels of free packages for expired devices
+        const channels = await getFreeChannels(device, streamExpiry);
+        
+        return respond({
           status: 'expired',
-          message: 'Your subscription has ended. You can only view Free-To-Air and Local channels now.',
+          message: 'Your subscription has ended. You can only view free channels now.',
           data: {
             device: {
               duid: device.duid,
               owner_name: device.owner_name,
-              status: device.status,
+              status: 'expired',
               expiry_date: device.expiry_date
             },
             news,
-            channels
+            channels,
+            streams_expire_at: streamsExpireAt
           }
         });
       }
-    });
+      
+      // Active and not expired device - return the channels of its packages
+      const channels = await getDeviceChannels(device, streamExpiry);
+      const packages = await getDevicePackageNames(device.id);
+      
+      return respond({
+        status: 'active',
+        message: 'Device active',
+        data: {
+          device: {
+            duid: device.duid,
+            owner_name: device.owner_name,
+            status: device.status,
+            expiry_date: device.expiry_date,
+            packages
+          },
+          news,
+          channels,
+          streams_expire_at: streamsExpireAt
+        }
+      });
+    } else if (device.status === 'disabled') {
+      return respond({
+        status: 'disabled',
+        message: 'Your device has been disabled by the administrator. Please contact support for more information.',
+        data: {
+          device: {
+            duid: device.duid,
+            owner_name: device.owner_name,
+            status: device.status
+          }
+        }
+      });
+    } else if (device.status === 'expired') {
+      // Only return the channels of free packages for expired devices
+      const channels = await getFreeChannels(device, streamExpiry);
+      
+      return respond({
+        status: 'expired',
+        message: 'Your subscription has ended. You can only view free channels now.',
+        data: {
+          device: {
+            duid: device.duid,
+            owner_name: device.owner_name,
+            status: device.status,
+            expiry_date: device.expiry_date
+          },
+          news,
+          channels,
+          streams_expire_at: streamsExpireAt
+        }
+      });
+    }
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
 // Register a new device
-router.post('/register-device', (req, res) => {
+router.post('/register-device', registrationLimiter, clientDuidLimiter, (req, res) => {
   const { duid } = req.body;
   
+  if (REGISTRATION_POLICY === 'closed') {
+    return res.status(403).json({
+      error: 'Registration closed',
+      message: 'New devices can not register themselves. Please contact your provider.'
+    });
+  }
+  
   if (!duid) {
     return res.status(400).json({ error: 'Device ID (DUID) is required for registration' });
   }
   
-  // Generate activation code (4 random digits)
-  const activation_code = generateActivationCode();
+  const pendingApproval = REGISTRATION_POLICY === 'approval';
+  
+  // Generate activation code
+  const { activation_code, activation_code_expires_at } = activationCodeService.issueActivationCode();
   
   // Set default expiry date (1 year from now)
   const expiryDate = new Date();
@@ -199,35 +242,55 @@ router.post('/register-device', (req, res) => {
   
   db.run(
     `INSERT INTO devices (
-      duid, activation_code, owner_name, allowed_types, 
-      expiry_date, status, created_at, updated_at
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      duid, activation_code, activation_code_expires_at, owner_name, 
+      expiry_date, status, self_registered, pending_approval, created_at, updated_at
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       duid, 
       activation_code, 
+      activation_code_expires_at,
       '', // Empty owner_name, to be filled by admin later
-      'FTA,Local', // Default allowed types
       expiryDate.toISOString().split('T')[0],
       'disabled', // Default status is disabled until activated
+      1,
+      pendingApproval ? 1 : 0,
       now, 
       now
     ],
-    function(err) {
+    async function(err) {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
       
+      const deviceId = this.lastID;
+      
+      // New devices start with the free packages
+      try {
+        await packageService.setDevicePackages(deviceId, await packageService.getFreePackageIds());
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      
       // Log action
-      logAction('device_registered', `New device registered with DUID: ${duid}`);
+      logAction(req, 'device_registered', pendingApproval
+        ? `New device registered with DUID: ${duid}, waiting for approval`
+        : `New device registered with DUID: ${duid}`, {
+        entityType: 'device',
+        entityId: deviceId
+      });
       
       // Return device info with activation code
       res.status(201).json({
-        message: 'Device successfully created',
+        message: pendingApproval
+          ? 'Device registered. It can be activated once an administrator approves it.'
+          : 'Device successfully created',
         data: {
           duid,
           activation_code,
+          activation_code_expires_at,
           owner_name: '',
           status: 'disabled',
+          pending_approval: pendingApproval,
           expiry_date: expiryDate.toISOString().split('T')[0]
         }
       });
@@ -235,8 +298,8 @@ router.post('/register-device', (req, res) => {
   );
 });
 
-// Activate a device
-router.post('/activate-device', (req, res) => {
+// Activate a device and issue its device token
+router.post('/activate-device', clientDuidLimiter, (req, res) => {
   const { duid, activation_code } = req.body;
   
   if (!duid || !activation_code) {
@@ -245,32 +308,78 @@ router.post('/activate-device', (req, res) => {
     });
   }
   
+  // Refuse DUIDs and IP addresses with too many failed attempts without checking the code
+  const lockout = activationCodeService.getLockout(duid, req.ip);
+  if (lockout > 0) {
+    res.set('Retry-After', Math.ceil(lockout / 1000).toString());
+    return res.status(429).json({
+      error: 'Too many failed activation attempts',
+      message: `Please try again in ${Math.ceil(lockout / 60000)} minutes.`
+    });
+  }
+  
   db.get(
     'SELECT * FROM devices WHERE duid = ?', 
     [duid], 
-    (err, device) => {
+    async (err, device) => {
       if (err) {
         return res.status(500).json({ error: err.message });
       }
       
       if (!device) {
+        recordFailedActivation(req, duid, null, 'device not found');
         return res.status(404).json({ error: 'Device not found' });
       }
       
       // Check activation code
-      if (device.activation_code !== activation_code) {
+      if (!activationCodeService.codeMatches(device, activation_code)) {
+        recordFailedActivation(req, duid, device, 'invalid activation code');
         return res.status(400).json({ error: 'Invalid activation code' });
       }
       
-      // Check if already activated
+      // The right code was entered, so this doesn't count as a guess
+      if (activationCodeService.isCodeExpired(device)) {
+        logAction(req, 'device_activation_failed', `Activation failed for ${duid} from ${req.ip}: activation code expired`, {
+          entityType: 'device',
+          entityId: device.id
+        });
+        return res.status(400).json({
+          error: 'Activation code expired',
+          message: 'This activation code has expired. Please ask your provider for a new code.'
+        });
+      }
+      
+      activationCodeService.clearFailures(duid);
+      
+      if (device.pending_approval) {
+        return res.status(403).json({
+          error: 'Device not approved',
+          message: 'Your device is waiting for approval by the administrator. Please try again later.'
+        });
+      }
+      
+      // Already active devices only get a new token, e.g. after a reinstall or a revoked token
       if (device.status === 'active') {
-        return res.status(400).json({ 
-          error: 'Device is already activated',
-          device: {
+        let token;
+        try {
+          token = await deviceTokenService.issueToken(device);
+        } catch (error) {
+          return res.status(500).json({ error: error.message });
+        }
+        
+        logAction(req, 'device_token_issued', `Device token issued: ${duid} (${device.owner_name})`, {
+          entityType: 'device',
+          entityId: device.id
+        });
+        
+        return res.json({
+          message: 'Device is already activated, a new device token was issued',
+          data: {
             duid: device.duid,
             owner_name: device.owner_name,
             status: device.status,
-            expiry_date: device.expiry_date
+            expiry_date: device.expiry_date,
+            token
           }
         });
       }
@@ -281,7 +390,7 @@ router.post('/activate-device', (req, res) => {
       db.run(
         'UPDATE devices SET status = "active", updated_at = ? WHERE duid = ?',
         [now, duid],
-        function(err) {
+        async function(err) {
           if (err) {
             return res.status(500).json({ error: err.message });
           }
@@ -290,8 +399,22 @@ router.post('/activate-device', (req, res) => {
             return res.status(404).json({ error: 'Device not found' });
           }
           
+          let packages;
+          let token;
+          try {
+            packages = await getDevicePackageNames(device.id);
+            token = await deviceTokenService.issueToken(device);
+          } catch (error) {
+            return res.status(500).json({ error: error.message });
+          }
+          
           // Log action
-          logAction('device_activated', `Device activated: ${duid} (${device.owner_name})`);
+          logAction(req, 'device_activated', `Device activated: ${duid} (${device.owner_name})`, {
+            entityType: 'device',
+            entityId: device.id,
+            before: { status: device.status },
+            after: { status: 'active' }
+          });
           
           // Return updated device info
           res.json({
@@ -301,7 +424,8 @@ router.post('/activate-device', (req, res) => {
               owner_name: device.owner_name,
               status: 'active',
               expiry_date: device.expiry_date,
-              allowed_types: device.allowed_types
+              packages,
+              token
             }
           });
         }
@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../index');
+const customerService = require('../services/customers');
+const subscriptionService = require('../services/subscriptions');
+const streamSessionService = require('../services/streamSessions');
+const { logAction, changedFields } = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Get all customers with their number of devices and earliest expiry date
+router.get('/', asyncHandler(async (req, res) => {
+  const { search } = req.query;
+  let sql = `SELECT customers.*,
+    (SELECT COUNT(*) FROM devices d WHERE d.customer_id = customers.id) as device_count,
+    (SELECT MIN(d.expiry_date) FROM devices d WHERE d.customer_id = customers.id) as expiry_date
+    FROM customers`;
+  const params = [];
+
+  if (search) {
+    const pattern = `%${search}%`;
+    sql += ` WHERE customers.name LIKE ? OR customers.phone LIKE ? OR customers.address LIKE ?
+      OR EXISTS (SELECT 1 FROM devices d WHERE d.customer_id = customers.id AND (d.duid LIKE ? OR d.owner_name LIKE ?))`;
+    params.push(pattern, pattern, pattern, pattern, pattern);
+  }
+
+  sql += ' ORDER BY customers.name COLLATE NOCASE ASC';
+
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) {
+        console.error('Error fetching customers:', err.message);
+        return reject(err);
+      }
+
+      res.json({ data: rows });
+      resolve();
+    });
+  });
+}));
+
+// Get single customer by ID with its devices
+router.get('/:id', asyncHandler(async (req, res) => {
+  const customer = await customerService.getCustomer(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return;
+  }
+
+  customer.devices = await customerService.getCustomerDevices(customer.id);
+  res.json({ data: customer });
+}));
+
+// Create new customer
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, phone, address, notes, max_streams } = req.body;
+
+  // Validation
+  if (!name || !name.trim()) {
+    res.status(400).json({ error: 'Customer name is required' });
+    return;
+  }
+
+  let maxStreams = null;
+  if (max_streams !== undefined) {
+    try {
+      maxStreams = streamSessionService.resolveMaxStreams(max_streams);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+  }
+
+  const now = new Date().toISOString();
+
+  const customerId = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO customers (name, phone, address, notes, max_streams, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [name.trim(), phone || null, address || null, notes || null, maxStreams, now, now],
+      function(err) {
+        if (err) {
+          console.error('Error creating customer:', err.message);
+          return reject(err);
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+
+  const customer = await customerService.getCustomer(customerId);
+
+  // Log action
+  logAction(req, 'customer_created', `New customer created: ${name.trim()}`, {
+    entityType: 'customer',
+    entityId: customerId,
+    after: customer
+  });
+
+  customer.devices = [];
+
+  res.status(201).json({
+    message: 'Customer created successfully',
+    data: customer
+  });
+}));
+
+// Update customer
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { name, phone, address, notes, max_streams } = req.body;
+  const now = new Date().toISOString();
+
+  const customer = await customerService.getCustomer(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return;
+  }
+
+  if (name !== undefined && (!name || !name.trim())) {
+    res.status(400).json({ error: 'Customer name is required' });
+    return;
+  }
+
+  let maxStreams;
+  if (max_streams !== undefined) {
+    try {
+      maxStreams = streamSessionService.resolveMaxStreams(max_streams);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+  }
+
+  // Prepare update fields
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (phone !== undefined) {
+    updates.push('phone = ?');
+    params.push(phone || null);
+  }
+
+  if (address !== undefined) {
+    updates.push('address = ?');
+    params.push(address || null);
+  }
+
+  if (notes !== undefined) {
+    updates.push('notes = ?');
+    params.push(notes || null);
+  }
+
+  if (maxStreams !== undefined) {
+    updates.push('max_streams = ?');
+    params.push(maxStreams);
+  }
+
+  updates.push('updated_at = ?');
+  params.push(now);
+  params.push(customer.id);
+
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE customers SET ${updates.join(', ')} WHERE id = ?`, params, (err) => {
+      if (err) {
+        console.error('Error updating customer:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  const updated = await customerService.getCustomer(customer.id);
+
+  // Log action, naming the changed fields
+  const changed = changedFields(customer, updated);
+  logAction(req, 'customer_updated', `Customer updated: ${updated.name}${changed.length > 0 ? ` (${changed.join(', ')})` : ''}`, {
+    entityType: 'customer',
+    entityId: customer.id,
+    before: customer,
+    after: updated
+  });
+
+  updated.devices = await customerService.getCustomerDevices(customer.id);
+
+  res.json({
+    message: 'Customer updated successfully',
+    data: updated
+  });
+}));
+
+// Delete customer
+// Devices are kept and only unlinked from the customer
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const customer = await customerService.getCustomer(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return;
+  }
+
+  await customerService.removeCustomerLinks(customer.id);
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM customers WHERE id = ?', [customer.id], (err) => {
+      if (err) {
+        console.error('Error deleting customer:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  // Log action
+  logAction(req, 'customer_deleted', `Customer deleted: ${customer.name}`, {
+    entityType: 'customer',
+    entityId: customer.id,
+    before: customer
+  });
+
+  res.json({
+    message: 'Customer deleted successfully',
+    id: req.params.id
+  });
+}));
+
+// Get the renewals made for a customer
+router.get('/:id/subscriptions', asyncHandler(async (req, res) => {
+  const customer = await customerService.getCustomer(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return;
+  }
+
+  res.json({ data: await subscriptionService.getCustomerSubscriptions(customer.id) });
+}));
+
+// Renew all of a customer's devices with a plan
+router.post('/:id/renew', asyncHandler(async (req, res) => {
+  const { plan_id, notes } = req.body;
+
+  const customer = await customerService.getCustomer(req.params.id);
+
+  if (!customer) {
+    res.status(404).json({ error: 'Customer not found' });
+    return;
+  }
+
+  if (!plan_id) {
+    res.status(400).json({ error: 'plan_id is required' });
+    return;
+  }
+
+  const plan = await subscriptionService.getPlan(plan_id);
+  if (!plan) {
+    res.status(400).json({ error: 'Plan not found' });
+    return;
+  }
+
+  if (!plan.is_active) {
+    res.status(400).json({ error: `Plan "${plan.name}" is no longer offered` });
+    return;
+  }
+
+  const devices = await customerService.getCustomerDevices(customer.id);
+  if (devices.length === 0) {
+    res.status(400).json({ error: 'Customer has no devices to renew' });
+    return;
+  }
+
+  const renewal = await subscriptionService.renewCustomer(customer, plan, notes);
+
+  // Log action
+  logAction(req, 'customer_renewed', `Customer ${customer.name} renewed with plan ${plan.name} until ${renewal.expiry_date} (${renewal.devices.length} devices)`, {
+    entityType: 'customer',
+    entityId: customer.id
+  });
+  renewal.devices
+    .filter(device => device.status !== device.previous_status)
+    .forEach(device => {
+      logAction(req, 'device_status_changed', `Device ${device.duid} status changed from ${device.previous_status} to ${device.status}`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: { status: device.previous_status },
+        after: { status: device.status }
+      });
+    });
+
+  const updated = await customerService.getCustomer(customer.id);
+  updated.devices = await customerService.getCustomerDevices(customer.id);
+
+  res.json({
+    message: `${renewal.devices.length} device${renewal.devices.length === 1 ? '' : 's'} renewed until ${renewal.expiry_date}`,
+    data: updated
+  });
+}));
+
+module.exports = router;
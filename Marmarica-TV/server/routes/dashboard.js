@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../index');
+const auditService = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
 
 // Get dashboard data
 router.get('/', (req, res) => {
@@ -107,7 +109,7 @@ router.get('/', (req, res) => {
       (err, rows) => {
         if (err) reject(err);
         else {
-          dashboardData.recentActions = rows;
+          dashboardData.recentActions = rows.map(auditService.parseAction);
           resolve();
         }
       }
@@ -130,21 +132,64 @@ router.get('/', (req, res) => {
     });
 });
 
-// Get recent actions
-router.get('/actions', (req, res) => {
-  const limit = parseInt(req.query.limit) || 20;
-  
-  db.all(
-    'SELECT * FROM actions ORDER BY created_at DESC LIMIT ?',
-    [limit],
-    (err, rows) => {
-      if (err) {
-        return res.status(500).json({ error: err.message });
-      }
-      res.json({ data: rows });
-    }
+// Get actions, newest first, a page at a time
+// Filters: action_type, entity_type, entity_id, admin_id ('system' for the server), from, to, search
+// limit is still accepted as the page size for older clients
+router.get('/actions', asyncHandler(async (req, res) => {
+  let filter;
+  try {
+    filter = auditService.buildActionFilter(req.query);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const pageSize = Math.min(
+    parseInt(req.query.page_size || req.query.limit) || 20,
+    auditService.ACTIONS_MAX_PAGE_SIZE
   );
-});
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  const [actions, total] = await Promise.all([
+    auditService.findActions(filter, { limit: pageSize, offset: (page - 1) * pageSize }),
+    auditService.countActions(filter)
+  ]);
+
+  res.json({
+    data: actions,
+    pagination: {
+      page,
+      page_size: pageSize,
+      total,
+      total_pages: Math.ceil(total / pageSize)
+    }
+  });
+}));
+
+// Get the action types, entity types and admins in the log, for filtering
+router.get('/actions/filters', asyncHandler(async (req, res) => {
+  res.json({ data: await auditService.getActionFilterOptions() });
+}));
+
+// Export the actions matching the same filters as GET /actions as CSV
+router.get('/actions/export', asyncHandler(async (req, res) => {
+  let filter;
+  try {
+    filter = auditService.buildActionFilter(req.query);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const actions = await auditService.findActions(filter, { limit: auditService.ACTIONS_EXPORT_LIMIT });
+  const filename = `activity-log-${new Date().toISOString().split('T')[0]}.csv`;
+
+  auditService.logAction(req, 'activity_log_exported', `Activity log exported (${actions.length} actions)`);
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.send(auditService.actionsToCsv(actions));
+}));
 
 // Get expiring devices
 router.get('/expiring-devices', (req, res) => {
@@ -173,18 +218,4 @@ router.get('/expiring-devices', (req, res) => {
   );
 });
 
-// Clear action history
-router.delete('/actions', (req, res) => {
-  db.run('DELETE FROM actions', [], function(err) {
-    if (err) {
-      return res.status(500).json({ error: err.message });
-    }
-    
-    res.json({ 
-      message: 'Action history cleared successfully',
-      rowsAffected: this.changes 
-    });
-  });
-});
-
 module.exports = router;
@@ -1,24 +1,66 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../index');
+const packageService = require('../services/packages');
+const subscriptionService = require('../services/subscriptions');
+const customerService = require('../services/customers');
+const deviceTokenService = require('../services/deviceTokens');
+const streamSessionService = require('../services/streamSessions');
+const streamTokenService = require('../services/streamTokens');
+const activationCodeService = require('../services/activationCodes');
+const { requirePermission } = require('../middleware/auth');
+const { logAction, changedFields } = require('../services/audit');
 
-// Helper function to log actions
-const logAction = (actionType, description) => {
-  const now = new Date().toISOString();
-  db.run(
-    'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
-    [actionType, description, now],
-    (err) => {
-      if (err) {
-        console.error('Error logging action:', err.message);
+// Helper function to get a device by ID
+function getDevice(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM devices WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+}
+
+// Helper function to get the pending devices among a list of IDs
+function getPendingDevices(ids) {
+  if (!Array.isArray(ids) || ids.some(id => !Number.isInteger(Number(id)))) {
+    return Promise.reject(new Error('ids must be a list of device IDs'));
+  }
+  
+  if (ids.length === 0) {
+    return Promise.resolve([]);
+  }
+  
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM devices WHERE pending_approval = 1 AND id IN (${ids.map(() => '?').join(', ')})`,
+      ids.map(Number),
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
       }
-    }
-  );
-};
+    );
+  });
+}
 
-// Helper function to generate random 4-digit activation code
-function generateActivationCode() {
-  return Math.floor(1000 + Math.random() * 9000).toString();
+// Helper function to delete a device with its package assignments and subscription history
+function deleteDevice(device) {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM devices WHERE id = ?', [device.id], async (err) => {
+      if (err) {
+        return reject(err);
+      }
+      
+      try {
+        await packageService.removeDeviceLinks(device.id);
+        await subscriptionService.removeDeviceSubscriptions(device.id);
+      } catch (error) {
+        console.error('Error cleaning up deleted device:', error.message);
+      }
+      streamTokenService.evictStreamAccess(device.id);
+      resolve();
+    });
+  });
 }
 
 // Helper function to check if a date is expired
@@ -66,7 +108,12 @@ async function checkAndUpdateExpiryStatus(device) {
             resolve(device); // Return original device if update fails
           } else {
             // Log action
-            logAction('device_expired', `Device ${device.duid} (${device.owner_name}) automatically marked as expired`);
+            logAction(null, 'device_expired', `Device ${device.duid} (${device.owner_name}) automatically marked as expired`, {
+              entityType: 'device',
+              entityId: device.id,
+              before: device,
+              after: { ...device, status: 'expired' }
+            });
             
             // Return updated device
             device.status = 'expired';
@@ -117,10 +164,12 @@ const runBackgroundExpiryCheck = () => {
                     console.log(`Device ${device.duid} marked as expired in background check`);
                     
                     // Log action
-                    db.run(
-                      'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
-                      ['device_expired', `Device ${device.duid} (${device.owner_name}) marked as expired in background check`, now]
-                    );
+                    logAction(null, 'device_expired', `Device ${device.duid} (${device.owner_name}) marked as expired in background check`, {
+                      entityType: 'device',
+                      entityId: device.id,
+                      before: device,
+                      after: { ...device, status: 'expired' }
+                    });
                   }
                   
                   // Process next device regardless of success/failure
@@ -141,15 +190,22 @@ const runBackgroundExpiryCheck = () => {
   }
 };
 
-// Run background check immediately and then every minute
-runBackgroundExpiryCheck();
+// Run background check every minute
+// Not right away: the routes load before migrations have run, and index.js checks expiry on startup
 setInterval(runBackgroundExpiryCheck, 60000);
 
 // Get all devices with optional filtering
 router.get('/', (req, res) => {
   try {
-    const { status, expiring } = req.query;
-    let sql = 'SELECT * FROM devices';
+    const { status, expiring, customer_id, pending } = req.query;
+    // Include the names of each device's packages and its customer
+    let sql = `SELECT devices.*,
+      (SELECT GROUP_CONCAT(p.name, ', ') FROM device_packages dp
+       JOIN packages p ON p.id = dp.package_id
+       WHERE dp.device_id = devices.id) as package_names,
+      (SELECT c.name FROM customers c WHERE c.id = devices.customer_id) as customer_name,
+      (SELECT c.phone FROM customers c WHERE c.id = devices.customer_id) as customer_phone
+      FROM devices`;
     const params = [];
     
     // Apply filters if provided
@@ -158,13 +214,26 @@ router.get('/', (req, res) => {
       params.push(status);
     }
     
+    if (customer_id) {
+      sql += params.length ? ' AND' : ' WHERE';
+      sql += ' customer_id = ?';
+      params.push(customer_id);
+    }
+    
+    // Self-registered devices waiting for approval
+    if (pending === 'true') {
+      sql += params.length ? ' AND' : ' WHERE';
+      sql += ' pending_approval = ?';
+      params.push(1);
+    }
+    
     // Add expiring filter (devices expiring within 7 days)
     if (expiring === 'true') {
       const now = new Date();
       const sevenDaysLater = new Date(now);
       sevenDaysLater.setDate(sevenDaysLater.getDate() + 7);
       
-      sql += status ? ' AND' : ' WHERE';
+      sql += params.length ? ' AND' : ' WHERE';
       sql += ' expiry_date <= ? AND expiry_date >= ? AND status = "active"';
       params.push(sevenDaysLater.toISOString().split('T')[0]);
       params.push(now.toISOString().split('T')[0]);
@@ -215,6 +284,14 @@ router.get('/:id', async (req, res) => {
       // Check if device is expired and update if needed
       const updatedDevice = await checkAndUpdateExpiryStatus(device);
       
+      try {
+        const packages = await packageService.getDevicePackages(device.id);
+        updatedDevice.package_ids = packages.map(pkg => pkg.id);
+      } catch (error) {
+        console.error('Error fetching device packages:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      
       res.json({ data: updatedDevice });
     });
   } catch (e) {
@@ -224,22 +301,46 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new device
-router.post('/', (req, res) => {
+router.post('/', async (req, res) => {
   try {
-    const { owner_name, allowed_types } = req.body;
+    let { owner_name, package_ids, customer_id, max_streams } = req.body;
+    
+    let customerId;
+    let maxStreams;
+    try {
+      customerId = await customerService.resolveCustomerId(customer_id);
+      maxStreams = max_streams === undefined ? null : streamSessionService.resolveMaxStreams(max_streams);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    // Devices of a customer are named after the customer unless given their own name
+    if (!owner_name && customerId) {
+      owner_name = (await customerService.getCustomer(customerId)).name;
+    }
     
     // Validation
     if (!owner_name) {
       return res.status(400).json({ error: 'Owner name is required' });
     }
     
+    // Default to the free packages if none are given
+    let packageIds;
+    try {
+      packageIds = package_ids === undefined
+        ? await packageService.getFreePackageIds()
+        : await packageService.resolvePackageIds(package_ids);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
     // Generate unique DUID (using timestamp + random string)
     const timestamp = new Date().getTime().toString(16);
     const randomStr = Math.random().toString(16).substring(2, 6);
     const duid = `${timestamp}${randomStr}`.toUpperCase();
     
-    // Generate activation code (4 random digits)
-    const activation_code = generateActivationCode();
+    // Generate activation code
+    const { activation_code, activation_code_expires_at } = activationCodeService.issueActivationCode();
     
     // Set default expiry date (1 year from now)
     const expiryDate = new Date();
@@ -247,40 +348,52 @@ router.post('/', (req, res) => {
     
     // Get current timestamp
     const now = new Date().toISOString();
-    
-    // Default allowed types if not provided
-    const deviceAllowedTypes = allowed_types || 'FTA,Local';
 
     db.run(
       `INSERT INTO devices (
-        duid, activation_code, owner_name, allowed_types, 
+        duid, activation_code, activation_code_expires_at, owner_name, customer_id, max_streams,
         expiry_date, status, created_at, updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         duid, 
         activation_code, 
+        activation_code_expires_at,
         owner_name, 
-        deviceAllowedTypes, 
+        customerId,
+        maxStreams,
         expiryDate.toISOString().split('T')[0],
         'disabled', 
         now, 
         now
       ],
-      function(err) {
+      async function(err) {
         if (err) {
           console.error('Error creating device:', err.message);
           return res.status(500).json({ error: err.message });
         }
         
-        // Log action
-        logAction('device_created', `New device created for ${owner_name} with DUID: ${duid}`);
+        const deviceId = this.lastID;
+        
+        try {
+          await packageService.setDevicePackages(deviceId, packageIds);
+        } catch (error) {
+          return res.status(500).json({ error: error.message });
+        }
         
         // Return created device
-        db.get('SELECT * FROM devices WHERE id = ?', [this.lastID], (err, row) => {
+        db.get('SELECT * FROM devices WHERE id = ?', [deviceId], (err, row) => {
           if (err) {
             console.error('Error retrieving created device:', err.message);
             return res.status(500).json({ error: err.message });
           }
+          row.package_ids = packageIds;
+          
+          // Log action
+          logAction(req, 'device_created', `New device created for ${owner_name} with DUID: ${duid}`, {
+            entityType: 'device',
+            entityId: deviceId,
+            after: row
+          });
           res.status(201).json({ 
             message: 'Device created successfully',
             data: row 
@@ -297,9 +410,26 @@ router.post('/', (req, res) => {
 // Update device
 router.put('/:id', async (req, res) => {
   try {
-    let { owner_name, allowed_types, expiry_date, status } = req.body;
+    let { owner_name, package_ids, customer_id, max_streams, expiry_date, status } = req.body;
     const now = new Date().toISOString();
     
+    let packageIds;
+    let customerId;
+    let maxStreams;
+    try {
+      if (package_ids !== undefined) {
+        packageIds = await packageService.resolvePackageIds(package_ids);
+      }
+      if (customer_id !== undefined) {
+        customerId = await customerService.resolveCustomerId(customer_id);
+      }
+      if (max_streams !== undefined) {
+        maxStreams = streamSessionService.resolveMaxStreams(max_streams);
+      }
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
     // Get current device data for comparison
     db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
       if (err) {
@@ -311,6 +441,16 @@ router.put('/:id', async (req, res) => {
         return res.status(404).json({ error: 'Device not found' });
       }
       
+      // Keep the device as it was for the audit log
+      let before;
+      try {
+        const packagesBefore = await packageService.getDevicePackages(device.id);
+        before = { ...device, package_ids: packagesBefore.map(pkg => pkg.id) };
+      } catch (error) {
+        console.error('Error fetching device packages:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      
       // Check expiry status
       const dateToCheck = expiry_date || device.expiry_date;
       
@@ -334,9 +474,14 @@ router.put('/:id', async (req, res) => {
         params.push(owner_name);
       }
       
-      if (allowed_types !== undefined) {
-        updates.push('allowed_types = ?');
-        params.push(allowed_types);
+      if (customerId !== undefined) {
+        updates.push('customer_id = ?');
+        params.push(customerId);
+      }
+      
+      if (maxStreams !== undefined) {
+        updates.push('max_streams = ?');
+        params.push(maxStreams);
       }
       
       if (expiry_date !== undefined) {
@@ -353,13 +498,13 @@ router.put('/:id', async (req, res) => {
       params.push(now);
       params.push(req.params.id);
       
-      if (updates.length === 1) {
+      if (updates.length === 1 && packageIds === undefined) {
         return res.status(400).json({ error: 'No valid fields to update' });
       }
       
       const sql = `UPDATE devices SET ${updates.join(', ')} WHERE id = ?`;
       
-      db.run(sql, params, function(err) {
+      db.run(sql, params, async function(err) {
         if (err) {
           console.error('Error updating device:', err.message);
           return res.status(500).json({ error: err.message });
@@ -369,17 +514,53 @@ router.put('/:id', async (req, res) => {
           return res.status(404).json({ error: 'Device not found' });
         }
         
-        // Log status change if applicable
-        if (status !== undefined && status !== device.status) {
-          logAction('device_status_changed', `Device ${device.duid} status changed from ${device.status} to ${status}`);
+        if (packageIds !== undefined) {
+          try {
+            await packageService.setDevicePackages(device.id, packageIds);
+          } catch (error) {
+            return res.status(500).json({ error: error.message });
+          }
+        }
+
+        // Apply status, package and stream limit changes to the device's stream URLs right away
+        streamTokenService.evictStreamAccess(device.id);
+
+        // Keep manual expiry changes in the subscription history
+        if (expiry_date !== undefined && expiry_date !== device.expiry_date) {
+          try {
+            await subscriptionService.recordExpiryChange(device, expiry_date);
+          } catch (error) {
+            console.error('Error recording expiry change:', error.message);
+          }
         }
         
         // Return updated device
-        db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], (err, row) => {
+        db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, row) => {
           if (err) {
             console.error('Error retrieving updated device:', err.message);
             return res.status(500).json({ error: err.message });
           }
+          
+          try {
+            const packages = await packageService.getDevicePackages(device.id);
+            row.package_ids = packages.map(pkg => pkg.id);
+          } catch (error) {
+            console.error('Error fetching device packages:', error.message);
+            return res.status(500).json({ error: error.message });
+          }
+          
+          // Log action, naming the changed fields; the audit log keeps their old and new values
+          const changed = changedFields(before, row);
+          const description = changed.length > 0
+            ? `Device ${device.duid} (${device.owner_name}) updated: ${changed.join(', ')}`
+            : `Device ${device.duid} (${device.owner_name}) saved without changes`;
+          logAction(req, 'device_updated', description, {
+            entityType: 'device',
+            entityId: device.id,
+            before,
+            after: row
+          });
+          
           res.json({ 
             message: 'Device updated successfully',
             data: row 
@@ -393,13 +574,54 @@ router.put('/:id', async (req, res) => {
   }
 });
 
-// Delete device
-router.delete('/:id', (req, res) => {
+// Get a device's subscription history
+router.get('/:id/subscriptions', async (req, res) => {
   try {
-    // Get device info before deletion for logging
-    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], (err, device) => {
+    db.get('SELECT id FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
       if (err) {
-        console.error('Error fetching device for deletion:', err.message);
+        console.error('Error fetching device:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      
+      try {
+        const subscriptions = await subscriptionService.getDeviceSubscriptions(device.id);
+        res.json({ data: subscriptions });
+      } catch (error) {
+        console.error('Error fetching subscriptions:', error.message);
+        res.status(500).json({ error: error.message });
+      }
+    });
+  } catch (e) {
+    console.error('Unhandled error in device subscriptions endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Renew a device with a subscription plan
+router.post('/:id/renew', async (req, res) => {
+  try {
+    const { plan_id, notes } = req.body;
+    
+    if (!plan_id) {
+      return res.status(400).json({ error: 'plan_id is required' });
+    }
+    
+    const plan = await subscriptionService.getPlan(plan_id);
+    if (!plan) {
+      return res.status(400).json({ error: 'Plan not found' });
+    }
+    
+    if (!plan.is_active) {
+      return res.status(400).json({ error: `Plan "${plan.name}" is no longer offered` });
+    }
+    
+    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
+      if (err) {
+        console.error('Error fetching device for renewal:', err.message);
         return res.status(500).json({ error: err.message });
       }
       
@@ -407,23 +629,295 @@ router.delete('/:id', (req, res) => {
         return res.status(404).json({ error: 'Device not found' });
       }
       
-      db.run('DELETE FROM devices WHERE id = ?', [req.params.id], function(err) {
+      try {
+        const renewal = await subscriptionService.renewDevice(device, plan, notes);
+        
+        // Return updated device
+        db.get('SELECT * FROM devices WHERE id = ?', [device.id], async (err, row) => {
+          if (err) {
+            console.error('Error retrieving renewed device:', err.message);
+            return res.status(500).json({ error: err.message });
+          }
+          
+          // Log action
+          logAction(req, 'device_renewed', `Device ${device.duid} (${device.owner_name}) renewed with plan ${plan.name} until ${renewal.expiry_date}`, {
+            entityType: 'device',
+            entityId: device.id,
+            before: device,
+            after: row
+          });
+          
+          try {
+            const packages = await packageService.getDevicePackages(device.id);
+            row.package_ids = packages.map(pkg => pkg.id);
+          } catch (error) {
+            console.error('Error fetching device packages:', error.message);
+            return res.status(500).json({ error: error.message });
+          }
+          
+          res.json({
+            message: `Device renewed until ${renewal.expiry_date}`,
+            data: row
+          });
+        });
+      } catch (error) {
+        console.error('Error renewing device:', error.message);
+        res.status(500).json({ error: error.message });
+      }
+    });
+  } catch (e) {
+    console.error('Unhandled error in renew device endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rotate a device's token: the device gets a new token on its next check-in and the old one stops working
+router.post('/:id/token/rotate', async (req, res) => {
+  try {
+    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
+      if (err) {
+        console.error('Error fetching device for token rotation:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      
+      let after;
+      try {
+        const requested = await deviceTokenService.requestRotation(device.id);
+        if (!requested) {
+          return res.status(400).json({ error: 'Device has no token to rotate. It gets one when it is activated.' });
+        }
+        after = await getDevice(device.id);
+      } catch (error) {
+        console.error('Error requesting token rotation:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      
+      // Log action
+      logAction(req, 'device_token_rotation_requested', `Token rotation requested for device ${device.duid} (${device.owner_name})`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: device,
+        after
+      });
+      
+      res.json({
+        message: 'The device will receive a new token on its next check-in',
+        data: { id: device.id, token_rotate: 1 }
+      });
+    });
+  } catch (e) {
+    console.error('Unhandled error in rotate device token endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Generate a new activation code for a device, e.g. when the old one expired or leaked
+// The device's token keeps working; the new code is only needed to activate again
+router.post('/:id/activation-code', async (req, res) => {
+  try {
+    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
+      if (err) {
+        console.error('Error fetching device for activation code:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      
+      let activation;
+      let after;
+      try {
+        activation = await activationCodeService.regenerateActivationCode(device);
+        after = await getDevice(device.id);
+      } catch (error) {
+        return res.status(500).json({ error: error.message });
+      }
+      
+      // Log action
+      logAction(req, 'device_activation_code_regenerated', `New activation code generated for device ${device.duid} (${device.owner_name})`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: device,
+        after
+      });
+      
+      res.json({
+        message: 'New activation code generated',
+        data: { id: device.id, ...activation }
+      });
+    });
+  } catch (e) {
+    console.error('Unhandled error in activation code endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a device's token right away; the device has to be activated again with a new activation code
+router.post('/:id/token/revoke', async (req, res) => {
+  try {
+    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
+      if (err) {
+        console.error('Error fetching device for token revocation:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      
+      const activation = activationCodeService.issueActivationCode();
+      
+      let after;
+      try {
+        await deviceTokenService.revokeToken(device.id, activation);
+        after = await getDevice(device.id);
+      } catch (error) {
+        console.error('Error revoking device token:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      activationCodeService.clearFailures(device.duid);
+      
+      // Log action
+      logAction(req, 'device_token_revoked', `Token revoked for device ${device.duid} (${device.owner_name})`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: device,
+        after
+      });
+      
+      res.json({
+        message: 'Device token revoked. Activate the device again with the new activation code.',
+        data: { id: device.id, ...activation, token_issued_at: null, token_rotate: 0 }
+      });
+    });
+  } catch (e) {
+    console.error('Unhandled error in revoke device token endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Approve self-registered devices so they can be activated
+router.post('/approve', async (req, res) => {
+  try {
+    let devices;
+    try {
+      devices = await getPendingDevices(req.body.ids);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (devices.length === 0) {
+      return res.status(400).json({ error: 'No pending devices selected' });
+    }
+    
+    const now = new Date().toISOString();
+    const ids = devices.map(device => device.id);
+    
+    db.run(
+      `UPDATE devices SET pending_approval = 0, updated_at = ? WHERE id IN (${ids.map(() => '?').join(', ')})`,
+      [now, ...ids],
+      (err) => {
         if (err) {
-          console.error('Error deleting device:', err.message);
+          console.error('Error approving devices:', err.message);
           return res.status(500).json({ error: err.message });
         }
         
-        if (this.changes === 0) {
-          return res.status(404).json({ error: 'Device not found' });
-        }
-        
         // Log action
-        logAction('device_deleted', `Device deleted: ${device.duid} (${device.owner_name})`);
+        devices.forEach(device => logAction(req, 'device_approved', `Device approved: ${device.duid}`, {
+          entityType: 'device',
+          entityId: device.id,
+          before: device,
+          after: { ...device, pending_approval: 0 }
+        }));
         
-        res.json({ 
-          message: 'Device deleted successfully',
-          id: req.params.id 
+        res.json({
+          message: `${ids.length} device${ids.length === 1 ? '' : 's'} approved`,
+          data: { ids }
         });
+      }
+    );
+  } catch (e) {
+    console.error('Unhandled error in approve devices endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reject self-registered devices; they are deleted
+router.post('/reject', requirePermission('devices', 'delete'), async (req, res) => {
+  try {
+    let devices;
+    try {
+      devices = await getPendingDevices(req.body.ids);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (devices.length === 0) {
+      return res.status(400).json({ error: 'No pending devices selected' });
+    }
+    
+    for (const device of devices) {
+      try {
+        await deleteDevice(device);
+      } catch (error) {
+        console.error('Error rejecting device:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      
+      // Log action
+      logAction(req, 'device_rejected', `Device rejected and deleted: ${device.duid}`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: device
+      });
+    }
+    
+    res.json({
+      message: `${devices.length} device${devices.length === 1 ? '' : 's'} rejected`,
+      data: { ids: devices.map(device => device.id) }
+    });
+  } catch (e) {
+    console.error('Unhandled error in reject devices endpoint:', e);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete device
+router.delete('/:id', (req, res) => {
+  try {
+    // Get device info before deletion for logging
+    db.get('SELECT * FROM devices WHERE id = ?', [req.params.id], async (err, device) => {
+      if (err) {
+        console.error('Error fetching device for deletion:', err.message);
+        return res.status(500).json({ error: err.message });
+      }
+      
+      if (!device) {
+        return res.status(404).json({ error: 'Device not found' });
+      }
+      
+      try {
+        await deleteDevice(device);
+      } catch (error) {
+        console.error('Error deleting device:', error.message);
+        return res.status(500).json({ error: error.message });
+      }
+      
+      // Log action
+      logAction(req, 'device_deleted', `Device deleted: ${device.duid} (${device.owner_name})`, {
+        entityType: 'device',
+        entityId: device.id,
+        before: device
+      });
+      
+      res.json({ 
+        message: 'Device deleted successfully',
+        id: req.params.id 
       });
     });
   } catch (e) {
@@ -1,20 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { db } = require('../index');
-
-// Helper function to log actions
-const logAction = (actionType, description) => {
-  const now = new Date().toISOString();
-  db.run(
-    'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
-    [actionType, description, now],
-    (err) => {
-      if (err) {
-        console.error('Error logging action:', err.message);
-      }
-    }
-  );
-};
+const { logAction } = require('../services/audit');
 
 // Get all news with optional filtering
 router.get('/', (req, res) => {
@@ -71,14 +58,19 @@ router.post('/', (req, res) => {
         return res.status(500).json({ error: err.message });
       }
       
-      // Log action
-      logAction('news_added', `New news item added: ${title}`);
-      
       // Return created news item
       db.get('SELECT * FROM news WHERE id = ?', [this.lastID], (err, row) => {
         if (err) {
           return res.status(500).json({ error: err.message });
         }
+        
+        // Log action
+        logAction(req, 'news_added', `New news item added: ${title}`, {
+          entityType: 'news',
+          entityId: row.id,
+          after: row
+        });
+        
         res.status(201).json({ 
           message: 'News item created successfully',
           data: row 
@@ -135,14 +127,20 @@ router.put('/:id', (req, res) => {
         return res.status(404).json({ error: 'News item not found' });
       }
       
-      // Log action
-      logAction('news_updated', `News item updated: ${news.title}`);
-      
       // Return updated news item
       db.get('SELECT * FROM news WHERE id = ?', [req.params.id], (err, row) => {
         if (err) {
           return res.status(500).json({ error: err.message });
         }
+        
+        // Log action
+        logAction(req, 'news_updated', `News item updated: ${news.title}`, {
+          entityType: 'news',
+          entityId: news.id,
+          before: news,
+          after: row
+        });
+        
         res.json({ 
           message: 'News item updated successfully',
           data: row 
@@ -173,7 +171,11 @@ router.delete('/:id', (req, res) => {
       }
       
       // Log action
-      logAction('news_deleted', `News item deleted: ${news.title}`);
+      logAction(req, 'news_deleted', `News item deleted: ${news.title}`, {
+        entityType: 'news',
+        entityId: news.id,
+        before: news
+      });
       
       res.json({ 
         message: 'News item deleted successfully',
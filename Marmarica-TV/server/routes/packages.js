@@ -0,0 +1,252 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../index');
+const packageService = require('../services/packages');
+const { logAction, changedFields } = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Helper function to fetch a package with its channel IDs
+function getPackage(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM packages WHERE id = ?', [id], (err, row) => {
+      if (err) return reject(err);
+      if (!row) return resolve(null);
+
+      db.all(
+        `SELECT pc.channel_id FROM package_channels pc
+         JOIN channels c ON c.id = pc.channel_id
+         WHERE pc.package_id = ?
+         ORDER BY c.order_index ASC`,
+        [id],
+        (err, rows) => {
+          if (err) return reject(err);
+          row.channel_ids = rows.map(link => link.channel_id);
+          resolve(row);
+        }
+      );
+    });
+  });
+}
+
+// Helper function to check that a package name is not used by another package
+function assertNameAvailable(name, excludeId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id FROM packages WHERE name = ? AND id != ?',
+      [name, excludeId || 0],
+      (err, row) => {
+        if (err) return reject(err);
+        if (row) return reject(new Error(`A package named "${name}" already exists`));
+        resolve();
+      }
+    );
+  });
+}
+
+// Get all packages with channel and device counts
+router.get('/', asyncHandler(async (req, res) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT packages.*,
+        (SELECT COUNT(*) FROM package_channels pc WHERE pc.package_id = packages.id) as channel_count,
+        (SELECT COUNT(*) FROM device_packages dp WHERE dp.package_id = packages.id) as device_count
+       FROM packages
+       ORDER BY name ASC`,
+      [],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching packages:', err.message);
+          return reject(err);
+        }
+
+        res.json({ data: rows });
+        resolve();
+      }
+    );
+  });
+}));
+
+// Get single package by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const pkg = await getPackage(req.params.id);
+
+  if (!pkg) {
+    res.status(404).json({ error: 'Package not found' });
+    return;
+  }
+
+  res.json({ data: pkg });
+}));
+
+// Create new package
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, description, is_free, channel_ids } = req.body;
+
+  // Validation
+  if (!name || !name.trim()) {
+    res.status(400).json({ error: 'Package name is required' });
+    return;
+  }
+
+  let channelIds;
+  try {
+    await assertNameAvailable(name.trim());
+    channelIds = await packageService.resolveChannelIds(channel_ids);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  const packageId = await new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO packages (name, description, is_free, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
+      [name.trim(), description || null, is_free ? 1 : 0, now, now],
+      function(err) {
+        if (err) {
+          console.error('Error creating package:', err.message);
+          return reject(err);
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+
+  await packageService.setPackageChannels(packageId, channelIds);
+
+  const created = await getPackage(packageId);
+
+  // Log action
+  logAction(req, 'package_created', `New package created: ${name.trim()} with ${channelIds.length} channels`, {
+    entityType: 'package',
+    entityId: packageId,
+    after: created
+  });
+
+  res.status(201).json({
+    message: 'Package created successfully',
+    data: created
+  });
+}));
+
+// Update package
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { name, description, is_free, channel_ids } = req.body;
+  const now = new Date().toISOString();
+
+  const pkg = await getPackage(req.params.id);
+
+  if (!pkg) {
+    res.status(404).json({ error: 'Package not found' });
+    return;
+  }
+
+  if (name !== undefined && (!name || !name.trim())) {
+    res.status(400).json({ error: 'Package name is required' });
+    return;
+  }
+
+  let channelIds;
+  try {
+    if (name !== undefined) {
+      await assertNameAvailable(name.trim(), pkg.id);
+    }
+    if (channel_ids !== undefined) {
+      channelIds = await packageService.resolveChannelIds(channel_ids);
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  // Prepare update fields
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (description !== undefined) {
+    updates.push('description = ?');
+    params.push(description || null);
+  }
+
+  if (is_free !== undefined) {
+    updates.push('is_free = ?');
+    params.push(is_free ? 1 : 0);
+  }
+
+  updates.push('updated_at = ?');
+  params.push(now);
+  params.push(pkg.id);
+
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE packages SET ${updates.join(', ')} WHERE id = ?`, params, (err) => {
+      if (err) {
+        console.error('Error updating package:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  if (channelIds !== undefined) {
+    await packageService.setPackageChannels(pkg.id, channelIds);
+  }
+
+  const updated = await getPackage(pkg.id);
+
+  // Log action, naming the changed fields
+  const changed = changedFields(pkg, updated);
+  logAction(req, 'package_updated', `Package updated: ${pkg.name}${changed.length > 0 ? ` (${changed.join(', ')})` : ''}`, {
+    entityType: 'package',
+    entityId: pkg.id,
+    before: pkg,
+    after: updated
+  });
+
+  res.json({
+    message: 'Package updated successfully',
+    data: updated
+  });
+}));
+
+// Delete package
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const pkg = await getPackage(req.params.id);
+
+  if (!pkg) {
+    res.status(404).json({ error: 'Package not found' });
+    return;
+  }
+
+  // Devices lose the channels of a deleted package
+  await packageService.removePackageLinks(pkg.id);
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM packages WHERE id = ?', [pkg.id], (err) => {
+      if (err) {
+        console.error('Error deleting package:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  // Log action
+  logAction(req, 'package_deleted', `Package deleted: ${pkg.name}`, {
+    entityType: 'package',
+    entityId: pkg.id,
+    before: pkg
+  });
+
+  res.json({
+    message: 'Package deleted successfully',
+    id: req.params.id
+  });
+}));
+
+module.exports = router;
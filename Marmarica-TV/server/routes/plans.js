@@ -0,0 +1,275 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../index');
+const packageService = require('../services/packages');
+const subscriptionService = require('../services/subscriptions');
+const { logAction, changedFields } = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Helper function to check that a plan name is not used by another plan
+function assertNameAvailable(name, excludeId) {
+  return new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id FROM plans WHERE name = ? AND id != ?',
+      [name, excludeId || 0],
+      (err, row) => {
+        if (err) return reject(err);
+        if (row) return reject(new Error(`A plan named "${name}" already exists`));
+        resolve();
+      }
+    );
+  });
+}
+
+// Get all plans with their packages and number of renewals
+router.get('/', asyncHandler(async (req, res) => {
+  const { active } = req.query;
+  let sql = `SELECT plans.*,
+    (SELECT GROUP_CONCAT(p.name, ', ') FROM plan_packages pp
+     JOIN packages p ON p.id = pp.package_id
+     WHERE pp.plan_id = plans.id) as package_names,
+    (SELECT COUNT(*) FROM device_subscriptions s WHERE s.plan_id = plans.id) as renewal_count
+    FROM plans`;
+
+  if (active === 'true') {
+    sql += ' WHERE is_active = 1';
+  }
+
+  sql += ' ORDER BY duration_unit ASC, duration_count ASC, name ASC';
+
+  return new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => {
+      if (err) {
+        console.error('Error fetching plans:', err.message);
+        return reject(err);
+      }
+
+      res.json({ data: rows });
+      resolve();
+    });
+  });
+}));
+
+// Get single plan by ID
+router.get('/:id', asyncHandler(async (req, res) => {
+  const plan = await subscriptionService.getPlan(req.params.id);
+
+  if (!plan) {
+    res.status(404).json({ error: 'Plan not found' });
+    return;
+  }
+
+  res.json({ data: plan });
+}));
+
+// Create new plan
+router.post('/', asyncHandler(async (req, res) => {
+  const { name, description, duration_count, duration_unit, price, is_active, package_ids } = req.body;
+
+  // Validation
+  if (!name || !name.trim() || duration_count === undefined) {
+    res.status(400).json({ error: 'Missing required fields: name and duration_count are required' });
+    return;
+  }
+
+  let packageIds;
+  try {
+    subscriptionService.validatePlan({ duration_count, duration_unit, price });
+    await assertNameAvailable(name.trim());
+    packageIds = await packageService.resolvePackageIds(package_ids);
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  const now = new Date().toISOString();
+
+  const planId = await new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO plans (
+        name, description, duration_count, duration_unit, price, is_active, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        name.trim(),
+        description || null,
+        Number(duration_count),
+        duration_unit || 'months',
+        price !== undefined ? Number(price) : 0,
+        is_active === undefined || is_active ? 1 : 0,
+        now,
+        now
+      ],
+      function(err) {
+        if (err) {
+          console.error('Error creating plan:', err.message);
+          return reject(err);
+        }
+        resolve(this.lastID);
+      }
+    );
+  });
+
+  await packageService.setPlanPackages(planId, packageIds);
+
+  const created = await subscriptionService.getPlan(planId);
+
+  // Log action
+  logAction(req, 'plan_created', `New plan created: ${name.trim()}`, {
+    entityType: 'plan',
+    entityId: planId,
+    after: created
+  });
+
+  res.status(201).json({
+    message: 'Plan created successfully',
+    data: created
+  });
+}));
+
+// Update plan
+// Past renewals keep the name and price they were made with
+router.put('/:id', asyncHandler(async (req, res) => {
+  const { name, description, duration_count, duration_unit, price, is_active, package_ids } = req.body;
+  const now = new Date().toISOString();
+
+  const plan = await subscriptionService.getPlan(req.params.id);
+
+  if (!plan) {
+    res.status(404).json({ error: 'Plan not found' });
+    return;
+  }
+
+  if (name !== undefined && (!name || !name.trim())) {
+    res.status(400).json({ error: 'Plan name is required' });
+    return;
+  }
+
+  let packageIds;
+  try {
+    subscriptionService.validatePlan({ duration_count, duration_unit, price });
+    if (name !== undefined) {
+      await assertNameAvailable(name.trim(), plan.id);
+    }
+    if (package_ids !== undefined) {
+      packageIds = await packageService.resolvePackageIds(package_ids);
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+    return;
+  }
+
+  // Prepare update fields
+  const updates = [];
+  const params = [];
+
+  if (name !== undefined) {
+    updates.push('name = ?');
+    params.push(name.trim());
+  }
+
+  if (description !== undefined) {
+    updates.push('description = ?');
+    params.push(description || null);
+  }
+
+  if (duration_count !== undefined) {
+    updates.push('duration_count = ?');
+    params.push(Number(duration_count));
+  }
+
+  if (duration_unit !== undefined) {
+    updates.push('duration_unit = ?');
+    params.push(duration_unit);
+  }
+
+  if (price !== undefined) {
+    updates.push('price = ?');
+    params.push(Number(price));
+  }
+
+  if (is_active !== undefined) {
+    updates.push('is_active = ?');
+    params.push(is_active ? 1 : 0);
+  }
+
+  updates.push('updated_at = ?');
+  params.push(now);
+  params.push(plan.id);
+
+  await new Promise((resolve, reject) => {
+    db.run(`UPDATE plans SET ${updates.join(', ')} WHERE id = ?`, params, (err) => {
+      if (err) {
+        console.error('Error updating plan:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  if (packageIds !== undefined) {
+    await packageService.setPlanPackages(plan.id, packageIds);
+  }
+
+  const updated = await subscriptionService.getPlan(plan.id);
+
+  // Log action, naming the changed fields
+  const changed = changedFields(plan, updated);
+  logAction(req, 'plan_updated', `Plan updated: ${plan.name}${changed.length > 0 ? ` (${changed.join(', ')})` : ''}`, {
+    entityType: 'plan',
+    entityId: plan.id,
+    before: plan,
+    after: updated
+  });
+
+  res.json({
+    message: 'Plan updated successfully',
+    data: updated
+  });
+}));
+
+// Delete plan
+router.delete('/:id', asyncHandler(async (req, res) => {
+  const plan = await subscriptionService.getPlan(req.params.id);
+
+  if (!plan) {
+    res.status(404).json({ error: 'Plan not found' });
+    return;
+  }
+
+  await packageService.removePlanLinks(plan.id);
+
+  // Past renewals keep the plan's name and price but no longer point at it
+  await new Promise((resolve, reject) => {
+    db.run('UPDATE device_subscriptions SET plan_id = NULL WHERE plan_id = ?', [plan.id], (err) => {
+      if (err) {
+        console.error('Error detaching plan from subscriptions:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  await new Promise((resolve, reject) => {
+    db.run('DELETE FROM plans WHERE id = ?', [plan.id], (err) => {
+      if (err) {
+        console.error('Error deleting plan:', err.message);
+        return reject(err);
+      }
+      resolve();
+    });
+  });
+
+  // Log action
+  logAction(req, 'plan_deleted', `Plan deleted: ${plan.name}`, {
+    entityType: 'plan',
+    entityId: plan.id,
+    before: plan
+  });
+
+  res.json({
+    message: 'Plan deleted successfully',
+    id: req.params.id
+  });
+}));
+
+module.exports = router;
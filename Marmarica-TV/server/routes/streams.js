@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+const { db } = require('../index');
+const streamSessionService = require('../services/streamSessions');
+const { asyncHandler } = require('../middleware/asyncHandler');
+
+// Helper function to get rows by ID from a table
+function getRowsById(sql, ids) {
+  if (ids.length === 0) {
+    return Promise.resolve(new Map());
+  }
+
+  return new Promise((resolve, reject) => {
+    db.all(`${sql} IN (${ids.map(() => '?').join(', ')})`, ids, (err, rows) => {
+      if (err) reject(err);
+      else resolve(new Map(rows.map(row => [row.id, row])));
+    });
+  });
+}
+
+// Get the streams being watched right now, with device, customer and channel names
+router.get('/sessions', asyncHandler(async (req, res) => {
+  const sessions = streamSessionService.getActiveSessions();
+
+  const devices = await getRowsById(
+    `SELECT d.id, d.duid, d.owner_name, d.max_streams, c.name as customer_name
+     FROM devices d
+     LEFT JOIN customers c ON c.id = d.customer_id
+     WHERE d.id`,
+    [...new Set(sessions.map(session => session.deviceId))]
+  );
+  const channels = await getRowsById(
+    'SELECT id, name FROM channels WHERE id',
+    [...new Set(sessions.map(session => session.channelId))]
+  );
+
+  const data = sessions.map(session => {
+    const device = devices.get(session.deviceId) || {};
+    const channel = channels.get(session.channelId) || {};
+    return {
+      id: session.id,
+      device_id: session.deviceId,
+      duid: device.duid || null,
+      owner_name: device.owner_name || null,
+      max_streams: device.max_streams || streamSessionService.DEFAULT_MAX_STREAMS,
+      customer_id: session.customerId || null,
+      customer_name: device.customer_name || null,
+      channel_id: session.channelId,
+      channel_name: channel.name || null,
+      ip: session.ip,
+      user_agent: session.userAgent,
+      started_at: new Date(session.startedAt).toISOString(),
+      channel_started_at: new Date(session.channelStartedAt).toISOString(),
+      last_seen_at: new Date(session.lastSeenAt).toISOString()
+    };
+  });
+
+  res.json({ data });
+}));
+
+module.exports = router;
@@ -2,14 +2,278 @@ const express = require('express');
 const router = express.Router();
 const { db } = require('../index');
 const transcodingService = require('../services/transcoding');
+const metricsService = require('../services/metrics');
+const { logAction } = require('../services/audit');
+const { asyncHandler } = require('../middleware/asyncHandler');
 
-// Helper function to handle async routes
-function asyncHandler(fn) {
-  return (req, res, next) => {
-    Promise.resolve(fn(req, res, next)).catch(next);
+// Helper function to get a transcoding profile by ID
+function getProfileById(id) {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM transcoding_profiles WHERE id = ?', [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+}
+
+// Helper function to merge request fields over an existing (or default) profile
+function buildProfile(body, existing = {}) {
+  const pick = (key, fallback) => (body[key] !== undefined ? body[key] : (existing[key] !== undefined ? existing[key] : fallback));
+  const toInt = (value) => (value === null || value === '' ? NaN : Number(value));
+
+  return {
+    name: pick('name', '') ? String(pick('name', '')).trim() : '',
+    description: pick('description', null) || null,
+    video_codec: pick('video_codec', 'libx264'),
+    video_preset: pick('video_preset', 'veryfast'),
+    gop_size: toInt(pick('gop_size', 50)),
+    resolution: pick('resolution', null) || null,
+    video_bitrate: pick('video_bitrate', null) || null,
+    audio_codec: pick('audio_codec', 'aac'),
+    audio_bitrate: pick('audio_bitrate', '128k'),
+    hls_time: toInt(pick('hls_time', 4)),
+    hls_list_size: toInt(pick('hls_list_size', 4)),
+    abr_ladder: pick('abr_ladder', null),
+    is_default: Boolean(pick('is_default', 0))
   };
 }
 
+// Get all transcoding profiles
+router.get('/profiles', asyncHandler(async (req, res) => {
+  try {
+    const profiles = await new Promise((resolve, reject) => {
+      db.all(
+        `SELECT p.*, (SELECT COUNT(*) FROM channels c WHERE c.transcoding_profile_id = p.id) as channel_count
+         FROM transcoding_profiles p
+         ORDER BY p.is_default DESC, p.name ASC`,
+        (err, rows) => {
+          if (err) reject(err);
+          else resolve(rows);
+        }
+      );
+    });
+
+    res.json({ data: profiles });
+  } catch (error) {
+    console.error('Error fetching transcoding profiles:', error);
+    res.status(500).json({ error: 'Failed to fetch transcoding profiles' });
+  }
+}));
+
+// Get a single transcoding profile
+router.get('/profiles/:id', asyncHandler(async (req, res) => {
+  try {
+    const profile = await getProfileById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Transcoding profile not found' });
+    }
+
+    res.json({ data: profile });
+  } catch (error) {
+    console.error('Error fetching transcoding profile:', error);
+    res.status(500).json({ error: 'Failed to fetch transcoding profile' });
+  }
+}));
+
+// Create a transcoding profile
+router.post('/profiles', asyncHandler(async (req, res) => {
+  const profile = buildProfile(req.body);
+
+  const validationError = transcodingService.validateProfile(profile);
+  if (validationError) {
+    return res.status(400).json({ error: validationError });
+  }
+
+  try {
+    profile.abr_ladder = transcodingService.normalizeLadder(profile.abr_ladder);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const now = new Date().toISOString();
+
+    // Only one profile can be the default
+    if (profile.is_default) {
+      await new Promise((resolve, reject) => {
+        db.run('UPDATE transcoding_profiles SET is_default = 0, updated_at = ? WHERE is_default = 1', [now], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+
+    const profileId = await new Promise((resolve, reject) => {
+      db.run(
+        `INSERT INTO transcoding_profiles (
+          name, description, video_codec, video_preset, gop_size, resolution, video_bitrate,
+          audio_codec, audio_bitrate, hls_time, hls_list_size, abr_ladder, is_default, created_at, updated_at
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          profile.name, profile.description, profile.video_codec, profile.video_preset, profile.gop_size,
+          profile.resolution, profile.video_bitrate, profile.audio_codec, profile.audio_bitrate,
+          profile.hls_time, profile.hls_list_size, profile.abr_ladder, profile.is_default ? 1 : 0, now, now
+        ],
+        function(err) {
+          if (err) reject(err);
+          else resolve(this.lastID);
+        }
+      );
+    });
+
+    const created = await getProfileById(profileId);
+
+    logAction(req, 'transcoding_profile_created', `Transcoding profile created: ${profile.name}`, {
+      entityType: 'transcoding_profile',
+      entityId: profileId,
+      after: created
+    });
+
+    res.status(201).json({
+      message: 'Transcoding profile created successfully',
+      data: created
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A transcoding profile with this name already exists' });
+    }
+    console.error('Error creating transcoding profile:', error);
+    res.status(500).json({ error: 'Failed to create transcoding profile' });
+  }
+}));
+
+// Update a transcoding profile and restart the channels that use it
+router.put('/profiles/:id', asyncHandler(async (req, res) => {
+  try {
+    const existing = await getProfileById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Transcoding profile not found' });
+    }
+
+    const profile = buildProfile(req.body, existing);
+
+    const validationError = transcodingService.validateProfile(profile);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    try {
+      profile.abr_ladder = transcodingService.normalizeLadder(profile.abr_ladder);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // The default profile can only change by making another profile the default
+    if (existing.is_default && !profile.is_default) {
+      return res.status(400).json({ error: 'Set another profile as default instead of unsetting the default profile' });
+    }
+
+    const now = new Date().toISOString();
+
+    if (profile.is_default && !existing.is_default) {
+      await new Promise((resolve, reject) => {
+        db.run('UPDATE transcoding_profiles SET is_default = 0, updated_at = ? WHERE is_default = 1', [now], (err) => {
+          if (err) reject(err);
+          else resolve();
+        });
+      });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run(
+        `UPDATE transcoding_profiles SET
+          name = ?, description = ?, video_codec = ?, video_preset = ?, gop_size = ?, resolution = ?,
+          video_bitrate = ?, audio_codec = ?, audio_bitrate = ?, hls_time = ?, hls_list_size = ?,
+          abr_ladder = ?, is_default = ?, updated_at = ?
+         WHERE id = ?`,
+        [
+          profile.name, profile.description, profile.video_codec, profile.video_preset, profile.gop_size,
+          profile.resolution, profile.video_bitrate, profile.audio_codec, profile.audio_bitrate,
+          profile.hls_time, profile.hls_list_size, profile.abr_ladder, profile.is_default ? 1 : 0, now,
+          req.params.id
+        ],
+        (err) => {
+          if (err) reject(err);
+          else resolve();
+        }
+      );
+    });
+
+    const updated = await getProfileById(existing.id);
+
+    logAction(req, 'transcoding_profile_updated', `Transcoding profile updated: ${profile.name}`, {
+      entityType: 'transcoding_profile',
+      entityId: existing.id,
+      before: existing,
+      after: updated
+    });
+
+    // Restart affected channels so the new settings take effect
+    const restartResult = await transcodingService.restartChannelsForProfile(existing.id, profile.is_default);
+
+    res.json({
+      message: 'Transcoding profile updated successfully',
+      data: updated,
+      restarted_channels: restartResult.restarted
+    });
+  } catch (error) {
+    if (error.message && error.message.includes('UNIQUE constraint failed')) {
+      return res.status(400).json({ error: 'A transcoding profile with this name already exists' });
+    }
+    console.error('Error updating transcoding profile:', error);
+    res.status(500).json({ error: 'Failed to update transcoding profile' });
+  }
+}));
+
+// Delete a transcoding profile
+router.delete('/profiles/:id', asyncHandler(async (req, res) => {
+  try {
+    const profile = await getProfileById(req.params.id);
+
+    if (!profile) {
+      return res.status(404).json({ error: 'Transcoding profile not found' });
+    }
+
+    if (profile.is_default) {
+      return res.status(400).json({ error: 'The default transcoding profile cannot be deleted' });
+    }
+
+    const usage = await new Promise((resolve, reject) => {
+      db.get('SELECT COUNT(*) as count FROM channels WHERE transcoding_profile_id = ?', [profile.id], (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      });
+    });
+
+    if (usage > 0) {
+      return res.status(400).json({ error: `Transcoding profile is used by ${usage} channel(s)` });
+    }
+
+    await new Promise((resolve, reject) => {
+      db.run('DELETE FROM transcoding_profiles WHERE id = ?', [profile.id], (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+    logAction(req, 'transcoding_profile_deleted', `Transcoding profile deleted: ${profile.name}`, {
+      entityType: 'transcoding_profile',
+      entityId: profile.id,
+      before: profile
+    });
+
+    res.json({
+      message: 'Transcoding profile deleted successfully',
+      id: req.params.id
+    });
+  } catch (error) {
+    console.error('Error deleting transcoding profile:', error);
+    res.status(500).json({ error: 'Failed to delete transcoding profile' });
+  }
+}));
+
 // Get all transcoding jobs
 router.get('/jobs', asyncHandler(async (req, res) => {
   try {
@@ -21,6 +285,17 @@ router.get('/jobs', asyncHandler(async (req, res) => {
   }
 }));
 
+// Get available ABR renditions and the global default ladder
+router.get('/renditions', asyncHandler(async (req, res) => {
+  try {
+    const renditions = transcodingService.getRenditionPresets();
+    res.json({ data: renditions });
+  } catch (error) {
+    console.error('Error fetching ABR renditions:', error);
+    res.status(500).json({ error: 'Failed to fetch ABR renditions' });
+  }
+}));
+
 // Get transcoding status for a specific channel
 router.get('/status/:channelId', asyncHandler(async (req, res) => {
   const { channelId } = req.params;
@@ -62,7 +337,10 @@ router.get('/status/:channelId', asyncHandler(async (req, res) => {
     res.json({
       data: {
         channel: channel,
-        job: job
+        job: job,
+        restart: transcodingService.getRestartState(channelId),
+        health: transcodingService.getChannelHealth(channelId),
+        queue_position: transcodingService.getQueuePosition(channelId)
       }
     });
     
@@ -107,8 +385,15 @@ router.post('/start/:channelId', asyncHandler(async (req, res) => {
       channel.name
     );
     
+    logAction(req, 'transcoding_start_requested', `Transcoding start requested for channel: ${channel.name}`, {
+      entityType: 'channel',
+      entityId: channel.id
+    });
+    
     res.json({
-      message: 'Transcoding started successfully',
+      message: result.queued
+        ? `All encoder slots are busy, transcoding queued at position ${result.position}`
+        : 'Transcoding started successfully',
       data: result
     });
     
@@ -148,6 +433,11 @@ router.post('/stop/:channelId', asyncHandler(async (req, res) => {
       channel.name
     );
     
+    logAction(req, 'transcoding_stop_requested', `Transcoding stop requested for channel: ${channel.name}`, {
+      entityType: 'channel',
+      entityId: channel.id
+    });
+    
     res.json({
       message: 'Transcoding stopped successfully',
       data: result
@@ -194,8 +484,15 @@ router.post('/restart/:channelId', asyncHandler(async (req, res) => {
       channel.name
     );
     
+    logAction(req, 'transcoding_restart_requested', `Transcoding restart requested for channel: ${channel.name}`, {
+      entityType: 'channel',
+      entityId: channel.id
+    });
+    
     res.json({
-      message: 'Transcoding restarted successfully',
+      message: result.queued
+        ? `All encoder slots are busy, transcoding queued at position ${result.position}`
+        : 'Transcoding restarted successfully',
       data: result
     });
     
@@ -246,17 +543,24 @@ router.post('/toggle/:channelId', asyncHandler(async (req, res) => {
       );
     });
     
+    logAction(req, 'transcoding_toggled', `Transcoding ${enabled ? 'enabled' : 'disabled'} for channel: ${channel.name}`, {
+      entityType: 'channel',
+      entityId: channel.id,
+      before: { transcoding_enabled: channel.transcoding_enabled },
+      after: { transcoding_enabled: enabled ? 1 : 0 }
+    });
+    
     if (enabled) {
       // Start transcoding
-      await transcodingService.startTranscoding(
+      const result = await transcodingService.startTranscoding(
         channel.id,
         channel.url,
         channel.name
       );
       
       res.json({
-        message: 'Transcoding enabled and started',
-        data: { transcoding_enabled: true }
+        message: result.queued ? 'Transcoding enabled and queued' : 'Transcoding enabled and started',
+        data: { transcoding_enabled: true, queue_position: result.queued ? result.position : null }
       });
     } else {
       // Stop transcoding
@@ -332,6 +636,10 @@ router.get('/stats', asyncHandler(async (req, res) => {
       );
     });
     
+    const jobs = await transcodingService.getActiveJobs();
+    stats.queued_jobs = jobs.filter(job => job.status === 'queued').length;
+    stats.max_concurrent_jobs = transcodingService.MAX_CONCURRENT_TRANSCODES;
+    
     res.json({ data: stats });
     
   } catch (error) {
@@ -340,6 +648,26 @@ router.get('/stats', asyncHandler(async (req, res) => {
   }
 }));
 
+// Get CPU and memory usage of running FFmpeg processes
+router.get('/metrics', asyncHandler(async (req, res) => {
+  try {
+    res.json({ data: metricsService.getMetrics() });
+  } catch (error) {
+    console.error('Error fetching transcoding metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch transcoding metrics' });
+  }
+}));
+
+// Get CPU and memory history of a channel's FFmpeg processes
+router.get('/metrics/:channelId', asyncHandler(async (req, res) => {
+  try {
+    res.json({ data: metricsService.getChannelMetrics(req.params.channelId) });
+  } catch (error) {
+    console.error('Error fetching channel transcoding metrics:', error);
+    res.status(500).json({ error: 'Failed to fetch channel transcoding metrics' });
+  }
+}));
+
 // Get storage statistics
 router.get('/storage', asyncHandler(async (req, res) => {
   try {
@@ -357,6 +685,8 @@ router.post('/cleanup', asyncHandler(async (req, res) => {
     console.log('Manual cleanup triggered via API');
     await transcodingService.performPeriodicCleanup();
     
+    logAction(req, 'transcoding_cleanup_requested', 'Manual cleanup of transcoding output requested');
+    
     res.json({
       message: 'Manual cleanup completed successfully',
       data: { cleanup_triggered: true }
@@ -395,6 +725,11 @@ router.post('/cleanup/:channelId', asyncHandler(async (req, res) => {
     console.log(`Manual cleanup triggered for channel ${channelId}: ${channel.name}`);
     const result = await transcodingService.cleanupChannelSegments(parseInt(channelId));
     
+    logAction(req, 'transcoding_cleanup_requested', `Manual cleanup requested for channel: ${channel.name}`, {
+      entityType: 'channel',
+      entityId: channel.id
+    });
+    
     res.json({
       message: `Cleanup completed for channel: ${channel.name}`,
       data: {
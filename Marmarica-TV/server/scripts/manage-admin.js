@@ -1,46 +1,85 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const crypto = require('crypto');
 const bcrypt = require('bcrypt');
 const sqlite3 = require('sqlite3').verbose();
-const path = require('path');
-const fs = require('fs');
+const { ROLES, validateRole } = require('../services/permissions');
+const { getStatus, migrate } = require('../services/migrations');
+
+// Configuration
+const AUTO_MIGRATE = process.env.AUTO_MIGRATE !== 'false'; // Same switch the server uses on startup
 
 // Connect to database
 const dbPath = path.join(__dirname, '..', 'database.sqlite');
 const db = new sqlite3.Database(dbPath);
 
+// Apply pending migrations first, so admins can be created before the server has ever started
+// With AUTO_MIGRATE=false migrations are left to scripts/migrate.js, and nothing runs on an outdated schema
+const prepareDatabase = async () => {
+  if (AUTO_MIGRATE) {
+    await migrate(db);
+    return;
+  }
+
+  const pending = (await getStatus(db)).filter(migration => !migration.applied_at);
+  if (pending.length > 0) {
+    console.error(`${pending.length} database migration(s) pending; run "node scripts/migrate.js up" first`);
+    process.exit(1);
+  }
+};
+
+const databaseReady = prepareDatabase().catch((err) => {
+  console.error('Error migrating database:', err.message);
+  process.exit(1);
+});
+
 // Generate a random password
 function generatePassword(length = 12) {
   const charset = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789!@#$%^&*';
   let password = '';
   for (let i = 0; i < length; i++) {
-    const randomIndex = Math.floor(Math.random() * charset.length);
+    const randomIndex = crypto.randomInt(charset.length);
     password += charset[randomIndex];
   }
   return password;
 }
 
-// Save credentials to file
-function saveCredentials(username, password) {
-  const content = `Admin Credentials\n----------------\nUsername: ${username}\nPassword: ${password}\n\nPlease change this password after first login.\nGenerated at: ${new Date().toISOString()}`;
-  const filePath = path.join(__dirname, '..', 'admin-credentials.txt');
-  fs.writeFileSync(filePath, content);
-  console.log(`Credentials saved to: ${filePath}`);
+// Show generated credentials once; they aren't written anywhere
+function showCredentials(username, password) {
+  console.log(`\nUsername: ${username}\nTemporary password: ${password}\n`);
+  console.log('This password must be changed at first login.');
+}
+
+// Close the database and exit
+function finish() {
+  db.close((err) => {
+    if (err) {
+      console.error('Error closing database:', err.message);
+    }
+    process.exit(0);
+  });
 }
 
 // Create or update admin user
-async function manageAdmin(username, password = null) {
+// The role only applies to new admins; existing admins keep theirs
+// Generated passwords are temporary and must be changed at first login
+async function manageAdmin(username, password = null, role = 'owner') {
+  await databaseReady;
+
   // Generate password if not provided
   const finalPassword = password || generatePassword();
   
   // Hash password
   const hashedPassword = await bcrypt.hash(finalPassword, 10);
+  const mustChangePassword = password ? 0 : 1;
   const now = new Date().toISOString();
 
   // Try to create new admin
-  db.run(`INSERT INTO admins (username, password, created_at, updated_at) 
-          VALUES (?, ?, ?, ?)
+  db.run(`INSERT INTO admins (username, password, role, must_change_password, created_at, updated_at) 
+          VALUES (?, ?, ?, ?, ?, ?)
           ON CONFLICT(username) 
-          DO UPDATE SET password = ?, updated_at = ?`,
-    [username, hashedPassword, now, now, hashedPassword, now],
+          DO UPDATE SET password = ?, must_change_password = ?, updated_at = ?`,
+    [username, hashedPassword, role, mustChangePassword, now, now, hashedPassword, mustChangePassword, now],
     (err) => {
       if (err) {
         console.error('Error managing admin:', err.message);
@@ -50,16 +89,34 @@ async function manageAdmin(username, password = null) {
       console.log(`Admin user '${username}' created/updated successfully`);
       
       if (!password) {
-        saveCredentials(username, finalPassword);
+        showCredentials(username, finalPassword);
       }
       
       // Close database connection
-      db.close((err) => {
-        if (err) {
-          console.error('Error closing database:', err.message);
-        }
-        process.exit(0);
-      });
+      finish();
+    }
+  );
+}
+
+// Change an existing admin's role
+async function setRole(username, role) {
+  await databaseReady;
+
+  db.run('UPDATE admins SET role = ?, updated_at = ? WHERE username = ?',
+    [role, new Date().toISOString(), username],
+    function (err) {
+      if (err) {
+        console.error('Error setting role:', err.message);
+        process.exit(1);
+      }
+
+      if (this.changes === 0) {
+        console.error(`Admin user '${username}' not found`);
+        process.exit(1);
+      }
+
+      console.log(`Admin user '${username}' is now ${role}`);
+      finish();
     }
   );
 }
@@ -68,11 +125,16 @@ async function manageAdmin(username, password = null) {
 const args = process.argv.slice(2);
 const usage = `
 Usage:
-  Create/reset admin with random password:
-    node manage-admin.js create <username>
+  Create/reset admin with random password (new admins get the given role, owner by default):
+    node manage-admin.js create <username> [role]
   
   Set specific password:
     node manage-admin.js set-password <username> <password>
+
+  Change an admin's role:
+    node manage-admin.js set-role <username> <role>
+
+Roles: ${ROLES.join(', ')}
 `;
 
 if (args.length < 2) {
@@ -82,9 +144,19 @@ if (args.length < 2) {
 
 const [action, username, password] = args;
 
+// Check the role argument of create and set-role
+function parseRole(role) {
+  try {
+    return validateRole(role);
+  } catch (error) {
+    console.log(error.message);
+    process.exit(1);
+  }
+}
+
 switch (action) {
   case 'create':
-    manageAdmin(username);
+    manageAdmin(username, null, args[2] ? parseRole(args[2]) : 'owner');
     break;
   case 'set-password':
     if (!password) {
@@ -94,6 +166,14 @@ switch (action) {
     }
     manageAdmin(username, password);
     break;
+  case 'set-role':
+    if (!args[2]) {
+      console.log('Role is required for set-role action');
+      console.log(usage);
+      process.exit(1);
+    }
+    setRole(username, parseRole(args[2]));
+    break;
   default:
     console.log(`Unknown action: ${action}`);
     console.log(usage);
@@ -0,0 +1,101 @@
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const sqlite3 = require('sqlite3').verbose();
+const { getStatus, migrate, rollback } = require('../services/migrations');
+
+// Connect to database
+const dbPath = path.join(__dirname, '..', 'database.sqlite');
+const db = new sqlite3.Database(dbPath);
+
+// Close the database and exit
+function finish(code = 0) {
+  db.close((err) => {
+    if (err) {
+      console.error('Error closing database:', err.message);
+    }
+    process.exit(code);
+  });
+}
+
+// Parse a version or count argument
+function parseNumber(value, label) {
+  const number = parseInt(value, 10);
+  if (isNaN(number) || number < 0) {
+    console.log(`${label} must be a number`);
+    console.log(usage);
+    process.exit(1);
+  }
+  return number;
+}
+
+// List every migration and whether it has been applied
+async function showStatus() {
+  const migrations = await getStatus(db);
+
+  for (const migration of migrations) {
+    const state = migration.missing
+      ? `applied ${migration.applied_at} (file missing)`
+      : migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+    console.log(`${migration.name.padEnd(32)} ${state}`);
+  }
+
+  const pending = migrations.filter(migration => !migration.applied_at).length;
+  console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+}
+
+// Parse command line arguments
+const args = process.argv.slice(2);
+const usage = `
+Usage:
+  Show applied and pending migrations:
+    node migrate.js status
+
+  Apply pending migrations, up to and including a version if given:
+    node migrate.js up [version]
+
+  Roll back the latest migration, or the latest <count> migrations:
+    node migrate.js down [count]
+
+  Roll back every migration after a version (0 rolls back everything):
+    node migrate.js down --to <version>
+
+The server applies pending migrations by itself when it starts (unless AUTO_MIGRATE=false).
+`;
+
+const [action = 'status', ...options] = args;
+
+let command;
+switch (action) {
+  case 'status':
+    command = showStatus;
+    break;
+  case 'up': {
+    const to = options[0] !== undefined ? parseNumber(options[0], 'Version') : Infinity;
+    command = async () => {
+      const applied = await migrate(db, { to });
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    };
+    break;
+  }
+  case 'down': {
+    const rollbackOptions = options[0] === '--to'
+      ? { to: parseNumber(options[1], 'Version') }
+      : { steps: options[0] !== undefined ? parseNumber(options[0], 'Count') : 1 };
+    command = async () => {
+      const rolledBack = await rollback(db, rollbackOptions);
+      console.log(rolledBack.length > 0 ? `Rolled back ${rolledBack.length} migration(s)` : 'Nothing to roll back');
+    };
+    break;
+  }
+  default:
+    console.log(`Unknown action: ${action}`);
+    console.log(usage);
+    process.exit(1);
+}
+
+command()
+  .then(() => finish())
+  .catch((error) => {
+    console.error(error.message);
+    finish(1);
+  });
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const { db } = require('../index');
+const { createFailureTracker } = require('./failedAttempts');
+
+// Configuration
+const ACTIVATION_CODE_LENGTH = parseInt(process.env.ACTIVATION_CODE_LENGTH) || 8;
+const ACTIVATION_CODE_ALPHABET = process.env.ACTIVATION_CODE_ALPHABET || '0123456789'; // Digits are easy to enter with a TV remote
+const ACTIVATION_CODE_TTL = parseInt(process.env.ACTIVATION_CODE_TTL) || 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Throttling configuration
+const ACTIVATION_MAX_ATTEMPTS = parseInt(process.env.ACTIVATION_MAX_ATTEMPTS) || 5; // Failed attempts per DUID within the window
+const ACTIVATION_MAX_ATTEMPTS_PER_IP = parseInt(process.env.ACTIVATION_MAX_ATTEMPTS_PER_IP) || 20; // Failed attempts per IP address within the window
+const ACTIVATION_ATTEMPT_WINDOW = parseInt(process.env.ACTIVATION_ATTEMPT_WINDOW) || 15 * 60 * 1000; // 15 minutes
+const ACTIVATION_LOCKOUT = parseInt(process.env.ACTIVATION_LOCKOUT) || 15 * 60 * 1000; // 15 minutes
+
+// Failed activation attempts per DUID and per IP address
+const failedByDuid = createFailureTracker({
+  maxAttempts: ACTIVATION_MAX_ATTEMPTS,
+  windowMs: ACTIVATION_ATTEMPT_WINDOW,
+  lockoutMs: ACTIVATION_LOCKOUT
+});
+const failedByIp = createFailureTracker({
+  maxAttempts: ACTIVATION_MAX_ATTEMPTS_PER_IP,
+  windowMs: ACTIVATION_ATTEMPT_WINDOW,
+  lockoutMs: ACTIVATION_LOCKOUT
+});
+
+// Generate a random activation code from the configured alphabet
+const generateActivationCode = () => {
+  let code = '';
+  for (let i = 0; i < ACTIVATION_CODE_LENGTH; i++) {
+    code += ACTIVATION_CODE_ALPHABET[crypto.randomInt(ACTIVATION_CODE_ALPHABET.length)];
+  }
+  return code;
+};
+
+// Generate a code together with its expiry time
+const issueActivationCode = () => ({
+  activation_code: generateActivationCode(),
+  activation_code_expires_at: new Date(Date.now() + ACTIVATION_CODE_TTL).toISOString()
+});
+
+// Replace a device's activation code and lift its lockout
+const regenerateActivationCode = (device) => {
+  const activation = issueActivationCode();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE devices SET activation_code = ?, activation_code_expires_at = ?, updated_at = ? WHERE id = ?',
+      [activation.activation_code, activation.activation_code_expires_at, new Date().toISOString(), device.id],
+      (err) => {
+        if (err) {
+          console.error(`Error regenerating activation code for device ${device.id}:`, err.message);
+          return reject(err);
+        }
+        failedByDuid.clear(device.duid);
+        resolve(activation);
+      }
+    );
+  });
+};
+
+// Check an entered code against the device's code
+const codeMatches = (device, code) => {
+  const expected = Buffer.from(String(device.activation_code));
+  const actual = Buffer.from(String(code).trim());
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+};
+
+// Codes issued before expiry was introduced have no expiry time and don't expire
+const isCodeExpired = (device) => {
+  return Boolean(device.activation_code_expires_at) && new Date(device.activation_code_expires_at) < new Date();
+};
+
+// Get the milliseconds until a DUID or IP address may try again; 0 when neither is locked out
+const getLockout = (duid, ip) => {
+  return Math.max(failedByDuid.getLockout(duid), failedByIp.getLockout(ip));
+};
+
+// Record a failed attempt for an IP address and, when the device exists, its DUID
+// Returns what got locked out by this attempt: 'duid', 'ip' or null
+const recordFailure = (duid, ip) => {
+  const duidLocked = duid ? failedByDuid.recordFailure(duid) : false;
+  const ipLocked = failedByIp.recordFailure(ip);
+
+  if (duidLocked) return 'duid';
+  if (ipLocked) return 'ip';
+  return null;
+};
+
+// Forget a DUID's failed attempts after it was activated
+const clearFailures = (duid) => {
+  failedByDuid.clear(duid);
+};
+
+module.exports = {
+  issueActivationCode,
+  regenerateActivationCode,
+  codeMatches,
+  isCodeExpired,
+  getLockout,
+  recordFailure,
+  clearFailures
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+
+// Configuration
+const SESSION_TOUCH_INTERVAL = 60 * 1000; // How often a session's last seen time is saved
+
+// Sessions are listed by a hash of their ID: the ID itself must stay secret because it identifies the cookie
+const getPublicId = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 16);
+
+// Mark a freshly regenerated session as logged in and record where it comes from
+const startSession = (req, admin) => {
+  const now = new Date().toISOString();
+
+  req.session.isAuthenticated = true;
+  req.session.adminId = admin.id;
+  req.session.username = admin.username;
+  req.session.createdAt = now;
+  req.session.lastSeenAt = now;
+  req.session.ip = req.ip;
+  req.session.userAgent = req.get('User-Agent') || null;
+};
+
+// Update a session's last seen time, at most once per interval so the store isn't written on every request
+const touchSession = (req) => {
+  const lastSeenAt = req.session.lastSeenAt ? new Date(req.session.lastSeenAt).getTime() : 0;
+  if (Date.now() - lastSeenAt > SESSION_TOUCH_INTERVAL) {
+    req.session.lastSeenAt = new Date().toISOString();
+  }
+};
+
+// Get all sessions in the store: sid -> session
+const getAllSessions = (store) => {
+  return new Promise((resolve, reject) => {
+    store.all((err, sessions) => {
+      if (err) reject(err);
+      else resolve(sessions || {});
+    });
+  });
+};
+
+// Get the IDs of an admin's logged in sessions
+const getAdminSessionIds = (sessions, adminId) => {
+  return Object.keys(sessions).filter(sid => sessions[sid].isAuthenticated && sessions[sid].adminId === adminId);
+};
+
+// List an admin's logged in sessions, most recently used first
+const listSessions = async (store, adminId, currentSid) => {
+  const sessions = await getAllSessions(store);
+
+  return getAdminSessionIds(sessions, adminId)
+    .map(sid => ({
+      id: getPublicId(sid),
+      current: sid === currentSid,
+      ip: sessions[sid].ip || null,
+      user_agent: sessions[sid].userAgent || null,
+      created_at: sessions[sid].createdAt || null,
+      last_seen_at: sessions[sid].lastSeenAt || null
+    }))
+    .sort((a, b) => String(b.last_seen_at).localeCompare(String(a.last_seen_at)));
+};
+
+// Destroy a session in the store
+const destroySession = (store, sid) => {
+  return new Promise((resolve, reject) => {
+    store.destroy(sid, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+// End an admin's sessions, optionally keeping one (the current session)
+// With publicId, only that session is ended; returns the number of sessions ended
+const destroyAdminSessions = async (store, adminId, { keepSid, publicId } = {}) => {
+  const sids = getAdminSessionIds(await getAllSessions(store), adminId)
+    .filter(sid => sid !== keepSid && (!publicId || getPublicId(sid) === publicId));
+
+  for (const sid of sids) {
+    await destroySession(store, sid);
+  }
+
+  return sids.length;
+};
+
+module.exports = {
+  startSession,
+  touchSession,
+  listSessions,
+  destroyAdminSessions
+};
@@ -0,0 +1,104 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const { db } = require('../index');
+
+// Configuration
+const ADMIN_PASSWORD_MIN_LENGTH = parseInt(process.env.ADMIN_PASSWORD_MIN_LENGTH) || 8;
+
+// Columns sent to the admin panel; never the password hash
+const ADMIN_COLUMNS = 'id, username, role, disabled, must_change_password, totp_enabled, created_at, updated_at';
+
+// Get an admin by ID, without the password hash
+const getAdmin = (id) => {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT ${ADMIN_COLUMNS} FROM admins WHERE id = ?`, [id], (err, row) => {
+      if (err) reject(err);
+      else resolve(row || null);
+    });
+  });
+};
+
+// Get all admins, without their password hashes
+const getAdmins = () => {
+  return new Promise((resolve, reject) => {
+    db.all(`SELECT ${ADMIN_COLUMNS} FROM admins ORDER BY username ASC`, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+// Check that a username is not taken
+const assertUsernameAvailable = (username) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT id FROM admins WHERE username = ?', [username], (err, row) => {
+      if (err) return reject(err);
+      if (row) return reject(new Error(`An admin named "${username}" already exists`));
+      resolve();
+    });
+  });
+};
+
+// Check a new password against the password rules
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < ADMIN_PASSWORD_MIN_LENGTH) {
+    throw new Error(`Password must be at least ${ADMIN_PASSWORD_MIN_LENGTH} characters`);
+  }
+  return password;
+};
+
+// Generate a one-time password for an invite or reset; it's shown once and must be changed at first login
+const generateTemporaryPassword = () => crypto.randomBytes(12).toString('base64url');
+
+// Hash and store an admin's password
+// Temporary passwords must be changed at the next login
+const setPassword = async (adminId, password, temporary) => {
+  const hashedPassword = await bcrypt.hash(password, 10);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE admins SET password = ?, must_change_password = ?, updated_at = ? WHERE id = ?',
+      [hashedPassword, temporary ? 1 : 0, new Date().toISOString(), adminId],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+};
+
+// Count enabled owners other than the given admin
+const countOtherActiveOwners = (adminId) => {
+  return new Promise((resolve, reject) => {
+    db.get(
+      "SELECT COUNT(*) as count FROM admins WHERE role = 'owner' AND disabled = 0 AND id != ?",
+      [adminId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row.count);
+      }
+    );
+  });
+};
+
+// Make sure a change doesn't leave the panel without an enabled owner
+// Only matters when an enabled owner is demoted, disabled or deleted
+const assertOwnerRemains = async (admin) => {
+  if (admin.role !== 'owner' || admin.disabled) {
+    return;
+  }
+
+  if (await countOtherActiveOwners(admin.id) === 0) {
+    throw new Error('There must be at least one enabled owner');
+  }
+};
+
+module.exports = {
+  getAdmin,
+  getAdmins,
+  assertUsernameAvailable,
+  validatePassword,
+  generateTemporaryPassword,
+  setPassword,
+  assertOwnerRemains
+};
@@ -0,0 +1,286 @@
+const { db } = require('../index');
+
+// Configuration
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS) || 365; // Actions taken by admins
+const SYSTEM_EVENT_RETENTION_DAYS = parseInt(process.env.SYSTEM_EVENT_RETENTION_DAYS) || 90; // Actions the server takes by itself (expiries, restarts...)
+const AUDIT_PRUNE_INTERVAL = 24 * 60 * 60 * 1000; // Once a day
+const ACTIONS_MAX_PAGE_SIZE = 200; // Largest page the activity log can request
+const ACTIONS_EXPORT_LIMIT = parseInt(process.env.ACTIONS_EXPORT_LIMIT) || 50000; // Most rows in one CSV export
+
+// Secrets that are never copied into the log; the diff only shows that they changed
+const REDACTED_FIELDS = ['password', 'activation_code', 'totp_secret', 'recovery_codes'];
+
+// Bookkeeping fields that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+let pruneInterval = null;
+
+// Get a field of an entity version; a missing entity or field counts as null
+const getField = (entity, field) => {
+  return entity && entity[field] !== undefined ? entity[field] : null;
+};
+
+// Compare two versions of an entity: { field: { from, to } } for every changed field, or null if nothing changed
+// before is null for a created entity and after is null for a deleted one
+const diff = (before, after) => {
+  const changes = {};
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) continue;
+
+    const from = getField(before, field);
+    const to = getField(after, field);
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: from === null ? null : '[redacted]', to: to === null ? null : '[redacted]' }
+      : { from, to };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+// Names of the fields that differ between two versions of an entity, for action descriptions
+const changedFields = (before, after) => Object.keys(diff(before, after) || {});
+
+// Get the admin behind a request; requirePermission sets req.admin, the session is the fallback
+const getActor = (req) => {
+  if (req && req.admin) {
+    return { id: req.admin.id, username: req.admin.username };
+  }
+  if (req && req.session && req.session.adminId) {
+    return { id: req.session.adminId, username: req.session.username };
+  }
+  return { id: null, username: null };
+};
+
+// Record an action in the audit log
+// req identifies the admin and their IP address; pass null for actions the server takes by itself
+// Pass admin for requests made before the session is logged in, e.g. during login
+// Pass the entity before and/or after the change to record which fields changed
+const logAction = (req, actionType, description, { admin = null, entityType = null, entityId = null, before = null, after = null } = {}) => {
+  const actor = admin ? { id: admin.id, username: admin.username } : getActor(req);
+  const changes = before || after ? diff(before, after) : null;
+
+  db.run(
+    `INSERT INTO actions (action_type, description, admin_id, admin_username, entity_type, entity_id, ip, changes, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+    [
+      actionType,
+      description,
+      actor.id,
+      actor.username,
+      entityType,
+      entityId === null ? null : String(entityId),
+      req ? req.ip : null,
+      changes ? JSON.stringify(changes) : null,
+      new Date().toISOString()
+    ],
+    (err) => {
+      if (err) {
+        console.error('Error logging action:', err.message);
+      }
+    }
+  );
+};
+
+// Parse the JSON diff stored with an action
+const parseAction = (action) => ({
+  ...action,
+  changes: action.changes ? JSON.parse(action.changes) : null
+});
+
+// Parse a date filter; returns an ISO timestamp or throws for an invalid date
+const parseDate = (value, name) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`${name} must be a valid date`);
+  }
+  return date.toISOString();
+};
+
+// Build the WHERE clause for a set of action filters, as used by the activity log
+// Filters: action_type, entity_type, entity_id, admin_id ('system' for actions the server took),
+// from/to (timestamps, inclusive) and search (words that must all appear in the description)
+// Throws for invalid filter values
+const buildActionFilter = ({ action_type, entity_type, entity_id, admin_id, from, to, search } = {}) => {
+  const conditions = [];
+  const params = [];
+
+  if (action_type) {
+    conditions.push('action_type = ?');
+    params.push(action_type);
+  }
+
+  if (entity_type) {
+    conditions.push('entity_type = ?');
+    params.push(entity_type);
+  }
+
+  if (entity_id) {
+    conditions.push('entity_id = ?');
+    params.push(String(entity_id));
+  }
+
+  if (admin_id === 'system') {
+    conditions.push('admin_id IS NULL');
+  } else if (admin_id) {
+    const adminId = parseInt(admin_id);
+    if (isNaN(adminId)) {
+      throw new Error("admin_id must be an admin ID or 'system'");
+    }
+    conditions.push('admin_id = ?');
+    params.push(adminId);
+  }
+
+  if (from) {
+    conditions.push('created_at >= ?');
+    params.push(parseDate(from, 'from'));
+  }
+
+  if (to) {
+    conditions.push('created_at <= ?');
+    params.push(parseDate(to, 'to'));
+  }
+
+  if (search) {
+    // Escape LIKE wildcards so they match literally
+    for (const word of String(search).trim().split(/\s+/).filter(Boolean)) {
+      conditions.push("description LIKE ? ESCAPE '\\'");
+      params.push(`%${word.replace(/[\\%_]/g, '\\$&')}%`);
+    }
+  }
+
+  return {
+    where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    params
+  };
+};
+
+// Get a page of actions matching a filter, newest first
+const findActions = (filter, { limit, offset = 0 }) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM actions ${filter.where} ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?`,
+      [...filter.params, limit, offset],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows.map(parseAction));
+      }
+    );
+  });
+};
+
+// Count the actions matching a filter
+const countActions = (filter) => {
+  return new Promise((resolve, reject) => {
+    db.get(`SELECT COUNT(*) as count FROM actions ${filter.where}`, filter.params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row.count);
+    });
+  });
+};
+
+// Values present in the log, for the activity log's filter dropdowns
+// Admins come from the log itself so deleted admins can still be filtered on
+const getActionFilterOptions = async () => {
+  const distinct = (sql) => new Promise((resolve, reject) => {
+    db.all(sql, [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+
+  const [actionTypes, entityTypes, admins] = await Promise.all([
+    distinct('SELECT DISTINCT action_type FROM actions ORDER BY action_type'),
+    distinct('SELECT DISTINCT entity_type FROM actions WHERE entity_type IS NOT NULL ORDER BY entity_type'),
+    distinct(`SELECT admin_id, MAX(admin_username) as admin_username FROM actions
+              WHERE admin_id IS NOT NULL GROUP BY admin_id ORDER BY admin_username`)
+  ]);
+
+  return {
+    action_types: actionTypes.map(row => row.action_type),
+    entity_types: entityTypes.map(row => row.entity_type),
+    admins: admins.map(row => ({ id: row.admin_id, username: row.admin_username }))
+  };
+};
+
+// Quote a CSV value; values starting with a formula character are prefixed
+// so spreadsheets don't run them (descriptions include names typed by users)
+const csvValue = (value) => {
+  if (value === null || value === undefined) return '';
+
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Format actions as CSV, one row per action
+const actionsToCsv = (actions) => {
+  const columns = ['id', 'created_at', 'action_type', 'description', 'admin_id', 'admin_username', 'entity_type', 'entity_id', 'ip', 'changes'];
+  const lines = [columns.join(',')];
+
+  for (const action of actions) {
+    lines.push(columns.map(column => csvValue(action[column])).join(','));
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Delete actions older than their retention period
+const pruneActions = () => {
+  const now = Date.now();
+  const adminCutoff = new Date(now - AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const systemCutoff = new Date(now - SYSTEM_EVENT_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+  db.run(
+    `DELETE FROM actions
+     WHERE (admin_id IS NOT NULL AND created_at < ?) OR (admin_id IS NULL AND created_at < ?)`,
+    [adminCutoff, systemCutoff],
+    function (err) {
+      if (err) {
+        console.error('Error pruning old actions:', err.message);
+      } else if (this.changes > 0) {
+        console.log(`Pruned ${this.changes} action(s) past their retention period`);
+      }
+    }
+  );
+};
+
+const startRetention = () => {
+  if (pruneInterval) {
+    clearInterval(pruneInterval);
+  }
+
+  console.log(`Keeping admin actions for ${AUDIT_RETENTION_DAYS} days and system events for ${SYSTEM_EVENT_RETENTION_DAYS} days`);
+  pruneActions();
+  pruneInterval = setInterval(pruneActions, AUDIT_PRUNE_INTERVAL);
+};
+
+const stopRetention = () => {
+  if (pruneInterval) {
+    clearInterval(pruneInterval);
+    pruneInterval = null;
+  }
+};
+
+module.exports = {
+  AUDIT_RETENTION_DAYS,
+  SYSTEM_EVENT_RETENTION_DAYS,
+  ACTIONS_MAX_PAGE_SIZE,
+  ACTIONS_EXPORT_LIMIT,
+  diff,
+  changedFields,
+  logAction,
+  parseAction,
+  buildActionFilter,
+  findActions,
+  countActions,
+  getActionFilterOptions,
+  actionsToCsv,
+  startRetention,
+  stopRetention
+};
@@ -0,0 +1,245 @@
+const { db } = require('../index');
+const probeService = require('./probe');
+const sourceService = require('./sources');
+const transcodingService = require('./transcoding');
+
+// Configuration
+const AVAILABILITY_CHECK_INTERVAL = parseInt(process.env.AVAILABILITY_CHECK_INTERVAL) || 5 * 60 * 1000; // 5 minutes
+const AVAILABILITY_HISTORY_DAYS = parseInt(process.env.AVAILABILITY_HISTORY_DAYS) || 30; // Days of uptime history to keep
+
+// Store check interval
+let checkInterval = null;
+
+// Set while a round of checks is running so slow rounds don't overlap
+let checksRunning = false;
+
+// Helper function to log actions
+const logAction = (actionType, description) => {
+  const now = new Date().toISOString();
+  db.run(
+    'INSERT INTO actions (action_type, description, created_at) VALUES (?, ?, ?)',
+    [actionType, description, now],
+    (err) => {
+      if (err) {
+        console.error('Error logging action:', err.message);
+      }
+    }
+  );
+};
+
+// Get every channel with the result of its previous availability check
+const getChannelsToCheck = () => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT c.id, c.name, c.url, c.backup_urls, c.active_source, c.transcoding_enabled, c.transcoding_status,
+        (SELECT u.online FROM channel_uptime u WHERE u.channel_id = c.id ORDER BY u.id DESC LIMIT 1) as last_online
+       FROM channels c
+       ORDER BY c.order_index ASC`,
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching channels for availability checks:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+};
+
+// Add a check to a channel's uptime history
+const recordCheck = (channelId, result, responseTime) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'INSERT INTO channel_uptime (channel_id, online, response_time_ms, error, checked_at) VALUES (?, ?, ?, ?, ?)',
+      [channelId, result.reachable ? 1 : 0, responseTime, result.error, result.probed_at],
+      (err) => {
+        if (err) {
+          console.error('Error recording availability check:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+};
+
+// Remove history older than AVAILABILITY_HISTORY_DAYS and history of deleted channels
+const pruneHistory = () => {
+  return new Promise((resolve, reject) => {
+    const cutoff = new Date(Date.now() - AVAILABILITY_HISTORY_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    db.run(
+      'DELETE FROM channel_uptime WHERE checked_at < ? OR channel_id NOT IN (SELECT id FROM channels)',
+      [cutoff],
+      function (err) {
+        if (err) {
+          console.error('Error pruning uptime history:', err.message);
+          reject(err);
+        } else {
+          resolve(this.changes);
+        }
+      }
+    );
+  });
+};
+
+// Probe a channel's sources in failover order and return the first reachable one
+// Falls back to the primary source's result when every source is down
+const probeSources = async (channel) => {
+  const sources = sourceService.getChannelSources(channel);
+  let primaryResult = null;
+
+  for (let index = 0; index < sources.length; index++) {
+    const result = await probeService.probeSource(sources[index]);
+    if (result.reachable) {
+      return { index, result };
+    }
+    if (index === 0) {
+      primaryResult = result;
+    }
+  }
+
+  return { index: null, result: primaryResult };
+};
+
+// Serve a channel from another source, restarting its transcoding job if one is running
+const switchSource = async (channel, index) => {
+  const sources = sourceService.getChannelSources(channel);
+
+  await sourceService.setActiveSource(channel.id, index);
+  logAction(
+    'channel_source_switched',
+    index === 0
+      ? `Channel switched back to primary source: ${channel.name}`
+      : `Channel switched to backup source ${index}: ${channel.name}`
+  );
+
+  if (channel.transcoding_enabled && channel.transcoding_status !== 'inactive') {
+    try {
+      await transcodingService.restartTranscoding(channel.id, sources[index], channel.name);
+    } catch (error) {
+      console.error(`Failed to restart transcoding for channel ${channel.id} after source switch:`, error);
+    }
+  }
+};
+
+// Probe one channel's sources, store the result and log state changes
+const checkChannel = async (channel) => {
+  const startedAt = Date.now();
+  const { index, result } = await probeSources(channel);
+  const responseTime = Date.now() - startedAt;
+
+  // Store the result first so a restart after a source switch sees the new source's codecs
+  await probeService.saveProbeResult(channel.id, result);
+  await recordCheck(channel.id, result, responseTime);
+
+  // Stay on the current source while every source is down
+  if (index !== null && index !== channel.active_source) {
+    await switchSource(channel, index);
+  } else if (result.reachable) {
+    await transcodingService.refreshAutoMode(channel.id);
+  }
+
+  // Only transitions are logged; a channel's first check counts as a transition to offline
+  // A channel is online while any of its sources is reachable
+  if (!result.reachable && channel.last_online !== 0) {
+    logAction('channel_offline', `Channel source offline: ${channel.name} (${result.error})`);
+  } else if (result.reachable && channel.last_online === 0) {
+    logAction('channel_recovered', `Channel source back online: ${channel.name}`);
+  }
+
+  return result;
+};
+
+// Check every channel's source URL, one at a time
+const performAvailabilityChecks = async () => {
+  if (checksRunning) {
+    console.log('Previous availability checks still running, skipping this round');
+    return;
+  }
+
+  checksRunning = true;
+  const startTime = Date.now();
+
+  try {
+    const channels = await getChannelsToCheck();
+    let offline = 0;
+
+    for (const channel of channels) {
+      try {
+        const result = await checkChannel(channel);
+        if (!result.reachable) {
+          offline++;
+        }
+      } catch (error) {
+        console.error(`Availability check failed for channel ${channel.id}:`, error.message);
+      }
+    }
+
+    await pruneHistory();
+
+    console.log(`Availability checks completed: ${channels.length - offline}/${channels.length} channels online in ${Date.now() - startTime}ms`);
+  } catch (error) {
+    console.error('Error during availability checks:', error);
+  } finally {
+    checksRunning = false;
+  }
+};
+
+// Start availability check scheduler
+const startAvailabilityChecks = () => {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+  }
+
+  console.log(`Starting availability checks with ${AVAILABILITY_CHECK_INTERVAL / 1000}s interval`);
+  checkInterval = setInterval(performAvailabilityChecks, AVAILABILITY_CHECK_INTERVAL);
+
+  // Run the first round shortly after start
+  setTimeout(performAvailabilityChecks, 30000); // 30 seconds after start
+};
+
+// Stop availability check scheduler
+const stopAvailabilityChecks = () => {
+  if (checkInterval) {
+    clearInterval(checkInterval);
+    checkInterval = null;
+    console.log('Availability checks stopped');
+  }
+};
+
+// Get a channel's uptime percentage and check history for the last `hours` hours
+const getChannelUptime = (channelId, hours = 24) => {
+  return new Promise((resolve, reject) => {
+    const since = new Date(Date.now() - hours * 60 * 60 * 1000).toISOString();
+    db.all(
+      `SELECT online, response_time_ms, error, checked_at
+       FROM channel_uptime
+       WHERE channel_id = ? AND checked_at >= ?
+       ORDER BY checked_at DESC`,
+      [channelId, since],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching uptime history:', err.message);
+          reject(err);
+        } else {
+          const online = rows.filter(row => row.online).length;
+          resolve({
+            hours,
+            checks: rows.length,
+            uptime_percent: rows.length > 0 ? Math.round((online / rows.length) * 1000) / 10 : null,
+            history: rows
+          });
+        }
+      }
+    );
+  });
+};
+
+module.exports = {
+  startAvailabilityChecks,
+  stopAvailabilityChecks,
+  performAvailabilityChecks,
+  getChannelUptime
+};
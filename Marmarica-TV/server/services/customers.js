@@ -0,0 +1,71 @@
+const { db } = require('../index');
+
+// Get a customer by ID
+const getCustomer = (customerId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM customers WHERE id = ?', [customerId], (err, customer) => {
+      if (err) reject(err);
+      else resolve(customer || null);
+    });
+  });
+};
+
+// Get the devices linked to a customer
+const getCustomerDevices = (customerId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT devices.*,
+        (SELECT GROUP_CONCAT(p.name, ', ') FROM device_packages dp
+         JOIN packages p ON p.id = dp.package_id
+         WHERE dp.device_id = devices.id) as package_names
+       FROM devices WHERE customer_id = ? ORDER BY created_at ASC`,
+      [customerId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Validate a customer_id from a request
+// Empty values unlink the device; returns the customer ID or null
+const resolveCustomerId = async (value) => {
+  if (value === null || value === '' || value === undefined) {
+    return null;
+  }
+
+  const customer = await getCustomer(value);
+  if (!customer) {
+    throw new Error(`Customer ${value} not found`);
+  }
+
+  return customer.id;
+};
+
+// Clear a customer_id column pointing at a deleted customer
+const unlinkCustomer = (table, customerId) => {
+  return new Promise((resolve, reject) => {
+    db.run(`UPDATE ${table} SET customer_id = NULL WHERE customer_id = ?`, [customerId], (err) => {
+      if (err) {
+        console.error(`Error unlinking customer from ${table}:`, err.message);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+// Unlink a deleted customer from its devices and their renewals
+const removeCustomerLinks = async (customerId) => {
+  await unlinkCustomer('devices', customerId);
+  await unlinkCustomer('device_subscriptions', customerId);
+};
+
+module.exports = {
+  getCustomer,
+  getCustomerDevices,
+  resolveCustomerId,
+  removeCustomerLinks
+};
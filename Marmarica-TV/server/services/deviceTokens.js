@@ -0,0 +1,148 @@
+const crypto = require('crypto');
+const { db } = require('../index');
+const streamTokenService = require('./streamTokens');
+
+// Configuration
+const TOKEN_SECRET = process.env.DEVICE_TOKEN_SECRET;
+// A publicly known secret would let anyone forge device tokens, so there is no default
+// The session secret is not reused either, so each secret can be rotated on its own
+if (!TOKEN_SECRET) {
+  throw new Error('DEVICE_TOKEN_SECRET must be set to sign device tokens');
+}
+// Lets clients that predate device tokens keep calling check-device with only a DUID
+const ALLOW_DUID_AUTH = process.env.ALLOW_DUID_AUTH === 'true';
+
+// Sign a device ID and token version
+const sign = (deviceId, version) => {
+  return crypto
+    .createHmac('sha256', TOKEN_SECRET)
+    .update(`device:${deviceId}:${version}`)
+    .digest('base64url');
+};
+
+// Build the token for a device ID and token version: "<device id>.<version>.<signature>"
+const buildToken = (deviceId, version) => `${deviceId}.${version}.${sign(deviceId, version)}`;
+
+// Check a token's signature; returns { deviceId, version } or null
+// Whether the version is still current is checked against the device row
+const verifyToken = (token) => {
+  if (typeof token !== 'string') {
+    return null;
+  }
+
+  const parts = token.split('.');
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [deviceId, version, signature] = parts;
+  if (!/^\d+$/.test(deviceId) || !/^\d+$/.test(version)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(deviceId, version));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { deviceId: Number(deviceId), version: Number(version) };
+};
+
+// Read the bearer token from an Authorization header
+const getRequestToken = (req) => {
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+};
+
+// Find the device a token was issued to; returns null for invalid, rotated or revoked tokens
+const authenticate = (token) => {
+  const payload = verifyToken(token);
+  if (!payload) {
+    return Promise.resolve(null);
+  }
+
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM devices WHERE id = ?', [payload.deviceId], (err, device) => {
+      if (err) return reject(err);
+      if (!device || device.token_version === 0 || device.token_version !== payload.version) {
+        return resolve(null);
+      }
+      resolve(device);
+    });
+  });
+};
+
+// Find a device by DUID for the compatibility flow
+const getDeviceByDuid = (duid) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM devices WHERE duid = ?', [duid], (err, device) => {
+      if (err) reject(err);
+      else resolve(device || null);
+    });
+  });
+};
+
+// Issue a new token to a device, invalidating any token it had before
+const issueToken = (device) => {
+  const version = (device.token_version || 0) + 1;
+  const now = new Date().toISOString();
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE devices SET token_version = ?, token_issued_at = ?, token_rotate = 0 WHERE id = ?',
+      [version, now, device.id],
+      (err) => {
+        if (err) {
+          console.error(`Error issuing token for device ${device.id}:`, err.message);
+          return reject(err);
+        }
+        device.token_version = version;
+        device.token_issued_at = now;
+        device.token_rotate = 0;
+        streamTokenService.evictStreamAccess(device.id);
+        resolve(buildToken(device.id, version));
+      }
+    );
+  });
+};
+
+// Mark a device's token for rotation; the current token keeps working until the device checks in
+const requestRotation = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.run('UPDATE devices SET token_rotate = 1 WHERE id = ? AND token_issued_at IS NOT NULL', [deviceId], function(err) {
+      if (err) reject(err);
+      else resolve(this.changes > 0);
+    });
+  });
+};
+
+// Revoke a device's token right away and replace its activation code
+// The device has to be activated again with the new code to get a token
+// activation holds the new { activation_code, activation_code_expires_at }
+const revokeToken = (deviceId, activation) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE devices SET token_version = token_version + 1, token_issued_at = NULL, token_rotate = 0,
+        activation_code = ?, activation_code_expires_at = ?, updated_at = ? WHERE id = ?`,
+      [activation.activation_code, activation.activation_code_expires_at, new Date().toISOString(), deviceId],
+      (err) => {
+        if (err) return reject(err);
+        // Stream URLs signed for the old token stop working right away
+        streamTokenService.evictStreamAccess(deviceId);
+        resolve();
+      }
+    );
+  });
+};
+
+module.exports = {
+  ALLOW_DUID_AUTH,
+  getRequestToken,
+  authenticate,
+  getDeviceByDuid,
+  issueToken,
+  requestRotation,
+  revokeToken
+};
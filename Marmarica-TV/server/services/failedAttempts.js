@@ -0,0 +1,56 @@
+// Failed attempt tracking with temporary lockouts, kept in memory
+// Used to throttle guesses of activation codes and admin passwords
+
+// Create a tracker for one kind of key (a DUID, a username, an IP address...)
+// A key is locked out for lockoutMs once it reaches maxAttempts failures within windowMs
+const createFailureTracker = ({ maxAttempts, windowMs, lockoutMs }) => {
+  // key -> { failures: [timestamps], lockedUntil }
+  const entries = new Map();
+
+  // Forget keys without recent failures or an active lockout
+  const prune = () => {
+    const now = Date.now();
+    for (const [key, entry] of entries) {
+      if (entry.lockedUntil < now && !entry.failures.some(time => time > now - windowMs)) {
+        entries.delete(key);
+      }
+    }
+  };
+
+  // Get the milliseconds left on a key's lockout; 0 when it isn't locked out
+  const getLockout = (key) => {
+    const entry = entries.get(key);
+    return entry && entry.lockedUntil > Date.now() ? entry.lockedUntil - Date.now() : 0;
+  };
+
+  // Record a failure for a key; returns true when it starts a lockout
+  const recordFailure = (key) => {
+    prune();
+
+    const now = Date.now();
+    const entry = entries.get(key) || { failures: [], lockedUntil: 0 };
+
+    entry.failures = entry.failures.filter(time => time > now - windowMs);
+    entry.failures.push(now);
+    entries.set(key, entry);
+
+    if (entry.failures.length >= maxAttempts) {
+      entry.failures = [];
+      entry.lockedUntil = now + lockoutMs;
+      return true;
+    }
+
+    return false;
+  };
+
+  // Forget a key's failures and lift its lockout
+  const clear = (key) => {
+    entries.delete(key);
+  };
+
+  return { getLockout, recordFailure, clear };
+};
+
+module.exports = {
+  createFailureTracker
+};
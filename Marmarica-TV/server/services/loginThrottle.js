@@ -0,0 +1,46 @@
+const { createFailureTracker } = require('./failedAttempts');
+
+// Configuration
+const ADMIN_LOGIN_MAX_ATTEMPTS = parseInt(process.env.ADMIN_LOGIN_MAX_ATTEMPTS) || 5; // Failed logins per username within the window
+const ADMIN_LOGIN_MAX_ATTEMPTS_PER_IP = parseInt(process.env.ADMIN_LOGIN_MAX_ATTEMPTS_PER_IP) || 20; // Failed logins per IP address within the window
+const ADMIN_LOGIN_ATTEMPT_WINDOW = parseInt(process.env.ADMIN_LOGIN_ATTEMPT_WINDOW) || 15 * 60 * 1000; // 15 minutes
+const ADMIN_LOGIN_LOCKOUT = parseInt(process.env.ADMIN_LOGIN_LOCKOUT) || 15 * 60 * 1000; // 15 minutes
+
+// Failed logins per username and per IP address
+// Wrong passwords and wrong two-factor codes both count
+const failedByUsername = createFailureTracker({
+  maxAttempts: ADMIN_LOGIN_MAX_ATTEMPTS,
+  windowMs: ADMIN_LOGIN_ATTEMPT_WINDOW,
+  lockoutMs: ADMIN_LOGIN_LOCKOUT
+});
+const failedByIp = createFailureTracker({
+  maxAttempts: ADMIN_LOGIN_MAX_ATTEMPTS_PER_IP,
+  windowMs: ADMIN_LOGIN_ATTEMPT_WINDOW,
+  lockoutMs: ADMIN_LOGIN_LOCKOUT
+});
+
+// Usernames are matched exactly at login, but lockouts shouldn't be dodged by changing case
+const usernameKey = (username) => String(username).toLowerCase();
+
+// Get the milliseconds until a username or IP address may try again; 0 when neither is locked out
+const getLockout = (username, ip) => {
+  return Math.max(failedByUsername.getLockout(usernameKey(username)), failedByIp.getLockout(ip));
+};
+
+// Record a failed login; returns true when it locks out the username or IP address
+const recordFailure = (username, ip) => {
+  const usernameLocked = failedByUsername.recordFailure(usernameKey(username));
+  const ipLocked = failedByIp.recordFailure(ip);
+  return usernameLocked || ipLocked;
+};
+
+// Forget a username's failed logins after it logged in
+const clearFailures = (username) => {
+  failedByUsername.clear(usernameKey(username));
+};
+
+module.exports = {
+  getLockout,
+  recordFailure,
+  clearFailures
+};
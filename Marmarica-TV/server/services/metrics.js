@@ -0,0 +1,186 @@
+const fs = require('fs');
+const os = require('os');
+const transcodingService = require('./transcoding');
+
+// Configuration
+const METRICS_SAMPLE_INTERVAL = parseInt(process.env.METRICS_SAMPLE_INTERVAL) || 10 * 1000; // 10 seconds
+const METRICS_HISTORY_SIZE = parseInt(process.env.METRICS_HISTORY_SIZE) || 360; // Samples kept per series (1 hour at 10s)
+const CLOCK_TICKS_PER_SECOND = 100; // USER_HZ, 100 on all common Linux builds
+
+// Store sampler interval
+let sampleInterval = null;
+
+// Store the CPU time of each PID at the previous sample, used to turn counters into percentages
+const previousCpu = new Map();
+
+// Store rolling time series: one per channel and one for the sum of all FFmpeg processes
+const channelSeries = new Map();
+const totalSeries = [];
+
+// Store the latest sample of each running process
+let latestSample = { sampled_at: null, processes: [] };
+
+// Read CPU time (in clock ticks) and resident memory of a process from /proc
+// Returns null when the process is gone or /proc is not available
+const readProcessStats = (pid) => {
+  try {
+    // The command name in field 2 may contain spaces, so fields are counted after its closing parenthesis
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+    const cpuTicks = parseInt(fields[11]) + parseInt(fields[12]); // utime + stime
+
+    const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+    const rssMatch = status.match(/^VmRSS:\s+(\d+)\s+kB/m);
+
+    return {
+      cpuTicks,
+      rssBytes: rssMatch ? parseInt(rssMatch[1]) * 1024 : 0
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+// Append a point to a series, dropping the oldest points beyond METRICS_HISTORY_SIZE
+const appendPoint = (series, point) => {
+  series.push(point);
+  if (series.length > METRICS_HISTORY_SIZE) {
+    series.splice(0, series.length - METRICS_HISTORY_SIZE);
+  }
+};
+
+// Sample CPU and memory usage of every running FFmpeg process
+const sampleMetrics = () => {
+  const now = Date.now();
+  const sampledAt = new Date(now).toISOString();
+  const processes = [];
+  const seenPids = new Set();
+
+  for (const active of transcodingService.getActiveProcesses()) {
+    const stats = readProcessStats(active.pid);
+    if (!stats) {
+      continue;
+    }
+
+    seenPids.add(active.pid);
+
+    // CPU % over the last interval; 100% is one full core, as in top
+    const previous = previousCpu.get(active.pid);
+    let cpuPercent = null;
+    if (previous && now > previous.time) {
+      const cpuSeconds = (stats.cpuTicks - previous.cpuTicks) / CLOCK_TICKS_PER_SECOND;
+      cpuPercent = Math.round((cpuSeconds / ((now - previous.time) / 1000)) * 1000) / 10;
+    }
+    previousCpu.set(active.pid, { cpuTicks: stats.cpuTicks, time: now });
+
+    const sample = {
+      channel_id: active.channelId,
+      channel_name: active.channelName,
+      job_id: active.jobId,
+      pid: active.pid,
+      mode: active.mode,
+      cpu_percent: cpuPercent,
+      rss_bytes: stats.rssBytes,
+      uptime_seconds: Math.round((now - active.startedAt) / 1000),
+      restarts: active.attempt
+    };
+    processes.push(sample);
+
+    if (!channelSeries.has(active.channelId)) {
+      channelSeries.set(active.channelId, []);
+    }
+    appendPoint(channelSeries.get(active.channelId), {
+      sampled_at: sampledAt,
+      pid: active.pid,
+      cpu_percent: cpuPercent,
+      rss_bytes: stats.rssBytes
+    });
+  }
+
+  // Forget counters of exited processes
+  for (const pid of previousCpu.keys()) {
+    if (!seenPids.has(pid)) {
+      previousCpu.delete(pid);
+    }
+  }
+
+  // Forget channels that have not run for the whole history window
+  const oldest = now - METRICS_HISTORY_SIZE * METRICS_SAMPLE_INTERVAL;
+  for (const [channelId, series] of channelSeries) {
+    if (new Date(series[series.length - 1].sampled_at).getTime() < oldest) {
+      channelSeries.delete(channelId);
+    }
+  }
+
+  appendPoint(totalSeries, {
+    sampled_at: sampledAt,
+    processes: processes.length,
+    cpu_percent: Math.round(processes.reduce((sum, sample) => sum + (sample.cpu_percent || 0), 0) * 10) / 10,
+    rss_bytes: processes.reduce((sum, sample) => sum + sample.rss_bytes, 0)
+  });
+
+  latestSample = { sampled_at: sampledAt, processes };
+};
+
+// Start metrics sampler
+const startMetricsSampler = () => {
+  if (sampleInterval) {
+    clearInterval(sampleInterval);
+  }
+
+  console.log(`Starting FFmpeg metrics sampler with ${METRICS_SAMPLE_INTERVAL / 1000}s interval`);
+  sampleInterval = setInterval(() => {
+    try {
+      sampleMetrics();
+    } catch (error) {
+      console.error('Error sampling FFmpeg metrics:', error);
+    }
+  }, METRICS_SAMPLE_INTERVAL);
+};
+
+// Stop metrics sampler
+const stopMetricsSampler = () => {
+  if (sampleInterval) {
+    clearInterval(sampleInterval);
+    sampleInterval = null;
+    console.log('FFmpeg metrics sampler stopped');
+  }
+};
+
+// Get the latest per-process sample, server totals and the totals history
+const getMetrics = () => {
+  const latestTotals = totalSeries.length > 0 ? totalSeries[totalSeries.length - 1] : null;
+
+  return {
+    sampled_at: latestSample.sampled_at,
+    sample_interval_ms: METRICS_SAMPLE_INTERVAL,
+    system: {
+      cpu_count: os.cpus().length,
+      load_average: os.loadavg(),
+      total_memory_bytes: os.totalmem(),
+      free_memory_bytes: os.freemem()
+    },
+    totals: latestTotals,
+    processes: latestSample.processes,
+    history: totalSeries
+  };
+};
+
+// Get the time series of one channel's FFmpeg processes
+const getChannelMetrics = (channelId) => {
+  const id = parseInt(channelId);
+  return {
+    channel_id: id,
+    sample_interval_ms: METRICS_SAMPLE_INTERVAL,
+    current: latestSample.processes.find(sample => sample.channel_id === id) || null,
+    history: channelSeries.get(id) || []
+  };
+};
+
+module.exports = {
+  startMetricsSampler,
+  stopMetricsSampler,
+  sampleMetrics,
+  getMetrics,
+  getChannelMetrics
+};
@@ -0,0 +1,194 @@
+const fs = require('fs');
+const path = require('path');
+
+// Configuration
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+// Migration files are named <version>-<name>.js, e.g. 002-channel-order.js
+const MIGRATION_FILE_PATTERN = /^(\d+)-([a-z0-9-]+)\.js$/;
+
+// Promise wrappers around the sqlite3 callback API, for migrations and the runner
+const run = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, params, function (err) {
+      if (err) reject(err);
+      else resolve(this);
+    });
+  });
+};
+
+const get = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.get(sql, params, (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+const all = (db, sql, params = []) => {
+  return new Promise((resolve, reject) => {
+    db.all(sql, params, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows);
+    });
+  });
+};
+
+const tableExists = async (db, table) => {
+  const row = await get(db, "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [table]);
+  return Boolean(row);
+};
+
+const columnExists = async (db, table, column) => {
+  const columns = await all(db, `PRAGMA table_info(${table})`);
+  return columns.some(info => info.name === column);
+};
+
+// Add a column unless it's already there (databases set up with the old add-*.js scripts have most columns)
+// Returns true if the column was added
+const addColumn = async (db, table, column, definition) => {
+  if (await columnExists(db, table, column)) {
+    return false;
+  }
+  await run(db, `ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+};
+
+// Drop a column if it exists; indexes on the column must be dropped first
+const dropColumn = async (db, table, column) => {
+  if (await columnExists(db, table, column)) {
+    await run(db, `ALTER TABLE ${table} DROP COLUMN ${column}`);
+  }
+};
+
+// All migration files, oldest first
+const loadMigrations = () => {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version: parseInt(version, 10),
+      name: `${version}-${name}`,
+      ...require(path.join(MIGRATIONS_DIR, file))
+    }))
+    .sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Migrations ${migrations[i - 1].name} and ${migrations[i].name} have the same version`);
+    }
+  }
+
+  return migrations;
+};
+
+// Create the table that records which migrations have been applied
+const ensureMigrationsTable = (db) => {
+  return run(db, `CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name TEXT NOT NULL,
+    applied_at TEXT NOT NULL
+  )`);
+};
+
+// Every migration with when it was applied (null = pending), oldest first
+// Applied migrations whose file no longer exists are included with missing: true
+const getStatus = async (db) => {
+  await ensureMigrationsTable(db);
+
+  const applied = await all(db, 'SELECT version, name, applied_at FROM schema_migrations');
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+  const migrations = loadMigrations();
+  const known = new Set(migrations.map(migration => migration.version));
+
+  return [
+    ...migrations.map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied_at: appliedByVersion.has(migration.version) ? appliedByVersion.get(migration.version).applied_at : null
+    })),
+    ...applied
+      .filter(row => !known.has(row.version))
+      .map(row => ({ ...row, missing: true }))
+  ].sort((a, b) => a.version - b.version);
+};
+
+// Run one step of a migration and record it, all in one transaction
+// A failed migration is rolled back completely and stops the run
+const runStep = async (db, migration, direction) => {
+  await run(db, 'BEGIN IMMEDIATE');
+
+  try {
+    await migration[direction](db);
+
+    if (direction === 'up') {
+      await run(
+        db,
+        'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+        [migration.version, migration.name, new Date().toISOString()]
+      );
+    } else {
+      await run(db, 'DELETE FROM schema_migrations WHERE version = ?', [migration.version]);
+    }
+
+    await run(db, 'COMMIT');
+  } catch (error) {
+    await run(db, 'ROLLBACK').catch(() => {});
+    throw new Error(`Migration ${migration.name} failed (${direction}): ${error.message}`);
+  }
+};
+
+// Apply pending migrations in order, up to and including version `to` if given
+// Returns the names of the applied migrations
+const migrate = async (db, { to = Infinity } = {}) => {
+  await ensureMigrationsTable(db);
+
+  const applied = new Set((await all(db, 'SELECT version FROM schema_migrations')).map(row => row.version));
+  const pending = loadMigrations().filter(migration => !applied.has(migration.version) && migration.version <= to);
+
+  for (const migration of pending) {
+    await runStep(db, migration, 'up');
+    console.log(`Applied migration ${migration.name}`);
+  }
+
+  return pending.map(migration => migration.name);
+};
+
+// Roll back the latest `steps` applied migrations, or every migration after version `to` if given
+// Returns the names of the rolled back migrations
+const rollback = async (db, { steps = 1, to = null } = {}) => {
+  await ensureMigrationsTable(db);
+
+  const applied = await all(db, 'SELECT version, name FROM schema_migrations ORDER BY version DESC');
+  const targets = to === null ? applied.slice(0, steps) : applied.filter(row => row.version > to);
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+
+  for (const target of targets) {
+    const migration = migrations.get(target.version);
+    if (!migration) {
+      throw new Error(`Migration ${target.name} can't be rolled back: its file is missing`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${target.name} can't be rolled back`);
+    }
+
+    await runStep(db, migration, 'down');
+    console.log(`Rolled back migration ${migration.name}`);
+  }
+
+  return targets.map(target => target.name);
+};
+
+module.exports = {
+  run,
+  get,
+  all,
+  tableExists,
+  columnExists,
+  addColumn,
+  dropColumn,
+  getStatus,
+  migrate,
+  rollback
+};
@@ -0,0 +1,241 @@
+const { db } = require('../index');
+
+// Validate a list of IDs from a request (package_ids, channel_ids) and return it without duplicates
+const parseIdList = (ids, field) => {
+  if (ids === null || ids === undefined || ids === '') {
+    return [];
+  }
+
+  const values = Array.isArray(ids) ? ids.map(Number) : [NaN];
+  if (values.some(id => !Number.isInteger(id) || id <= 0)) {
+    throw new Error(`${field} must be an array of IDs`);
+  }
+
+  return [...new Set(values)];
+};
+
+// Check that every ID in a list exists in a table
+const assertIdsExist = (table, ids, label) => {
+  return new Promise((resolve, reject) => {
+    if (ids.length === 0) {
+      return resolve(ids);
+    }
+
+    const placeholders = ids.map(() => '?').join(',');
+    db.all(`SELECT id FROM ${table} WHERE id IN (${placeholders})`, ids, (err, rows) => {
+      if (err) return reject(err);
+
+      const found = rows.map(row => row.id);
+      const missing = ids.filter(id => !found.includes(id));
+      if (missing.length > 0) {
+        return reject(new Error(`${label} not found: ${missing.join(', ')}`));
+      }
+      resolve(ids);
+    });
+  });
+};
+
+// Validate package IDs from a request
+const resolvePackageIds = async (packageIds) => {
+  return assertIdsExist('packages', parseIdList(packageIds, 'package_ids'), 'Package');
+};
+
+// Validate channel IDs from a request
+const resolveChannelIds = async (channelIds) => {
+  return assertIdsExist('channels', parseIdList(channelIds, 'channel_ids'), 'Channel');
+};
+
+// Remove all rows of a record from a link table
+const removeLinks = (table, column, id) => {
+  return new Promise((resolve, reject) => {
+    db.run(`DELETE FROM ${table} WHERE ${column} = ?`, [id], (err) => {
+      if (err) {
+        console.error(`Error cleaning up ${table}:`, err.message);
+        reject(err);
+      } else {
+        resolve();
+      }
+    });
+  });
+};
+
+// Replace the rows linking one record to a set of others in a link table
+const replaceLinks = async (table, ownerColumn, ownerId, otherColumn, otherIds) => {
+  await removeLinks(table, ownerColumn, ownerId);
+
+  if (otherIds.length === 0) {
+    return;
+  }
+
+  const placeholders = otherIds.map(() => '(?, ?)').join(', ');
+  const params = otherIds.flatMap(otherId => [ownerId, otherId]);
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO ${table} (${ownerColumn}, ${otherColumn}) VALUES ${placeholders}`,
+      params,
+      (err) => {
+        if (err) {
+          console.error(`Error updating ${table}:`, err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+};
+
+// Set the packages assigned to a device
+const setDevicePackages = (deviceId, packageIds) => {
+  return replaceLinks('device_packages', 'device_id', deviceId, 'package_id', packageIds);
+};
+
+// Set the packages a channel belongs to
+const setChannelPackages = (channelId, packageIds) => {
+  return replaceLinks('package_channels', 'channel_id', channelId, 'package_id', packageIds);
+};
+
+// Set the channels of a package
+const setPackageChannels = (packageId, channelIds) => {
+  return replaceLinks('package_channels', 'package_id', packageId, 'channel_id', channelIds);
+};
+
+// Set the packages a subscription plan grants
+const setPlanPackages = (planId, packageIds) => {
+  return replaceLinks('plan_packages', 'plan_id', planId, 'package_id', packageIds);
+};
+
+// Get the IDs of the packages with the given names
+const getPackageIdsByName = (names) => {
+  return new Promise((resolve, reject) => {
+    if (names.length === 0) {
+      return resolve([]);
+    }
+
+    const placeholders = names.map(() => '?').join(',');
+    db.all(`SELECT id FROM packages WHERE name IN (${placeholders})`, names, (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.id));
+    });
+  });
+};
+
+// Get the packages assigned to a device
+const getDevicePackages = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT p.id, p.name, p.is_free
+       FROM packages p
+       JOIN device_packages dp ON dp.package_id = p.id
+       WHERE dp.device_id = ?
+       ORDER BY p.name ASC`,
+      [deviceId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get the IDs of the packages a channel belongs to
+const getChannelPackageIds = (channelId) => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT package_id FROM package_channels WHERE channel_id = ?', [channelId], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.package_id));
+    });
+  });
+};
+
+// Get the IDs of the free packages, which expired devices keep and new devices start with
+const getFreePackageIds = () => {
+  return new Promise((resolve, reject) => {
+    db.all('SELECT id FROM packages WHERE is_free = 1 ORDER BY name ASC', [], (err, rows) => {
+      if (err) reject(err);
+      else resolve(rows.map(row => row.id));
+    });
+  });
+};
+
+// Get the channels a device is entitled to through its packages
+const getDeviceChannels = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM channels
+       WHERE id IN (
+         SELECT pc.channel_id FROM package_channels pc
+         JOIN device_packages dp ON dp.package_id = pc.package_id
+         WHERE dp.device_id = ?
+       )
+       ORDER BY order_index ASC`,
+      [deviceId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get the channels of all free packages
+const getFreeChannels = () => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT * FROM channels
+       WHERE id IN (
+         SELECT pc.channel_id FROM package_channels pc
+         JOIN packages p ON p.id = pc.package_id
+         WHERE p.is_free = 1
+       )
+       ORDER BY order_index ASC`,
+      [],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Remove a deleted device's package assignments
+const removeDeviceLinks = (deviceId) => {
+  return removeLinks('device_packages', 'device_id', deviceId);
+};
+
+// Remove a deleted channel from its packages
+const removeChannelLinks = (channelId) => {
+  return removeLinks('package_channels', 'channel_id', channelId);
+};
+
+// Remove a deleted package's channels, device assignments and plan entries
+const removePackageLinks = async (packageId) => {
+  await removeLinks('device_packages', 'package_id', packageId);
+  await removeLinks('package_channels', 'package_id', packageId);
+  await removeLinks('plan_packages', 'package_id', packageId);
+};
+
+// Remove a deleted plan's packages
+const removePlanLinks = (planId) => {
+  return removeLinks('plan_packages', 'plan_id', planId);
+};
+
+module.exports = {
+  resolvePackageIds,
+  resolveChannelIds,
+  setDevicePackages,
+  setChannelPackages,
+  setPackageChannels,
+  setPlanPackages,
+  getPackageIdsByName,
+  getDevicePackages,
+  getChannelPackageIds,
+  getFreePackageIds,
+  getDeviceChannels,
+  getFreeChannels,
+  removeDeviceLinks,
+  removeChannelLinks,
+  removePackageLinks,
+  removePlanLinks
+};
@@ -0,0 +1,64 @@
+// Sections of the admin panel and what can be done in each
+// Admin accounts ('admins') are only managed by owners, so they're not part of this list
+const RESOURCES = ['dashboard', 'devices', 'customers', 'channels', 'packages', 'plans', 'news', 'transcoding', 'streams'];
+const ACTIONS = ['view', 'edit', 'delete'];
+
+// Permissions of each role: resource -> allowed actions
+// Resources a role doesn't list are hidden from it entirely
+const everything = (actions) => Object.fromEntries(RESOURCES.map(resource => [resource, actions]));
+
+const ROLE_PERMISSIONS = {
+  // Full access, including managing admin accounts
+  owner: {
+    ...everything(ACTIONS),
+    admins: ACTIONS
+  },
+  // Runs the service: manages channels, transcoding, packages and subscribers
+  operator: {
+    ...everything(ACTIONS),
+    dashboard: ['view']
+  },
+  // Helps subscribers: can look everything up and manage devices and customers, but not delete them
+  support: {
+    ...everything(['view']),
+    devices: ['view', 'edit'],
+    customers: ['view', 'edit']
+  },
+  read_only: everything(['view'])
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+// Action needed for a request: reads are 'view', deletions 'delete', everything else 'edit'
+const getRequestAction = (method) => {
+  if (method === 'GET' || method === 'HEAD') return 'view';
+  if (method === 'DELETE') return 'delete';
+  return 'edit';
+};
+
+// Get a role's permissions; unknown roles get none
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || {};
+
+// Check whether a role may perform an action on a resource
+const hasPermission = (role, resource, action) => {
+  const actions = getPermissions(role)[resource];
+  return Boolean(actions && actions.includes(action));
+};
+
+// Check a role name sent by the admin panel or the CLI
+const validateRole = (role) => {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+  }
+  return role;
+};
+
+module.exports = {
+  RESOURCES,
+  ACTIONS,
+  ROLES,
+  getRequestAction,
+  getPermissions,
+  hasPermission,
+  validateRole
+};
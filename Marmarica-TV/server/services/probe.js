@@ -0,0 +1,167 @@
+const { spawn } = require('child_process');
+const { db } = require('../index');
+
+// Configuration
+const FFPROBE_PATH = process.env.FFPROBE_PATH || 'ffprobe';
+const PROBE_TIMEOUT = parseInt(process.env.PROBE_TIMEOUT) || 10 * 1000; // 10 seconds
+
+// Convert an ffprobe frame rate ("30000/1001") to frames per second
+const parseFrameRate = (rate) => {
+  if (!rate || rate === '0/0') {
+    return null;
+  }
+
+  const [numerator, denominator] = rate.split('/').map(Number);
+  if (!denominator) {
+    return numerator || null;
+  }
+
+  return Math.round((numerator / denominator) * 100) / 100;
+};
+
+// Run ffprobe against a URL and collect its output
+// Rejects only when ffprobe itself cannot be run
+const runFFprobe = (url) => {
+  return new Promise((resolve, reject) => {
+    const args = [
+      '-v', 'error',
+      '-rw_timeout', String(PROBE_TIMEOUT * 1000), // microseconds
+      '-print_format', 'json',
+      '-show_format',
+      '-show_streams',
+      url
+    ];
+
+    let probeProcess;
+    try {
+      probeProcess = spawn(FFPROBE_PATH, args);
+    } catch (spawnError) {
+      return reject(spawnError);
+    }
+
+    let stdout = '';
+    let stderr = '';
+
+    // ffprobe can hang on sources that accept the connection but never send data
+    const timer = setTimeout(() => {
+      probeProcess.kill('SIGKILL');
+      resolve({ code: null, stdout, stderr, timedOut: true });
+    }, PROBE_TIMEOUT);
+
+    probeProcess.stdout.on('data', (data) => {
+      stdout += data.toString();
+    });
+
+    probeProcess.stderr.on('data', (data) => {
+      stderr += data.toString();
+    });
+
+    probeProcess.on('error', (err) => {
+      clearTimeout(timer);
+      reject(new Error(`Failed to run ffprobe: ${err.message}`));
+    });
+
+    probeProcess.on('close', (code) => {
+      clearTimeout(timer);
+      resolve({ code, stdout, stderr, timedOut: false });
+    });
+  });
+};
+
+// Probe a source URL for reachability, codecs, resolution, frame rate and audio tracks
+const probeSource = async (url) => {
+  const result = {
+    reachable: false,
+    error: null,
+    format: null,
+    video_codec: null,
+    resolution: null,
+    frame_rate: null,
+    audio_tracks: [],
+    probed_at: new Date().toISOString()
+  };
+
+  const { code, stdout, stderr, timedOut } = await runFFprobe(url);
+
+  if (timedOut) {
+    result.error = `No response within ${PROBE_TIMEOUT / 1000}s`;
+    return result;
+  }
+
+  if (code !== 0) {
+    const lines = stderr.trim().split('\n').filter(Boolean);
+    result.error = lines.length > 0 ? lines[lines.length - 1] : `ffprobe exited with code ${code}`;
+    return result;
+  }
+
+  let output;
+  try {
+    output = JSON.parse(stdout);
+  } catch (error) {
+    result.error = 'Could not parse ffprobe output';
+    return result;
+  }
+
+  const streams = output.streams || [];
+  const video = streams.find(stream => stream.codec_type === 'video');
+
+  result.format = output.format ? output.format.format_name : null;
+
+  if (video) {
+    result.video_codec = video.codec_name || null;
+    result.resolution = video.width && video.height ? `${video.width}x${video.height}` : null;
+    result.frame_rate = parseFrameRate(video.avg_frame_rate) || parseFrameRate(video.r_frame_rate);
+  }
+
+  result.audio_tracks = streams
+    .filter(stream => stream.codec_type === 'audio')
+    .map(stream => ({
+      codec: stream.codec_name || null,
+      channels: stream.channels || null,
+      sample_rate: stream.sample_rate ? parseInt(stream.sample_rate) : null,
+      language: stream.tags && stream.tags.language ? stream.tags.language : null
+    }));
+
+  if (!video && result.audio_tracks.length === 0) {
+    result.error = 'No audio or video streams found';
+    return result;
+  }
+
+  result.reachable = true;
+  return result;
+};
+
+// Store a probe result on a channel
+const saveProbeResult = (channelId, result) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `UPDATE channels SET
+        source_reachable = ?, source_video_codec = ?, source_resolution = ?, source_frame_rate = ?,
+        source_audio_tracks = ?, source_probe_error = ?, source_probed_at = ?
+       WHERE id = ?`,
+      [
+        result.reachable ? 1 : 0,
+        result.video_codec,
+        result.resolution,
+        result.frame_rate,
+        JSON.stringify(result.audio_tracks),
+        result.error,
+        result.probed_at,
+        channelId
+      ],
+      (err) => {
+        if (err) {
+          console.error('Error saving probe result:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+};
+
+module.exports = {
+  probeSource,
+  saveProbeResult
+};
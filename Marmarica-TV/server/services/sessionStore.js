@@ -0,0 +1,128 @@
+const session = require('express-session');
+
+// Configuration
+const SESSION_PRUNE_INTERVAL = parseInt(process.env.SESSION_PRUNE_INTERVAL) || 15 * 60 * 1000; // 15 minutes
+
+/**
+ * express-session store that keeps admin sessions in the SQLite database,
+ * so they survive server restarts
+ *
+ * A session expires after idleTimeout without requests, and at the latest
+ * maxAge after login (counted from the session's createdAt)
+ *
+ * The sessions table is created by migration 023-admin-sessions
+ */
+class SQLiteSessionStore extends session.Store {
+  constructor({ db, idleTimeout, maxAge }) {
+    super();
+    this.db = db;
+    this.idleTimeout = idleTimeout;
+    this.maxAge = maxAge;
+    this.pruneInterval = null;
+  }
+
+  // Time a session expires if there are no more requests, capped at maxAge after login
+  getExpires(sess) {
+    const idleExpires = Date.now() + this.idleTimeout;
+    if (!sess.createdAt) {
+      return idleExpires;
+    }
+    return Math.min(idleExpires, new Date(sess.createdAt).getTime() + this.maxAge);
+  }
+
+  get(sid, callback) {
+    this.db.get('SELECT sess, expires FROM sessions WHERE sid = ?', [sid], (err, row) => {
+      if (err) return callback(err);
+      if (!row) return callback(null, null);
+
+      if (row.expires <= Date.now()) {
+        return this.destroy(sid, (destroyErr) => callback(destroyErr, null));
+      }
+
+      try {
+        callback(null, JSON.parse(row.sess));
+      } catch (parseErr) {
+        callback(parseErr);
+      }
+    });
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.db.run(
+      'INSERT OR REPLACE INTO sessions (sid, sess, expires) VALUES (?, ?, ?)',
+      [sid, JSON.stringify(sess), this.getExpires(sess)],
+      (err) => callback(err || null)
+    );
+  }
+
+  // Called on requests that don't change the session: only pushes the idle expiry back
+  touch(sid, sess, callback = () => {}) {
+    this.db.run(
+      'UPDATE sessions SET expires = ? WHERE sid = ?',
+      [this.getExpires(sess), sid],
+      (err) => callback(err || null)
+    );
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.db.run('DELETE FROM sessions WHERE sid = ?', [sid], (err) => callback(err || null));
+  }
+
+  // All sessions that haven't expired, keyed by session ID (like the default MemoryStore)
+  all(callback) {
+    this.db.all('SELECT sid, sess FROM sessions WHERE expires > ?', [Date.now()], (err, rows) => {
+      if (err) return callback(err);
+
+      const sessions = {};
+      for (const row of rows) {
+        try {
+          sessions[row.sid] = JSON.parse(row.sess);
+        } catch (parseErr) {
+          console.error(`Skipping unreadable session ${row.sid.slice(0, 8)}...:`, parseErr.message);
+        }
+      }
+      callback(null, sessions);
+    });
+  }
+
+  length(callback) {
+    this.db.get('SELECT COUNT(*) as count FROM sessions WHERE expires > ?', [Date.now()], (err, row) => {
+      if (err) return callback(err);
+      callback(null, row.count);
+    });
+  }
+
+  clear(callback = () => {}) {
+    this.db.run('DELETE FROM sessions', (err) => callback(err || null));
+  }
+
+  // Delete expired sessions so the table doesn't grow forever
+  prune() {
+    this.db.run('DELETE FROM sessions WHERE expires <= ?', [Date.now()], function (err) {
+      if (err) {
+        console.error('Error pruning expired sessions:', err.message);
+      } else if (this.changes > 0) {
+        console.log(`Pruned ${this.changes} expired session(s)`);
+      }
+    });
+  }
+
+  startPruning() {
+    this.stopPruning();
+
+    console.log(`Starting session pruning with ${SESSION_PRUNE_INTERVAL / 1000}s interval`);
+    this.prune();
+    this.pruneInterval = setInterval(() => this.prune(), SESSION_PRUNE_INTERVAL);
+  }
+
+  stopPruning() {
+    if (this.pruneInterval) {
+      clearInterval(this.pruneInterval);
+      this.pruneInterval = null;
+    }
+  }
+}
+
+module.exports = {
+  SQLiteSessionStore
+};
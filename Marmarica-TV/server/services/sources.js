@@ -0,0 +1,88 @@
+const { db } = require('../index');
+
+// Configuration
+const MAX_BACKUP_SOURCES = 5;
+
+// Parse the stored backup URL list of a channel (JSON array of URLs)
+const parseBackupUrls = (backupUrls) => {
+  if (Array.isArray(backupUrls)) {
+    return backupUrls;
+  }
+
+  if (!backupUrls) {
+    return [];
+  }
+
+  try {
+    const urls = JSON.parse(backupUrls);
+    return Array.isArray(urls) ? urls : [];
+  } catch (error) {
+    console.error('Error parsing backup URLs:', error.message);
+    return [];
+  }
+};
+
+// Get all sources of a channel in failover order: the primary URL, then the backups
+const getChannelSources = (channel) => {
+  return [channel.url, ...parseBackupUrls(channel.backup_urls)];
+};
+
+// Get the URL of the source a channel is currently served from
+const getLiveSourceUrl = (channel) => {
+  const sources = getChannelSources(channel);
+  return sources[channel.active_source] || channel.url;
+};
+
+// Describe a source index for logs and actions
+const describeSource = (index) => {
+  return index === 0 ? 'primary source' : `backup source ${index}`;
+};
+
+// Validate backup URLs from a request and return the value to store (null = no backups)
+const normalizeBackupUrls = (backupUrls, primaryUrl) => {
+  if (backupUrls === null || backupUrls === undefined || backupUrls === '') {
+    return null;
+  }
+
+  if (!Array.isArray(backupUrls) || backupUrls.some(url => typeof url !== 'string')) {
+    throw new Error('backup_urls must be an array of URLs');
+  }
+
+  // Blank entries are ignored, as are duplicates and copies of the primary URL
+  const urls = [...new Set(backupUrls.map(url => url.trim()).filter(url => url))]
+    .filter(url => url !== primaryUrl);
+
+  if (urls.length > MAX_BACKUP_SOURCES) {
+    throw new Error(`A channel can have at most ${MAX_BACKUP_SOURCES} backup sources`);
+  }
+
+  return urls.length > 0 ? JSON.stringify(urls) : null;
+};
+
+// Switch a channel to another of its sources
+const setActiveSource = (channelId, index) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE channels SET active_source = ? WHERE id = ?',
+      [index, channelId],
+      (err) => {
+        if (err) {
+          console.error('Error updating active source:', err.message);
+          reject(err);
+        } else {
+          resolve();
+        }
+      }
+    );
+  });
+};
+
+module.exports = {
+  MAX_BACKUP_SOURCES,
+  parseBackupUrls,
+  getChannelSources,
+  getLiveSourceUrl,
+  describeSource,
+  normalizeBackupUrls,
+  setActiveSource
+};
@@ -0,0 +1,104 @@
+// Configuration
+const DEFAULT_MAX_STREAMS = parseInt(process.env.DEFAULT_MAX_STREAMS) || 1; // Per device, unless the device has its own limit
+const STREAM_SESSION_TIMEOUT = parseInt(process.env.STREAM_SESSION_TIMEOUT) || 30 * 1000; // 30 seconds without a playlist request
+
+// Players watching right now, kept in memory
+// A viewer is one device token used from one address and player, so a box switching channels keeps its session
+// viewer key -> { id, deviceId, customerId, channelId, ip, userAgent, startedAt, channelStartedAt, lastSeenAt }
+const sessions = new Map();
+let nextSessionId = 1;
+
+// Parse a max_streams value from the admin panel; empty values clear the limit
+const resolveMaxStreams = (value) => {
+  if (value === null || value === '') {
+    return null;
+  }
+
+  const maxStreams = Number(value);
+  if (!Number.isInteger(maxStreams) || maxStreams < 1) {
+    throw new Error('Max streams must be a whole number of at least 1');
+  }
+
+  return maxStreams;
+};
+
+// Forget players that stopped requesting playlists
+const pruneSessions = () => {
+  const cutoff = Date.now() - STREAM_SESSION_TIMEOUT;
+  for (const [key, session] of sessions) {
+    if (session.lastSeenAt < cutoff) {
+      sessions.delete(key);
+    }
+  }
+};
+
+// Count the other sessions matching a filter
+const countSessions = (key, filter) => {
+  let count = 0;
+  for (const [otherKey, session] of sessions) {
+    if (otherKey !== key && filter(session)) {
+      count++;
+    }
+  }
+  return count;
+};
+
+// Record a playlist request and enforce the device and customer stream limits
+// access holds the device's limits: { maxStreams, customerId, customerMaxStreams }
+// Returns an error message when a new player would go over a limit, otherwise null
+const trackPlaylistRequest = ({ deviceId, channelId, ip, userAgent }, access) => {
+  pruneSessions();
+
+  const key = `${deviceId}|${ip}|${userAgent || ''}`;
+  const now = Date.now();
+  const session = sessions.get(key);
+
+  if (session) {
+    if (session.channelId !== channelId) {
+      session.channelId = channelId;
+      session.channelStartedAt = now;
+    }
+    session.customerId = access.customerId;
+    session.lastSeenAt = now;
+    return null;
+  }
+
+  const maxStreams = access.maxStreams || DEFAULT_MAX_STREAMS;
+  if (countSessions(key, other => other.deviceId === deviceId) >= maxStreams) {
+    return `Stream limit reached: this device can play ${maxStreams} stream${maxStreams === 1 ? '' : 's'} at a time`;
+  }
+
+  if (access.customerId && access.customerMaxStreams &&
+      countSessions(key, other => other.customerId === access.customerId) >= access.customerMaxStreams) {
+    return `Stream limit reached: this customer's devices can play ${access.customerMaxStreams} stream${access.customerMaxStreams === 1 ? '' : 's'} at a time`;
+  }
+
+  sessions.set(key, {
+    id: nextSessionId++,
+    deviceId,
+    customerId: access.customerId,
+    channelId,
+    ip,
+    userAgent: userAgent || null,
+    startedAt: now,
+    channelStartedAt: now,
+    lastSeenAt: now
+  });
+
+  return null;
+};
+
+// Get the sessions that are still playing, newest first
+const getActiveSessions = () => {
+  pruneSessions();
+  return Array.from(sessions.values())
+    .map(session => ({ ...session }))
+    .sort((a, b) => b.startedAt - a.startedAt);
+};
+
+module.exports = {
+  DEFAULT_MAX_STREAMS,
+  resolveMaxStreams,
+  trackPlaylistRequest,
+  getActiveSessions
+};
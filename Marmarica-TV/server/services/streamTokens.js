@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const { db } = require('../index');
+const packageService = require('./packages');
+
+// Configuration
+// Stream URLs may share the device token secret, but never the admin session secret
+const STREAM_TOKEN_SECRET = process.env.STREAM_TOKEN_SECRET || process.env.DEVICE_TOKEN_SECRET;
+if (!STREAM_TOKEN_SECRET) {
+  throw new Error('STREAM_TOKEN_SECRET (or DEVICE_TOKEN_SECRET) must be set to sign stream URLs');
+}
+const STREAM_URL_TTL = parseInt(process.env.STREAM_URL_TTL) || 12 * 60 * 60 * 1000; // 12 hours
+const STREAM_ACCESS_CACHE_TTL = parseInt(process.env.STREAM_ACCESS_CACHE_TTL) || 30 * 1000; // 30 seconds
+// Lets players that were given plain /hls_stream URLs keep working while clients are updated
+const ALLOW_UNSIGNED_STREAMS = process.env.ALLOW_UNSIGNED_STREAMS === 'true';
+
+// Channels each device may watch and its stream limits, cached briefly because players request a segment every few seconds
+// deviceId -> { channelIds: Set, tokenVersion, maxStreams, customerId, customerMaxStreams, checkedAt }
+const accessCache = new Map();
+
+// Sign a device ID, device token version, channel ID and expiry time
+const sign = (deviceId, version, channelId, expires) => {
+  return crypto
+    .createHmac('sha256', STREAM_TOKEN_SECRET)
+    .update(`stream:${deviceId}:${version}:${channelId}:${expires}`)
+    .digest('base64url');
+};
+
+// Get the expiry time (unix seconds) of stream URLs issued now
+const getStreamExpiry = () => Math.floor((Date.now() + STREAM_URL_TTL) / 1000);
+
+// Sign a /hls_stream URL for a device: the token goes in the path right after /hls_stream/
+// so the variant playlists and segments the player resolves relative to it carry it too
+// The device's token version is signed in, so revoking or rotating its token invalidates its stream URLs
+// URLs served from elsewhere (pass-through sources) are returned unchanged
+const signStreamUrl = (url, device, channelId, expires = getStreamExpiry()) => {
+  if (!url || !url.includes('/hls_stream/')) {
+    return url;
+  }
+
+  const version = device.token_version || 0;
+  const token = `${device.id}.${version}.${expires}.${sign(device.id, version, channelId, expires)}`;
+  return url.replace('/hls_stream/', `/hls_stream/${token}/`);
+};
+
+// Check a stream token for a channel; returns { deviceId, version, expires } or null
+// Expiry, the token version and the device's access are checked separately
+const verifyStreamToken = (token, channelId) => {
+  const parts = token.split('.');
+  if (parts.length !== 4) {
+    return null;
+  }
+
+  const [deviceId, version, expires, signature] = parts;
+  if (!/^\d+$/.test(deviceId) || !/^\d+$/.test(version) || !/^\d+$/.test(expires)) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(deviceId, version, channelId, expires));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  return { deviceId: Number(deviceId), version: Number(version), expires: Number(expires) };
+};
+
+// Work out which channels a device may watch right now and how many streams it may play
+// Active devices get their packages' channels, expired devices only the free channels, disabled devices none
+const loadStreamAccess = async (deviceId) => {
+  const device = await new Promise((resolve, reject) => {
+    db.get(
+      `SELECT d.id, d.status, d.expiry_date, d.token_version, d.max_streams, d.customer_id, c.max_streams as customer_max_streams
+       FROM devices d
+       LEFT JOIN customers c ON c.id = d.customer_id
+       WHERE d.id = ?`,
+      [deviceId],
+      (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      }
+    );
+  });
+
+  if (!device) {
+    return { channelIds: new Set(), tokenVersion: null };
+  }
+
+  if (device.status === 'disabled') {
+    return { channelIds: new Set(), tokenVersion: device.token_version };
+  }
+
+  const expired = device.status === 'expired' || new Date() > new Date(device.expiry_date);
+  const channels = expired
+    ? await packageService.getFreeChannels()
+    : await packageService.getDeviceChannels(device.id);
+
+  return {
+    channelIds: new Set(channels.map(channel => channel.id)),
+    tokenVersion: device.token_version,
+    maxStreams: device.max_streams,
+    customerId: device.customer_id,
+    customerMaxStreams: device.customer_max_streams
+  };
+};
+
+// Get a device's stream access: { channelIds: Set, tokenVersion, maxStreams, customerId, customerMaxStreams }
+const getStreamAccess = async (deviceId) => {
+  let entry = accessCache.get(deviceId);
+
+  if (!entry || Date.now() - entry.checkedAt > STREAM_ACCESS_CACHE_TTL) {
+    entry = { ...(await loadStreamAccess(deviceId)), checkedAt: Date.now() };
+    accessCache.set(deviceId, entry);
+  }
+
+  return entry;
+};
+
+// Forget a device's cached access so its next stream request sees token and status changes right away
+const evictStreamAccess = (deviceId) => {
+  accessCache.delete(Number(deviceId));
+};
+
+module.exports = {
+  ALLOW_UNSIGNED_STREAMS,
+  getStreamExpiry,
+  signStreamUrl,
+  verifyStreamToken,
+  getStreamAccess,
+  evictStreamAccess
+};
@@ -0,0 +1,265 @@
+const { db } = require('../index');
+const packageService = require('./packages');
+const customerService = require('./customers');
+const { runInTransaction } = require('./transactions');
+
+// Configuration
+const DURATION_UNITS = ['days', 'months'];
+
+// Format a Date as YYYY-MM-DD
+const formatDate = (date) => date.toISOString().split('T')[0];
+
+// Get today's date as YYYY-MM-DD
+const getToday = () => formatDate(new Date());
+
+// Normalize a stored expiry date to YYYY-MM-DD (older devices may have MM/DD/YYYY dates)
+const normalizeDate = (dateStr) => {
+  if (!dateStr) {
+    return null;
+  }
+
+  if (dateStr.includes('/')) {
+    const parts = dateStr.split('/');
+    if (parts.length === 3) {
+      return `${parts[2]}-${parts[0].padStart(2, '0')}-${parts[1].padStart(2, '0')}`;
+    }
+  }
+
+  return dateStr.split('T')[0];
+};
+
+// Add a plan duration to a YYYY-MM-DD date
+// Months keep the day of the month, clamped to the last day of shorter months (Jan 31 + 1 month = Feb 28/29)
+const addDuration = (dateStr, count, unit) => {
+  const [year, month, day] = dateStr.split('-').map(Number);
+
+  if (unit === 'days') {
+    return formatDate(new Date(Date.UTC(year, month - 1, day + count)));
+  }
+
+  const lastDayOfTargetMonth = new Date(Date.UTC(year, month - 1 + count + 1, 0)).getUTCDate();
+  return formatDate(new Date(Date.UTC(year, month - 1 + count, Math.min(day, lastDayOfTargetMonth))));
+};
+
+// Get the date a renewal extends from: the current expiry while it is still valid, otherwise today
+const getRenewalStartDate = (expiryDate) => {
+  const today = getToday();
+  const currentExpiry = normalizeDate(expiryDate);
+  return currentExpiry && currentExpiry >= today ? currentExpiry : today;
+};
+
+// Validate plan fields from a request
+const validatePlan = ({ duration_count, duration_unit, price }) => {
+  if (duration_count !== undefined) {
+    const count = Number(duration_count);
+    if (!Number.isInteger(count) || count <= 0) {
+      throw new Error('duration_count must be a positive integer');
+    }
+  }
+
+  if (duration_unit !== undefined && !DURATION_UNITS.includes(duration_unit)) {
+    throw new Error(`duration_unit must be one of: ${DURATION_UNITS.join(', ')}`);
+  }
+
+  if (price !== undefined && (price === '' || price === null || !(Number(price) >= 0))) {
+    throw new Error('price must be a number of 0 or more');
+  }
+};
+
+// Get a plan with its package IDs
+const getPlan = (planId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM plans WHERE id = ?', [planId], (err, plan) => {
+      if (err) return reject(err);
+      if (!plan) return resolve(null);
+
+      db.all('SELECT package_id FROM plan_packages WHERE plan_id = ?', [planId], (err, rows) => {
+        if (err) return reject(err);
+        plan.package_ids = rows.map(row => row.package_id);
+        resolve(plan);
+      });
+    });
+  });
+};
+
+// Add an entry to a device's subscription history
+const recordSubscription = (entry) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      `INSERT INTO device_subscriptions (
+        device_id, customer_id, plan_id, plan_name, price, previous_expiry_date, start_date, expiry_date, notes, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.device_id,
+        entry.customer_id || null,
+        entry.plan_id || null,
+        entry.plan_name || null,
+        entry.price !== undefined ? entry.price : null,
+        entry.previous_expiry_date || null,
+        entry.start_date,
+        entry.expiry_date,
+        entry.notes || null,
+        new Date().toISOString()
+      ],
+      function(err) {
+        if (err) {
+          console.error('Error recording subscription:', err.message);
+          reject(err);
+        } else {
+          resolve(this.lastID);
+        }
+      }
+    );
+  });
+};
+
+// Record an expiry date set by hand in the device form
+const recordExpiryChange = (device, expiryDate) => {
+  return recordSubscription({
+    device_id: device.id,
+    previous_expiry_date: normalizeDate(device.expiry_date),
+    start_date: getToday(),
+    expiry_date: normalizeDate(expiryDate),
+    notes: 'Expiry date changed manually'
+  });
+};
+
+// Read a device as it is now, inside a renewal's transaction
+const getDevice = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.get('SELECT * FROM devices WHERE id = ?', [deviceId], (err, row) => {
+      if (err) reject(err);
+      else resolve(row);
+    });
+  });
+};
+
+// Set a device's new expiry, grant the plan's packages and record the renewal
+// Expired devices become active again; disabled devices stay disabled until activated
+const extendDevice = async (device, plan, startDate, expiryDate, notes, customerId) => {
+  const status = device.status === 'expired' ? 'active' : device.status;
+  const now = new Date().toISOString();
+
+  await new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE devices SET expiry_date = ?, status = ?, updated_at = ? WHERE id = ?',
+      [expiryDate, status, now, device.id],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+
+  // Plans without packages only extend the subscription
+  if (plan.package_ids.length > 0) {
+    await packageService.setDevicePackages(device.id, plan.package_ids);
+  }
+
+  const subscriptionId = await recordSubscription({
+    device_id: device.id,
+    customer_id: customerId,
+    plan_id: plan.id,
+    plan_name: plan.name,
+    price: plan.price,
+    previous_expiry_date: normalizeDate(device.expiry_date),
+    start_date: startDate,
+    expiry_date: expiryDate,
+    notes
+  });
+
+  return { id: subscriptionId, status };
+};
+
+// Renew a device with a plan, extending from its current expiry or today
+// The expiry is read inside the transaction, so renewals made at the same time add up
+const renewDevice = (device, plan, notes) => {
+  return runInTransaction(async () => {
+    const current = await getDevice(device.id);
+    if (!current) {
+      throw new Error('Device not found');
+    }
+
+    const startDate = getRenewalStartDate(current.expiry_date);
+    const expiryDate = addDuration(startDate, plan.duration_count, plan.duration_unit);
+    const renewal = await extendDevice(current, plan, startDate, expiryDate, notes, null);
+    return { ...renewal, start_date: startDate, expiry_date: expiryDate };
+  });
+};
+
+// Renew all of a customer's devices with one plan
+// The period starts from the latest expiry among the devices, so every device ends up with the same expiry date
+// The devices are read inside the transaction, so renewals made at the same time add up
+const renewCustomer = (customer, plan, notes) => {
+  return runInTransaction(async () => {
+    const devices = await customerService.getCustomerDevices(customer.id);
+    const latestExpiry = devices
+      .map(device => normalizeDate(device.expiry_date))
+      .filter(Boolean)
+      .sort()
+      .pop();
+    const startDate = getRenewalStartDate(latestExpiry);
+    const expiryDate = addDuration(startDate, plan.duration_count, plan.duration_unit);
+
+    const renewed = [];
+    for (const device of devices) {
+      const renewal = await extendDevice(device, plan, startDate, expiryDate, notes, customer.id);
+      renewed.push({ id: device.id, duid: device.duid, previous_status: device.status, status: renewal.status });
+    }
+    return { start_date: startDate, expiry_date: expiryDate, devices: renewed };
+  });
+};
+
+// Get a device's subscription history, newest first
+const getDeviceSubscriptions = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      'SELECT * FROM device_subscriptions WHERE device_id = ? ORDER BY created_at DESC, id DESC',
+      [deviceId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Get the renewals made for a customer, newest first
+const getCustomerSubscriptions = (customerId) => {
+  return new Promise((resolve, reject) => {
+    db.all(
+      `SELECT s.*, d.duid, d.owner_name FROM device_subscriptions s
+       LEFT JOIN devices d ON d.id = s.device_id
+       WHERE s.customer_id = ? ORDER BY s.created_at DESC, s.id DESC`,
+      [customerId],
+      (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows);
+      }
+    );
+  });
+};
+
+// Remove a deleted device's subscription history
+const removeDeviceSubscriptions = (deviceId) => {
+  return new Promise((resolve, reject) => {
+    db.run('DELETE FROM device_subscriptions WHERE device_id = ?', [deviceId], (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+module.exports = {
+  DURATION_UNITS,
+  addDuration,
+  getRenewalStartDate,
+  validatePlan,
+  getPlan,
+  recordExpiryChange,
+  renewDevice,
+  renewCustomer,
+  getDeviceSubscriptions,
+  getCustomerSubscriptions,
+  removeDeviceSubscriptions
+};
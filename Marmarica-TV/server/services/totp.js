@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238) as used by authenticator apps:
+// 6 digits, 30 second steps, HMAC-SHA1
+const TOTP_DIGITS = 6;
+const TOTP_STEP = 30; // seconds
+const TOTP_WINDOW = 1; // Steps accepted either side of the current one, for clock drift
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Marmarica TV';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Encode bytes as base32 without padding, the format authenticator apps expect
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let encoded = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    encoded += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return encoded;
+};
+
+// Decode a base32 secret; spaces, padding and case are ignored
+const base32Decode = (encoded) => {
+  let bits = '';
+  for (const char of encoded.toUpperCase().replace(/[\s=]/g, '')) {
+    const value = BASE32_ALPHABET.indexOf(char);
+    if (value === -1) {
+      throw new Error('Invalid base32 secret');
+    }
+    bits += value.toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// Generate a new random secret (160 bits, base32)
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// Build the otpauth:// URL authenticator apps import
+const getOtpauthUrl = (username, secret) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${username}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(TOTP_ISSUER)}&digits=${TOTP_DIGITS}&period=${TOTP_STEP}`;
+};
+
+// Compute the code for a time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(code).padStart(TOTP_DIGITS, '0');
+};
+
+// Check a code against a secret around the current time
+// Returns the time step it matched, so callers can refuse a code that was already used, or null
+const verifyCode = (secret, code) => {
+  const entered = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(entered) || entered.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_STEP);
+  for (let step = currentStep - TOTP_WINDOW; step <= currentStep + TOTP_WINDOW; step++) {
+    const expected = Buffer.from(generateCode(secret, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(entered))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+module.exports = {
+  generateSecret,
+  getOtpauthUrl,
+  verifyCode
+};
@@ -0,0 +1,42 @@
+const { db } = require('../index');
+
+// The whole server shares one SQLite connection, and a connection holds one transaction at a time
+// Transactions are chained here so a second one waits for the first to commit or roll back,
+// instead of failing with "cannot start a transaction within a transaction"
+let queue = Promise.resolve();
+
+// Run a statement without parameters
+const run = (sql) => {
+  return new Promise((resolve, reject) => {
+    db.run(sql, (err) => {
+      if (err) reject(err);
+      else resolve();
+    });
+  });
+};
+
+// Run database work inside a transaction, rolling back if it fails
+// Resolves with the work's result once the transaction has been committed
+const runInTransaction = (work) => {
+  const result = queue.then(async () => {
+    await run('BEGIN TRANSACTION');
+
+    try {
+      const value = await work();
+      await run('COMMIT');
+      return value;
+    } catch (error) {
+      // Rollback on error
+      await run('ROLLBACK').catch(() => {});
+      throw error;
+    }
+  });
+
+  // A failed transaction must not stop the ones queued after it
+  queue = result.catch(() => {});
+  return result;
+};
+
+module.exports = {
+  runInTransaction
+};
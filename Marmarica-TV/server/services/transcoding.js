@@ -1,7 +1,9 @@
 const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
 const { db } = require('../index');
+const sourceService = require('./sources');
 
 // Configuration
 const HLS_OUTPUT_BASE = process.env.HLS_OUTPUT_BASE || '/var/www/html/hls_stream';
@@ -15,12 +17,81 @@ const MAX_CHANNEL_DIR_SIZE = parseInt(process.env.MAX_CHANNEL_DIR_SIZE) || 100 *
 const HLS_LIST_SIZE = parseInt(process.env.HLS_LIST_SIZE) || 3; // Number of segments to keep
 const ORPHANED_DIR_CLEANUP_AGE = parseInt(process.env.ORPHANED_DIR_CLEANUP_AGE) || 60 * 60 * 1000; // 1 hour
 
+// Concurrency configuration
+const MAX_CONCURRENT_TRANSCODES = parseInt(process.env.MAX_CONCURRENT_TRANSCODES) || os.cpus().length; // One encode per CPU core
+
+// Restart supervisor configuration
+const RESTART_BASE_DELAY = parseInt(process.env.RESTART_BASE_DELAY) || 5 * 1000; // 5 seconds
+const RESTART_MAX_DELAY = parseInt(process.env.RESTART_MAX_DELAY) || 5 * 60 * 1000; // 5 minutes
+const RESTART_MAX_ATTEMPTS = parseInt(process.env.RESTART_MAX_ATTEMPTS) || 5; // Retries allowed within the window
+const RESTART_WINDOW = parseInt(process.env.RESTART_WINDOW) || 15 * 60 * 1000; // 15 minutes
+
+// Health monitor configuration
+const HEALTH_CHECK_INTERVAL = parseInt(process.env.HEALTH_CHECK_INTERVAL) || 5 * 1000; // 5 seconds
+const HEALTH_STARTUP_TIMEOUT = parseInt(process.env.HEALTH_STARTUP_TIMEOUT) || 60 * 1000; // 1 minute to produce the first segments
+const HEALTH_STALL_TIMEOUT = parseInt(process.env.HEALTH_STALL_TIMEOUT) || 30 * 1000; // 30 seconds without a new segment
+const HEALTH_KILL_TIMEOUT = 5 * 1000; // Grace period before a stalled FFmpeg is killed with SIGKILL
+
+// Adaptive bitrate configuration
+// Comma-separated rendition names used by the built-in default profile
+const ABR_DEFAULT_LADDER = process.env.ABR_DEFAULT_LADDER || '720p,480p,audio';
+const MASTER_PLAYLIST_NAME = 'master.m3u8';
+
+// Available renditions for ABR ladders
+const RENDITION_PRESETS = {
+  '1080p': { name: '1080p', audio_only: false, width: null, height: 1080, video_bitrate: '5000k', maxrate: '5350k', bufsize: '7500k', audio_bitrate: '128k' },
+  '720p': { name: '720p', audio_only: false, width: null, height: 720, video_bitrate: '2800k', maxrate: '2996k', bufsize: '4200k', audio_bitrate: '128k' },
+  '480p': { name: '480p', audio_only: false, width: null, height: 480, video_bitrate: '1400k', maxrate: '1498k', bufsize: '2100k', audio_bitrate: '96k' },
+  '360p': { name: '360p', audio_only: false, width: null, height: 360, video_bitrate: '800k', maxrate: '856k', bufsize: '1200k', audio_bitrate: '96k' },
+  'audio': { name: 'audio', audio_only: true, width: null, height: null, video_bitrate: null, maxrate: null, bufsize: null, audio_bitrate: '64k' }
+};
+
+// Transcoding modes of a channel
+// remux copies the source codecs into HLS, auto remuxes sources that boxes can play as they are
+const TRANSCODING_MODES = ['transcode', 'remux', 'auto'];
+const REMUX_VIDEO_CODECS = ['h264'];
+const REMUX_AUDIO_CODECS = ['aac'];
+
+// Allowed values for transcoding profile fields
+const VIDEO_CODECS = ['libx264', 'libx265'];
+const VIDEO_PRESETS = ['ultrafast', 'superfast', 'veryfast', 'faster', 'fast', 'medium', 'slow', 'slower', 'veryslow'];
+const AUDIO_CODECS = ['aac'];
+const BITRATE_PATTERN = /^\d+(\.\d+)?[kKmM]$/;
+
+// Encoder settings used when no transcoding profile is stored in the database
+const DEFAULT_PROFILE = {
+  id: null,
+  name: 'Default',
+  video_codec: 'libx264',
+  video_preset: 'veryfast',
+  gop_size: 50,                    // Keyframe every 2 seconds (for 25 fps input)
+  resolution: null,                // Keep source resolution
+  video_bitrate: null,             // Encoder default
+  audio_codec: 'aac',
+  audio_bitrate: '128k',
+  hls_time: 4,                     // 4 second segments for classic HLS
+  hls_list_size: Math.max(HLS_LIST_SIZE, 4),
+  abr_ladder: ABR_DEFAULT_LADDER
+};
+
 // Store active FFmpeg processes
 const activeProcesses = new Map();
 
+// Store channels between taking an encoder slot and registering their FFmpeg process
+const launchingChannels = new Set();
+
+// Store channels waiting for a free encoder slot, highest priority first
+const transcodingQueue = [];
+
+// Store restart supervisor state (recent crash times and pending retry timer) per channel
+const restartStates = new Map();
+
 // Store cleanup interval
 let cleanupInterval = null;
 
+// Store health monitor interval
+let healthInterval = null;
+
 // Helper function to log actions
 const logAction = (actionType, description) => {
   const now = new Date().toISOString();
@@ -62,7 +133,7 @@ const updateChannelStatus = (channelId, status, transcodedUrl = null) => {
 };
 
 // Helper function to update transcoding job status
-const updateJobStatus = (jobId, status, errorMessage = null, ffmpegPid = null) => {
+const updateJobStatus = (jobId, status, errorMessage = null, ffmpegPid = null, nextRetryAt = null) => {
   return new Promise((resolve, reject) => {
     const now = new Date().toISOString();
     let sql = 'UPDATE transcoding_jobs SET status = ?, updated_at = ?';
@@ -78,6 +149,11 @@ const updateJobStatus = (jobId, status, errorMessage = null, ffmpegPid = null) =
       params.push(ffmpegPid);
     }
 
+    if (nextRetryAt !== null) {
+      sql += ', next_retry_at = ?';
+      params.push(nextRetryAt);
+    }
+
     sql += ' WHERE id = ?';
     params.push(jobId);
 
@@ -92,8 +168,176 @@ const updateJobStatus = (jobId, status, errorMessage = null, ffmpegPid = null) =
   });
 };
 
-// Create output directory for a channel
-const createOutputDirectory = (channelId) => {
+// Parse a comma-separated ladder string into rendition presets
+// Unknown and duplicate names are ignored
+const parseLadder = (ladder) => {
+  return (ladder || '')
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => RENDITION_PRESETS[name])
+    .filter((name, index, names) => names.indexOf(name) === index)
+    .map(name => RENDITION_PRESETS[name]);
+};
+
+// Build a single rendition from a profile's own resolution and bitrates
+const getProfileRendition = (profile) => {
+  const [width, height] = (profile.resolution || '').split('x').map(value => parseInt(value) || null);
+
+  return {
+    name: 'main',
+    audio_only: false,
+    width: width || null,
+    height: height || null,
+    video_bitrate: profile.video_bitrate || null,
+    maxrate: null,
+    bufsize: null,
+    audio_bitrate: profile.audio_bitrate
+  };
+};
+
+// Build the single pass-through rendition of a remuxed channel
+// Sources probed without audio get a video-only variant
+const getRemuxRendition = (audioTracks) => {
+  return {
+    name: 'main',
+    audio_only: false,
+    copy: true,
+    has_audio: audioTracks === null || audioTracks.length > 0,
+    width: null,
+    height: null,
+    video_bitrate: null,
+    maxrate: null,
+    bufsize: null,
+    audio_bitrate: null
+  };
+};
+
+// Drop the audio from a transcoded ladder for sources probed without audio
+// Audio-only renditions are left out since they would have nothing to carry
+const removeAudio = (renditions) => {
+  return renditions
+    .filter(rendition => !rendition.audio_only)
+    .map(rendition => ({ ...rendition, has_audio: false }));
+};
+
+// Resolve the renditions to encode for a channel
+// The channel's own ladder wins, then the profile's ladder, then the profile's single rendition
+const resolveRenditions = (channelLadder, profile = DEFAULT_PROFILE) => {
+  let renditions = parseLadder(channelLadder);
+
+  if (!renditions.some(rendition => !rendition.audio_only)) {
+    renditions = parseLadder(profile.abr_ladder);
+  }
+
+  if (!renditions.some(rendition => !rendition.audio_only)) {
+    return [getProfileRendition(profile)];
+  }
+
+  // Order video renditions from highest to lowest, audio-only last
+  return renditions.sort((a, b) => (b.height || 0) - (a.height || 0));
+};
+
+// Validate and normalize a ladder string before it is stored on a channel or profile
+// Returns null when the ladder should be inherited
+const normalizeLadder = (ladder) => {
+  if (ladder === null || ladder === undefined || String(ladder).trim() === '') {
+    return null;
+  }
+
+  const names = String(ladder)
+    .split(',')
+    .map(name => name.trim())
+    .filter(name => name);
+
+  const unknown = names.filter(name => !RENDITION_PRESETS[name]);
+  if (unknown.length > 0) {
+    throw new Error(`Unknown ABR renditions: ${unknown.join(', ')}`);
+  }
+
+  if (!names.some(name => !RENDITION_PRESETS[name].audio_only)) {
+    throw new Error('ABR ladder must contain at least one video rendition');
+  }
+
+  return [...new Set(names)].join(',');
+};
+
+// Parse the stored audio track list of a probe result (null when the source was never probed)
+const parseAudioTracks = (audioTracks) => {
+  if (!audioTracks) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(audioTracks);
+  } catch (error) {
+    return null;
+  }
+};
+
+// Decide whether a channel is remuxed or transcoded
+// auto uses the last probe result and transcodes sources that were never probed
+const resolveTranscodingMode = (channel) => {
+  const mode = channel.transcoding_mode || 'transcode';
+  if (mode !== 'auto') {
+    return mode;
+  }
+
+  const audioTracks = parseAudioTracks(channel.source_audio_tracks);
+  const videoCompatible = REMUX_VIDEO_CODECS.includes(channel.source_video_codec);
+  const audioCompatible = audioTracks !== null &&
+    (audioTracks.length === 0 || REMUX_AUDIO_CODECS.includes(audioTracks[0].codec));
+
+  return videoCompatible && audioCompatible ? 'remux' : 'transcode';
+};
+
+// Get the transcoding profile, renditions and live source URL configured for a channel
+// Channels without a profile use the default profile from the database
+const getChannelTranscodingSettings = (channelId) => {
+  return new Promise((resolve) => {
+    db.get(
+      `SELECT c.abr_ladder as channel_ladder, c.url as channel_url, c.backup_urls, c.active_source,
+        c.transcoding_mode, c.source_video_codec, c.source_audio_tracks, p.*
+       FROM channels c
+       LEFT JOIN transcoding_profiles p ON p.id = COALESCE(
+         c.transcoding_profile_id,
+         (SELECT id FROM transcoding_profiles WHERE is_default = 1 LIMIT 1)
+       )
+       WHERE c.id = ?`,
+      [channelId],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching channel transcoding settings:', err.message);
+          return resolve({ profile: DEFAULT_PROFILE, renditions: resolveRenditions(null), sourceUrl: null, mode: 'transcode' });
+        }
+
+        const profile = row && row.id ? row : DEFAULT_PROFILE;
+        const mode = row ? resolveTranscodingMode(row) : 'transcode';
+        // Sources that were never probed are expected to have audio
+        const audioTracks = row ? parseAudioTracks(row.source_audio_tracks) : null;
+        const renditions = resolveRenditions(row ? row.channel_ladder : null, profile);
+        resolve({
+          profile,
+          mode,
+          // A remuxed channel has a single variant carrying the source's own video and audio
+          renditions: mode === 'remux'
+            ? [getRemuxRendition(audioTracks)]
+            : audioTracks !== null && audioTracks.length === 0 ? removeAudio(renditions) : renditions,
+          sourceUrl: row
+            ? sourceService.getLiveSourceUrl({ url: row.channel_url, backup_urls: row.backup_urls, active_source: row.active_source })
+            : null
+        });
+      }
+    );
+  });
+};
+
+// Build the public URL of a channel's master playlist
+const getTranscodedUrl = (channelId) => {
+  return `${SERVER_BASE_URL}/hls_stream/channel_${channelId}/${MASTER_PLAYLIST_NAME}`;
+};
+
+// Create output directory for a channel (one sub-directory per rendition)
+const createOutputDirectory = (channelId, renditions = []) => {
   const outputDir = path.join(HLS_OUTPUT_BASE, `channel_${channelId}`);
 
   if (!fs.existsSync(outputDir)) {
@@ -101,45 +345,583 @@ const createOutputDirectory = (channelId) => {
     console.log(`Created output directory: ${outputDir}`);
   }
 
+  for (const rendition of renditions) {
+    const renditionDir = path.join(outputDir, rendition.name);
+    if (!fs.existsSync(renditionDir)) {
+      fs.mkdirSync(renditionDir, { recursive: true });
+    }
+  }
+
   return outputDir;
 };
 
-// Generate FFmpeg command for LL-HLS transcoding with enhanced cleanup
-const generateFFmpegCommand = (inputUrl, channelId) => {
-  const outputDir = createOutputDirectory(channelId);
-  const outputPath = path.join(outputDir, 'output.m3u8');
-  const segmentPath = path.join(outputDir, 'output_%03d.m4s');
+// Generate FFmpeg command for multi-rendition HLS transcoding with enhanced cleanup
+// One FFmpeg run writes a variant playlist per rendition plus the master playlist
+const generateFFmpegCommand = (inputUrl, channelId, profile, renditions) => {
+  const outputDir = createOutputDirectory(channelId, renditions);
+  const outputPath = path.join(outputDir, MASTER_PLAYLIST_NAME);
+  const variantPath = path.join(outputDir, '%v', 'index.m3u8');
+  const segmentPath = path.join(outputDir, '%v', 'segment_%03d.ts');
+
+  const command = ['-i', inputUrl];
+  const encoderArgs = [];
+  const streamMap = [];
+  let videoIndex = 0;
+  let audioIndex = 0;
+
+  // Every rendition carries its own copy of the source's first audio stream, unless the source has none
+  renditions.forEach((rendition) => {
+    const hasAudio = rendition.has_audio !== false;
+
+    if (!rendition.audio_only) {
+      command.push('-map', '0:v:0');
+      if (hasAudio) {
+        command.push('-map', '0:a:0');
+      }
+      if (rendition.height) {
+        encoderArgs.push(`-filter:v:${videoIndex}`, `scale=${rendition.width || -2}:${rendition.height}`);
+      }
+      if (rendition.video_bitrate) {
+        encoderArgs.push(`-b:v:${videoIndex}`, rendition.video_bitrate);
+      }
+      if (rendition.maxrate && rendition.bufsize) {
+        encoderArgs.push(
+          `-maxrate:v:${videoIndex}`, rendition.maxrate,
+          `-bufsize:v:${videoIndex}`, rendition.bufsize
+        );
+      }
+      streamMap.push(hasAudio
+        ? `v:${videoIndex},a:${audioIndex},name:${rendition.name}`
+        : `v:${videoIndex},name:${rendition.name}`);
+      videoIndex++;
+    } else {
+      command.push('-map', '0:a:0');
+      streamMap.push(`a:${audioIndex},name:${rendition.name}`);
+    }
+
+    if (hasAudio) {
+      encoderArgs.push(`-b:a:${audioIndex}`, rendition.audio_bitrate || profile.audio_bitrate);
+      audioIndex++;
+    }
+  });
+
+  const gopSize = String(profile.gop_size);
 
-  const command = [
-    '-i', inputUrl,
-    '-c:v', 'libx264',
-    '-preset', 'veryfast',
+  command.push(
+    '-c:v', profile.video_codec,
+    '-preset', profile.video_preset,
     '-tune', 'zerolatency',
-    '-g', '50',                     // Keyframe every 2 seconds (for 25 fps input, adjust as needed)
-    '-keyint_min', '50',
+    '-g', gopSize,
+    '-keyint_min', gopSize,
     '-sc_threshold', '0',
-    '-c:a', 'aac',
-    '-b:a', '128k',
+    '-c:a', profile.audio_codec,
+    ...encoderArgs,
+    ...getHlsOutputArgs(profile, segmentPath, streamMap, variantPath)
+  );
+
+  return { command, outputPath };
+};
+
+// Generate FFmpeg command that copies the source streams into HLS without re-encoding
+// Segments can only be cut on the source's keyframes, so their length follows its GOP
+const generateRemuxCommand = (inputUrl, channelId, profile, rendition) => {
+  const outputDir = createOutputDirectory(channelId, [rendition]);
+  const outputPath = path.join(outputDir, MASTER_PLAYLIST_NAME);
+  const variantPath = path.join(outputDir, '%v', 'index.m3u8');
+  const segmentPath = path.join(outputDir, '%v', 'segment_%03d.ts');
+
+  const command = ['-i', inputUrl, '-map', '0:v:0'];
+  if (rendition.has_audio) {
+    command.push('-map', '0:a:0');
+  }
+
+  command.push(
+    '-c', 'copy',
+    ...getHlsOutputArgs(
+      profile,
+      segmentPath,
+      [rendition.has_audio ? `v:0,a:0,name:${rendition.name}` : `v:0,name:${rendition.name}`],
+      variantPath
+    )
+  );
+
+  return { command, outputPath };
+};
+
+// Build the HLS muxer arguments shared by transcoded and remuxed channels
+const getHlsOutputArgs = (profile, segmentPath, streamMap, variantPath) => {
+  return [
     '-f', 'hls',
-    '-hls_time', '4',               // 4 second segments for classic HLS
+    '-hls_time', String(profile.hls_time),
     '-hls_playlist_type', 'event',
     '-hls_flags', 'independent_segments+delete_segments+program_date_time',
-    '-hls_segment_type', 'mpegts',  // <-- KEY CHANGE!
+    '-hls_segment_type', 'mpegts',
     '-hls_segment_filename', segmentPath,
     '-hls_start_number_source', 'epoch',
-    '-hls_list_size', Math.max(HLS_LIST_SIZE, 4).toString(),
+    '-hls_list_size', String(profile.hls_list_size),
     '-hls_delete_threshold', '1',
-    outputPath
+    '-master_pl_name', MASTER_PLAYLIST_NAME,
+    '-var_stream_map', streamMap.join(' '),
+    variantPath
   ];
+};
+
+// Check whether another encode may be started
+// Remuxed channels barely use CPU and don't take an encoder slot
+const hasFreeSlot = () => {
+  let encoding = launchingChannels.size;
+  for (const active of activeProcesses.values()) {
+    if (active.mode === 'transcode') {
+      encoding++;
+    }
+  }
+  return encoding < MAX_CONCURRENT_TRANSCODES;
+};
 
+// Get a channel's 1-based position in the queue (null when not queued)
+const getQueuePosition = (channelId) => {
+  const index = transcodingQueue.findIndex(entry => entry.channelId === parseInt(channelId));
+  return index === -1 ? null : index + 1;
+};
 
-  return { command, outputPath };
+// Remove a channel from the queue
+const removeFromQueue = (channelId) => {
+  const index = transcodingQueue.findIndex(entry => entry.channelId === channelId);
+  if (index !== -1) {
+    transcodingQueue.splice(index, 1);
+  }
+};
+
+// Order the queue: higher transcoding_priority first, then channel order, then time queued
+const sortQueue = () => {
+  transcodingQueue.sort((a, b) =>
+    b.priority - a.priority ||
+    a.orderIndex - b.orderIndex ||
+    a.queuedAt.localeCompare(b.queuedAt)
+  );
+};
+
+// Queue a channel until an encoder slot is free
+const enqueueTranscoding = async (channelId, inputUrl, channelName, attempt) => {
+  const channel = await new Promise((resolve) => {
+    db.get(
+      'SELECT transcoding_priority, order_index FROM channels WHERE id = ?',
+      [channelId],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching channel priority:', err.message);
+        }
+        resolve(row || {});
+      }
+    );
+  });
+
+  removeFromQueue(channelId);
+  transcodingQueue.push({
+    channelId,
+    inputUrl,
+    channelName,
+    attempt,
+    priority: channel.transcoding_priority || 0,
+    orderIndex: channel.order_index === null || channel.order_index === undefined ? Infinity : channel.order_index,
+    queuedAt: new Date().toISOString()
+  });
+  sortQueue();
+
+  await updateChannelStatus(channelId, 'queued');
+
+  const position = getQueuePosition(channelId);
+  console.log(`No free encoder slot (limit ${MAX_CONCURRENT_TRANSCODES}), channel ${channelId} queued at position ${position}`);
+
+  return { success: true, queued: true, position };
+};
+
+// Apply a channel's new priority if it is waiting in the queue
+const updateQueuePriority = (channelId, priority) => {
+  const entry = transcodingQueue.find(queued => queued.channelId === channelId);
+  if (entry) {
+    entry.priority = priority;
+    sortQueue();
+  }
+};
+
+// Start queued channels while encoder slots are free
+const processQueue = () => {
+  while (transcodingQueue.length > 0 && hasFreeSlot()) {
+    const entry = transcodingQueue.shift();
+    console.log(`Starting queued transcoding for channel ${entry.channelId}`);
+    launchingChannels.add(entry.channelId);
+    startTranscoding(entry.channelId, entry.inputUrl, entry.channelName, entry.attempt).catch((error) => {
+      console.error(`Failed to start queued transcoding for channel ${entry.channelId}:`, error);
+    });
+  }
+};
+
+// Check whether an FFmpeg process is still the one tracked for its channel
+const isCurrentProcess = (channelId, ffmpegProcess) => {
+  const active = activeProcesses.get(channelId);
+  return Boolean(active && active.process === ffmpegProcess);
+};
+
+// Delay before a restart attempt: doubles with each attempt up to RESTART_MAX_DELAY
+const getRestartDelay = (attempt) => {
+  return Math.min(RESTART_BASE_DELAY * Math.pow(2, attempt - 1), RESTART_MAX_DELAY);
+};
+
+// Cancel a pending restart and forget previous crashes for a channel
+const clearRestartState = (channelId) => {
+  const state = restartStates.get(channelId);
+  if (state && state.timer) {
+    clearTimeout(state.timer);
+  }
+  restartStates.delete(channelId);
+};
+
+// Record a crash and schedule the next restart attempt
+// Returns null when the channel crashed too often within RESTART_WINDOW
+const scheduleRestart = (channelId) => {
+  const now = Date.now();
+  const state = restartStates.get(channelId) || { crashes: [], timer: null };
+
+  if (state.timer) {
+    clearTimeout(state.timer);
+  }
+
+  state.crashes = state.crashes.filter(time => now - time < RESTART_WINDOW);
+  state.crashes.push(now);
+
+  if (state.crashes.length > RESTART_MAX_ATTEMPTS) {
+    restartStates.delete(channelId);
+    return null;
+  }
+
+  const attempt = state.crashes.length;
+  const delay = getRestartDelay(attempt);
+  state.attempt = attempt;
+  state.nextRetryAt = new Date(now + delay).toISOString();
+  state.timer = setTimeout(() => {
+    state.timer = null;
+    runScheduledRestart(channelId, attempt);
+  }, delay);
+  restartStates.set(channelId, state);
+
+  return { attempt, delay, nextRetryAt: state.nextRetryAt };
+};
+
+// Move a channel with backup sources on to its next source before a restart attempt
+// The availability checker switches it back once the primary source recovers
+const failoverToNextSource = async (channelId) => {
+  const channel = await new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id, url, backup_urls, active_source FROM channels WHERE id = ?',
+      [channelId],
+      (err, row) => {
+        if (err) {
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+
+  if (!channel) {
+    return;
+  }
+
+  const sources = sourceService.getChannelSources(channel);
+  if (sources.length < 2) {
+    return;
+  }
+
+  const nextSource = (channel.active_source + 1) % sources.length;
+  await sourceService.setActiveSource(channelId, nextSource);
+  console.log(`Channel ${channelId} failing over from ${sourceService.describeSource(channel.active_source)} to ${sourceService.describeSource(nextSource)}`);
+};
+
+// Decide what happens after an FFmpeg process crashed: retry later or declare the channel down
+const handleProcessFailure = async (channelId, channelName, jobId, reason) => {
+  try {
+    const restart = scheduleRestart(channelId);
+
+    if (restart) {
+      console.log(`Transcoding for channel ${channelId} failed (${reason}), restart attempt ${restart.attempt}/${RESTART_MAX_ATTEMPTS} in ${restart.delay}ms`);
+      await failoverToNextSource(channelId);
+      if (jobId) {
+        await updateJobStatus(jobId, 'failed', reason, null, restart.nextRetryAt);
+      }
+      await updateChannelStatus(channelId, 'retrying');
+    } else {
+      console.error(`Transcoding for channel ${channelId} is down after ${RESTART_MAX_ATTEMPTS} restart attempts`);
+      if (jobId) {
+        await updateJobStatus(jobId, 'failed', reason);
+      }
+      await updateChannelStatus(channelId, 'failed');
+      logAction('transcoding_down', `Transcoding down for channel: ${channelName} after ${RESTART_MAX_ATTEMPTS} restart attempts (${reason})`);
+    }
+  } catch (error) {
+    console.error(`Error handling transcoding failure for channel ${channelId}:`, error);
+  }
+};
+
+// Run a scheduled restart with the channel's current settings
+const runScheduledRestart = async (channelId, attempt) => {
+  let channelName = `#${channelId}`;
+
+  try {
+    const channel = await new Promise((resolve, reject) => {
+      db.get(
+        'SELECT id, name, url, transcoding_enabled FROM channels WHERE id = ?',
+        [channelId],
+        (err, row) => {
+          if (err) {
+            reject(err);
+          } else {
+            resolve(row);
+          }
+        }
+      );
+    });
+
+    // Channel deleted or transcoding disabled while waiting
+    if (!channel || !channel.transcoding_enabled) {
+      clearRestartState(channelId);
+      return;
+    }
+
+    channelName = channel.name;
+    await startTranscoding(channel.id, channel.url, channel.name, attempt);
+  } catch (error) {
+    console.error(`Restart attempt ${attempt} failed for channel ${channelId}:`, error);
+    await handleProcessFailure(channelId, channelName, null, error.message);
+  }
+};
+
+// Get the restart supervisor state for a channel
+const getRestartState = (channelId) => {
+  const state = restartStates.get(parseInt(channelId));
+  if (!state) {
+    return null;
+  }
+
+  return {
+    attempt: state.attempt,
+    max_attempts: RESTART_MAX_ATTEMPTS,
+    next_retry_at: state.timer ? state.nextRetryAt : null,
+    window_ms: RESTART_WINDOW
+  };
+};
+
+// Read the newest segment listed in a variant playlist
+const readLatestSegment = (playlistPath) => {
+  try {
+    if (!fs.existsSync(playlistPath)) {
+      return null;
+    }
+
+    const segments = fs.readFileSync(playlistPath, 'utf8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+
+    return segments.length > 0 ? segments[segments.length - 1] : null;
+  } catch (error) {
+    console.error(`Error reading playlist ${playlistPath}:`, error.message);
+    return null;
+  }
+};
+
+// Parse the last progress line FFmpeg printed to stderr
+// e.g. "frame= 250 fps= 25 q=28.0 size=N/A time=00:00:10.00 bitrate=N/A dup=0 drop=2 speed=1.01x"
+const parseProgress = (output) => {
+  const lines = output.split(/[\r\n]+/).filter(line => line.includes('frame=') && line.includes('speed='));
+  if (lines.length === 0) {
+    return null;
+  }
+
+  const fields = {};
+  const fieldPattern = /(\w+)=\s*(\S+)/g;
+  let match;
+  while ((match = fieldPattern.exec(lines[lines.length - 1])) !== null) {
+    fields[match[1]] = match[2];
+  }
+
+  return {
+    frame: parseInt(fields.frame) || 0,
+    fps: parseFloat(fields.fps) || 0,
+    bitrate: fields.bitrate && fields.bitrate !== 'N/A' ? fields.bitrate : null,
+    speed: parseFloat(fields.speed) || 0,
+    time: fields.time && fields.time !== 'N/A' ? fields.time : null,
+    dropped_frames: parseInt(fields.drop) || 0,
+    duplicated_frames: parseInt(fields.dup) || 0
+  };
+};
+
+// Create the health record for a new FFmpeg process
+// Segments left over from a previous run are remembered so they do not count as progress
+const createHealthRecord = (channelId, renditions) => {
+  const outputDir = path.join(HLS_OUTPUT_BASE, `channel_${channelId}`);
+  const playlists = {};
+
+  for (const rendition of renditions) {
+    playlists[rendition.name] = {
+      segment: readLatestSegment(path.join(outputDir, rendition.name, 'index.m3u8')),
+      updated_at: null
+    };
+  }
+
+  return {
+    state: 'starting',
+    started_at: new Date().toISOString(),
+    checked_at: null,
+    master_playlist: false,
+    playlists,
+    playlist_updated_at: null,
+    progress: null,
+    progress_updated_at: null
+  };
+};
+
+// Mark a channel active once its output is confirmed
+const markChannelRunning = async (channelId, active) => {
+  active.health.state = 'running';
+  await updateChannelStatus(channelId, 'active', getTranscodedUrl(channelId));
+
+  if (active.attempt > 0) {
+    console.log(`Transcoding recovered for channel ${channelId} on restart attempt ${active.attempt}`);
+  } else {
+    logAction('transcoding_started', `Transcoding started for channel: ${active.channelName}`);
+  }
+};
+
+// Kill a stalled FFmpeg process so the restart supervisor can recover the channel
+const recoverStalledChannel = async (channelId, active, reason) => {
+  console.error(`Transcoding for channel ${channelId} stalled: ${reason}`);
+
+  active.health.state = 'stalled';
+  active.failureReason = reason;
+  await updateChannelStatus(channelId, 'stalled');
+
+  active.process.kill('SIGTERM');
+  setTimeout(() => {
+    if (isCurrentProcess(channelId, active.process)) {
+      console.error(`FFmpeg for channel ${channelId} ignored SIGTERM, sending SIGKILL`);
+      active.process.kill('SIGKILL');
+    }
+  }, HEALTH_KILL_TIMEOUT);
+};
+
+// Check that a channel's playlists exist and keep advancing
+const checkChannelHealth = async (channelId, active) => {
+  const { health, profile } = active;
+  if (health.state === 'stalled') {
+    return;
+  }
+
+  const now = Date.now();
+  const outputDir = path.join(HLS_OUTPUT_BASE, `channel_${channelId}`);
+
+  health.master_playlist = fs.existsSync(path.join(outputDir, MASTER_PLAYLIST_NAME));
+  for (const [name, playlist] of Object.entries(health.playlists)) {
+    const segment = readLatestSegment(path.join(outputDir, name, 'index.m3u8'));
+    if (segment && segment !== playlist.segment) {
+      playlist.segment = segment;
+      playlist.updated_at = new Date(now).toISOString();
+    }
+  }
+  health.checked_at = new Date(now).toISOString();
+
+  // A channel is only as healthy as its slowest variant playlist
+  const updates = Object.values(health.playlists).map(playlist => playlist.updated_at);
+  const allAdvanced = health.master_playlist && updates.every(Boolean);
+  if (updates.some(Boolean)) {
+    health.playlist_updated_at = updates.filter(Boolean).sort().pop();
+  }
+
+  if (health.state === 'starting') {
+    if (allAdvanced) {
+      await markChannelRunning(channelId, active);
+    } else if (now - Date.parse(health.started_at) > HEALTH_STARTUP_TIMEOUT) {
+      await recoverStalledChannel(channelId, active, `No output playlist after ${HEALTH_STARTUP_TIMEOUT / 1000}s`);
+    }
+    return;
+  }
+
+  const oldestUpdate = Math.min(...updates.map(updatedAt => Date.parse(updatedAt)));
+  const stallTimeout = Math.max(HEALTH_STALL_TIMEOUT, profile.hls_time * 3 * 1000);
+  if (now - oldestUpdate > stallTimeout) {
+    await recoverStalledChannel(channelId, active, `Output playlist stalled for ${Math.round((now - oldestUpdate) / 1000)}s`);
+  }
+};
+
+// Run a health check for every active transcoding process
+const performHealthChecks = async () => {
+  for (const [channelId, active] of activeProcesses) {
+    try {
+      await checkChannelHealth(channelId, active);
+    } catch (error) {
+      console.error(`Health check failed for channel ${channelId}:`, error);
+    }
+  }
+};
+
+// Start health monitor
+const startHealthMonitor = () => {
+  if (healthInterval) {
+    clearInterval(healthInterval);
+  }
+
+  console.log(`Starting health monitor with ${HEALTH_CHECK_INTERVAL / 1000}s interval`);
+  healthInterval = setInterval(performHealthChecks, HEALTH_CHECK_INTERVAL);
+};
+
+// Stop health monitor
+const stopHealthMonitor = () => {
+  if (healthInterval) {
+    clearInterval(healthInterval);
+    healthInterval = null;
+    console.log('Health monitor stopped');
+  }
+};
+
+// Get the health record of a channel's running FFmpeg process
+const getChannelHealth = (channelId) => {
+  const active = activeProcesses.get(parseInt(channelId));
+  if (!active) {
+    return null;
+  }
+
+  return {
+    ...active.health,
+    pid: active.process.pid,
+    mode: active.mode,
+    attempt: active.attempt
+  };
+};
+
+// List the running FFmpeg processes for resource accounting
+const getActiveProcesses = () => {
+  return Array.from(activeProcesses, ([channelId, active]) => ({
+    channelId,
+    channelName: active.channelName,
+    jobId: active.jobId,
+    pid: active.process.pid,
+    mode: active.mode,
+    attempt: active.attempt,
+    startedAt: active.startedAt
+  }));
 };
 
 // Start transcoding for a channel
-const startTranscoding = async (channelId, inputUrl, channelName) => {
+// attempt is 0 for starts requested by an admin and the retry number for supervisor restarts
+const startTranscoding = async (channelId, inputUrl, channelName, attempt = 0) => {
   try {
     console.log(`Starting transcoding for channel ${channelId}: ${channelName}`);
+    if (attempt > 0) {
+      console.log(`Restart attempt ${attempt}/${RESTART_MAX_ATTEMPTS}`);
+    } else {
+      clearRestartState(channelId);
+    }
     console.log(`Input URL: ${inputUrl}`);
     console.log(`FFmpeg path: ${FFMPEG_PATH}`);
     console.log(`HLS output base: ${HLS_OUTPUT_BASE}`);
@@ -149,19 +931,47 @@ const startTranscoding = async (channelId, inputUrl, channelName) => {
       throw new Error('Input URL is required');
     }
 
+    // Load the channel's profile, ABR ladder, mode and live source
+    const { profile, renditions, sourceUrl, mode } = await getChannelTranscodingSettings(channelId);
+
+    // Wait in the queue while every encoder slot is taken
+    // Channels started from the queue already hold the slot reserved for them
+    const reserved = launchingChannels.has(channelId);
+    if (mode === 'transcode' && !reserved) {
+      if (!hasFreeSlot()) {
+        return await enqueueTranscoding(channelId, inputUrl, channelName, attempt);
+      }
+      launchingChannels.add(channelId);
+    } else if (mode === 'remux' && reserved) {
+      launchingChannels.delete(channelId);
+      processQueue();
+    }
+    removeFromQueue(channelId);
+
     // Update channel status to starting
     await updateChannelStatus(channelId, 'starting');
 
-    // Generate FFmpeg command
-    const { command, outputPath } = generateFFmpegCommand(inputUrl, channelId);
+    // Channels may be switched to a backup source by failover
+    const liveUrl = sourceUrl || inputUrl;
+    if (liveUrl !== inputUrl) {
+      console.log(`Live source URL: ${liveUrl}`);
+    }
+    console.log(`Transcoding mode: ${mode}`);
+    console.log(`Transcoding profile: ${profile.name}`);
+    if (mode === 'transcode') {
+      console.log(`ABR ladder: ${renditions.map(rendition => rendition.name).join(', ')}`);
+    }
+    const { command, outputPath } = mode === 'remux'
+      ? generateRemuxCommand(liveUrl, channelId, profile, renditions[0])
+      : generateFFmpegCommand(liveUrl, channelId, profile, renditions);
     console.log(`FFmpeg command: ${FFMPEG_PATH} ${command.join(' ')}`);
 
     // Create transcoding job record
     const now = new Date().toISOString();
     const jobId = await new Promise((resolve, reject) => {
       db.run(
-        'INSERT INTO transcoding_jobs (channel_id, output_path, status, created_at, updated_at) VALUES (?, ?, ?, ?, ?)',
-        [channelId, outputPath, 'starting', now, now],
+        'INSERT INTO transcoding_jobs (channel_id, output_path, status, attempt, created_at, updated_at) VALUES (?, ?, ?, ?, ?, ?)',
+        [channelId, outputPath, 'starting', attempt, now, now],
         function (err) {
           if (err) {
             console.error('Error creating transcoding job:', err.message);
@@ -200,7 +1010,13 @@ const startTranscoding = async (channelId, inputUrl, channelName) => {
     activeProcesses.set(channelId, {
       process: ffmpegProcess,
       jobId: jobId,
-      channelName: channelName
+      channelName: channelName,
+      profile: profile,
+      attempt: attempt,
+      mode: mode,
+      startedAt: Date.now(),
+      health: createHealthRecord(channelId, renditions),
+      failureReason: null
     });
 
     // Update job with PID
@@ -218,46 +1034,59 @@ const startTranscoding = async (channelId, inputUrl, channelName) => {
       if (output.includes('Error') || output.includes('error')) {
         console.error(`FFmpeg stderr: ${output}`);
       }
+
+      // Keep the latest encoder progress for the health record
+      const progress = parseProgress(output);
+      if (progress && isCurrentProcess(channelId, ffmpegProcess)) {
+        const { health } = activeProcesses.get(channelId);
+        health.progress = progress;
+        health.progress_updated_at = new Date().toISOString();
+      }
     });
 
     ffmpegProcess.on('close', async (code) => {
       console.log(`FFmpeg process for channel ${channelId} closed with code ${code}`);
 
-      // Remove from active processes
+      // Processes that were stopped or replaced on purpose are already accounted for
+      if (!isCurrentProcess(channelId, ffmpegProcess)) {
+        return;
+      }
+
+      // Stalled processes are killed by the health monitor, which leaves the reason behind
+      const { failureReason } = activeProcesses.get(channelId);
+
+      // Remove from active processes and give the slot to the next queued channel
       activeProcesses.delete(channelId);
+      processQueue();
 
-      if (code === 0) {
+      if (failureReason) {
+        await handleProcessFailure(channelId, channelName, jobId, failureReason);
+      } else if (code === 0) {
         // Process completed successfully
         await updateJobStatus(jobId, 'completed');
-        await updateChannelStatus(channelId, 'active', `${SERVER_BASE_URL}/hls_stream/channel_${channelId}/output.m3u8`);
+        await updateChannelStatus(channelId, 'active', getTranscodedUrl(channelId));
         logAction('transcoding_completed', `Transcoding completed for channel: ${channelName}`);
       } else {
-        // Process failed
-        await updateJobStatus(jobId, 'failed', `Process exited with code ${code}`);
-        await updateChannelStatus(channelId, 'failed');
-        logAction('transcoding_failed', `Transcoding failed for channel: ${channelName} (exit code: ${code})`);
+        // Process failed, hand it to the restart supervisor
+        await handleProcessFailure(channelId, channelName, jobId, `Process exited with code ${code}`);
       }
     });
 
     ffmpegProcess.on('error', async (err) => {
       console.error(`FFmpeg process error for channel ${channelId}:`, err);
 
-      // Remove from active processes
+      if (!isCurrentProcess(channelId, ffmpegProcess)) {
+        return;
+      }
+
+      // Remove from active processes and give the slot to the next queued channel
       activeProcesses.delete(channelId);
+      processQueue();
 
-      // Update job and channel status
-      await updateJobStatus(jobId, 'failed', err.message);
-      await updateChannelStatus(channelId, 'failed');
-      logAction('transcoding_error', `Transcoding error for channel: ${channelName} - ${err.message}`);
+      await handleProcessFailure(channelId, channelName, jobId, err.message);
     });
 
-    // Give it a moment to start, then update status
-    setTimeout(async () => {
-      if (activeProcesses.has(channelId)) {
-        await updateChannelStatus(channelId, 'active', `${SERVER_BASE_URL}/hls_stream/channel_${channelId}/output.m3u8`);
-        logAction('transcoding_started', `Transcoding started for channel: ${channelName}`);
-      }
-    }, 2000);
+    // The channel becomes active once the health monitor sees its playlists advancing
 
     return { success: true, jobId, pid };
 
@@ -265,6 +1094,11 @@ const startTranscoding = async (channelId, inputUrl, channelName) => {
     console.error(`Error starting transcoding for channel ${channelId}:`, error);
     await updateChannelStatus(channelId, 'failed');
     throw error;
+  } finally {
+    // Hand the slot to the next queued channel if this one didn't start
+    if (launchingChannels.delete(channelId) && !activeProcesses.has(channelId)) {
+      processQueue();
+    }
   }
 };
 
@@ -273,6 +1107,10 @@ const stopTranscoding = async (channelId, channelName) => {
   try {
     console.log(`Stopping transcoding for channel ${channelId}: ${channelName}`);
 
+    // Cancel any pending automatic restart or queued start
+    clearRestartState(channelId);
+    removeFromQueue(channelId);
+
     // Update channel status
     await updateChannelStatus(channelId, 'stopping');
 
@@ -302,6 +1140,9 @@ const stopTranscoding = async (channelId, channelName) => {
 
     logAction('transcoding_stopped', `Transcoding stopped for channel: ${channelName}`);
 
+    // Start the next queued channel in the freed slot
+    processQueue();
+
     return { success: true };
 
   } catch (error) {
@@ -315,11 +1156,23 @@ const restartTranscoding = async (channelId, inputUrl, channelName) => {
   try {
     console.log(`Restarting transcoding for channel ${channelId}: ${channelName}`);
 
-    // First stop any existing transcoding
-    await stopTranscoding(channelId, channelName);
+    // Hold a running channel's encoder slot so a queued channel doesn't take it
+    const holdsSlot = activeProcesses.has(channelId) && activeProcesses.get(channelId).mode === 'transcode';
+    if (holdsSlot) {
+      launchingChannels.add(channelId);
+    }
 
-    // Wait a moment for cleanup
-    await new Promise(resolve => setTimeout(resolve, 1000));
+    try {
+      // First stop any existing transcoding
+      await stopTranscoding(channelId, channelName);
+
+      // Wait a moment for cleanup
+      await new Promise(resolve => setTimeout(resolve, 1000));
+    } finally {
+      if (holdsSlot) {
+        launchingChannels.delete(channelId);
+      }
+    }
 
     // Start transcoding again
     return await startTranscoding(channelId, inputUrl, channelName);
@@ -330,6 +1183,70 @@ const restartTranscoding = async (channelId, inputUrl, channelName) => {
   }
 };
 
+// Restart a running auto-mode channel when a new probe result changes whether it should be remuxed
+const refreshAutoMode = async (channelId) => {
+  const active = activeProcesses.get(channelId);
+  if (!active) {
+    return false;
+  }
+
+  const channel = await new Promise((resolve, reject) => {
+    db.get(
+      'SELECT id, name, url, transcoding_mode, source_video_codec, source_audio_tracks FROM channels WHERE id = ?',
+      [channelId],
+      (err, row) => {
+        if (err) {
+          console.error('Error fetching channel transcoding mode:', err.message);
+          reject(err);
+        } else {
+          resolve(row);
+        }
+      }
+    );
+  });
+
+  if (!channel || channel.transcoding_mode !== 'auto' || resolveTranscodingMode(channel) === active.mode) {
+    return false;
+  }
+
+  console.log(`Probe result switches channel ${channelId} to ${resolveTranscodingMode(channel)}, restarting`);
+  await restartTranscoding(channel.id, channel.url, channel.name);
+  return true;
+};
+
+// Restart running channels that use a profile so new encoder settings take effect
+// Channels are restarted one at a time to avoid a burst of FFmpeg processes
+const restartChannelsForProfile = async (profileId, isDefault) => {
+  const channels = await new Promise((resolve, reject) => {
+    db.all(
+      `SELECT id, name, url FROM channels
+       WHERE transcoding_enabled = 1
+       AND (transcoding_profile_id = ? OR (? = 1 AND transcoding_profile_id IS NULL))`,
+      [profileId, isDefault ? 1 : 0],
+      (err, rows) => {
+        if (err) {
+          console.error('Error fetching channels for profile:', err.message);
+          reject(err);
+        } else {
+          resolve(rows);
+        }
+      }
+    );
+  });
+
+  let restarted = 0;
+  for (const channel of channels) {
+    try {
+      await restartTranscoding(channel.id, channel.url, channel.name);
+      restarted++;
+    } catch (error) {
+      console.error(`Failed to restart transcoding for channel ${channel.id}:`, error);
+    }
+  }
+
+  return { channels: channels.length, restarted };
+};
+
 // Get all active transcoding jobs
 const getActiveJobs = () => {
   return new Promise((resolve, reject) => {
@@ -344,7 +1261,18 @@ const getActiveJobs = () => {
           console.error('Error fetching active jobs:', err.message);
           reject(err);
         } else {
-          resolve(rows);
+          // Queued channels have no job yet; list them after the running jobs in queue order
+          const queued = transcodingQueue.map((entry, index) => ({
+            id: null,
+            channel_id: entry.channelId,
+            channel_name: entry.channelName,
+            channel_url: entry.inputUrl,
+            status: 'queued',
+            queue_position: index + 1,
+            priority: entry.priority,
+            created_at: entry.queuedAt
+          }));
+          resolve([...rows, ...queued]);
         }
       }
     );
@@ -363,6 +1291,9 @@ const getDirectorySize = (dirPath) => {
       const stats = fs.statSync(filePath);
       if (stats.isFile()) {
         totalSize += stats.size;
+      } else if (stats.isDirectory()) {
+        // Rendition sub-directories of ABR outputs
+        totalSize += getDirectorySize(filePath);
       }
     }
   } catch (error) {
@@ -392,15 +1323,47 @@ const cleanupChannelSegments = async (channelId) => {
   let cleanedFiles = 0;
   let sizeFreed = 0;
 
+  // Segments live in the channel directory and in one sub-directory per rendition
+  const segmentDirs = [channelDir];
   try {
-    const files = fs.readdirSync(channelDir);
+    for (const entry of fs.readdirSync(channelDir, { withFileTypes: true })) {
+      if (entry.isDirectory()) {
+        segmentDirs.push(path.join(channelDir, entry.name));
+      }
+    }
+  } catch (error) {
+    console.error(`Error listing rendition directories for channel ${channelId}:`, error);
+  }
+
+  // Never delete segments that are still listed in a running channel's playlists
+  const active = activeProcesses.get(channelId);
+  const profile = active ? active.profile : DEFAULT_PROFILE;
+  const keepCount = Math.max(HLS_LIST_SIZE, profile.hls_list_size) + 2; // Keep a couple extra for safety
+  const maxAge = Math.max(MAX_SEGMENT_AGE, profile.hls_time * keepCount * 1000);
+
+  for (const segmentDir of segmentDirs) {
+    const result = cleanupSegmentDirectory(segmentDir, keepCount, maxAge);
+    cleanedFiles += result.cleaned;
+    sizeFreed += result.size_freed;
+  }
+
+  return { cleaned: cleanedFiles, size_freed: sizeFreed };
+};
+
+// Remove old segments from a single playlist directory
+const cleanupSegmentDirectory = (segmentDir, keepCount, maxAge) => {
+  let cleanedFiles = 0;
+  let sizeFreed = 0;
+
+  try {
+    const files = fs.readdirSync(segmentDir);
     const segmentFiles = files.filter(file =>
       file.endsWith('.m4s') || file.endsWith('.ts')
     );
 
     // Sort by modification time (oldest first)
     const fileStats = segmentFiles.map(file => {
-      const filePath = path.join(channelDir, file);
+      const filePath = path.join(segmentDir, file);
       return {
         name: file,
         path: filePath,
@@ -409,12 +1372,11 @@ const cleanupChannelSegments = async (channelId) => {
       };
     }).sort((a, b) => b.age - a.age);
 
-    // Keep only the newest segments according to HLS_LIST_SIZE + buffer
-    const keepCount = HLS_LIST_SIZE + 2; // Keep a couple extra for safety
+    // Keep only the newest segments according to the playlist size + buffer
     const filesToDelete = fileStats.slice(keepCount);
 
-    // Also delete files older than MAX_SEGMENT_AGE
-    const oldFiles = fileStats.filter(file => file.age > MAX_SEGMENT_AGE);
+    // Also delete files older than the maximum segment age
+    const oldFiles = fileStats.filter(file => file.age > maxAge);
 
     const toDelete = [...new Set([...filesToDelete, ...oldFiles])];
 
@@ -430,13 +1392,15 @@ const cleanupChannelSegments = async (channelId) => {
     }
 
   } catch (error) {
-    console.error(`Error cleaning up channel ${channelId} segments:`, error);
+    console.error(`Error cleaning up segments in ${segmentDir}:`, error);
   }
 
   return { cleaned: cleanedFiles, size_freed: sizeFreed };
 };
 
-// Cleanup orphaned directories (channels no longer active)
+// Cleanup orphaned directories (channels that no longer transcode)
+// Every channel with transcoding enabled keeps its output, whatever its status: queued, retrying
+// and stalled channels are about to write to it again
 const cleanupOrphanedDirectories = async () => {
   if (!fs.existsSync(HLS_OUTPUT_BASE)) {
     return { cleaned: 0, size_freed: 0 };
@@ -446,11 +1410,11 @@ const cleanupOrphanedDirectories = async () => {
   let sizeFreed = 0;
 
   try {
-    // Get all active channel IDs
+    // Get the IDs of all channels with transcoding enabled
     const activeChannelIds = await new Promise((resolve, reject) => {
       db.all(
-        'SELECT id FROM channels WHERE transcoding_enabled = 1 AND transcoding_status IN (?, ?, ?)',
-        ['active', 'starting', 'running'],
+        'SELECT id FROM channels WHERE transcoding_enabled = 1',
+        [],
         (err, rows) => {
           if (err) {
             reject(err);
@@ -461,7 +1425,8 @@ const cleanupOrphanedDirectories = async () => {
       );
     });
 
-    const activeChannelSet = new Set(activeChannelIds);
+    // Processes that are still shutting down keep their output too
+    const activeChannelSet = new Set([...activeChannelIds, ...activeProcesses.keys()]);
     const dirs = fs.readdirSync(HLS_OUTPUT_BASE);
 
     for (const dir of dirs) {
@@ -471,7 +1436,7 @@ const cleanupOrphanedDirectories = async () => {
       const dirPath = path.join(HLS_OUTPUT_BASE, dir);
       const dirAge = getFileAge(dirPath);
 
-      // Clean up if channel is not active or directory is old
+      // Clean up if the channel no longer transcodes and the directory is old
       if (!activeChannelSet.has(channelId) && dirAge > ORPHANED_DIR_CLEANUP_AGE) {
         try {
           const dirSize = getDirectorySize(dirPath);
@@ -659,6 +1624,48 @@ const getStorageStats = () => {
   }
 };
 
+// Get the rendition presets available for ABR ladders
+const getRenditionPresets = () => {
+  return {
+    presets: Object.values(RENDITION_PRESETS)
+  };
+};
+
+// Validate transcoding profile fields, returning an error message or null
+const validateProfile = (profile) => {
+  if (!profile.name || !String(profile.name).trim()) {
+    return 'Profile name is required';
+  }
+  if (!VIDEO_CODECS.includes(profile.video_codec)) {
+    return `Video codec must be one of: ${VIDEO_CODECS.join(', ')}`;
+  }
+  if (!VIDEO_PRESETS.includes(profile.video_preset)) {
+    return `Preset must be one of: ${VIDEO_PRESETS.join(', ')}`;
+  }
+  if (!AUDIO_CODECS.includes(profile.audio_codec)) {
+    return `Audio codec must be one of: ${AUDIO_CODECS.join(', ')}`;
+  }
+  if (!Number.isInteger(profile.gop_size) || profile.gop_size < 1) {
+    return 'GOP size must be a positive integer';
+  }
+  if (profile.resolution && !/^\d+x\d+$/.test(profile.resolution)) {
+    return 'Resolution must be in WIDTHxHEIGHT format (e.g. 1280x720)';
+  }
+  if (profile.video_bitrate && !BITRATE_PATTERN.test(profile.video_bitrate)) {
+    return 'Video bitrate must look like 2800k or 3M';
+  }
+  if (!BITRATE_PATTERN.test(profile.audio_bitrate || '')) {
+    return 'Audio bitrate must look like 128k';
+  }
+  if (!Number.isInteger(profile.hls_time) || profile.hls_time < 1) {
+    return 'Segment length must be a positive integer (seconds)';
+  }
+  if (!Number.isInteger(profile.hls_list_size) || profile.hls_list_size < 1) {
+    return 'Playlist size must be a positive integer';
+  }
+  return null;
+};
+
 // Initialize transcoding service on server start
 const initializeTranscoding = async () => {
   try {
@@ -684,13 +1691,21 @@ const initializeTranscoding = async () => {
       console.error('Failed to start cleanup scheduler, but continuing initialization:', error);
     }
 
+    // Start health monitor with error handling
+    try {
+      startHealthMonitor();
+    } catch (error) {
+      console.error('Failed to start health monitor, but continuing initialization:', error);
+    }
+
     // Find channels that were being transcoded when server stopped
+    // Higher priority channels are restarted first so they get encoder slots before the rest are queued
     const activeChannels = await new Promise((resolve, reject) => {
       db.all(
-        `SELECT c.*, j.id as job_id 
-         FROM channels c 
-         LEFT JOIN transcoding_jobs j ON c.id = j.channel_id 
-         WHERE c.transcoding_enabled = 1 AND c.transcoding_status != 'inactive'`,
+        `SELECT c.*
+         FROM channels c
+         WHERE c.transcoding_enabled = 1 AND c.transcoding_status != 'inactive'
+         ORDER BY c.transcoding_priority DESC, c.order_index ASC`,
         (err, rows) => {
           if (err) {
             console.error('Error fetching active channels:', err.message);
@@ -733,6 +1748,21 @@ const cleanup = async () => {
     console.error('Error stopping cleanup scheduler:', error);
   }
 
+  // Stop health monitor
+  try {
+    stopHealthMonitor();
+  } catch (error) {
+    console.error('Error stopping health monitor:', error);
+  }
+
+  // Cancel pending automatic restarts
+  for (const channelId of restartStates.keys()) {
+    clearRestartState(channelId);
+  }
+
+  // Drop queued starts
+  transcodingQueue.length = 0;
+
   // Stop all active processes
   for (const [channelId, { process, channelName }] of activeProcesses) {
     try {
@@ -752,9 +1782,23 @@ module.exports = {
   startTranscoding,
   stopTranscoding,
   restartTranscoding,
+  restartChannelsForProfile,
   getActiveJobs,
+  getRestartState,
+  getChannelHealth,
+  getActiveProcesses,
+  getQueuePosition,
+  updateQueuePriority,
+  MAX_CONCURRENT_TRANSCODES,
   initializeTranscoding,
   cleanup,
+  // Profile, ABR ladder and mode functions
+  TRANSCODING_MODES,
+  resolveTranscodingMode,
+  refreshAutoMode,
+  normalizeLadder,
+  validateProfile,
+  getRenditionPresets,
   // Cleanup functions
   cleanupChannelSegments,
   performPeriodicCleanup,
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+const { db } = require('../index');
+const totp = require('./totp');
+
+// Configuration
+const RECOVERY_CODE_COUNT = parseInt(process.env.RECOVERY_CODE_COUNT) || 10;
+
+// Last time step used by each admin, so a code can't be replayed within its validity window
+// adminId -> step
+const lastUsedSteps = new Map();
+
+// Recovery codes are stored as SHA-256 hashes; they are random enough not to need a slow hash
+const hashRecoveryCode = (code) => {
+  return crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+};
+
+// Generate a set of recovery codes like "4f9c-2ab1-77de"
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    return crypto.randomBytes(6).toString('hex').match(/.{4}/g).join('-');
+  });
+};
+
+// Store an admin's two-factor settings
+const saveTwoFactor = (adminId, secret, recoveryCodes) => {
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE admins SET totp_secret = ?, totp_enabled = ?, recovery_codes = ?, updated_at = ? WHERE id = ?',
+      [
+        secret,
+        secret ? 1 : 0,
+        recoveryCodes ? JSON.stringify(recoveryCodes.map(hashRecoveryCode)) : null,
+        new Date().toISOString(),
+        adminId
+      ],
+      (err) => {
+        if (err) reject(err);
+        else resolve();
+      }
+    );
+  });
+};
+
+// Turn on two-factor authentication with a secret the admin has confirmed
+// step is the time step of the confirming code, so that code can't be used again to log in
+// Returns the new recovery codes; they are only shown once
+const enable = async (adminId, secret, step) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await saveTwoFactor(adminId, secret, recoveryCodes);
+  lastUsedSteps.set(adminId, step);
+  return recoveryCodes;
+};
+
+// Turn off two-factor authentication and forget the secret and recovery codes
+const disable = async (adminId) => {
+  await saveTwoFactor(adminId, null, null);
+  lastUsedSteps.delete(adminId);
+};
+
+// Replace an admin's recovery codes; returns the new codes
+const regenerateRecoveryCodes = async (admin) => {
+  const recoveryCodes = generateRecoveryCodes();
+  await saveTwoFactor(admin.id, admin.totp_secret, recoveryCodes);
+  return recoveryCodes;
+};
+
+// Count the recovery codes an admin has left
+const countRecoveryCodes = (admin) => {
+  return admin.recovery_codes ? JSON.parse(admin.recovery_codes).length : 0;
+};
+
+// Check an authenticator code, refusing one that was already used
+const verifyTotp = (admin, code) => {
+  const step = totp.verifyCode(admin.totp_secret, code);
+  if (step === null || step <= (lastUsedSteps.get(admin.id) || 0)) {
+    return false;
+  }
+
+  lastUsedSteps.set(admin.id, step);
+  return true;
+};
+
+// Check a recovery code and use it up
+const useRecoveryCode = (admin, code) => {
+  const hashes = admin.recovery_codes ? JSON.parse(admin.recovery_codes) : [];
+  const hash = hashRecoveryCode(String(code || ''));
+
+  if (!hashes.includes(hash)) {
+    return Promise.resolve(false);
+  }
+
+  return new Promise((resolve, reject) => {
+    db.run(
+      'UPDATE admins SET recovery_codes = ?, updated_at = ? WHERE id = ?',
+      [JSON.stringify(hashes.filter(other => other !== hash)), new Date().toISOString(), admin.id],
+      (err) => {
+        if (err) reject(err);
+        else resolve(true);
+      }
+    );
+  });
+};
+
+// Check the second factor at login: an authenticator code or a recovery code
+// Returns 'totp', 'recovery' or null
+const verifySecondFactor = async (admin, code) => {
+  if (verifyTotp(admin, code)) {
+    return 'totp';
+  }
+  if (await useRecoveryCode(admin, code)) {
+    return 'recovery';
+  }
+  return null;
+};
+
+module.exports = {
+  enable,
+  disable,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor
+};